@@ -19,6 +19,9 @@ const Creature = function(data) {
   this.id = data.id;
   this.type = data.type;
   this.name = data.name;
+  this.guild = data.guild || null;
+  this.skull = data.skull || 0;
+  this.shield = data.shield || 0;
   this.__position = data.position;
   this.maxHealth = data.maxHealth;
   this.speed = data.speed;
@@ -652,6 +655,30 @@ Creature.prototype.__getWalkingFrame = function(frameGroup) {
 
 }
 
+Creature.prototype.setSkull = function(skull) {
+
+  /*
+   * Function Creature.setSkull
+   * Sets the skull that marks a player in PvP
+   */
+
+  this.skull = skull;
+  this.characterElement.setSkull(skull);
+
+}
+
+Creature.prototype.setShield = function(shield) {
+
+  /*
+   * Function Creature.setShield
+   * Sets the party shield of a player
+   */
+
+  this.shield = shield;
+  this.characterElement.setShield(shield);
+
+}
+
 Creature.prototype.__createCharacterElement = function() {
 
   /*
@@ -667,5 +694,7 @@ Creature.prototype.__createCharacterElement = function() {
 
   // Make sure to update it directly
   this.characterElement.setHealthFraction(this.getHealthFraction());
+  this.characterElement.setSkull(this.skull);
+  this.characterElement.setShield(this.shield);
 
 }
@@ -115,15 +115,15 @@ Interface.prototype.WEBCOLORS = new Array(
 
 // Map to look up spells
 Interface.prototype.SPELLS = new Map();
-Interface.prototype.SPELLS.set(0, { "name": "Cure Burning", "description": "Cures Burning Condition", "icon": { "x": 0, "y": 0 } });
-Interface.prototype.SPELLS.set(1, { "name": "Explosion", "description": "Causes an Explosion", "icon": { "x": 0, "y": 4 } });
-Interface.prototype.SPELLS.set(2, { "name": "Healing", "description": "Heal Damage", "icon": { "x": 2, "y": 0 } });
-Interface.prototype.SPELLS.set(3, { "name": "Invisibilis", "description": "Turn Invisible for 60s.", "icon": { "x": 10, "y": 7 } });
-Interface.prototype.SPELLS.set(4, { "name": "Morph", "description": "Morphs into a Creature", "icon": { "x": 9, "y": 9 } });
-Interface.prototype.SPELLS.set(5, { "name": "Parva Lux", "description": "Surround yourself by light", "icon": { "x": 8, "y": 9 } });
-Interface.prototype.SPELLS.set(7, { "name": "Hearthstone", "description": "Teleport yourself to the temple.", "icon": { "x": 3, "y": 3 } });
-Interface.prototype.SPELLS.set(8, { "name": "Velocitas", "description": "Increases your movement speed", "icon": { "x": 4, "y": 8 } });
-Interface.prototype.SPELLS.set(9, { "name": "Levitate", "description": "Move up or down a mountain", "icon": { "x": 4, "y": 10 } });
+Interface.prototype.SPELLS.set(0, { "name": "Cure Burning", "description": "Cures Burning Condition", "words": "exana flam", "mana": 30, "icon": { "x": 0, "y": 0 } });
+Interface.prototype.SPELLS.set(1, { "name": "Explosion", "description": "Causes an Explosion", "words": "exevo flam", "mana": 40, "icon": { "x": 0, "y": 4 } });
+Interface.prototype.SPELLS.set(2, { "name": "Healing", "description": "Heal Damage", "words": "exura", "mana": 20, "icon": { "x": 2, "y": 0 } });
+Interface.prototype.SPELLS.set(3, { "name": "Invisibilis", "description": "Turn Invisible for 60s.", "words": "utana vid", "mana": 210, "icon": { "x": 10, "y": 7 } });
+Interface.prototype.SPELLS.set(4, { "name": "Morph", "description": "Morphs into a Creature", "words": "utevo res ina", "mana": 100, "icon": { "x": 9, "y": 9 } });
+Interface.prototype.SPELLS.set(5, { "name": "Parva Lux", "description": "Surround yourself by light", "words": "utevo lux", "mana": 20, "icon": { "x": 8, "y": 9 } });
+Interface.prototype.SPELLS.set(7, { "name": "Hearthstone", "description": "Teleport yourself to the temple.", "words": "exani domus", "mana": 0, "icon": { "x": 3, "y": 3 } });
+Interface.prototype.SPELLS.set(8, { "name": "Velocitas", "description": "Increases your movement speed", "words": "utani hur", "mana": 60, "icon": { "x": 4, "y": 8 } });
+Interface.prototype.SPELLS.set(9, { "name": "Levitate", "description": "Move up or down a mountain", "words": "exani hur", "mana": 50, "icon": { "x": 4, "y": 10 } });
 
 Interface.prototype.getSpell = function (id) {
 
@@ -133,7 +133,7 @@ Interface.prototype.getSpell = function (id) {
    */
 
   if (!this.SPELLS.has(id)) {
-    return new Object({ "name": "Unknown", "description": "Unknown", "icon": { "x": 6, "y": 10 } });
+    return new Object({ "name": "Unknown", "description": "Unknown", "words": "", "mana": 0, "icon": { "x": 6, "y": 10 } });
   }
 
   return this.SPELLS.get(id);
@@ -655,6 +655,7 @@ Interface.prototype.__enableListeners = function () {
   document.getElementById("openSkills").addEventListener("click", this.toggleWindow.bind(this, "skill-window"));
   document.getElementById("openBattle").addEventListener("click", this.toggleWindow.bind(this, "battle-window"));
   document.getElementById("openFriends").addEventListener("click", this.toggleWindow.bind(this, "friend-window"));
+  document.getElementById("openQuests").addEventListener("click", this.toggleWindow.bind(this, "quest-window"));
 
   // The logout button
   document.getElementById("logout-button").addEventListener("click", this.sendLogout.bind(this));
@@ -669,10 +670,12 @@ Interface.prototype.__enableListeners = function () {
     createCharBtn.addEventListener("click", function () {
       let name = document.getElementById("create-char-name").value.toLowerCase();
       let sex = document.getElementById("create-char-sex").value;
+      let vocation = document.getElementById("create-char-vocation").value;
 
       gameClient.networkManager.createCharacterExtra({
         name: name,
-        sex: sex
+        sex: sex,
+        vocation: vocation
       });
     }.bind(this));
   }
@@ -700,12 +703,29 @@ Interface.prototype.showCharacterList = function (characters) {
   characters.forEach(ch => {
     let row = document.createElement("div");
     row.className = "char-row";
-    row.textContent = ch.name;
+    row.textContent = "%s (Level %s %s)".format(ch.name.capitalize(), ch.level, ch.vocation || "none");
+
+    // The last visit is only known after the character has played once
+    if (ch.lastLogin !== null) {
+      row.title = "Last login: %s".format(new Date(ch.lastLogin).toLocaleString());
+    }
 
     row.addEventListener("click", function () {
       gameClient.networkManager.playCharacter(ch.name);
     });
 
+    let deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.textContent = "Delete";
+
+    deleteButton.addEventListener("click", function (event) {
+      event.stopPropagation();
+      if (confirm("Are you sure you want to delete %s?".format(ch.name.capitalize()))) {
+        gameClient.networkManager.deleteCharacter(ch.name);
+      }
+    });
+
+    row.appendChild(deleteButton);
     listContainer.appendChild(row);
   });
 
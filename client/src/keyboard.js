@@ -433,7 +433,7 @@ Keyboard.prototype.__keyUp = function(event) {
   }
 
   if(event.keyCode === Keyboard.prototype.KEYS.SHIFT_KEY || event.keyCode === Keyboard.prototype.KEYS.CONTROL_KEY) {
-    if(gameClient.mouse.__multiUseObject === null) {
+    if(gameClient.mouse.__multiUseObject === null && gameClient.mouse.__tradeObject === null) {
       gameClient.mouse.setCursor("auto");
     }
   }
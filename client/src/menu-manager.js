@@ -16,6 +16,7 @@ const MenuManager = function() {
   // Register the configured menus and classes
   this.menus = new Object({
     "screen-menu": new ScreenMenu("screen-menu"),
+    "slot-menu": new SlotMenu("slot-menu"),
     "chat-header-menu": new ChatHeaderMenu("chat-header-menu"),
     "chat-entry-menu": new MessageMenu("chat-entry-menu"),
     "chat-body-menu": new ChatBodyMenu("chat-body-menu"),
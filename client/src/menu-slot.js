@@ -0,0 +1,42 @@
+const SlotMenu = function(id) {
+
+  /*
+   * Class SlotMenu
+   * Wrapper for the menu that displays on item slots in containers and the equipment
+   */
+
+  // Inherits from menu
+  Menu.call(this, id);
+
+}
+
+SlotMenu.prototype = Object.create(Menu.prototype);
+SlotMenu.prototype.constructor = SlotMenu;
+
+SlotMenu.prototype.click = function(event) {
+
+  /*
+   * Function SlotMenu.click
+   * Callback fired specially for the SlotMenu after a button is clicked
+   */
+
+  // Get the selected slot
+  let object = Mouse.prototype.__getSlotObject(this.downEvent);
+
+  // Take action depending on the button
+  switch(this.__getAction(event)) {
+    case "look":
+      gameClient.mouse.look(object);
+      break;
+    case "use":
+      gameClient.mouse.use(object);
+      break;
+    case "trade":
+      gameClient.mouse.setTradeObject(object);
+      break;
+  }
+
+  // Return true to close the menu after clicking
+  return true;
+
+}
@@ -24,6 +24,7 @@ CreateAccountModal.prototype.__isValidSubmission = function(options) {
   document.getElementById("create-password").style.border = null;
   document.getElementById("create-name").style.border = null;
   document.getElementById("create-sex").style.border = null;
+  document.getElementById("create-vocation").style.border = null;
 
   if(options.account === "" || options.password === "" || options.name === "") {
     return false;
@@ -58,7 +59,8 @@ CreateAccountModal.prototype.handleConfirm = function() {
     "account": document.getElementById("create-username").value,
     "password": document.getElementById("create-password").value,
     "name": document.getElementById("create-name").value.toLowerCase(),
-    "sex": document.getElementById("create-sex").value
+    "sex": document.getElementById("create-sex").value,
+    "vocation": document.getElementById("create-vocation").value
   });
 
 
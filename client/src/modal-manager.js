@@ -24,6 +24,7 @@ const ModalManager = function() {
   this.register(Modal, "information-modal");
   this.register(ReadableModal, "readable-modal");
   this.register(OfferModal, "offer-modal");
+  this.register(TradeModal, "trade-modal");
   this.register(MapModal, "map-modal");
   this.register(SpellbookModal, "spellbook-modal");
   this.register(Modal, "modal-character-list");
@@ -199,13 +200,17 @@ ModalManager.prototype.get = function(id) {
 
 }
 
-ModalManager.prototype.isOpened = function() {
+ModalManager.prototype.isOpened = function(id) {
 
   /*
    * Function ModalManager.isOpened
-   * Returns true if any of the modals is active
+   * Returns true if any of the modals is active or if the modal with the passed identifier is active
    */
 
+  if(id !== undefined) {
+    return this.__openedModal !== null && this.__openedModal === this.get(id);
+  }
+
   return this.__openedModal !== null;
 
 }
@@ -113,13 +113,16 @@ OfferModal.prototype.matchOfferType = function(offer) {
 
 }
 
-OfferModal.prototype.createOfferNode = function(offer, index) {
+OfferModal.prototype.createOfferNode = function(offer) {
 
   /*
    * Function OfferModal.createOfferNode
    * Creates an offer node with a single offet
    */
 
+  // The server references the offer by its index in the complete list of offers (buy and sell)
+  let index = this.__offers.indexOf(offer);
+
   // Create a canvas to show the item
   let canvas = new Canvas(null, 32, 32);
   canvas.canvas.className = "slot";
@@ -223,7 +226,8 @@ OfferModal.prototype.__setOfferInformation = function(offer) {
   
   let thing = new Item(offer.id);
   
-  if(thing.isStackable()) {
+  // Any number of items can be sold to the NPC
+  if(thing.isStackable() || offer.type === "buy") {
     document.getElementById("buy-count-wrapper").style.display = "flex";
   } else {
     document.getElementById("buy-count-wrapper").style.display = "none";
@@ -72,7 +72,7 @@ SpellbookModal.prototype.__createSpellNode = function(id) {
   // Set some more information
   DOMElement.lastElementChild.innerHTML = "%s<br><small>%s</small>".format(spell.name, spell.description);
   DOMElement.addEventListener("click", this.__handleClick.bind(this, id));
-  DOMElement.title = spell.description;
+  DOMElement.title = "%s (%s mana)".format(spell.words, spell.mana);
   DOMElement.style.display = "flex";
 
   return DOMElement;
@@ -0,0 +1,97 @@
+const TradeModal = function(element) {
+
+  /*
+   * Class TradeModal
+   * Wrapper for the modal that shows the offers of a trade with another player
+   */
+
+  // Inherit from modal
+  Modal.call(this, element);
+
+}
+
+TradeModal.prototype = Object.create(Modal.prototype);
+TradeModal.constructor = TradeModal;
+
+TradeModal.prototype.handleOpen = function(properties) {
+
+  /*
+   * Function TradeModal.handleOpen
+   * Callback function fired when the modal is opened
+   */
+
+  this.setTrade(properties);
+
+}
+
+TradeModal.prototype.setTrade = function(trade) {
+
+  /*
+   * Function TradeModal.setTrade
+   * Updates the DOM with the offers of both players
+   */
+
+  this.setTitle("Trade with %s".format(trade.name));
+
+  this.__setOffer(this.element.querySelector(".trade-own"), trade.own);
+  this.__setOffer(this.element.querySelector(".trade-partner"), trade.partner);
+
+}
+
+TradeModal.prototype.handleConfirm = function() {
+
+  /*
+   * Function TradeModal.handleConfirm
+   * Accepts the trade: the modal stays opened until both players have accepted
+   */
+
+  gameClient.send(new PacketWriter(PacketWriter.prototype.opcodes.TRADE_ACCEPT).buffer);
+
+  return false;
+
+}
+
+TradeModal.prototype.handleCancel = function() {
+
+  /*
+   * Function TradeModal.handleCancel
+   * Cancels the trade with the other player
+   */
+
+  gameClient.send(new PacketWriter(PacketWriter.prototype.opcodes.TRADE_CANCEL).buffer);
+
+  return true;
+
+}
+
+TradeModal.prototype.__setOffer = function(element, offer) {
+
+  /*
+   * Function TradeModal.__setOffer
+   * Shows a single offered item with the contents of an offered container and whether the player has accepted
+   */
+
+  let offerDOM = element.querySelector(".offers");
+  let statusDOM = element.querySelector(".trade-status");
+
+  // Reset the body
+  offerDOM.innerHTML = "";
+
+  if(offer.item === null) {
+    return statusDOM.innerHTML = "Waiting for an offer.";
+  }
+
+  // Create a canvas to show the offered item followed by everything inside it
+  new Array(offer.item).concat(offer.contents).forEach(function(item) {
+
+    let canvas = new Canvas(null, 32, 32);
+    canvas.canvas.className = "slot";
+    canvas.drawSprite(item, Position.prototype.NULL, 32);
+
+    offerDOM.appendChild(canvas.canvas);
+
+  });
+
+  statusDOM.innerHTML = "%sx %s".format(offer.item.count, offer.accepted ? "(Accepted)" : "");
+
+}
@@ -12,6 +12,7 @@ const Mouse = function() {
    * Mouse.sendItemUse(object) - Writes an item use request to the server.
    * Mouse.sendItemMove(object, object, count) - Writes an item move request to the server.
    * Mouse.setCursor(which) - updates the cursor type of the document
+   * Mouse.setTradeObject(object) - Selects an item to be offered to the player that is clicked next
    *
    */
 
@@ -28,6 +29,7 @@ const Mouse = function() {
   this.__mouseDownObject = null;
   this.__currentMouseTile = null;
   this.__multiUseObject = null;
+  this.__tradeObject = null;
 
 }
 
@@ -76,6 +78,24 @@ Mouse.prototype.setCursor = function(which) {
 
 }
 
+Mouse.prototype.setTradeObject = function(object) {
+
+  /*
+   * Function Mouse.setTradeObject
+   * Saves a reference to the item that is offered to the player that is clicked next
+   */
+
+  // No item to offer
+  if(object.which.peekItem(object.index) === null) {
+    return;
+  }
+
+  // Update the cursor
+  this.setCursor("move");
+  this.__tradeObject = object;
+
+}
+
 Mouse.prototype.getWorldObject = function(event) {
 
   /*
@@ -232,6 +252,11 @@ Mouse.prototype.__handleCanvasMouseUp = function(event) {
     return this.__handleItemUseWith(this.__multiUseObject, this.__mouseDownObject);
   }
 
+  // If we are offering an item to another player
+  if(this.__tradeObject !== null) {
+    return this.__handleTradeRequest(this.__tradeObject, this.__mouseDownObject);
+  }
+
   // Get the world coordinates from the clicked canvas position
   let toObject = this.getWorldObject(event);
 
@@ -287,6 +312,10 @@ Mouse.prototype.__handleContextMenu = function(event) {
 
   }
 
+  if(event.target.className.includes("slot")) {
+    return gameClient.interface.menuManager.open("slot-menu", event);
+  }
+
   if(event.target.className === "hotbar-item") {
     return gameClient.interface.menuManager.open("hotbar-menu", event);
   }
@@ -333,6 +362,33 @@ Mouse.prototype.__handleItemUseWith = function(fromObject, toObject) {
 
 }
 
+Mouse.prototype.__handleTradeRequest = function(fromObject, toObject) {
+
+  /*
+   * Function Mouse.__handleTradeRequest
+   * Handles a click on a player that the selected item is offered to
+   */
+
+  // Reset the offered item and cursor
+  this.__tradeObject = null;
+  this.setCursor("auto");
+
+  if(toObject.which.constructor.name !== "Tile") {
+    return;
+  }
+
+  // Find another player on the clicked tile
+  let player = Array.from(toObject.which.monsters).find(creature => creature.type === 0 && creature !== gameClient.player);
+
+  if(player === undefined) {
+    return gameClient.interface.setCancelMessage("You can only trade with other players.");
+  }
+
+  // Write request to the server
+  gameClient.send(new PacketWriter(PacketWriter.prototype.opcodes.TRADE_REQUEST).writeTradeRequest(fromObject, player.id));
+
+}
+
 Mouse.prototype.__handleMouseClick = function() {
 
   /*
@@ -437,7 +493,7 @@ Mouse.prototype.__updateCursorMove = function(target) {
   }
 
   // Block when using or dragging an item
-  if(this.__multiUseObject !== null || this.__mouseDownObject !== null) {
+  if(this.__multiUseObject !== null || this.__tradeObject !== null || this.__mouseDownObject !== null) {
     return window.getSelection().removeAllRanges();
   }
 
@@ -492,7 +548,7 @@ Mouse.prototype.__handleMouseUp = function(event) {
   this.__mouseDownObject = null;
 
   // Reset the cursor
-  if(this.__multiUseObject === null) {
+  if(this.__multiUseObject === null && this.__tradeObject === null) {
     this.setCursor("auto");
   }
 
@@ -58,6 +58,10 @@ NetworkManager.prototype.readPacket = function(packet) {
       return gameClient.interface.updateSpells(packet.readSpells());
     }
 
+    case PacketReader.prototype.opcodes.SKILL_UPDATE.code: {
+      return this.packetHandler.handleSkillUpdate(packet.readSkillUpdate());
+    }
+
     case PacketReader.prototype.opcodes.PLAYER_STATISTICS.code: {
       return this.packetHandler.handlePlayerStatistics(packet.readCharacterStatistics());
     }
@@ -67,6 +71,15 @@ NetworkManager.prototype.readPacket = function(packet) {
       return this.packetHandler.handleTradeOffer(packet.readTradeOffer());
     }
 
+    // The state of a trade with another player is received
+    case PacketReader.prototype.opcodes.TRADE_UPDATE.code: {
+      return this.packetHandler.handleTradeUpdate(packet.readTradeUpdate());
+    }
+
+    case PacketReader.prototype.opcodes.TRADE_CLOSE.code: {
+      return this.packetHandler.handleTradeClose();
+    }
+
     // A remove friend is requested
     case PacketReader.prototype.opcodes.ENTER_ZONE.code: {
       return this.packetHandler.handleEnterZone(packet.readZoneInformation());
@@ -128,6 +141,22 @@ NetworkManager.prototype.readPacket = function(packet) {
     case PacketReader.prototype.opcodes.GAIN_EXPERIENCE.code: {
       return this.packetHandler.handleGainExperience(packet.readGainExperience());
     }
+
+    case PacketReader.prototype.opcodes.LOSE_EXPERIENCE.code: {
+      return this.packetHandler.handleLoseExperience(packet.readUInt32());
+    }
+
+    case PacketReader.prototype.opcodes.QUEST_LOG.code: {
+      return this.packetHandler.handleQuestLog(packet.readQuestLog());
+    }
+
+    case PacketReader.prototype.opcodes.PARTY_MEMBERS.code: {
+      return this.packetHandler.handlePartyMembers(packet.readPartyMembers());
+    }
+
+    case PacketReader.prototype.opcodes.PARTY_HEALTH.code: {
+      return this.packetHandler.handlePartyHealth(packet.readPartyHealth());
+    }
   
     case PacketReader.prototype.opcodes.SEND_MAGIC_EFFECT.code: {
       return this.packetHandler.handleSendMagicEffect(packet.readMagicEffect());
@@ -159,6 +188,14 @@ NetworkManager.prototype.readPacket = function(packet) {
     case PacketReader.prototype.opcodes.CREATURE_TURN.code: {
       return this.packetHandler.handleCreatureTurn(packet.readCreatureTurn());
     }
+
+    case PacketReader.prototype.opcodes.CREATURE_SKULL.code: {
+      return this.packetHandler.handleCreatureSkull(packet.readCreatureSkull());
+    }
+
+    case PacketReader.prototype.opcodes.CREATURE_SHIELD.code: {
+      return this.packetHandler.handleCreatureShield(packet.readCreatureShield());
+    }
   
     case PacketReader.prototype.opcodes.ADD_ACHIEVEMENT.code: {
       return this.packetHandler.handleAddAchievement(packet.readAddAchievement());
@@ -331,7 +368,7 @@ NetworkManager.prototype.createAccount = function(options) {
 
   let host = this.getConnectionSettings();
 
-  let url = "%s//%s/?account=%s&password=%s&name=%s&sex=%s".format(location.protocol, host, options.account, options.password, options.name, options.sex);
+  let url = "%s//%s/?account=%s&password=%s&name=%s&sex=%s&vocation=%s".format(location.protocol, host, options.account, options.password, options.name, options.sex, options.vocation);
 
   // Make a post request
   fetch(url, {"method": "POST"}).then(function(response) {
@@ -343,11 +380,16 @@ NetworkManager.prototype.createAccount = function(options) {
       case 500: throw("The server experienced an internal error.");
     }
 
+    return response.json();
+
+  }).then(function(data) {
+
     // Update the DOM with the newly created accounted
     document.getElementById("user-username").value = options.account;
     document.getElementById("user-password").value = options.password;
 
-    gameClient.interface.modalManager.open("floater-connecting", "The account and character have been created.")
+    // The recovery key is only shown once
+    gameClient.interface.modalManager.open("floater-connecting", "The account and character have been created. <br> Write down your recovery key: %s".format(data.recoveryKey));
 
   }).catch(x => gameClient.interface.modalManager.open("floater-connecting", x));
 
@@ -416,42 +458,69 @@ NetworkManager.prototype.connect = function() {
 
   /*
    * Function NetworkManager.connect
-   * Ahora: valida la cuenta y luego pide la lista de personajes.
+   * Logs in to the account and requests the character list: the password is only sent once for a session token
    */
 
   let host = this.getConnectionSettings();
   let { account, password } = gameClient.interface.getAccountDetails();
 
-  // Guardamos datos para usarlos luego
+  // Guardamos el host para las peticiones de personajes
   this.loginHost = host;
-  this.account   = account;
-  this.password  = password;
 
-  // Contact the login server (igual que antes)
-  fetch("%s//%s/?account=%s&password=%s".format(location.protocol, host, account, password))
+  fetch("%s//%s/session".format(location.protocol, host), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ account: account, password: password })
+  })
     .then(function(response) {
-      console.log("response.status:" + response.status);
 
       switch (response.status) {
         case 200: break;
+        case 400:
         case 401: throw("The account number or password is incorrect.");
-        case 500: throw("The server experienced an internal error.");
+        case 429: throw("Too many failed login attempts. Please try again in %s seconds.".format(response.headers.get("Retry-After")));
+        default:  throw("The server experienced an internal error.");
       }
 
-      // Proceed
       return response.json();
 
     }.bind(this))
-    .then(function(_response) {
+    .then(function(data) {
+
+      // The session token replaces the password for the character requests
+      this.session = data.session;
 
-      // Antes abrías el WebSocket aquí.
-      // Ahora pedimos lista de personajes.
       this.fetchCharacters();
 
     }.bind(this))
     .catch(x => gameClient.interface.modalManager.open("floater-connecting", x));
 };
 
+NetworkManager.prototype.__fetchSession = function(path, options) {
+
+  /*
+   * Function NetworkManager.__fetchSession
+   * Sends a request to the login server that is authorized by the session token
+   */
+
+  let host = this.loginHost || this.getConnectionSettings();
+
+  options = options || {};
+  options.headers = Object.assign({ "Authorization": "Bearer %s".format(this.session) }, options.headers);
+
+  return fetch("%s//%s%s".format(location.protocol, host, path), options).then(function(response) {
+
+    // The session has expired or was revoked: the account has to log in again
+    if (response.status === 401) {
+      throw("Your session has expired. Please log in again.");
+    }
+
+    return response;
+
+  });
+
+};
+
 NetworkManager.prototype.fetchCharacters = function() {
 
   /*
@@ -459,20 +528,9 @@ NetworkManager.prototype.fetchCharacters = function() {
    * Pide al login server la lista de personajes de la cuenta.
    */
 
-  let host     = this.loginHost || this.getConnectionSettings();
-  let account  = this.account;
-  let password = this.password;
-
-  let url = "%s//%s/characters?account=%s&password=%s"
-    .format(location.protocol, host, account, password);
-
-  fetch(url)
+  this.__fetchSession("/characters")
     .then(function(response) {
 
-      if (response.status === 401) {
-        throw("The account number or password is incorrect.");
-      }
-
       if (response.status !== 200) {
         throw("The server experienced an internal error.");
       }
@@ -480,7 +538,7 @@ NetworkManager.prototype.fetchCharacters = function() {
       return response.json();
     })
     .then(function(data) {
-      // data.characters = [ { name }, ... ]
+      // data.characters = [ { name, level, sex, vocation, outfit, lastLogin }, ... ]
       gameClient.interface.showCharacterList(data.characters);
     })
     .catch(x => gameClient.interface.modalManager.open("floater-connecting", x));
@@ -493,27 +551,11 @@ NetworkManager.prototype.playCharacter = function(name) {
    * Pide un token para un personaje concreto y abre el WebSocket.
    */
 
-  let host     = this.loginHost || this.getConnectionSettings();
-  let account  = this.account;
-  let password = this.password;
-
-  let url = "%s//%s/login-character?account=%s&password=%s&name=%s"
-    .format(
-      location.protocol,
-      host,
-      account,
-      password,
-      encodeURIComponent(name)
-    );
-
-  fetch(url)
+  this.__fetchSession("/login-character?name=%s".format(encodeURIComponent(name)))
     .then(function(response) {
 
-      console.log("login-character status:" + response.status);
-
       switch (response.status) {
         case 200: break;
-        case 401: throw("The account number or password is incorrect.");
         case 403: throw("This character does not belong to this account.");
         case 500: throw("The server experienced an internal error.");
         default:  throw("Unexpected status: " + response.status);
@@ -542,23 +584,16 @@ NetworkManager.prototype.createCharacterExtra = function(options) {
 
   /*
    * Crea un personaje extra en la cuenta ya logueada.
-   * options = { name, sex }
+   * options = { name, sex, vocation }
    */
 
-  let host     = this.loginHost || this.getConnectionSettings();
-  let account  = this.account;
-  let password = this.password;
-
-  let url = "%s//%s/characters".format(location.protocol, host);
-
-  fetch(url, {
+  this.__fetchSession("/characters", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({
-      account: account,
-      password: password,
       name: options.name,
-      sex: options.sex
+      sex: options.sex,
+      vocation: options.vocation
     })
   })
     .then(function(response) {
@@ -566,7 +601,6 @@ NetworkManager.prototype.createCharacterExtra = function(options) {
       switch (response.status) {
         case 201: break;
         case 400: throw("Malformed character creation request.");
-        case 401: throw("The account number or password is incorrect.");
         case 409: throw("A character with this name already exists.");
         case 500: throw("The server experienced an internal error.");
         default:  throw("Unexpected status: " + response.status);
@@ -590,6 +624,29 @@ NetworkManager.prototype.createCharacterExtra = function(options) {
     .catch(x => gameClient.interface.modalManager.open("floater-connecting", x));
 };
 
+NetworkManager.prototype.deleteCharacter = function(name) {
+
+  /*
+   * Function NetworkManager.deleteCharacter
+   * Deletes a character of the account and refreshes the character list
+   */
+
+  this.__fetchSession("/characters?name=%s".format(encodeURIComponent(name)), { method: "DELETE" })
+    .then(function(response) {
+
+      switch (response.status) {
+        case 204: break;
+        case 403: throw("This character does not belong to this account.");
+        case 500: throw("The server experienced an internal error.");
+        default:  throw("Unexpected status: " + response.status);
+      }
+
+      this.fetchCharacters();
+
+    }.bind(this))
+    .catch(x => gameClient.interface.modalManager.open("floater-connecting", x));
+};
+
 NetworkManager.prototype.__handlePacket = function(event) {
 
   /*
@@ -92,11 +92,40 @@ PacketHandler.prototype.handleTradeOffer = function(packet) {
 
 }
 
+PacketHandler.prototype.handleTradeUpdate = function(packet) {
+
+  /*
+   * Function PacketHandler.handleTradeUpdate
+   * Handles incoming packet with the state of a trade with another player
+   */
+
+  // Update the trade in place when it is already being shown
+  if(gameClient.interface.modalManager.isOpened("trade-modal")) {
+    return gameClient.interface.modalManager.get("trade-modal").setTrade(packet);
+  }
+
+  gameClient.interface.modalManager.open("trade-modal", packet);
+
+}
+
+PacketHandler.prototype.handleTradeClose = function() {
+
+  /*
+   * Function PacketHandler.handleTradeClose
+   * Handles incoming packet that closes the trade with another player
+   */
+
+  if(gameClient.interface.modalManager.isOpened("trade-modal")) {
+    gameClient.interface.modalManager.close();
+  }
+
+}
+
 PacketHandler.prototype.handlePlayerStatistics = function(packet) {
 
   /*
    * Function PacketHandler.handlePlayerStatistics
-   * Handles a change capacity packet
+   * Handles a change of the player statistics (e.g., capacity, mana)
    */
 
   // Ignore these packets
@@ -109,6 +138,22 @@ PacketHandler.prototype.handlePlayerStatistics = function(packet) {
   gameClient.player.state.attack = packet.attack;
   gameClient.player.state.armor = packet.armor;
   gameClient.player.state.speed = packet.speed;
+  gameClient.player.maxMana = packet.maxMana;
+  gameClient.player.state.mana = packet.mana;
+  gameClient.player.maxHealth = packet.maxHealth;
+  gameClient.player.state.health = packet.health;
+  gameClient.player.state.soul = packet.soul;
+
+}
+
+PacketHandler.prototype.handleSkillUpdate = function(packet) {
+
+  /*
+   * Function PacketHandler.handleSkillUpdate
+   * Handles an update of a single skill of the player
+   */
+
+  gameClient.interface.windowManager.getWindow("skill-window").setSkill(packet.id, packet.level, packet.percentage);
 
 }
 
@@ -647,18 +692,18 @@ PacketHandler.prototype.handleCharacterInformation = function(packet) {
    */
 
   let gender = packet.gender === 0 ? "He" : "She";
+  let message = "You see %s. %s is level %s.".format(packet.name, gender, packet.level);
+
+  // Members of a guild also show their rank
+  if(packet.guild !== null) {
+    message += " %s is %s of the %s.".format(gender, packet.guild.rank, packet.guild.name);
+  }
 
   // Show a server message
-  gameClient.interface.notificationManager.setServerMessage(
-    "You see %s. %s is level %s.".format(packet.name, gender, packet.level),
-    Interface.prototype.COLORS.LIGHTGREEN
-  );
+  gameClient.interface.notificationManager.setServerMessage(message, Interface.prototype.COLORS.LIGHTGREEN);
 
   // Add to the console in lightgreen
-  gameClient.interface.channelManager.addConsoleMessage(
-    "You see %s. %s is level %s.".format(packet.name, gender, packet.level),
-    Interface.prototype.COLORS.LIGHTGREEN
-  );
+  gameClient.interface.channelManager.addConsoleMessage(message, Interface.prototype.COLORS.LIGHTGREEN);
 
 }
 
@@ -994,6 +1039,40 @@ PacketHandler.prototype.handleCreatureTurn = function(packet) {
 
 }
 
+PacketHandler.prototype.handleCreatureSkull = function(packet) {
+
+  /*
+   * Function PacketHandler.handleCreatureSkull
+   * Handles a change of the skull that marks a player
+   */
+
+  let creature = gameClient.world.getCreature(packet.id);
+
+  if(creature === null) {
+    return;
+  }
+
+  creature.setSkull(packet.skull);
+
+}
+
+PacketHandler.prototype.handleCreatureShield = function(packet) {
+
+  /*
+   * Function PacketHandler.handleCreatureShield
+   * Handles a change of the party shield of a player
+   */
+
+  let creature = gameClient.world.getCreature(packet.id);
+
+  if(creature === null) {
+    return;
+  }
+
+  creature.setShield(packet.shield);
+
+}
+
 PacketHandler.prototype.handleReceivePrivateMessage = function(packet) {
 
   /*
@@ -1049,6 +1128,56 @@ PacketHandler.prototype.handleGainExperience = function(packet) {
  
 }
 
+PacketHandler.prototype.handleLoseExperience = function(experience) {
+
+  /*
+   * Function PacketHandler.handleLoseExperience
+   * Handles the experience that the player lost (e.g., on death)
+   */
+
+  gameClient.interface.channelManager.addConsoleMessage(
+    "You lost %s experience.".format(experience),
+    Interface.prototype.COLORS.WHITE
+  );
+
+  // Remove the experience: the level is recalculated from the experience
+  gameClient.player.addExperience(-experience);
+
+}
+
+PacketHandler.prototype.handleQuestLog = function(quests) {
+
+  /*
+   * Function PacketHandler.handleQuestLog
+   * Handles the quests that the player has started with their missions
+   */
+
+  gameClient.interface.windowManager.getWindow("quest-window").generateContent(quests);
+
+}
+
+PacketHandler.prototype.handlePartyMembers = function(members) {
+
+  /*
+   * Function PacketHandler.handlePartyMembers
+   * Handles the members of the party of the player: an empty list means the player is not in a party
+   */
+
+  gameClient.interface.windowManager.getWindow("battle-window").setPartyMembers(members);
+
+}
+
+PacketHandler.prototype.handlePartyHealth = function(packet) {
+
+  /*
+   * Function PacketHandler.handlePartyHealth
+   * Handles a change of the health of a party member
+   */
+
+  gameClient.interface.windowManager.getWindow("battle-window").updatePartyMember(packet.name, packet.health, packet.maxHealth);
+
+}
+
 PacketHandler.prototype.handleItemAdd = function(packet) {
 
   /*
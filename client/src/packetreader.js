@@ -30,7 +30,12 @@ PacketReader.prototype.readCharacterStatistics = function() {
     "capacity": this.readUInt32(),
     "attack": this.readUInt8(),
     "armor": this.readUInt8(),
-    "speed": this.readUInt16()
+    "speed": this.readUInt16(),
+    "mana": this.readUInt16(),
+    "maxMana": this.readUInt16(),
+    "health": this.readUInt16(),
+    "maxHealth": this.readUInt16(),
+    "soul": this.readUInt8()
   });
 
 }
@@ -40,7 +45,29 @@ PacketReader.prototype.readCharacterInformation = function() {
   return new Object({
     "name": this.readString(),
     "level": this.readUInt16(),
-    "gender": this.readUInt8()
+    "gender": this.readUInt8(),
+    "guild": this.readGuild()
+  });
+
+}
+
+PacketReader.prototype.readGuild = function() {
+
+  /*
+   * Function PacketReader.readGuild
+   * Reads the guild name and rank title of a creature: null when the creature is not in a guild
+   */
+
+  let name = this.readString();
+  let rank = this.readString();
+
+  if(name === "") {
+    return null;
+  }
+
+  return new Object({
+    "name": name,
+    "rank": rank
   });
 
 }
@@ -114,6 +141,118 @@ PacketReader.prototype.readTradeOffer = function() {
 
 }
 
+PacketReader.prototype.readTradeUpdate = function() {
+
+  /*
+   * Function PacketReader.readTradeUpdate
+   * Reads the state of a trade with another player
+   */
+
+  return new Object({
+    "name": this.readString(),
+    "own": this.readTradeOffer(),
+    "partner": this.readTradeOffer()
+  });
+
+}
+
+PacketReader.prototype.readTradeOffer = function() {
+
+  /*
+   * Function PacketReader.readTradeOffer
+   * Reads a single offer of a trade with the contents of an offered container
+   */
+
+  let item = this.readItem();
+  let contents = new Array();
+  let length = this.readUInt16();
+
+  for(let i = 0; i < length; i++) {
+    contents.push(this.readItem());
+  }
+
+  return new Object({
+    "item": item,
+    "contents": contents,
+    "accepted": this.readBoolean()
+  });
+
+}
+
+PacketReader.prototype.readQuestLog = function() {
+
+  /*
+   * Function PacketReader.readQuestLog
+   * Reads the started quests with their missions
+   */
+
+  let quests = new Array();
+  let length = this.readUInt16();
+
+  for(let i = 0; i < length; i++) {
+
+    let quest = new Object({
+      "name": this.readString(),
+      "completed": this.readBoolean(),
+      "missions": new Array()
+    });
+
+    let missions = this.readUInt16();
+
+    for(let j = 0; j < missions; j++) {
+      quest.missions.push(new Object({
+        "name": this.readString(),
+        "description": this.readString(),
+        "completed": this.readBoolean()
+      }));
+    }
+
+    quests.push(quest);
+
+  }
+
+  return quests;
+
+}
+
+PacketReader.prototype.readPartyMembers = function() {
+
+  /*
+   * Function PacketReader.readPartyMembers
+   * Reads the members of the party with their health
+   */
+
+  let members = new Array();
+  let length = this.readUInt8();
+
+  for(let i = 0; i < length; i++) {
+    members.push(new Object({
+      "name": this.readString(),
+      "leader": this.readBoolean(),
+      "health": this.readUInt32(),
+      "maxHealth": this.readUInt32()
+    }));
+  }
+
+  return members;
+
+}
+
+PacketReader.prototype.readPartyHealth = function() {
+
+  /*
+   * Function PacketReader.readPartyHealth
+   * Reads the health of a party member by the name of the member
+   */
+
+  return new Object({
+    "name": this.readString(),
+    "health": this.readUInt32(),
+    "maxHealth": this.readUInt32()
+  });
+
+}
+
 PacketReader.prototype.readReadable = function() {
 
   /*
@@ -481,6 +620,34 @@ PacketReader.prototype.readTileItemAdd = function() {
 
 }
 
+PacketReader.prototype.readCreatureSkull = function() {
+
+  /*
+   * PacketReader.readCreatureSkull
+   * Reads the skull of a player by the creature identifier
+   */
+
+  return new Object({
+    "id": this.readUInt32(),
+    "skull": this.readUInt8()
+  });
+
+}
+
+PacketReader.prototype.readCreatureShield = function() {
+
+  /*
+   * PacketReader.readCreatureShield
+   * Reads the party shield of a player by the creature identifier
+   */
+
+  return new Object({
+    "id": this.readUInt32(),
+    "shield": this.readUInt8()
+  });
+
+}
+
 PacketReader.prototype.readCreatureTurn = function() {
 
   /*
@@ -765,11 +932,50 @@ PacketReader.prototype.readCreatureInfo = function() {
     "speed": this.readUInt16(),
     "type": this.readUInt8(),
     "name": this.readString(),
+    "guild": this.readGuild(),
+    "skull": this.readUInt8(),
+    "shield": this.readUInt8(),
     "conditions": this.readConditions()
   });
 
 }
 
+PacketReader.prototype.readSkills = function() {
+
+  /*
+   * Function PacketReader.readSkills
+   * Reads the level and advancement percentage of all skills
+   */
+
+  let length = this.readUInt8();
+  let skills = new Array();
+
+  for(let i = 0; i < length; i++) {
+    skills.push(new Object({
+      "level": this.readUInt8(),
+      "percentage": this.readUInt8()
+    }));
+  }
+
+  return skills;
+
+}
+
+PacketReader.prototype.readSkillUpdate = function() {
+
+  /*
+   * Function PacketReader.readSkillUpdate
+   * Reads an update of a single skill
+   */
+
+  return new Object({
+    "id": this.readUInt8(),
+    "level": this.readUInt8(),
+    "percentage": this.readUInt8()
+  });
+
+}
+
 PacketReader.prototype.readChunkData = function() {
 
   /*
@@ -876,9 +1082,11 @@ PacketReader.prototype.readPlayerInfo = function() {
     "mounts": this.readOutfits(),
     "outfits": this.readOutfits(),
     "outfit": this.readOutfit(),
-    "health": this.readUInt8(),
-    "maxHealth": this.readUInt8(),
-    "conditions": this.readConditions()
+    "health": this.readUInt16(),
+    "maxHealth": this.readUInt16(),
+    "conditions": this.readConditions(),
+    "skills": this.readSkills(),
+    "skull": this.readUInt8()
   });
 
 }
@@ -49,6 +49,21 @@ PacketWriter.prototype.writeBuyOffer = function(id, value, count) {
 
 }
 
+PacketWriter.prototype.writeTradeRequest = function(object, id) {
+
+  /*
+   * Function PacketWriter.writeTradeRequest
+   * Writes a request to offer an item to another player
+   */
+
+  // The offered item and the identifier of the other player
+  this.__writeGenericMove(object);
+  this.writeUInt32(id);
+
+  return this.buffer;
+
+}
+
 PacketWriter.prototype.writeUInt8 = function(value) {
 
   /*
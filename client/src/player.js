@@ -125,6 +125,10 @@ Player.prototype.setState = function(data) {
   this.state.add("armor", this.setLevelSkillValue.bind(this, "armor"));
   this.state.add("attack", this.setLevelSkillValue.bind(this, "attack"));
   this.state.add("speed", this.setLevelSkillValue.bind(this, "speed"));
+  this.state.add("soul", this.setLevelSkillValue.bind(this, "soul"));
+
+  // Mana is sent with the statistics after logging in
+  this.state.add("mana", this.setManaStatus.bind(this));
 
   // Set defaults
   this.state.capacity = data.capacity;
@@ -133,6 +137,11 @@ Player.prototype.setState = function(data) {
   this.state.armor = 0;
   this.state.attack = 0;
 
+  // Trained skills
+  data.skills.forEach(function({ level, percentage }, id) {
+    gameClient.interface.windowManager.getWindow("skill-window").setSkill(id, level, percentage);
+  });
+
 }
 
 Player.prototype.setExperienceSkillValue = function(value) {
@@ -183,20 +192,33 @@ Player.prototype.getExperience = function(level) {
 
 }
 
-Player.prototype.setBarStatus = function(bar) {
+Player.prototype.setBarStatus = function(bar, percentage) {
 
   /*
    * Function Player.setBarStatus
-   * Sets the mana status to the DOM
+   * Sets the percentage of a status bar in the DOM
    */
 
-  let percentage = this.getHealthPercentage().clamp(0, 100);
-
   bar.firstElementChild.style.width = percentage + "%";
   bar.lastElementChild.innerHTML = percentage + "%";
 
 }
 
+Player.prototype.getManaPercentage = function() {
+
+  /*
+   * Function Player.getManaPercentage
+   * Returns the mana as a percentage: players without mana have an empty bar
+   */
+
+  if(this.maxMana === 0) {
+    return 0;
+  }
+
+  return (this.state.mana / this.maxMana).clamp(0, 1).toPercentage();
+
+}
+
 Player.prototype.setManaStatus = function() {
 
   /*
@@ -204,7 +226,9 @@ Player.prototype.setManaStatus = function() {
    * Sets the mana status to the DOM
    */
 
-  this.setBarStatus(document.getElementById("mana-bar"));
+  this.setBarStatus(document.getElementById("mana-bar"), this.getManaPercentage());
+
+  gameClient.interface.windowManager.getWindow("skill-window").setSkillValue("mana", this.state.mana);
 
 }
 
@@ -216,7 +240,7 @@ Player.prototype.setHealthStatus = function() {
    */
 
   // The health bar on the side
-  this.setBarStatus(document.getElementById("health-bar"));
+  this.setBarStatus(document.getElementById("health-bar"), this.getHealthPercentage().clamp(0, 100));
 
   // Gamescreen
   this.characterElement.setDefault();
@@ -10,6 +10,10 @@ const CharacterElement = function(creature) {
 
   this.__creature = creature;
 
+  // The skull and party shield that are shown around the name
+  this.__skull = 0;
+  this.__shield = 0;
+
   // Update settings
   this.setName(creature.name);
 
@@ -18,6 +22,12 @@ const CharacterElement = function(creature) {
 CharacterElement.prototype = Object.create(ScreenElement.prototype);
 CharacterElement.prototype.constructor = CharacterElement;
 
+// Classes for the skulls that are shown in front of the name (none, white, red)
+CharacterElement.prototype.SKULL_CLASSES = new Array("", "skull-white", "skull-red");
+
+// Classes for the party shields that are shown behind the name (none, invited, inviter, member, leader)
+CharacterElement.prototype.SHIELD_CLASSES = new Array("", "shield-invited", "shield-inviter", "shield-member", "shield-leader");
+
 CharacterElement.prototype.setDefault = function() {
 
   /*
@@ -100,6 +110,43 @@ CharacterElement.prototype.setNameColor = function(color) {
 
 }
 
+CharacterElement.prototype.setSkull = function(skull) {
+
+  /*
+   * Class CharacterElement.setSkull
+   * Shows the skull of the character in front of the name plate
+   */
+
+  this.__skull = skull;
+
+  this.__setNameClasses();
+
+}
+
+CharacterElement.prototype.setShield = function(shield) {
+
+  /*
+   * Class CharacterElement.setShield
+   * Shows the party shield of the character behind the name plate
+   */
+
+  this.__shield = shield;
+
+  this.__setNameClasses();
+
+}
+
+CharacterElement.prototype.__setNameClasses = function() {
+
+  /*
+   * Class CharacterElement.__setNameClasses
+   * Sets the classes of the skull and party shield on the name plate
+   */
+
+  this.element.querySelector("span").className = new Array(this.SKULL_CLASSES[this.__skull], this.SHIELD_CLASSES[this.__shield]).filter(Boolean).join(" ");
+
+}
+
 CharacterElement.prototype.setName = function(name) {
 
   /*
@@ -6,6 +6,8 @@ const BattleWindow = function(element) {
    *
    * API:
    *  - generateContent(content): Generates the body content for the window based on the friend list array
+   *  - setPartyMembers(members): Shows the members of the party with their health above the creatures
+   *  - updatePartyMember(name, health, maxHealth): Updates the health of a single party member
    */
 
   InteractiveWindow.call(this, element);
@@ -16,6 +18,78 @@ const BattleWindow = function(element) {
 BattleWindow.prototype = Object.create(InteractiveWindow.prototype);
 BattleWindow.prototype.constructor = BattleWindow;
 
+BattleWindow.prototype.setPartyMembers = function(members) {
+
+  /*
+   * Function BattleWindow.setPartyMembers
+   * Replaces the party members that are shown above the creatures in the battle window
+   */
+
+  this.getBody().querySelectorAll(".battle-window-party-member").forEach(element => element.remove());
+
+  let nodes = members.filter(member => member.name !== gameClient.player.name).map(this.__createPartyMember, this);
+
+  this.getBody().prepend(...nodes);
+
+}
+
+BattleWindow.prototype.updatePartyMember = function(name, health, maxHealth) {
+
+  /*
+   * Function BattleWindow.updatePartyMember
+   * Updates the health of a party member
+   */
+
+  let element = this.getBody().querySelector('[party="%s"]'.format(name));
+
+  if(element === null) {
+    return;
+  }
+
+  this.__setPartyMemberHealth(element, health, maxHealth);
+
+}
+
+BattleWindow.prototype.__createPartyMember = function(member) {
+
+  /*
+   * Function BattleWindow.__createPartyMember
+   * Creates the DOM element of a party member with a health bar
+   */
+
+  let node = document.createElement("div");
+  let title = document.createElement("span");
+  let bar = document.createElement("div");
+
+  node.className = "battle-window-party-member";
+  node.setAttribute("party", member.name);
+
+  title.innerHTML = member.leader ? "%s (leader)".format(member.name) : member.name;
+  bar.className = "battle-window-target-stats-bar health";
+
+  node.appendChild(title);
+  node.appendChild(bar);
+
+  this.__setPartyMemberHealth(node, member.health, member.maxHealth);
+
+  return node;
+
+}
+
+BattleWindow.prototype.__setPartyMemberHealth = function(element, health, maxHealth) {
+
+  /*
+   * Function BattleWindow.__setPartyMemberHealth
+   * Sets the width of the health bar of a party member
+   */
+
+  let fraction = maxHealth === 0 ? 0 : health / maxHealth;
+
+  element.lastElementChild.style.width = fraction.toPercentage() + "%";
+  element.title = "%s|%s".format(health, maxHealth);
+
+}
+
 BattleWindow.prototype.removeCreature = function(id) {
 
   let element = this.getBody().querySelector('[id="%s"]'.format(id));
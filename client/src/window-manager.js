@@ -16,6 +16,7 @@ const WindowManager = function() {
     "battle-window": new BattleWindow(document.getElementById("battle-window")),
     "skill-window": new SkillWindow(document.getElementById("skill-window")),
     "friend-window": new FriendWindow(document.getElementById("friend-window")),
+    "quest-window": new QuestWindow(document.getElementById("quest-window")),
   });
 
   this.stacks = document.getElementsByClassName("column");
@@ -25,6 +26,7 @@ const WindowManager = function() {
   this.getWindow("battle-window").addTo(this.getStack("left"));
   this.getWindow("skill-window").addTo(this.getStack("left"));
   this.getWindow("friend-window").addTo(this.getStack("left"));
+  this.getWindow("quest-window").addTo(this.getStack("left"));
 
   // State object of the mouse
   this.state = new State();
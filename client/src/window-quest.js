@@ -0,0 +1,75 @@
+const QuestWindow = function(element) {
+
+  /*
+   * Class QuestWindow
+   * Makes an element with the window class interactive
+   *
+   * API:
+   * 
+   * generateContent(content) - Generates the body content for the window based on the quest log array
+   *
+   * __createQuestEntry(entry) - Generates a single quest DOM entry with its missions
+   * __createMissionEntry(entry) - Generates a single mission DOM entry
+   *
+   */
+
+  // Inherit from interactive windows
+  InteractiveWindow.call(this, element);
+
+}
+
+// Set the prototype and constructor
+QuestWindow.prototype = Object.create(InteractiveWindow.prototype);
+QuestWindow.prototype.constructor = QuestWindow;
+
+QuestWindow.prototype.generateContent = function(content) {
+
+  /*
+   * Function QuestWindow.generateContent
+   * Generates the content to be placed in the quest log window
+   */
+
+  // Set the DOM content
+  this.setContent(content.map(this.__createQuestEntry, this));
+
+}
+
+QuestWindow.prototype.__createQuestEntry = function(entry) {
+
+  /*
+   * Private Function QuestWindow.__createQuestEntry
+   * Creates a single DOM element for the quest entry: completed quests are shown in green
+   */
+
+  let div = document.createElement("div");
+  let title = document.createElement("div");
+  let color = entry.completed ? Interface.prototype.COLORS.LIGHTGREEN : Interface.prototype.COLORS.WHITE;
+
+  div.className = "quest-entry";
+  title.className = "quest-title";
+  title.style.color = Interface.prototype.getHexColor(color);
+  title.innerHTML = entry.name;
+
+  div.appendChild(title);
+
+  entry.missions.map(this.__createMissionEntry).forEach(mission => div.appendChild(mission));
+
+  return div;
+
+}
+
+QuestWindow.prototype.__createMissionEntry = function(entry) {
+
+  /*
+   * Private Function QuestWindow.__createMissionEntry
+   * Creates a single DOM element for the mission entry with the description of its current state
+   */
+
+  let div = document.createElement("div");
+
+  div.className = "quest-mission";
+  div.innerHTML = "%s%s: %s".format(entry.name, entry.completed ? " (completed)" : "", entry.description);
+
+  return div;
+
+}
\ No newline at end of file
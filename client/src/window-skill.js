@@ -6,6 +6,7 @@ const SkillWindow = function(element) {
    *
    * API:
    *  - generateContent(content): Generates the body content for the window based on the friend list array
+   *  - setSkill(id, level, percentage): Updates a trained skill (e.g., sword fighting) by its server identifier
    */
 
   InteractiveWindow.call(this, element);
@@ -16,6 +17,25 @@ const SkillWindow = function(element) {
 SkillWindow.prototype = Object.create(InteractiveWindow.prototype);
 SkillWindow.prototype.constructor = SkillWindow;
 
+// The trained skills in the order of the server identifiers
+SkillWindow.prototype.SKILLS = new Array("magic", "melee", "axe", "club", "sword", "distance", "shielding");
+
+SkillWindow.prototype.setSkill = function(id, level, percentage) {
+
+  /*
+   * Function SkillWindow.setSkill
+   * Updates a trained skill with its level and the percentage towards the next level
+   */
+
+  // Unknown skill identifier
+  if(id >= this.SKILLS.length) {
+    return;
+  }
+
+  this.setSkillValue(this.SKILLS[id], level, percentage);
+
+}
+
 SkillWindow.prototype.setSkillValue = function(which, value, percentage) {
 
   /*
@@ -0,0 +1,38 @@
+module.exports = function clean(player, parameters) {
+
+  /*
+   * Function clean
+   * Removes all items that can be picked up from the ground around the gamemaster (houses excluded): /clean
+   */
+
+  let removed = 0;
+
+  player.getAdjacentChunks().forEach(function(chunk) {
+
+    chunk.tiles.forEach(function(tile) {
+
+      if(tile === null || tile.isHouseTile()) {
+        return;
+      }
+
+      // Go from the top down so that the indices remain valid
+      for(let index = tile.itemStack.__items.length - 1; index >= 0; index--) {
+
+        let thing = tile.peekIndex(index);
+
+        if(thing === null || !thing.isPickupable() || thing.hasUniqueId()) {
+          continue;
+        }
+
+        tile.deleteIndex(index);
+        removed++;
+
+      }
+
+    });
+
+  });
+
+  player.sendCancelMessage("Cleaned %s items from the map.".format(removed));
+
+}
@@ -0,0 +1,25 @@
+module.exports = function gotoPlayer(player, parameters) {
+
+  /*
+   * Function gotoPlayer
+   * Teleports the gamemaster next to an online player: /goto name
+   */
+
+  let gameSocket = process.gameServer.world.getGameSocketByName(parameters.join(" "));
+
+  if(gameSocket === null) {
+    return player.sendCancelMessage("A player with this name is not online.");
+  }
+
+  // Find a free tile around the target player
+  let tile = process.gameServer.world.findAvailableTile(player, gameSocket.player.position);
+
+  if(tile === null) {
+    return player.sendCancelMessage("There is no room next to this player.");
+  }
+
+  process.gameServer.world.sendMagicEffect(player.position, CONST.EFFECT.MAGIC.POFF);
+  process.gameServer.world.teleportCreature(player, tile.position);
+  process.gameServer.world.sendMagicEffect(player.position, CONST.EFFECT.MAGIC.TELEPORT);
+
+}
@@ -0,0 +1,43 @@
+module.exports = function house(player, parameters) {
+
+  /*
+   * Function house
+   * Manages house auctions and the access lists of the house the player is in:
+   * /house list|bid [amount] [house name]|access|guest|subowner|door [add|remove] [name]
+   */
+
+  let [ action, ...words ] = parameters;
+
+  let houseManager = process.gameServer.world.houseManager;
+
+  // Access lists are changed with add or remove (e.g., /house guest add name)
+  let [ change, name ] = words;
+  let allowed = change === "add";
+
+  switch(action) {
+    case "list": return houseManager.listAuctions(player);
+    case "access": return houseManager.listAccess(player);
+    case "bid": {
+
+      let [ amount, ...houseName ] = words;
+
+      if(!Number.isInteger(Number(amount)) || houseName.length === 0) {
+        break;
+      }
+
+      return houseManager.bid(player, Number(amount), houseName.join(" "));
+
+    }
+  }
+
+  if(change === "add" || change === "remove") {
+    switch(action) {
+      case "guest": return houseManager.setGuest(player, name, allowed);
+      case "subowner": return houseManager.setSubOwner(player, name, allowed);
+      case "door": return houseManager.setDoorAccess(player, name, allowed);
+    }
+  }
+
+  player.sendCancelMessage("Usage: /house list|bid|access|guest|subowner|door");
+
+}
@@ -0,0 +1,28 @@
+module.exports = function createItem(player, parameters) {
+
+  /*
+   * Function createItem
+   * Creates an item in the backpack of the gamemaster or below: /item id [count]
+   */
+
+  let [ id, count ] = parameters.map(Number);
+
+  let thing = process.gameServer.database.createThing(id);
+
+  if(thing === null) {
+    return player.sendCancelMessage("The item %s does not exist.".format(parameters[0]));
+  }
+
+  // Stackables are clamped to a single stack
+  if(thing.isStackable() && count) {
+    thing.setCount(count.clamp(1, 100));
+  }
+
+  // Fall back to adding the item to the tile of the gamemaster
+  if(!player.containerManager.equipment.canPushItem(thing)) {
+    return process.gameServer.world.addTopThing(player.position, thing);
+  }
+
+  player.containerManager.equipment.pushItem(thing);
+
+}
@@ -0,0 +1,23 @@
+module.exports = function party(player, parameters) {
+
+  /*
+   * Function party
+   * Manages the party of the player: /party invite|accept|leave|kick|leader [name]
+   */
+
+  let [ action, ...words ] = parameters;
+  let name = words.join(" ");
+
+  let partyManager = process.gameServer.world.partyManager;
+
+  switch(action) {
+    case "invite": return partyManager.invite(player, name);
+    case "accept": return partyManager.accept(player, name);
+    case "leave": return partyManager.leave(player);
+    case "kick": return partyManager.kick(player, name);
+    case "leader": return partyManager.passLeadership(player, name);
+  }
+
+  player.sendCancelMessage("Usage: /party invite|accept|leave|kick|leader");
+
+}
@@ -0,0 +1,27 @@
+const Position = requireModule("position");
+
+module.exports = function teleport(player, parameters) {
+
+  /*
+   * Function teleport
+   * Teleports the gamemaster to a world position: /teleport x y z
+   */
+
+  let [ x, y, z ] = parameters.map(Number);
+
+  if(parameters.length !== 3 || [ x, y, z ].some(Number.isNaN)) {
+    return player.sendCancelMessage("Usage: /teleport x y z");
+  }
+
+  let position = new Position(x, y, z);
+
+  // The position must point to an existing tile
+  if(process.gameServer.world.getTileFromWorldPosition(position) === null) {
+    return player.sendCancelMessage("There is no tile at %s.".format(position.toString()));
+  }
+
+  process.gameServer.world.sendMagicEffect(player.position, CONST.EFFECT.MAGIC.POFF);
+  process.gameServer.world.teleportCreature(player, position);
+  process.gameServer.world.sendMagicEffect(player.position, CONST.EFFECT.MAGIC.TELEPORT);
+
+}
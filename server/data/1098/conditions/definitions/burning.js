@@ -29,8 +29,7 @@ function onTick(creature) {
    * Callback fired every condition tick
    */
 
-  process.gameServer.world.applyEnvironmentalDamage(creature, 10, CONST.COLOR.ORANGE);
-  process.gameServer.world.sendMagicEffect(creature.position, CONST.EFFECT.MAGIC.HITBYFIRE);
+  process.gameServer.world.applyEnvironmentalDamage(creature, 10, CONST.DAMAGE.FIRE);
 
 }
 
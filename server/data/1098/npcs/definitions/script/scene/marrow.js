@@ -1,49 +0,0 @@
-module.exports.keyScene = [{
-  "mode": "talk",
-  "duration": 20,
-  "message": "Let me fetch a spare key from storage for you."
-}, {
-  "mode": "move",
-  "timeout": 50,
-  "position": {
-      "x": 100,
-      "y": 86,
-      "z": 8
-  }
-}, {
-  "mode": "face",
-  "direction": 3
-}, {
-  "mode": "spell",
-  "effect": 4,
-  "position": {
-      "x": 99,
-      "y": 86,
-      "z": 8
-  }
-}, {
-  "mode": "move",
-  "timeout": 50,
-  "position": {
-      "x": 100,
-      "y": 90,
-      "z": 8
-  }
-}, {
-  "mode": "face",
-  "direction": 1
-}, {
-  "mode": "add",
-  "item": 2088,
-  "actionId": 2000,
-  "count": 1,
-  "position": {
-      "x": 101,
-      "y": 90,
-      "z": 8
-  }
-}, {
-  "mode": "talk",
-  "duration": 20,
-  "message": "Alright. Be careful down there, buddy."
-}];
\ No newline at end of file
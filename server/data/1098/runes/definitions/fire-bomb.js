@@ -1,32 +1,16 @@
-const Position = requireModule("position");
-
-module.exports = function greatFireball(source, target) {
+module.exports = function fireBomb(source, target, properties) {
 
   /*
-   * function suddenDeath
-   * Code that handles the sudden death rune
+   * function fireBomb
+   * Code that handles the fire bomb rune that creates fire fields in the area around the target
    */
 
-  let square = Position.prototype.getSquare(1);
+  let area = process.gameServer.database.getArea(properties.area);
 
   process.gameServer.world.sendDistanceEffect(source.position, target.position, CONST.EFFECT.PROJECTILE.FIRE);
 
-  square.forEach(function(position) {
-
-    let relPosition = target.position.add(position);
-    let tile = process.gameServer.world.getTileFromWorldPosition(relPosition);
-
-    if(tile === null) {
-      return;
-    }
-
-    if(tile.isBlockSolid()) {
-      return;
-    }
-
-    // Get circle position for the GFB
+  area.getTiles(target.position, source.direction).forEach(function(tile) {
     tile.addItem(process.gameServer.database.createThing(1487));
-
   });
 
   return true;
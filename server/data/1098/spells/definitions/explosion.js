@@ -1,36 +1,13 @@
-module.exports = function beamEnergy() {
+module.exports = function beamEnergy(properties) {
 
   /*
    * Function beamEnergy
-   * Creature energy beam function
+   * Creature energy beam function in the direction the creature is facing
    */
 
-  let source = this;
+  let area = process.gameServer.database.getArea(properties.area);
 
-  for(let i = 0; i < 5; i++) {
-
-    let position = this.__getSpellPosition(0, -i);
-    
-    process.gameServer.world.sendMagicEffect(
-      position,
-      CONST.EFFECT.MAGIC.ENERGYHIT
-    );
-    
-    let tile = process.gameServer.world.getTileFromWorldPosition(position);
-    
-    if(tile === null) {
-      continue;
-    }
-
-    tile.players.forEach(function(player) {
-
-      let damage = Number.prototype.random(0, 3);
-
-      process.gameServer.world.__damageEntity(source, player, damage, CONST.COLOR.LIGHTBLUE);
-
-    });
-
-  }
+  process.gameServer.world.applyAreaDamage(this, area.getTiles(this.position, this.direction), CONST.EFFECT.MAGIC.ENERGYHIT, () => Number.prototype.random(0, 3), CONST.DAMAGE.ENERGY);
 
   return 50;
 
@@ -21,8 +21,8 @@ module.exports = function useRuneWith(player, item, tile) {
     return player.sendCancelMessage("The rune does nothing.");
   }
 
-  // Call the configured rune function: return of true means succesful cast and we reduce a charge
-  if(rune.call(null, player, tile)) {
+  // Call the configured rune function with the rune definition: return of true means succesful cast and we reduce a charge
+  if(rune.callback.call(null, player, tile, rune)) {
     item.charges--;
   }
 
@@ -0,0 +1,40 @@
+const Guild = requireModule("guild");
+
+module.exports = function guild(player, parameters) {
+
+  /*
+   * Function guild
+   * Manages the guild of the player: /guild create|invite|join|leave|kick|promote|demote|rank|disband [argument]
+   */
+
+  let [ action, ...words ] = parameters;
+  let argument = words.join(" ");
+
+  let guildManager = process.gameServer.world.guildManager;
+
+  switch(action) {
+    case "create": return guildManager.createGuild(player, argument);
+    case "invite": return guildManager.invite(player, argument);
+    case "join": return guildManager.join(player, argument);
+    case "leave": return guildManager.leave(player);
+    case "kick": return guildManager.kick(player, argument);
+    case "promote": return guildManager.promote(player, argument);
+    case "demote": return guildManager.demote(player, argument);
+    case "disband": return guildManager.disband(player);
+    case "rank": {
+
+      // The rank is referenced by its default title (e.g., /guild rank vice-leader Captain)
+      let rank = Guild.prototype.DEFAULT_RANK_TITLES.map(title => title.toLowerCase()).indexOf(words.shift());
+
+      if(rank === -1) {
+        return player.sendCancelMessage("Usage: /guild rank member|vice-leader|leader title");
+      }
+
+      return guildManager.setRankTitle(player, rank, words.join(" "));
+
+    }
+  }
+
+  player.sendCancelMessage("Usage: /guild create|invite|join|leave|kick|promote|demote|rank|disband");
+
+}
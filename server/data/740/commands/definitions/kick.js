@@ -0,0 +1,18 @@
+module.exports = function kick(player, parameters) {
+
+  /*
+   * Function kick
+   * Disconnects an online player from the gameserver: /kick name
+   */
+
+  let gameSocket = process.gameServer.world.getGameSocketByName(parameters.join(" "));
+
+  if(gameSocket === null) {
+    return player.sendCancelMessage("A player with this name is not online.");
+  }
+
+  player.sendCancelMessage("You have kicked %s.".format(gameSocket.player.name));
+
+  gameSocket.close();
+
+}
@@ -0,0 +1,17 @@
+module.exports = function save(player, parameters) {
+
+  /*
+   * Function save
+   * Saves the houses and all online players: /save
+   */
+
+  process.gameServer.database.saveHouses();
+
+  // Write all online characters to the database
+  process.gameServer.server.websocketServer.connectedSockets().forEach(function(gameSocket) {
+    process.gameServer.server.websocketServer.savePlayer(gameSocket.player);
+  });
+
+  player.sendCancelMessage("The server state has been saved.");
+
+}
@@ -0,0 +1,21 @@
+module.exports = function summon(player, parameters) {
+
+  /*
+   * Function summon
+   * Summons a monster in front of the gamemaster: /summon rat
+   */
+
+  let mid = parameters.join("-").toLowerCase();
+
+  if(process.gameServer.database.getMonster(mid) === null) {
+    return player.sendCancelMessage("The monster %s does not exist.".format(mid));
+  }
+
+  // A spawn without respawn time: the monster does not return after it is killed
+  process.gameServer.world.spawnCreature(new Object({
+    "mid": mid,
+    "position": player.getFacePosition(),
+    "respawnTime": null
+  }));
+
+}
@@ -32,8 +32,7 @@ function onTick(creature) {
   // Damage depends on the first tick
   let damage = this.isFirstTick() ? 2 : 1;
 
-  process.gameServer.world.applyEnvironmentalDamage(creature, damage, CONST.COLOR.ORANGE);
-  process.gameServer.world.sendMagicEffect(creature.position, CONST.EFFECT.MAGIC.HITBYFIRE);
+  process.gameServer.world.applyEnvironmentalDamage(creature, damage, CONST.DAMAGE.FIRE);
 
 }
 
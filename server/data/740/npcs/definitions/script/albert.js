@@ -46,6 +46,48 @@ function baseTalkState(player, message) {
       this.internalCreatureSay("Have a browse!", CONST.COLOR.YELLOW);
       this.openTradeWindow(player);
       break;
+    case "quest":
+      switch(player.storageValues.get("crypt")) {
+        case null:
+          this.internalCreatureSay("They say a treasure lies hidden in the old crypt. Would you look for it?", CONST.COLOR.YELLOW);
+          this.setTalkState(questTalkState);
+          break;
+        case 1:
+          this.internalCreatureSay("Have you found a way past the barrier of the crypt yet?", CONST.COLOR.YELLOW);
+          break;
+        case 2:
+          this.internalCreatureSay("You found the treasure! I knew the old stories were true.", CONST.COLOR.YELLOW);
+          player.storageValues.set("crypt", 3);
+          break;
+        default:
+          this.internalCreatureSay("Thanks again for proving the old stories right.", CONST.COLOR.YELLOW);
+          break;
+      }
+      break;
+  }
+
+}
+
+function questTalkState(player, message) {
+
+  /*
+   * Function questTalkState
+   * The state after offering the crypt quest. It will respond to the following keywords if this state is active
+   */
+
+  switch(message) {
+    case "yes":
+      this.internalCreatureSay("Be careful. The crypt is guarded by a magical barrier that only the unseen may pass.", CONST.COLOR.YELLOW);
+      player.storageValues.set("crypt", 1);
+      this.setTalkState(baseTalkState);
+      break;
+    case "no":
+      this.internalCreatureSay("Maybe another time.", CONST.COLOR.YELLOW);
+      this.setTalkState(baseTalkState);
+      break;
+    default:
+      this.setTalkState(baseTalkState);
+      break;
   }
 
 }
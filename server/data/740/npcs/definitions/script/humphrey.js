@@ -88,6 +88,11 @@ function firstTalkState(player, message) {
 
   switch(message) {
     case "yes":
+      if(!player.characterStatistics.addBlessing()) {
+        this.internalCreatureSay("You have already received all blessings.", CONST.COLOR.YELLOW);
+        this.setTalkState(baseTalkState);
+        break;
+      }
       this.internalCreatureSay("By the spirits of old, I bless thee. Your soul is bound to my temple.", CONST.COLOR.YELLOW);
       process.gameServer.world.sendMagicEffect(player.position, CONST.EFFECT.MAGIC.MAGIC_BLUE);
       this.setTalkState(baseTalkState);
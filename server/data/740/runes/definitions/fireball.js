@@ -1,39 +1,16 @@
-const Position = requireModule("position");
-
-module.exports = function greatFireball(source, target) {
+module.exports = function greatFireball(source, target, properties) {
 
   /*
-   * function suddenDeath
-   * Code that handles the sudden death rune
+   * function greatFireball
+   * Code that handles the fireball rune that burns the area around the target
    */
 
-  // Get circle position for the GFB
-  let circle = Position.prototype.getRadius(2);
+  let area = process.gameServer.database.getArea(properties.area);
 
   process.gameServer.world.sendDistanceEffect(source.position, target.position, CONST.EFFECT.PROJECTILE.FIRE);
 
-  circle.forEach(function(position) {
-
-    let relPosition = target.position.add(position);
-    let tile = process.gameServer.world.getTileFromWorldPosition(relPosition);
-
-    if(tile === null) {
-      return;
-    }
-
-    // Tile is blocked
-    if(tile.isBlockSolid()) {
-      return;
-    }
-
-    // Apply to the tile
-    process.gameServer.world.sendMagicEffect(relPosition, CONST.EFFECT.MAGIC.FIREAREA);
-
-    tile.monsters.forEach(function(monster) {
-      process.gameServer.world.__damageEntity(source, monster, 1000, CONST.COLOR.RED);
-    });
-
-  });
+  // Apply to the tiles of the area around the target
+  process.gameServer.world.applyAreaDamage(source, area.getTiles(target.position, source.direction), CONST.EFFECT.MAGIC.FIREAREA, 1000, CONST.DAMAGE.FIRE);
 
   return true;
 
@@ -12,11 +12,10 @@ module.exports = function heavyMagicMissile(source, target) {
 
   // Send magic effects
   process.gameServer.world.sendDistanceEffect(source.position, target.position, CONST.EFFECT.PROJECTILE.ENERGY);
-  process.gameServer.world.sendMagicEffect(target.position, CONST.EFFECT.MAGIC.ENERGYHIT);
 
   // Apply the damage to all creatures 
   target.monsters.forEach(function(monster) {
-      process.gameServer.world.__damageEntity(source, monster, 1);
+      process.gameServer.world.__damageEntity(source, monster, 1, CONST.DAMAGE.ENERGY);
   });
 
   return true;
@@ -11,11 +11,10 @@ module.exports = function suddenDeath(source, target) {
   }
 
   process.gameServer.world.sendDistanceEffect(source.position, target.position, CONST.EFFECT.PROJECTILE.DEATH);
-  process.gameServer.world.sendMagicEffect(target.position, CONST.EFFECT.MAGIC.MORTAREA);
 
   // Do damage 
   target.monsters.forEach(function(monster) {
-      process.gameServer.world.__damageEntity(source, monster, 10);
+      process.gameServer.world.__damageEntity(source, monster, 10, CONST.DAMAGE.DEATH);
   });
 
   return true;
@@ -1,12 +1,13 @@
-module.exports = function explosion() {
+module.exports = function explosion(properties) {
 
   /*
-   * Function beamEnergy
-   * Creature energy beam function
+   * Function explosion
+   * Fire explosion in the area around the caster
    */
 
-  process.gameServer.world.applyEnvironmentalDamage(this, 40, CONST.COLOR.ORANGE);
-  process.gameServer.world.sendMagicEffect(this.position, CONST.EFFECT.MAGIC.HITBYFIRE);
+  let area = process.gameServer.database.getArea(properties.area);
+
+  process.gameServer.world.applyAreaDamage(this, area.getTiles(this.position, this.direction), CONST.EFFECT.MAGIC.FIREAREA, 40, CONST.DAMAGE.FIRE);
 
   return 50;
 
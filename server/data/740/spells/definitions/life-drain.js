@@ -17,8 +17,7 @@ module.exports = function lifeDrain() {
   process.gameServer.world.sendMagicEffect(this.position, CONST.EFFECT.MAGIC.MAGIC_GREEN);
 
 
-  this.getTarget().decreaseHealth(this, amount, CONST.COLOR.RED);
-  process.gameServer.world.sendMagicEffect(this.getTarget().position, CONST.EFFECT.MAGIC.MAGIC_RED);
+  process.gameServer.world.__damageEntity(this, this.getTarget(), amount, CONST.DAMAGE.LIFEDRAIN);
 
   return 50;
 
@@ -1,7 +1,16 @@
 module.exports = function useTrunk(player, tile, index, item) {
 
+  // The treasure can only be found once after Albert told the player about it
+  if(player.storageValues.get("crypt") !== 1) {
+    player.sendCancelMessage("The chest is empty.");
+    return true;
+  }
+
+  player.containerManager.equipment.addMoney(500);
+  player.storageValues.set("crypt", 2);
+
   player.sendCancelMessage("You find treasure!");
 
   return true;
 
-}
\ No newline at end of file
+}
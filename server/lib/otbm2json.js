@@ -127,6 +127,12 @@ function serializeOTBM(data) {
         buffer = Buffer.alloc(3); 
         buffer.writeUInt8(HEADERS.OTBM_ITEM, 0);
         buffer.writeUInt16LE(node.id, 1);
+
+        // Version 0 maps write the count of stackables, splashes and fluids directly after the identifier
+        if(node.subtype !== undefined) {
+          buffer = Buffer.concat([buffer, Buffer.from([node.subtype])]);
+        }
+
         buffer = Buffer.concat([buffer, writeAttributes(node)]);
         break;
       case HEADERS.OTBM_WAYPOINT:
@@ -333,10 +339,12 @@ function serializeOTBM(data) {
 
 }
 
-function readOTBM(__INFILE__, map) {
+function readOTBM(__INFILE__, map, lazy) {
 
   /* FUNCTION readOTBM
    * Reads OTBM file to intermediary JSON structure
+   * When lazy is set the tiles are only read up to their own attributes and keep their
+   * raw node in "data" so that they can be read completely later using mapData.readTile
    */
 
   var Node = function(data, children) {
@@ -387,7 +395,7 @@ function readOTBM(__INFILE__, map) {
         this.id = data.readUInt16LE(1);
 
         // We need to use both OTB and OTBM to support older versions: crazy right?!
-        if(version === 0 && map[this.id].isStackable() || map[this.id].isSplash() || map[this.id].isFluidContainer()) {
+        if(version === 0 && (map[this.id].isStackable() || map[this.id].isSplash() || map[this.id].isFluidContainer())) {
           this.count = data.readUInt8(3);
           Object.assign(this, readAttributes(data.slice(4)));
         } else {
@@ -649,6 +657,57 @@ function readOTBM(__INFILE__, map) {
 
   }
 
+  function skipNode(data) {
+
+    /* FUNCTION skipNode
+     * Reads only the own data of a node and keeps the raw node including its children
+     */
+
+    // Cut off the initializing 0xFE identifier
+    var body = data.slice(1);
+
+    var i = 0;
+    var depth = 0;
+    var nodeData = null;
+
+    while(i < body.length) {
+
+      var cByte = body.readUInt8(i);
+
+      // Data belonging to the node itself, between 0xFE and (OxFE || 0xFF)
+      if(nodeData === null && (cByte === NODE_INIT || cByte === NODE_TERM)) {
+        nodeData = body.slice(0, i);
+      }
+
+      // Escape character: skip reading this and following byte
+      if(cByte === NODE_ESC) {
+        i = i + 2;
+        continue;
+      }
+
+      if(cByte === NODE_INIT) {
+        depth++;
+      }
+
+      // Termination of the node itself
+      if(cByte === NODE_TERM && depth-- === 0) {
+
+        var node = new Node(nodeData, new Array());
+        node.data = data.slice(0, i + 2);
+
+        return {
+          "node": node,
+          "i": i
+        }
+
+      }
+
+      i++;
+
+    }
+
+  }
+
   function readNode(data) {
 
     /* FUNCTION readNode
@@ -679,9 +738,9 @@ function readOTBM(__INFILE__, map) {
         continue;
       }
 
-      // A new node is started within another node: recursion
+      // A new node is started within another node: recursion (tiles are not read beyond their own data when lazy)
       if(cByte === NODE_INIT) {
-        child = readNode(data.slice(i));
+        child = (lazy && nodeData.readUInt8(0) === HEADERS.OTBM_TILE_AREA) ? skipNode(data.slice(i)) : readNode(data.slice(i));
         children.push(child.node);
 
         // Skip index over full child length
@@ -723,6 +782,13 @@ function readOTBM(__INFILE__, map) {
     "data": readNode(data.slice(4)).node
   }
 
+  // Reads a tile that was skipped completely when it is needed
+  if(lazy) {
+    mapData.readTile = function(tileData) {
+      return readNode(tileData).node;
+    };
+  }
+
   return mapData;
 
 }
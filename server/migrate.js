@@ -0,0 +1,59 @@
+"use strict";
+
+const path = require("path");
+
+// Load the configuration
+global.CONFIG = require("./config");
+
+// Create some useful global functions
+global.getDataFile = function() {
+
+  /*
+   * Function global.getDataFile
+   * Returns a file from the base data directory
+   */
+
+  return path.join(__dirname, "data", CONFIG.SERVER.CLIENT_VERSION, ...arguments);
+
+}
+
+global.requireModule = function() {
+
+  /*
+   * Function global.requireModule
+   * Requires a module from the base source directory
+   */
+
+  return require(path.join(__dirname, "src", ...arguments));
+
+}
+
+// Load constants
+global.CONST = require(getDataFile("constants.json"));
+
+// Requires the prototype modifications
+requireModule("__proto__");
+
+if(require.main === module) {
+
+  /*
+   * Function __main__
+   * Imports the legacy JSON accounts into the configured storage: node migrate.js [accounts directory]
+   */
+
+  const AccountMigration = requireModule("account-migration");
+
+  let directory = process.argv[2] || getDataFile("accounts");
+
+  console.log("Importing the accounts from [[ %s ]] into the %s storage.".format(directory, CONFIG.DATABASE.TYPE));
+
+  new AccountMigration(directory).run(function(result) {
+
+    console.log("Imported [[ %s ]] accounts: %s skipped and %s failed.".format(result.imported, result.skipped, result.failed));
+
+    // The connection to the storage keeps the process alive
+    process.exit(result.failed > 0 ? 1 : 0);
+
+  });
+
+}
@@ -2,25 +2,54 @@
 
 const fs = require("fs");
 const bcrypt = require("bcryptjs");
-const fileAccessHandler = require("./file-access-handler");
-const AccountDB = require("./account-db");
+const crypto = require("crypto");
+const Storage = require("./storage");
 
 const AccountManager = function() {
 
   /*
    * Class AccountManager
-   * Container for interaction with the player database (filesys)
+   * Container for interaction with the player database (SQLite or PostgreSQL storage)
    */
 
-  // The access handler that prevents race conditions when accessing files
-  this.fileAccessHandler = new fileAccessHandler();
+  // The configured storage backend
+  this.storage = Storage.open();
+
+  // Queued atomic updates of offline characters referenced by their lowercase name
+  this.__atomicUpdates = new Map();
 
 }
 
 // The template for new characters
 AccountManager.prototype.CHARACTER_BLUEPRINT = fs.readFileSync(getDataFile("account-template.json"));
+// The vocations that can be chosen for new characters
+AccountManager.prototype.VOCATIONS = JSON.parse(fs.readFileSync(getDataFile("vocations", "definitions.json")));
 // Number of rounds for BCRYPT
 AccountManager.prototype.SALT_ROUNDS = 12;
+// Number of random bytes in a recovery key
+AccountManager.prototype.RECOVERY_KEY_BYTES = 10;
+
+AccountManager.prototype.getVocationIdentifier = function(name) {
+
+  /*
+   * Function AccountManager.getVocationIdentifier
+   * Returns the identifier of the vocation with a particular name or null if it does not exist
+   */
+
+  // Characters without a chosen vocation have no vocation
+  if(name === undefined) {
+    name = "none";
+  }
+
+  let entry = Object.entries(this.VOCATIONS).find(([ id, vocation ]) => vocation.name === name);
+
+  if(entry === undefined) {
+    return null;
+  }
+
+  return Number(entry[0]);
+
+}
 
 AccountManager.prototype.__getCharacterBlueprint = function(queryObject) {
 
@@ -42,6 +71,14 @@ AccountManager.prototype.__getCharacterBlueprint = function(queryObject) {
   copiedTemplate.characterStatistics.sex = queryObject.sex === "male" ? 0 :
                                      queryObject.sex === "female" ? 1 : null;
 
+  // Only keep the spells from the template that can be learned by the chosen vocation
+  let vocation = this.getVocationIdentifier(queryObject.vocation);
+
+  copiedTemplate.characterStatistics.vocation = vocation;
+  copiedTemplate.spellbook.availableSpells = copiedTemplate.spellbook.availableSpells.filter(function(sid) {
+    return this.VOCATIONS[vocation].spells === null || this.VOCATIONS[vocation].spells.includes(sid);
+  }, this);
+
   // Default male & female outfits
   if(queryObject.sex === "male") {
     copiedTemplate.characterStatistics.availableOutfits = [128, 129, 130, 131];
@@ -66,13 +103,15 @@ AccountManager.prototype.createAccount = function(queryObject, requestCallback)
 
   let name = queryObject.name.toLowerCase();
 
-  // Name of the character (solo lo usamos para comprobar si ya existía en archivos viejos)
-  let filepath = this.getAccountFile(name);
+  // The character names are unique over all accounts
+  this.storage.loadPlayerData(name, function(error, existing) {
 
-  fs.exists(filepath, function(exists) {
+    if (error) {
+      return requestCallback(500, null);
+    }
 
-    // The character already exists en un JSON viejo
-    if (exists) {
+    // The character already exists
+    if (existing) {
       return requestCallback(409, null);
     }
 
@@ -85,16 +124,24 @@ AccountManager.prototype.createAccount = function(queryObject, requestCallback)
       }
 
       // JSON completo del personaje (el blueprint que me mostraste)
-      let characterBlueprint = this.__getCharacterBlueprint(queryObject);
+      let characterBlueprint = JSON.parse(this.__getCharacterBlueprint(queryObject));
+
+      // The recovery key is only shown once to the owner of the account
+      this.createRecoveryKey(function(error, recoveryKey, recoveryHash) {
+
+        if (error) {
+          return requestCallback(500, null);
+        }
 
-      // ❌ Ya NO escribimos el archivo en disco
-      // this.fileAccessHandler.writeFile(...)
+        // ✅ Solo devolvemos la info necesaria al LoginServer
+        return requestCallback(null, {
+          "hash": hash,
+          "definition": name,
+          "playerData": characterBlueprint,
+          "recoveryKey": recoveryKey,
+          "recoveryHash": recoveryHash
+        });
 
-      // ✅ Solo devolvemos la info necesaria al LoginServer
-      return requestCallback(null, {
-        "hash": hash,
-        "definition": name,
-        "playerData": characterBlueprint
       });
 
     }.bind(this));
@@ -103,14 +150,29 @@ AccountManager.prototype.createAccount = function(queryObject, requestCallback)
 
 };
 
-AccountManager.prototype.getAccountFile = function(name) {
+AccountManager.prototype.createRecoveryKey = function(callback) {
+
+  /*
+   * Function AccountManager.createRecoveryKey
+   * Generates a one-time recovery key (e.g., 4F0A2-9C1B7-D3E85-60AF1) and calls a callback with the key and its hash
+   */
+
+  let recoveryKey = crypto.randomBytes(this.RECOVERY_KEY_BYTES).toString("hex").toUpperCase().match(/.{5}/g).join("-");
+
+  this.hashPassword(recoveryKey, function(error, hash) {
+    callback(error, recoveryKey, hash);
+  });
+
+}
+
+AccountManager.prototype.hashPassword = function(password, callback) {
 
   /*
-   * Function AccountManager.getAccountFile
-   * Returns the account file of a particular name
+   * Function AccountManager.hashPassword
+   * Hashes a password or recovery key with BCRYPT
    */
 
-  return getDataFile("accounts", "definitions", "%s.json".format(name.toLowerCase()));
+  bcrypt.hash(password, this.SALT_ROUNDS, callback);
 
 }
 
@@ -118,16 +180,15 @@ AccountManager.prototype.getPlayerAccount = function(name, callback) {
 
   /*
    * Function AccountManager.getPlayerAccount
-   * Ahora lee el personaje desde PostgreSQL (tabla players), NO desde un archivo JSON.
+   * Ahora lee el personaje desde el almacenamiento (tabla players), NO desde un archivo JSON.
    */
 
   let charName = name.toLowerCase();
 
-  // Usamos la función de account-db.js
-  AccountDB.loadPlayerData(charName, function(err, data) {
+  this.storage.loadPlayerData(charName, function(err, data) {
 
     if (err) {
-      console.error("[PG] Error cargando player desde DB:", err);
+      console.error("[STORAGE] Error cargando player desde DB:", err);
       return callback(err, null);
     }
 
@@ -147,34 +208,71 @@ AccountManager.prototype.atomicUpdate = function(owner, callback) {
 
   /*
    * Function AccountManager.atomicUpdate
-   * Applies an atomic read/write to the player file on disk that does not allow for race conditions to occur
+   * Applies an atomic read/write to the player data in the database that does not allow for race conditions to occur
    */
 
-  // This looks really weird but it works by passing a pointer with data to the write function: currenly null
-  // This pointer is eventually updated AFTER async reading of the file and modification in the read callback
-  let pointer = new Object({
-    "buffer": null,
-    "error": false
-  });
+  let name = owner.toLowerCase();
 
-  // Read the account and update the buffer in the pointer
-  this.getPlayerAccount(owner, function(error, json) {
+  // An update of the same character is already running: queue this one so no modification is lost
+  if(this.__atomicUpdates.has(name)) {
+    return this.__atomicUpdates.get(name).push(callback);
+  }
+
+  this.__atomicUpdates.set(name, new Array(callback));
+
+  this.__applyAtomicUpdate(name);
+
+}
+
+AccountManager.prototype.__applyAtomicUpdate = function(name) {
+
+  /*
+   * Function AccountManager.__applyAtomicUpdate
+   * Reads the player data, applies the first queued update and writes the data back before the next update is applied
+   */
+
+  let callback = this.__atomicUpdates.get(name)[0];
+
+  this.getPlayerAccount(name, function(error, json) {
 
     if(error) {
-      pointer.error = true;
-      return callback(error, null);
+      callback(error, null);
+      return this.__nextAtomicUpdate(name);
     }
 
     // Here we apply the callback to the data (which updates the JSON)
     callback(null, json);
 
-    // Overwrite the buffer in the pointer with the data
-    pointer.buffer = JSON.stringify(json, null, 2);
+    this.storage.updatePlayerData(name, json, function(error) {
 
-  });
+      if(error) {
+        console.error("Could not save account data for %s".format(name), error);
+      }
+
+      this.__nextAtomicUpdate(name);
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+AccountManager.prototype.__nextAtomicUpdate = function(name) {
+
+  /*
+   * Function AccountManager.__nextAtomicUpdate
+   * Removes the finished update from the queue and applies the next one
+   */
+
+  let queue = this.__atomicUpdates.get(name);
+
+  queue.shift();
+
+  if(queue.length === 0) {
+    return this.__atomicUpdates.delete(name);
+  }
 
-  // Immediately schedule the write event so NOTHING can come in between and we prevent race conditions!
-  this.savePlayerAccount(owner, pointer);
+  this.__applyAtomicUpdate(name);
 
 }
 
@@ -191,19 +289,19 @@ AccountManager.prototype.savePlayerAccount = function(name, pointer) {
     // pointer.buffer es un string JSON del objeto player
     data = JSON.parse(pointer.buffer);
   } catch (e) {
-    console.error("[PG] Error parseando JSON del player al guardar:", e);
+    console.error("[STORAGE] Error parseando JSON del player al guardar:", e);
     return;
   }
 
   // En la BD el campo name lo guardamos en minúsculas
   let charName = name.toLowerCase();
 
-  AccountDB.updatePlayerData(charName, data, function(err) {
+  this.storage.updatePlayerData(charName, data, function(err) {
     if (err) {
       return console.error("Could not save account data for %s".format(charName), err);
     }
     // Si quieres, aquí puedes hacer un log de éxito:
-    // console.log("[PG] Player %s guardado correctamente.", charName);
+    // console.log("[STORAGE] Player %s guardado correctamente.", charName);
   });
 
 };
@@ -0,0 +1,126 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const Storage = require("./storage");
+
+const AccountMigration = function(directory) {
+
+  /*
+   * Class AccountMigration
+   * Imports the legacy JSON accounts (accounts.json with the hash and character of each account and a character file per character) into the storage
+   *
+   * API:
+   *
+   * AccountMigration.run(callback) - Imports all accounts one after the other and calls the callback with the number of imported, skipped and failed accounts
+   *
+   */
+
+  // The legacy accounts directory (e.g., data/740/accounts)
+  this.directory = directory;
+
+  this.storage = Storage.open();
+
+  this.__result = new Object({ "imported": 0, "skipped": 0, "failed": 0 });
+
+}
+
+AccountMigration.prototype.run = function(callback) {
+
+  /*
+   * Function AccountMigration.run
+   * Imports all accounts one after the other: accounts and characters that already exist in the storage are never overwritten
+   */
+
+  let accounts = JSON.parse(fs.readFileSync(path.join(this.directory, "accounts.json")));
+  let entries = Object.entries(accounts);
+
+  let next = function() {
+
+    if(entries.length === 0) {
+      return callback(this.__result);
+    }
+
+    let [ account, entry ] = entries.shift();
+
+    this.__importAccount(account, entry, function(result, reason) {
+
+      this.__result[result]++;
+
+      if(reason) {
+        console.log("%s account [[ %s ]]: %s.".format(result === "failed" ? "Failed" : "Skipped", account, reason));
+      }
+
+      next();
+
+    }.bind(this));
+
+  }.bind(this);
+
+  next();
+
+}
+
+AccountMigration.prototype.__importAccount = function(account, entry, callback) {
+
+  /*
+   * Function AccountMigration.__importAccount
+   * Imports a single account with its character and calls the callback with the result and the reason it was not imported
+   */
+
+  let name = entry.definition.toLowerCase();
+  let filepath = path.join(this.directory, "definitions", "%s.json".format(name));
+
+  if(!fs.existsSync(filepath)) {
+    return callback("failed", "the character file %s does not exist".format(filepath));
+  }
+
+  let data;
+
+  try {
+    data = JSON.parse(fs.readFileSync(filepath));
+  } catch(error) {
+    return callback("failed", "the character file %s is not valid JSON".format(filepath));
+  }
+
+  this.storage.findAccount(account, function(error, row) {
+
+    if(error) {
+      return callback("failed", error.message);
+    }
+
+    if(row !== null) {
+      return callback("skipped", "the account already exists");
+    }
+
+    this.storage.loadPlayerData(name, function(error, existing) {
+
+      if(error) {
+        return callback("failed", error.message);
+      }
+
+      if(existing !== null) {
+        return callback("skipped", "the character %s already exists".format(name));
+      }
+
+      // Legacy accounts have no recovery key until the password is changed with a new key
+      this.storage.insertAccount(account, entry.hash, name, null, function(error) {
+
+        if(error) {
+          return callback("failed", error.message);
+        }
+
+        this.storage.savePlayerData(name, account, data, function(error) {
+          callback(error ? "failed" : "imported", error ? error.message : null);
+        });
+
+      }.bind(this));
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+module.exports = AccountMigration;
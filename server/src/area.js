@@ -0,0 +1,137 @@
+"use strict";
+
+const Position = require("./position");
+
+const Area = function(name, definition) {
+
+  /*
+   * Class Area
+   * Area of effect defined by a grid pattern for spells, runes and monster attacks: patterns are drawn facing north
+   *
+   * API:
+   *
+   * Area.getPositions(origin, direction) - Returns the positions of the pattern around an origin (rotated when the area is directional)
+   * Area.getTiles(origin, direction) - Returns the tiles of the pattern that can be reached from the origin and are not protection zones
+   *
+   */
+
+  this.name = name;
+
+  // Directional areas (e.g., beams and waves) rotate with the caster and others are centered on a position
+  this.directional = definition.directional;
+
+  // The positions relative to the origin of the pattern when facing north
+  this.__offsets = this.__readGrid(definition.grid);
+
+}
+
+// The values in a grid pattern
+Area.prototype.GRID = new Object({
+  "NONE": 0,
+  "AFFECTED": 1,
+  "ORIGIN_AFFECTED": 2,
+  "ORIGIN": 3
+});
+
+Area.prototype.getPositions = function(origin, direction) {
+
+  /*
+   * Function Area.getPositions
+   * Returns the positions of the pattern around an origin: directional areas are rotated to face the direction
+   */
+
+  return this.__offsets.map(function(offset) {
+
+    if(this.directional) {
+      offset = this.__rotate(offset, direction);
+    }
+
+    return origin.add(offset);
+
+  }, this);
+
+}
+
+Area.prototype.getTiles = function(origin, direction) {
+
+  /*
+   * Function Area.getTiles
+   * Returns the tiles of the pattern that are in line of sight of the origin: projectiles do not pass walls and protection zones are excluded
+   */
+
+  let tiles = new Array();
+
+  this.getPositions(origin, direction).forEach(function(position) {
+
+    let tile = process.gameServer.world.getTileFromWorldPosition(position);
+
+    // Nothing there or the tile blocks the area (e.g., a wall)
+    if(tile === null || tile.isBlockSolid() || tile.itemStack.isBlockProjectile()) {
+      return;
+    }
+
+    if(tile.isProtectionZone()) {
+      return;
+    }
+
+    if(!origin.inLineOfSight(position)) {
+      return;
+    }
+
+    tiles.push(tile);
+
+  });
+
+  return tiles;
+
+}
+
+Area.prototype.__rotate = function(offset, direction) {
+
+  /*
+   * Function Area.__rotate
+   * Rotates an offset that is defined facing north by 90-degree steps to face a direction
+   */
+
+  switch(direction) {
+    case Position.prototype.EAST: return new Position(-offset.y, offset.x, 0);
+    case Position.prototype.SOUTH: return new Position(-offset.x, -offset.y, 0);
+    case Position.prototype.WEST: return new Position(offset.y, -offset.x, 0);
+    default: return offset;
+  }
+
+}
+
+Area.prototype.__readGrid = function(grid) {
+
+  /*
+   * Function Area.__readGrid
+   * Reads the offsets of the affected cells relative to the single origin of a grid pattern
+   */
+
+  let origins = new Array();
+  let affected = new Array();
+
+  grid.forEach(function(row, y) {
+    row.forEach(function(value, x) {
+
+      if(value === this.GRID.ORIGIN || value === this.GRID.ORIGIN_AFFECTED) {
+        origins.push(new Position(x, y, 0));
+      }
+
+      if(value === this.GRID.AFFECTED || value === this.GRID.ORIGIN_AFFECTED) {
+        affected.push(new Position(x, y, 0));
+      }
+
+    }, this);
+  }, this);
+
+  if(origins.length !== 1) {
+    throw new Error("The grid of area %s must have exactly one origin.".format(this.name));
+  }
+
+  return affected.map(position => position.subtract(origins[0]));
+
+}
+
+module.exports = Area;
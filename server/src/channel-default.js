@@ -27,6 +27,11 @@ DefaultChannel.prototype.send = function(player, packet) {
   let message = packet.message;
   let loudness = packet.loudness;
 
+  // Saying the words of a spell casts it: the spellbook speaks the words when the cast succeeds
+  if (player.spellbook.handleSpellWords(message)) {
+    return;
+  }
+
   let color = player.characterStatistics.admin
     ? CONST.COLOR.RED
     : CONST.COLOR.YELLOW;
@@ -0,0 +1,66 @@
+"use strict";
+
+const GlobalChannel = require("./channel-global");
+const PacketWriter = require("./packet-writer");
+
+const GuildChannel = function(id, name) {
+
+  /*
+   * Class GuildChannel
+   * Wrapper for the private guild channel: only guild members can join and messages only reach members of the same guild
+   *
+   * API:
+   *
+   * GuildChannel.join(player) - Subscribes a player to the channel when the player is a member of a guild
+   * GuildChannel.send(player, packet) - Sends a message from player to the online members of the same guild
+   *
+   */
+
+  // Inherits from the global channel
+  GlobalChannel.call(this, id, name);
+
+}
+
+GuildChannel.prototype = Object.create(GlobalChannel.prototype);
+GuildChannel.prototype.constructor = GuildChannel;
+
+GuildChannel.prototype.join = function(player) {
+
+  /*
+   * Function GuildChannel.join
+   * Adds a player to the guild channel when the player is a member of a guild
+   */
+
+  if(process.gameServer.world.guildManager.getGuild(player.name) === null) {
+    return player.sendCancelMessage("You are not a member of a guild.");
+  }
+
+  GlobalChannel.prototype.join.call(this, player);
+
+}
+
+GuildChannel.prototype.send = function(player, packet) {
+
+  /*
+   * Function GuildChannel.send
+   * Sends a message to all subscribers that are members of the same guild
+   */
+
+  let guild = process.gameServer.world.guildManager.getGuild(player.name);
+
+  // The player may have left the guild with the channel still opened
+  if(guild === null) {
+    return player.sendCancelMessage("You are not a member of a guild.");
+  }
+
+  let outgoing = new PacketWriter(PacketWriter.prototype.opcodes.CREATURE_MESSAGE).writeChannelMessage(this.id, player.name, packet.message, CONST.COLOR.LIGHTGREEN);
+
+  this.__players.forEach(function(member) {
+    if(guild.hasMember(member.name)) {
+      member.write(outgoing);
+    }
+  });
+
+}
+
+module.exports = GuildChannel;
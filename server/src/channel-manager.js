@@ -2,6 +2,8 @@
 
 const DefaultChannel = require("./channel-default");
 const GlobalChannel = require("./channel-global");
+const GuildChannel = require("./channel-guild");
+const PartyChannel = require("./channel-party");
 const PacketWriter = require("./packet-writer");
 
 const ChannelManager = function() {
@@ -28,7 +30,9 @@ const ChannelManager = function() {
     new DefaultChannel(this.CHANNELS.DEFAULT, "Default"),
     new GlobalChannel(this.CHANNELS.WORLD, "World"),
     new GlobalChannel(this.CHANNELS.TRADE, "Trade"),
-    new GlobalChannel(this.CHANNELS.HELP, "Help")
+    new GlobalChannel(this.CHANNELS.HELP, "Help"),
+    new GuildChannel(this.CHANNELS.GUILD, "Guild"),
+    new PartyChannel(this.CHANNELS.PARTY, "Party")
   );
 
 }
@@ -38,7 +42,9 @@ ChannelManager.prototype.CHANNELS = new Object({
   "DEFAULT": 0x00,
   "WORLD": 0x01,
   "TRADE": 0x02,
-  "HELP": 0x03
+  "HELP": 0x03,
+  "GUILD": 0x04,
+  "PARTY": 0x05
 });
 
 ChannelManager.prototype.getChannel = function(cid) {
@@ -71,7 +77,7 @@ ChannelManager.prototype.leaveChannel = function(player, cid) {
   }
 
   // Only global channels can be left: the default channel must always exist
-  if(channel.constructor !== GlobalChannel) {
+  if(!(channel instanceof GlobalChannel)) {
     return;
   }
 
@@ -94,8 +100,8 @@ ChannelManager.prototype.joinChannel = function(player, id) {
     return player.sendCancelMessage("This channel does not exist.");
   }
 
-  // Only global channels can be joined
-  if(channel.constructor !== GlobalChannel) {
+  // Only global channels (including the guild and party channels) can be joined
+  if(!(channel instanceof GlobalChannel)) {
     return;
   }
 
@@ -0,0 +1,66 @@
+"use strict";
+
+const GlobalChannel = require("./channel-global");
+const PacketWriter = require("./packet-writer");
+
+const PartyChannel = function(id, name) {
+
+  /*
+   * Class PartyChannel
+   * Wrapper for the private party channel: only party members can join and messages only reach members of the same party
+   *
+   * API:
+   *
+   * PartyChannel.join(player) - Subscribes a player to the channel when the player is a member of a party
+   * PartyChannel.send(player, packet) - Sends a message from player to the members of the same party
+   *
+   */
+
+  // Inherits from the global channel
+  GlobalChannel.call(this, id, name);
+
+}
+
+PartyChannel.prototype = Object.create(GlobalChannel.prototype);
+PartyChannel.prototype.constructor = PartyChannel;
+
+PartyChannel.prototype.join = function(player) {
+
+  /*
+   * Function PartyChannel.join
+   * Adds a player to the party channel when the player is a member of a party
+   */
+
+  if(process.gameServer.world.partyManager.getParty(player) === null) {
+    return player.sendCancelMessage("You are not a member of a party.");
+  }
+
+  GlobalChannel.prototype.join.call(this, player);
+
+}
+
+PartyChannel.prototype.send = function(player, packet) {
+
+  /*
+   * Function PartyChannel.send
+   * Sends a message to all subscribers that are members of the same party
+   */
+
+  let party = process.gameServer.world.partyManager.getParty(player);
+
+  // The player may have left the party with the channel still opened
+  if(party === null) {
+    return player.sendCancelMessage("You are not a member of a party.");
+  }
+
+  let outgoing = new PacketWriter(PacketWriter.prototype.opcodes.CREATURE_MESSAGE).writeChannelMessage(this.id, player.name, packet.message, CONST.COLOR.LIGHTBLUE);
+
+  this.__players.forEach(function(member) {
+    if(party.hasMember(member)) {
+      member.write(outgoing);
+    }
+  });
+
+}
+
+module.exports = PartyChannel;
@@ -17,6 +17,11 @@ const Chunk = function(id, chunkPosition) {
    * Chunk.getTileFromWorldPosition - Returns the tile within the chunk based on a world position
    * Chunk.getTileIndex - Returns index of a tile with a world position in the chunk
    * Chunk.serialize - Serializes the tiles of the chunk to a packet
+   * Chunk.isLoaded - Returns true if the tiles of the chunk are loaded
+   * Chunk.isLoading - Returns true while the tiles of the chunk are being created
+   * Chunk.load - Creates the tiles of the chunk from their serialized state
+   * Chunk.unload - Serializes the tiles of the chunk and releases them
+   * Chunk.canUnload(seconds) - Returns true if the chunk has been idle for a number of seconds and its tiles can be serialized
    *
    */
 
@@ -32,8 +37,20 @@ const Chunk = function(id, chunkPosition) {
   // Reference to neighbouring chunks including self
   this.neighbours = new Array(this);
 
-  // Reference to slice of tiles and reserve some memory
-  this.tiles = new Array(this.WIDTH * this.HEIGHT * this.DEPTH).fill(null);
+  // Reference to slice of tiles: chunks are not loaded until they are first requested
+  this.tiles = null;
+
+  // The tiles are kept serialized (from the map or when unloaded) until the chunk is loaded
+  this.__serialized = new Array(this.WIDTH * this.HEIGHT * this.DEPTH).fill(null);
+
+  // Chunks with house tiles are always kept loaded
+  this.__pinned = false;
+
+  // Tiles that are being created when the chunk is loaded do not report changes
+  this.__loading = false;
+
+  // The last time the chunk was active (i.e., a player was nearby)
+  this.__lastActive = Date.now();
 
 }
 
@@ -71,6 +88,180 @@ Chunk.prototype.createTile = function(position, id) {
 
 }
 
+Chunk.prototype.addSerializedTile = function(position, zid, data) {
+
+  /*
+   * Function Chunk.addSerializedTile
+   * Adds the raw OTBM node of a tile that is read and created when the chunk is first loaded (executed during database load)
+   */
+
+  this.__serialized[this.getTileIndex(position)] = new Object({
+    "position": position,
+    "zone": zid,
+    "data": data
+  });
+
+}
+
+Chunk.prototype.getSerializedTile = function(position) {
+
+  /*
+   * Function Chunk.getSerializedTile
+   * Returns the serialized state of a tile in a chunk that is not loaded
+   */
+
+  if(this.isLoaded()) {
+    return null;
+  }
+
+  return this.__serialized[this.getTileIndex(position)];
+
+}
+
+Chunk.prototype.pin = function() {
+
+  /*
+   * Function Chunk.pin
+   * Pins the chunk so that it is never unloaded
+   */
+
+  this.__pinned = true;
+
+}
+
+Chunk.prototype.isPinned = function() {
+
+  /*
+   * Function Chunk.isPinned
+   * Returns true if the chunk is never unloaded
+   */
+
+  return this.__pinned;
+
+}
+
+Chunk.prototype.touch = function() {
+
+  /*
+   * Function Chunk.touch
+   * Marks the chunk as active so that it is not unloaded
+   */
+
+  this.__lastActive = Date.now();
+
+}
+
+Chunk.prototype.isLoaded = function() {
+
+  /*
+   * Function Chunk.isLoaded
+   * Returns true if the tiles of the chunk are loaded
+   */
+
+  return this.tiles !== null;
+
+}
+
+Chunk.prototype.isLoading = function() {
+
+  /*
+   * Function Chunk.isLoading
+   * Returns true while the tiles of the chunk are being created from their serialized state
+   */
+
+  return this.__loading;
+
+}
+
+Chunk.prototype.load = function() {
+
+  /*
+   * Function Chunk.load
+   * Creates the tiles of the chunk from their serialized state: returns true when the tiles were read from the map
+   */
+
+  let fromMap = false;
+
+  this.__loading = true;
+  this.tiles = new Array(this.__serialized.length).fill(null);
+
+  this.__serialized.forEach(function(entry) {
+
+    if(entry === null) {
+      return;
+    }
+
+    // Tiles are created from the map only the first time the chunk is loaded
+    if(entry.hasOwnProperty("data")) {
+      fromMap = true;
+      return process.gameServer.database.worldParser.createTile(this, entry.position, entry.zone, entry.data);
+    }
+
+    this.__restoreTile(entry);
+
+  }, this);
+
+  this.__serialized = null;
+  this.__loading = false;
+
+  this.touch();
+
+  return fromMap;
+
+}
+
+Chunk.prototype.unload = function() {
+
+  /*
+   * Function Chunk.unload
+   * Serializes the state of all tiles and releases them
+   */
+
+  this.__serialized = this.tiles.map(function(tile) {
+
+    if(tile === null) {
+      return null;
+    }
+
+    return new Object({
+      "position": tile.position,
+      "zone": tile.zoneIdentifier,
+      "id": tile.id,
+      "actionId": tile.actionId,
+      "flags": tile.tilezoneFlags.flag,
+      "items": tile.getItems().map(thing => thing.serialize())
+    });
+
+  });
+
+  this.tiles = null;
+
+}
+
+Chunk.prototype.canUnload = function(seconds) {
+
+  /*
+   * Function Chunk.canUnload
+   * Returns true if the chunk has been idle for a number of seconds and all its tiles can be restored from their serialized state
+   */
+
+  if(this.__pinned || !this.isLoaded()) {
+    return false;
+  }
+
+  // Creatures keep references to their chunk and tiles
+  if(this.players.size > 0 || this.monsters.size > 0 || this.npcs.size > 0) {
+    return false;
+  }
+
+  if(Date.now() - this.__lastActive < 1000 * seconds) {
+    return false;
+  }
+
+  return this.tiles.every(tile => tile === null || this.__isRestorable(tile));
+
+}
+
 Chunk.prototype.getTileIndex = function(worldPosition) {
 
   /*
@@ -150,6 +341,9 @@ Chunk.prototype.handleRequest = function(player) {
    * Introduces the creature to its new chunk
    */
 
+  // The tiles are created when a player first needs them
+  process.gameServer.world.lattice.loadChunk(this);
+
   // Serialize the chunk tiles itself (fixed size)
   player.write(new PacketWriter(PacketWriter.prototype.opcodes.WRITE_CHUNK).writeChunk(this));
 
@@ -162,7 +356,7 @@ Chunk.prototype.handleRequest = function(player) {
     }
 
     // Otherwise write information on other players
-    player.write(chunkPlayer.info());
+    player.write(chunkPlayer.info(player));
 
   });
 
@@ -252,6 +446,60 @@ Chunk.prototype.__internalBroadcastFloor = function(floor, packet) {
 
 }
 
+Chunk.prototype.__restoreTile = function(entry) {
+
+  /*
+   * Function Chunk.__restoreTile
+   * Recreates a tile from the state that was serialized when the chunk was unloaded
+   */
+
+  let tile = this.createTile(entry.position, entry.id);
+
+  tile.zoneIdentifier = entry.zone;
+  tile.tilezoneFlags.flag = entry.flags;
+
+  if(entry.actionId) {
+    tile.setActionId(entry.actionId);
+  }
+
+  entry.items.forEach(item => tile.addTopThing(process.gameServer.database.parseThing(item)));
+
+}
+
+Chunk.prototype.__isRestorable = function(tile) {
+
+  /*
+   * Function Chunk.__isRestorable
+   * Returns true if a tile can be serialized: unique identifiers attach events and decay events cannot be paused
+   */
+
+  if(tile.hasUniqueId() || tile.hasScheduledDecay()) {
+    return false;
+  }
+
+  return tile.getItems().every(this.__isRestorableThing, this);
+
+}
+
+Chunk.prototype.__isRestorableThing = function(thing) {
+
+  /*
+   * Function Chunk.__isRestorableThing
+   * Recursively returns true if an item and its contents can be serialized
+   */
+
+  if(thing.hasUniqueId() || thing.isTeleporter() || thing.isDecaying()) {
+    return false;
+  }
+
+  if(!thing.hasOwnProperty("container")) {
+    return true;
+  }
+
+  return thing.container.getSlots().every(item => item === null || this.__isRestorableThing(item));
+
+}
+
 Chunk.prototype.__removeCreature = function(creature) {
 
   /*
@@ -0,0 +1,104 @@
+"use strict";
+
+const CommandHandler = function() {
+
+  /*
+   * Class CommandHandler
+   * Handles slash-prefixed commands (e.g., /teleport 100 100 7) that are said by characters: most commands are reserved for administrators
+   *
+   * API:
+   *
+   * CommandHandler.isCommand(message) - Returns true if the message is formatted as a command
+   * CommandHandler.getPermissionLevel(player) - Returns the administrator permission level of a player
+   * CommandHandler.isAvailable(player, message) - Returns true if the player should have the message handled as a command
+   * CommandHandler.handle(player, message) - Parses and executes a command said by the player
+   *
+   */
+
+}
+
+CommandHandler.prototype.PREFIX = "/";
+
+CommandHandler.prototype.isCommand = function(message) {
+
+  /*
+   * Function CommandHandler.isCommand
+   * Returns true if the message is formatted as a command
+   */
+
+  return message.length > this.PREFIX.length && message.startsWith(this.PREFIX);
+
+}
+
+CommandHandler.prototype.getPermissionLevel = function(player) {
+
+  /*
+   * Function CommandHandler.getPermissionLevel
+   * Returns the permission level of a player: the admin flag may be a boolean (level 1) or a numeric level
+   */
+
+  return Number(player.characterStatistics.admin) || 0;
+
+}
+
+CommandHandler.prototype.isAvailable = function(player, message) {
+
+  /*
+   * Function CommandHandler.isAvailable
+   * Returns true if the message should be handled as a command: other players may only use commands without a required level
+   */
+
+  if(this.getPermissionLevel(player) > 0) {
+    return true;
+  }
+
+  let [ name ] = this.__parse(message);
+  let command = process.gameServer.database.getCommand(name.toLowerCase());
+
+  return command !== null && command.level === 0;
+
+}
+
+CommandHandler.prototype.handle = function(player, message) {
+
+  /*
+   * Function CommandHandler.handle
+   * Parses and executes a command said by the player
+   */
+
+  let [ name, ...parameters ] = this.__parse(message);
+
+  let command = process.gameServer.database.getCommand(name.toLowerCase());
+
+  // The command does not exist
+  if(command === null) {
+    return player.sendCancelMessage("The command /%s does not exist.".format(name));
+  }
+
+  // Not enough permissions for this particular command
+  if(this.getPermissionLevel(player) < command.level) {
+    return player.sendCancelMessage("You do not have permission to use this command.");
+  }
+
+  // Commands may be written by operators: do not let a bad script take down the server
+  try {
+    command.callback(player, parameters);
+  } catch(exception) {
+    console.trace(exception);
+    player.sendCancelMessage("The command /%s failed to execute.".format(name));
+  }
+
+}
+
+CommandHandler.prototype.__parse = function(message) {
+
+  /*
+   * Function CommandHandler.__parse
+   * Splits the command name from its whitespace separated parameters
+   */
+
+  return message.slice(this.PREFIX.length).trim().split(/\s+/);
+
+}
+
+module.exports = CommandHandler;
@@ -16,6 +16,7 @@ const Container = function(id, size) {
    * Container.getMaximumAddCount(index)
    * Container.removeIndex(index)
    * Container.peekIndex(index) - Returns a reference to the item at the requested index
+   * Container.getContents() - Returns all items inside the container including the contents of nested containers
    *
    */
 
@@ -59,6 +60,8 @@ Container.prototype.addFirstEmpty = function(thing) {
   thing.setParent(this);
   this.container.addFirstEmpty(thing);
 
+  this.__setChanged();
+
 }
 
 Container.prototype.hasIdentifier = function(cid) {
@@ -130,6 +133,8 @@ Container.prototype.removeIndex = function(index, amount) {
   this.__updateParentWeightRecursion(-thing.getWeight());
   thing.setParent(null);
 
+  this.__setChanged();
+
   return thing;
 
 }
@@ -155,6 +160,8 @@ Container.prototype.deleteThing = function(thing) {
   this.__updateParentWeightRecursion(-thing.getWeight());
   thing.setParent(null);
 
+  this.__setChanged();
+
   return index;
 
 }
@@ -195,6 +202,8 @@ Container.prototype.addThing = function(thing, index) {
   // Go up the parent chain to update the weights of all parent containers
   this.__updateParentWeightRecursion(thing.getWeight());
 
+  this.__setChanged();
+
   return true;
 
 }
@@ -239,6 +248,34 @@ Container.prototype.getSlots = function() {
 
 }
 
+Container.prototype.getContents = function() {
+
+  /*
+   * Function Container.getContents
+   * Returns all items inside the container including the contents of nested containers
+   */
+
+  let contents = new Array();
+
+  this.container.getSlots().forEach(function(item) {
+
+    if(item === null) {
+      return;
+    }
+
+    contents.push(item);
+
+    // Found another container: recursive handling
+    if(item.constructor === Container) {
+      contents = contents.concat(item.getContents());
+    }
+
+  });
+
+  return contents;
+
+}
+
 Container.prototype.getSize = function() {
 
   /*
@@ -447,6 +484,21 @@ Container.prototype.__updateParentWeightRecursion = function(weight) {
 
 }
 
+Container.prototype.__setChanged = function() {
+
+  /*
+   * Function Container.__setChanged
+   * Informs the tile that the container lies on (if any) that its contents changed
+   */
+
+  let parent = this.getTopParent();
+
+  if(parent !== null && parent.constructor.name === "Tile") {
+    parent.setChanged();
+  }
+
+}
+
 Container.prototype.__includesSelf = function(container) {
 
   /*
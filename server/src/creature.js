@@ -297,6 +297,41 @@ Creature.prototype.calculateDamage = function() {
 
 }
 
+Creature.prototype.getDamageReduction = function(type) {
+
+  /*
+   * Function Creature.getDamageReduction
+   * Returns the percentage of damage of a particular type that is mitigated by the creature
+   */
+
+  return 0;
+
+}
+
+Creature.prototype.isImmune = function(type) {
+
+  /*
+   * Function Creature.isImmune
+   * Returns true if the creature takes no damage from a particular damage type
+   */
+
+  return this.getDamageReduction(type) >= 100;
+
+}
+
+Creature.prototype.getMitigatedDamage = function(amount, type) {
+
+  /*
+   * Function Creature.getMitigatedDamage
+   * Returns the damage that remains after applying the resistance of the creature (negative resistances are weaknesses)
+   */
+
+  let reduction = Math.min(100, this.getDamageReduction(type));
+
+  return Math.max(0, Math.round(amount * (100 - reduction) / 100));
+
+}
+
 Creature.prototype.getPosition = function() {
 
   /*
@@ -439,14 +474,14 @@ Creature.prototype.deintroduce = function() {
 
 }
 
-Creature.prototype.info = function() {
+Creature.prototype.info = function(viewer) {
 
   /*
    * Function Creature.info
-   * Serializes creature information and sends it over to the client
+   * Serializes creature information and sends it over to the client (optionally as seen by a particular player)
    */
 
-  return new PacketWriter(PacketWriter.prototype.opcodes.CREATURE_INFO).writeCreatureInfo(this);
+  return new PacketWriter(PacketWriter.prototype.opcodes.CREATURE_INFO).writeCreatureInfo(this, viewer);
 
 }
 
@@ -828,33 +863,4 @@ Creature.prototype.__registerEvents = function(events) {
 
 }
 
-
-Creature.prototype.__getSpellPosition = function(x, y) {
-
-  /*
-   * Function World.__getSpellPosition
-   * Rotates a relative 2D position around 90-degrees (positions are defined with character facing NORTH)
-   */
-
-  return this.position.add(this.__rotate2DPosition(this.direction, x, y));
-
-}
-
-Creature.prototype.__rotate2DPosition = function(direction, x, y) {
-
-  /*
-   * Function World.__rotate2DPosition
-   * Rotates a relative 2D position around 90-degrees (positions are defined with character facing NORTH)
-   */
-
-  // 2D rotation around 90 degrees
-  switch(this.direction) {
-    case Position.prototype.NORTH: return new Position(+x, +y, 0);
-    case Position.prototype.EAST: return new Position(-y, -x, 0);
-    case Position.prototype.SOUTH: return new Position(+x, -y, 0);
-    case Position.prototype.WEST: return new Position(+y, -x, 0);
-  }
-
-}
-
 module.exports = Creature;
@@ -40,25 +40,54 @@ DamageMap.prototype.update = function(attacker, amount) {
   if(!this.__map.has(attacker)) {
     return this.__map.set(attacker, new Object({
       "damage": amount,
-      "aggro": 0
+      "aggro": 0,
+      "lastDamage": Date.now()
     }));
   }
 
   // Add to the existing amount
   this.__map.get(attacker).damage += amount;
+  this.__map.get(attacker).lastDamage = Date.now();
 
 }
 
-DamageMap.prototype.distributeExperienceAndLoot = function(proto, loot) {
+DamageMap.prototype.getAttackers = function(seconds) {
+
+  /*
+   * Function DamageMap.getAttackers
+   * Returns all creatures that have caused damage within a number of seconds
+   */
+
+  let since = Date.now() - 1000 * seconds;
+
+  return Array.from(this.__map.keys()).filter(attacker => this.__map.get(attacker).lastDamage > since);
+
+}
+
+DamageMap.prototype.clear = function() {
+
+  /*
+   * Function DamageMap.clear
+   * Removes all recorded damage
+   */
+
+  this.__map.clear();
+
+}
+
+DamageMap.prototype.distributeExperienceAndLoot = function(proto, loot, position) {
 
   /*
    * Function DamageMap.distributeExperience
-   * Distributes the experience over all players in the damage map
+   * Distributes the experience over all players in the damage map: the shares of party members are divided over their party
    */
 
   // Distribute equally to all attackers
   let sharedExperience = this.getDividedExperience(proto.experience);
 
+  // The experience that is pooled by the parties that share it
+  let partyExperience = new Map();
+
   let packet;
   if(loot.length > 0) {
     let message = "%s drops: %s".format(proto.creatureStatistics.name, loot.map(this.__createLootText).join(", "));
@@ -80,16 +109,25 @@ DamageMap.prototype.distributeExperienceAndLoot = function(proto, loot) {
       return;
     }
 
+    // Write the loot packet
+    attacker.write(packet);
+
+    let party = process.gameServer.world.partyManager.getParty(attacker);
+
+    // Members of a party that is close by and has similar levels add their share to the party
+    if(party !== null && party.canShareExperience(position)) {
+      return partyExperience.set(party, (partyExperience.get(party) || 0) + sharedExperience);
+    }
+
     // Experience to share
     if(sharedExperience > 0) {
       attacker.characterStatistics.addExperience(sharedExperience);
     }
 
-    // Write the loot packet
-    attacker.write(packet);
-
   }, this);
 
+  partyExperience.forEach((experience, party) => party.shareExperience(experience));
+
 }
 
 DamageMap.prototype.__createLootText = function(thing) {
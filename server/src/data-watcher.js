@@ -0,0 +1,75 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const DataWatcher = function() {
+
+  /*
+   * Class DataWatcher
+   * Watches the data directory and reloads the definitions of a folder when one of its files changes
+   *
+   * API:
+   *
+   * DataWatcher.close() - Stops watching the data directory and cancels the pending reloads
+   *
+   */
+
+  // Editors often write a file multiple times: the reload of each type is delayed until the changes stop
+  this.__pending = new Map();
+
+  this.__watcher = fs.watch(getDataFile(), { "recursive": true }, this.__handleChange.bind(this));
+
+}
+
+DataWatcher.prototype.close = function() {
+
+  /*
+   * Function DataWatcher.close
+   * Stops watching the data directory and cancels the pending reloads
+   */
+
+  this.__pending.forEach(timeout => clearTimeout(timeout));
+  this.__pending.clear();
+
+  this.__watcher.close();
+
+}
+
+DataWatcher.prototype.__handleChange = function(event, filename) {
+
+  /*
+   * Function DataWatcher.__handleChange
+   * Callback fired when a file in the data directory changes: the first folder is the type of definitions
+   */
+
+  if(filename === null) {
+    return;
+  }
+
+  let type = filename.split(path.sep).shift();
+
+  if(!process.gameServer.database.RELOADABLE.includes(type)) {
+    return;
+  }
+
+  clearTimeout(this.__pending.get(type));
+
+  this.__pending.set(type, setTimeout(this.__reload.bind(this, type), CONFIG.DATA.WATCH_DEBOUNCE_MS));
+
+}
+
+DataWatcher.prototype.__reload = function(type) {
+
+  /*
+   * Function DataWatcher.__reload
+   * Reloads the definitions of a type after its files have changed
+   */
+
+  this.__pending.delete(type);
+
+  process.gameServer.database.reload(type);
+
+}
+
+module.exports = DataWatcher;
@@ -1,5 +1,6 @@
 "use strict";
 
+const Area = require("./area");
 const Container = require("./container");
 const Corpse = require("./corpse");
 const DataValidator = require("./validator");
@@ -9,15 +10,19 @@ const House = require("./house");
 const Item = require("./item");
 const Key = require("./key");
 const NPC = require("./npc");
+const Quest = require("./quest");
 const Readable = require("./readable");
 const Rune = require("./rune");
 const Teleporter = require("./teleporter");
 const Thing = require("./thing");
 const ThingPrototype = require("./thing-prototype");
 const RMEParser = require("./rme-parser");
+const WorldState = require("./world-state");
+const Storage = require("./storage");
 
 // Standard lib
 const fs = require("fs");
+const path = require("path");
 
 const Database = function() {
 
@@ -28,27 +33,46 @@ const Database = function() {
    * API:
    * 
    * getSpell(id) - returns a spell with a particular identifier
+   * getSpellIdentifier(words) - returns the identifier of the spell that is cast by saying particular words
    * getRune(id) - returns a rune with a particular identifier
+   * getArea(name) - returns an area of effect with a particular name
+   * getQuest(id) - returns a quest with a particular identifier
    * getMoster(id) - returns a monster with a particular identifier
    * getZone(id) - returns a zone with a particular identifier
+   * getCommand(name) - returns a gamemaster command with a particular name
+   * getVocation(id) - returns a vocation with a particular identifier
+   * reload(type) - reloads a type of definitions from disk and rebinds the live world to them
+   * saveHouse(house, callback) - saves the state and items of a single house to the storage
    *
    */
 
   // Map parser for OTBM files
   this.worldParser = new RMEParser(this);
 
+  // Changes to the world since it was loaded from the map
+  this.worldState = new WorldState();
+
+  // The configured spawns (only loaded when spawns are enabled)
+  this.spawns = new Array();
+
+  // The action listeners attached to thing prototypes so that they can be detached when reloading
+  this.__prototypeEvents = new Array();
+
   // Validate for server data using JSON schemas
   this.validator = new DataValidator();
 
 }
 
-Database.prototype.loadHouseItems = function() {
+Database.prototype.loadHouseItems = function(savedHouses) {
+
+  /*
+   * Function Database.loadHouseItems
+   * Adds the saved items to the houses: houses that were never saved to the storage read their items from the legacy files
+   */
 
   this.houses.forEach(function(house) {
 
-    let json = JSON.parse(fs.readFileSync(
-      getDataFile("houses", "definitions", "%s.json".format(house.id))
-    ));
+    let json = savedHouses.has(house.id) ? savedHouses.get(house.id).items : this.__readLegacyHouseItems(house.id);
 
     json.forEach(function(entry) {
 
@@ -66,56 +90,102 @@ Database.prototype.loadHouseItems = function() {
 
     });
 
-  });
+  }, this);
+
 }
 
-Database.prototype.saveHouses = function() {
+Database.prototype.saveHouses = function(callback) {
 
   /*
    * Function Database.saveHouses
-   * Serializes and saves the house items to disk
+   * Serializes the state and items of all houses and saves them to the storage
    */
 
-  // Go over everything
-  this.houses.forEach(function(house) {
+  let remaining = this.houses.size;
+  let failed = 0;
 
-    // Collect all things for serialization
-    let things = new Array();
+  if(remaining === 0 && callback) {
+    return callback(false);
+  }
 
-    house.tiles.forEach(function(tile) {
+  let done = function(id, error) {
 
-      tile.itemStack.__items.forEach(function(item) {
+    if(error) {
+      failed++;
+      console.error("Could not save house %s to the storage.".format(id), error);
+    }
 
-        // Save everything that can be moved or picked up
-        if(!item.isPickupable() && !item.isMoveable()) {
-          return;
-        }
+    if(--remaining > 0) {
+      return;
+    }
 
-        // We have to save a position and the item itself
-        things.push(new Object({
-          "position": tile.position,
-          "item": item
-        }));
+    console.log("Saved [[ %s ]] houses to the storage.".format(this.houses.size - failed));
 
-      });
+    if(callback) {
+      callback(failed > 0);
+    }
 
-    });
+  }.bind(this);
+
+  this.houses.forEach(house => this.saveHouse(house, done.bind(this, house.id)));
+
+}
+
+Database.prototype.saveHouse = function(house, callback) {
+
+  /*
+   * Function Database.saveHouse
+   * Serializes the state and items of a single house and saves it to the storage
+   */
+
+  // Collect all things for serialization
+  let things = new Array();
+
+  house.tiles.forEach(function(tile) {
+
+    tile.itemStack.__items.forEach(function(item) {
 
-    // Write to disk
-    fs.writeFileSync(getDataFile("houses", "definitions", "%s.json".format(house.id)), JSON.stringify(things));
+      // Save everything that can be moved or picked up
+      if(!item.isPickupable() && !item.isMoveable()) {
+        return;
+      }
+
+      // We have to save a position and the item itself
+      things.push(new Object({
+        "position": tile.position,
+        "item": item
+      }));
+
+    });
 
   });
 
-  let done = JSON.stringify(Object.fromEntries(this.houses), null, 2);
-  fs.writeFileSync(getDataFile("houses", "definitions.json"), done);
+  Storage.open().saveHouse(house.id, house, things, callback);
+
+}
+
+Database.prototype.__readLegacyHouseItems = function(id) {
+
+  /*
+   * Function Database.__readLegacyHouseItems
+   * Reads the items of a house from the file it was saved to before houses were kept in the storage
+   */
+
+  let filepath = getDataFile("houses", "definitions", "%s.json".format(id));
+
+  if(!fs.existsSync(filepath)) {
+    return new Array();
+  }
+
+  return JSON.parse(fs.readFileSync(filepath));
 
 }
 
-Database.prototype.initialize = function() {
+Database.prototype.initialize = function(savedHouses) {
 
   /*
    * Function Database.initialize
-   * Loads all the server data and things
+   * Loads all the server data and things: the saved state of the houses is read from the storage beforehand
    */
 
   // Load the configured unique actions per unique identifier
@@ -124,16 +194,28 @@ Database.prototype.initialize = function() {
   // Load all other data files
   this.items = this.__loadItemDefinitions("items");
 
-  this.spells = this.__loadDefinitions("spells");
-  this.runes = this.__loadDefinitions("runes");
+  // Areas of effect are referenced by name from the spells, runes and monsters
+  this.areas = this.__loadAreaDefinitions("areas");
+
+  this.spells = this.__loadSpellDefinitions("spells");
+  this.runes = this.__loadRuneDefinitions("runes");
   this.zones = this.__loadDefinitions("world");
   this.doors = this.__loadDefinitions("doors");
 
+  // Quests track their progress in the storage values of the players
+  this.quests = this.__loadQuestDefinitions("quests");
+
   // Read house information from the database
-  this.houses = this.__loadHouses("houses");
+  this.houses = this.__loadHouses("houses", savedHouses);
 
   this.conditions = this.__loadDefinitions("conditions");
 
+  // Gamemaster commands with their required permission levels
+  this.commands = this.__loadCommandDefinitions("commands");
+
+  // Vocations determine level gains, learnable spells and regeneration
+  this.vocations = this.__readDataDefinition("vocations");
+
   // Actions need the item definitions to be present: so load them now
   this.__attachPrototypeEvents("actions");
 
@@ -141,7 +223,10 @@ Database.prototype.initialize = function() {
   process.gameServer.world = this.worldParser.load();
 
   // Load house items
-  this.loadHouseItems();
+  this.loadHouseItems(savedHouses);
+
+  // Replay the saved changes to the world on top of the map
+  this.worldState.initialize();
 
   // Monsters now
   this.monsters = this.__loadDefinitions("monsters");
@@ -165,13 +250,225 @@ Database.prototype.initialize = function() {
 
 }
 
-Database.prototype.__loadHouses = function(definition) {
+// The types of definitions that can be reloaded while the server is running
+Database.prototype.RELOADABLE = new Array(
+  "actions",
+  "areas",
+  "commands",
+  "conditions",
+  "doors",
+  "monsters",
+  "npcs",
+  "quests",
+  "runes",
+  "spells",
+  "unique"
+);
+
+Database.prototype.reload = function(type) {
+
+  /*
+   * Function Database.reload
+   * Reloads a type of definitions from disk and rebinds the live things and creatures without disconnecting players
+   */
+
+  if(!this.RELOADABLE.includes(type)) {
+    return false;
+  }
+
+  // Scripts and JSON definitions are cached after they are required for the first time
+  this.__clearRequireCache(type);
+
+  // A script with an error must not take down the server: it can be fixed and reloaded again
+  try {
+    this.__reload(type);
+  } catch(error) {
+    console.error("Could not reload the %s definitions.".format(type), error);
+    return false;
+  }
+
+  console.log("Reloaded the [[ %s ]] definitions.".format(type));
+
+  return true;
+
+}
+
+Database.prototype.__reload = function(type) {
+
+  /*
+   * Function Database.__reload
+   * Delegates the reload of a particular type of definitions
+   */
+
+  switch(type) {
+    case "actions": return this.__reloadPrototypeEvents(type);
+    case "areas": return this.areas = this.__loadAreaDefinitions(type);
+    case "commands": return this.commands = this.__loadCommandDefinitions(type);
+    case "conditions": return this.conditions = this.__loadDefinitions(type);
+    case "doors": return this.doors = this.__loadDefinitions(type);
+    case "monsters": return this.__reloadMonsters(type);
+    case "npcs": return this.__reloadNPCs(type);
+    case "quests": return this.quests = this.__loadQuestDefinitions(type);
+    case "runes": return this.runes = this.__loadRuneDefinitions(type);
+    case "spells": return this.spells = this.__loadSpellDefinitions(type);
+    case "unique": return this.__reloadUniqueEvents(type);
+  }
+
+}
+
+Database.prototype.__clearRequireCache = function(type) {
+
+  /*
+   * Function Database.__clearRequireCache
+   * Removes all required files of a definition folder from the cache so that they are read from disk again
+   */
+
+  let directory = getDataFile(type) + path.sep;
+
+  Object.keys(require.cache).filter(file => file.startsWith(directory)).forEach(file => delete require.cache[file]);
+
+}
+
+Database.prototype.__reloadPrototypeEvents = function(type) {
+
+  /*
+   * Function Database.__reloadPrototypeEvents
+   * Replaces the listeners of the previous action scripts on the thing prototypes: the previous listeners are kept when a new script cannot be loaded
+   */
+
+  let events = this.__loadPrototypeEvents(type);
+
+  this.__prototypeEvents.forEach(function({ id, which, callback }) {
+    this.getThingPrototype(id).off(which, callback);
+  }, this);
+
+  this.__prototypeEvents = new Array();
+
+  events.forEach(({ id, which, callback }) => this.__addPrototypeEventListener(id, which, callback));
+
+}
+
+Database.prototype.__reloadUniqueEvents = function(type) {
+
+  /*
+   * Function Database.__reloadUniqueEvents
+   * Replaces the unique event listeners of all things in the world with a unique identifier: the previous listeners are kept when a new script cannot be loaded
+   */
+
+  let uniqueActions = this.__loadUniqueActions(type);
+  let things = new Array();
+
+  // Chunks that are not loaded attach the new listeners when their tiles are created
+  process.gameServer.world.lattice.forEachTile(function(tile) {
+
+    if(tile.hasUniqueId()) {
+      things.push(tile);
+    }
+
+    tile.getItems().filter(thing => thing.hasUniqueId()).forEach(thing => things.push(thing));
+
+  });
+
+  // Detach the listeners of the previous scripts
+  things.forEach(function(thing) {
+
+    if(!this.__uniqueActions.hasOwnProperty(thing.uid)) {
+      return;
+    }
+
+    this.__uniqueActions[thing.uid].forEach(definition => thing.off(definition.on, definition.callback));
+
+  }, this);
+
+  this.__uniqueActions = uniqueActions;
+
+  things.forEach(thing => this.attachUniqueEvent(thing.uid, thing));
+
+}
+
+Database.prototype.__reloadMonsters = function(type) {
+
+  /*
+   * Function Database.__reloadMonsters
+   * Reloads the monster definitions and applies them to the monsters that are alive
+   */
+
+  let monsters = this.__loadDefinitions(type);
+
+  // Validate before replacing anything
+  Object.entries(monsters).forEach(function([ key, value ]) {
+    this.validator.validateMonster(key, value);
+  }, this);
+
+  this.monsters = monsters;
+
+  process.gameServer.world.lattice.forEachChunk(function(chunk) {
+    chunk.monsters.forEach(function(monster) {
+      if(this.getMonster(monster.spawn.mid) !== null) {
+        monster.reload();
+      }
+    }, this);
+  }.bind(this));
+
+}
+
+Database.prototype.__reloadNPCs = function(type) {
+
+  /*
+   * Function Database.__reloadNPCs
+   * Rebinds the live NPCs to their changed definitions and scripts and adds new NPCs
+   */
+
+  // NPCs were never loaded
+  if(!CONFIG.WORLD.NPCS.ENABLED) {
+    return;
+  }
+
+  // Read and validate every definition and script before changing any NPC
+  let definitions = Object.entries(this.__readDataDefinition(type)).map(function([ key, value ]) {
+
+    let data = require(getDataFile(type, "definitions", value.definition));
+
+    this.validator.validateNPC(value.definition, data);
+
+    if(data.script) {
+      require(getDataFile(type, "definitions", "script", data.script));
+    }
+
+    return new Array(key, value, data);
+
+  }, this);
+
+  definitions.forEach(function([ key, value, data ]) {
+
+    if(!this.npcs.hasOwnProperty(key)) {
+      return this.npcs[key] = this.__createNPC(value, data);
+    }
+
+    this.npcs[key].reload(data);
+
+  }, this);
+
+}
+
+Database.prototype.__loadHouses = function(definition, savedHouses) {
+
+  /*
+   * Function Database.__loadHouses
+   * Creates the houses from their definitions: the saved state (e.g., owner, access lists and auction) replaces the definition
+   */
 
   let json = JSON.parse(fs.readFileSync(getDataFile(definition, "definitions.json")));
   let houses = new Map();
 
   Object.entries(json).forEach(function([ id, entry ]) {
+
+    if(savedHouses.has(Number(id))) {
+      Object.assign(entry, savedHouses.get(Number(id)).data);
+    }
+
     houses.set(Number(id), new House(Number(id), entry));
+
   });
 
   return houses;
@@ -351,7 +648,7 @@ Database.prototype.getRune = function(id) {
 
   /*
    * Function Database.getRune
-   * Returns the function that belongs to a rune with a particular ID
+   * Returns the definition of a rune with a particular ID including its callback
    */
 
   if(!this.runes.hasOwnProperty(id)) {
@@ -362,11 +659,71 @@ Database.prototype.getRune = function(id) {
 
 }
 
+Database.prototype.getArea = function(name) {
+
+  /*
+   * Function Database.getArea
+   * Returns the area of effect with a particular name
+   */
+
+  if(!this.areas.hasOwnProperty(name)) {
+    return null;
+  }
+
+  return this.areas[name];
+
+}
+
+Database.prototype.getQuest = function(id) {
+
+  /*
+   * Function Database.getQuest
+   * Returns the quest that belongs to a particular identifier
+   */
+
+  if(!this.quests.hasOwnProperty(id)) {
+    return null;
+  }
+
+  return this.quests[id];
+
+}
+
+Database.prototype.getCommand = function(name) {
+
+  /*
+   * Function Database.getCommand
+   * Returns the command definition (level and callback) that belongs to a command name
+   */
+
+  if(!this.commands.hasOwnProperty(name)) {
+    return null;
+  }
+
+  return this.commands[name];
+
+}
+
+Database.prototype.getVocation = function(id) {
+
+  /*
+   * Function Database.getVocation
+   * Returns the vocation that belongs to a particular identifier
+   */
+
+  if(!this.vocations.hasOwnProperty(id)) {
+    return null;
+  }
+
+  return this.vocations[id];
+
+}
+
 Database.prototype.getSpell = function(sid) {
 
   /*
-   * Function Database.getRune
-   * Returns the function that belongs to a rune with a particular ID
+   * Function Database.getSpell
+   * Returns the definition of a spell with a particular ID including its callback
    */
 
   if(!this.spells.hasOwnProperty(sid)) {
@@ -377,6 +734,23 @@ Database.prototype.getSpell = function(sid) {
 
 }
 
+Database.prototype.getSpellIdentifier = function(words) {
+
+  /*
+   * Function Database.getSpellIdentifier
+   * Returns the identifier of the spell that is cast by saying particular words or null
+   */
+
+  let sid = Object.keys(this.spells).find(sid => this.spells[sid].words === words);
+
+  if(sid === undefined) {
+    return null;
+  }
+
+  return Number(sid);
+
+}
+
 Database.prototype.getThingPrototype = function(id) {
 
   /*
@@ -417,7 +791,10 @@ Database.prototype.__loadSpawnDefinitions = function(definition) {
    * Loads all the configured spawns and associated monsters
    */
 
-  this.__readDataDefinition(definition).forEach(spawn => process.gameServer.world.spawnCreature(spawn));
+  // Keep the spawns so that they can be exported with the map
+  this.spawns = this.__readDataDefinition(definition);
+
+  this.spawns.forEach(spawn => process.gameServer.world.spawnCreature(spawn));
 
 }
 
@@ -443,8 +820,8 @@ Database.prototype.__loadNPCDefinitions = function(definition) {
 Database.prototype.__readNPCDefinition = function(name) {
 
   /*
-   * Function Database.getZone
-   * Returns the zone that belongs to a particular zone identifier
+   * Function Database.__readNPCDefinition
+   * Reads and validates the definition of an NPC and creates the NPC
    */
 
   let data = require(getDataFile("npcs", "definitions", name.definition));
@@ -452,6 +829,17 @@ Database.prototype.__readNPCDefinition = function(name) {
   // Validate the data: are there errors?
   this.validator.validateNPC(name.definition, data);
 
+  return this.__createNPC(name, data);
+
+}
+
+Database.prototype.__createNPC = function(name, data) {
+
+  /*
+   * Function Database.__createNPC
+   * Creates an NPC from its validated definition and adds it to the world when it is enabled
+   */
+
   // Create the NPC
   let npc = new NPC(data);
 
@@ -484,6 +872,117 @@ Database.prototype.__loadDefinitions = function(definition) {
 
 }
 
+Database.prototype.__loadAreaDefinitions = function(definition) {
+
+  /*
+   * Function Database.__loadAreaDefinitions
+   * Loads the grid patterns of the areas of effect
+   */
+
+  let reference = new Object();
+
+  Object.entries(this.__readDataDefinition(definition)).forEach(function([ key, value ]) {
+    reference[key] = new Area(key, value);
+  });
+
+  console.log("Loaded [[ %s ]] %s definitions.".format(Object.keys(reference).length, definition));
+
+  return reference;
+
+}
+
+Database.prototype.__loadQuestDefinitions = function(definition) {
+
+  /*
+   * Function Database.__loadQuestDefinitions
+   * Loads the quests with their missions
+   */
+
+  let reference = new Object();
+
+  Object.entries(this.__readDataDefinition(definition)).forEach(function([ key, value ]) {
+    reference[key] = new Quest(key, value);
+  });
+
+  console.log("Loaded [[ %s ]] %s definitions.".format(Object.keys(reference).length, definition));
+
+  return reference;
+
+}
+
+Database.prototype.__loadRuneDefinitions = function(definition) {
+
+  /*
+   * Function Database.__loadRuneDefinitions
+   * Loads the rune definitions: each rune references a script and optionally an area of effect
+   */
+
+  let reference = new Object();
+
+  Object.entries(this.__readDataDefinition(definition)).forEach(function([ key, value ]) {
+    reference[key] = new Object({
+      "area": value.area,
+      "callback": require(getDataFile(definition, "definitions", value.callback))
+    });
+  });
+
+  console.log("Loaded [[ %s ]] %s definitions.".format(Object.keys(reference).length, definition));
+
+  return reference;
+
+}
+
+Database.prototype.__loadSpellDefinitions = function(definition) {
+
+  /*
+   * Function Database.__loadSpellDefinitions
+   * Loads the spell definitions: each spell has its requirements (e.g., mana, level) and references a script
+   */
+
+  let reference = new Object();
+
+  Object.entries(this.__readDataDefinition(definition)).forEach(function([ key, value ]) {
+    reference[key] = new Object({
+      "name": value.name,
+      "words": value.words.toLowerCase(),
+      "mana": value.mana,
+      "level": value.level,
+      "soul": value.soul,
+      "group": value.group,
+      "target": value.target,
+      "area": value.area,
+      "callback": require(getDataFile(definition, "definitions", value.callback))
+    });
+  });
+
+  console.log("Loaded [[ %s ]] %s definitions.".format(Object.keys(reference).length, definition));
+
+  return reference;
+
+}
+
+Database.prototype.__loadCommandDefinitions = function(definition) {
+
+  /*
+   * Function Database.__loadCommandDefinitions
+   * Loads the command definitions: each command references a script and a required permission level
+   */
+
+  let reference = new Object();
+
+  Object.entries(this.__readDataDefinition(definition)).forEach(function([ key, value ]) {
+    reference[key] = new Object({
+      "level": value.level,
+      "callback": require(getDataFile(definition, "definitions", value.callback))
+    });
+  });
+
+  console.log("Loaded [[ %s ]] %s definitions.".format(Object.keys(reference).length, definition));
+
+  return reference;
+
+}
+
 Database.prototype.__loadItemDefinitions = function(definition) {
 
   /*
@@ -538,15 +1037,30 @@ Database.prototype.__attachPrototypeEvents = function(filepath) {
    *
    */
 
-  // These are the JSON definitions that configure the action and reference the script
-  let definitions = this.__readDataDefinition(filepath);
+  let events = this.__loadPrototypeEvents(filepath);
 
-  // Read the definition
-  definitions.forEach(function(definition) {
+  events.forEach(({ id, which, callback }) => this.__addPrototypeEventListener(id, which, callback));
+
+  console.log("Attached [[ %s ]] prototype event listeners.".format(events.length));
+
+}
+
+Database.prototype.__loadPrototypeEvents = function(filepath) {
+
+  /*
+   * Function Database.__loadPrototypeEvents
+   * Reads the action definitions and requires their scripts without attaching them: returns the listeners per thing prototype
+   */
+
+  let events = new Array();
+
+  // These are the JSON definitions that configure the action and reference the script
+  this.__readDataDefinition(filepath).forEach(function(definition) {
 
     // The callback is a function to be executed when the event is emitted
     let callback = require(getDataFile(filepath, "definitions", definition.callback));
-   
+    let ids = new Array();
+
     // Single identifier
     if(definition.id) {
       definition.from = definition.to = definition.id;
@@ -554,23 +1068,31 @@ Database.prototype.__attachPrototypeEvents = function(filepath) {
 
     // An array
     if(definition.ids) {
-      definition.ids.forEach(function(id) {
-        this.__addPrototypeEventListener(id, definition.on, callback);
-      }, this);
+      ids.push(...definition.ids);
     }
 
     // A range
     if(definition.from && definition.to) {
 
       for(let id = definition.from; id <= definition.to; id++) {
-        this.__addPrototypeEventListener(id, definition.on, callback);
+        ids.push(id);
       }
 
     }
 
+    ids.forEach(function(id) {
+
+      if(this.getThingPrototype(id) === null) {
+        throw new Error("The action %s references an unknown item %s.".format(definition.callback, id));
+      }
+
+      events.push(new Object({ id, "which": definition.on, callback }));
+
+    }, this);
+
   }, this);
 
-  console.log("Attached [[ %s ]] prototype event listeners.".format(definitions.length));
+  return events;
 
 }
 
@@ -587,6 +1109,9 @@ Database.prototype.__addPrototypeEventListener = function(id, which, callback) {
   // Attach
   proto.on(which, callback);
 
+  // Remember the listener so that it can be detached when the actions are reloaded
+  this.__prototypeEvents.push(new Object({ id, which, callback }));
+
 }
 
 Database.prototype.__attachClockEvents = function(filepath) {
@@ -617,25 +1142,38 @@ Database.prototype.__attachUniqueEvents = function(filepath) {
    */
 
   // Container for lookup when items are spawned
-  this.__uniqueActions = new Object();
+  this.__uniqueActions = this.__loadUniqueActions(filepath);
+
+  console.log("Attached [[ %s ]] unique action listeners.".format(Object.keys(this.__uniqueActions).length));
+
+}
+
+Database.prototype.__loadUniqueActions = function(filepath) {
+
+  /*
+   * Function Database.__loadUniqueActions
+   * Reads the unique action definitions and requires their scripts: returns the listeners by their unique identifier
+   */
+
+  let uniqueActions = new Object();
 
   // Save all definitions
   this.__readDataDefinition(filepath).forEach(function(definition) {
 
     // Create a bucket to collect the functions
-    if(!this.__uniqueActions.hasOwnProperty(definition.uid)) {
-      this.__uniqueActions[definition.uid] = new Array();
+    if(!uniqueActions.hasOwnProperty(definition.uid)) {
+      uniqueActions[definition.uid] = new Array();
     }
 
     // Can be multiple
-    this.__uniqueActions[definition.uid].push({
+    uniqueActions[definition.uid].push({
       "on": definition.on,
       "callback": require(getDataFile(filepath, "definitions", definition.callback))
     });
 
-  }, this);
+  });
 
-  console.log("Attached [[ %s ]] unique action listeners.".format(Object.keys(this.__uniqueActions).length));
+  return uniqueActions;
 
 }
 
@@ -2,6 +2,7 @@
 
 const Item = require("./item");
 const BaseContainer = require("./base-container");
+const Equipment = require("./equipment");
 
 const DepotContainer = function(cid, things) {
 
@@ -15,6 +16,9 @@ const DepotContainer = function(cid, things) {
    * DepotContainer.setPosition - Sets the parent tile of the players opened depot container
    * DepotContainer.getMaximumAddCount(item, index) - Returns the maximum addable count to the passed index
    * DepotContainer.peekIndex(index) - Takes a peek at the passed index
+   * DepotContainer.getMoney() - Returns the value in gold of all coins in the depot
+   * DepotContainer.removeMoney(amount) - Removes an amount of gold from the depot and returns the change that does not fit
+   * DepotContainer.addMoney(amount) - Adds an amount of gold to the depot and returns the coins that do not fit
    *
    */
 
@@ -214,6 +218,148 @@ DepotContainer.prototype.canAddFirstEmpty = function(thing) {
 
 }
 
+DepotContainer.prototype.getMoney = function() {
+
+  /*
+   * Function DepotContainer.getMoney
+   * Returns the value in gold of all the coins in the depot and its nested containers
+   */
+
+  return this.__collectCoins(this, new Array()).reduce((sum, entry) => sum + entry.thing.count * entry.coin.value, 0);
+
+}
+
+DepotContainer.prototype.removeMoney = function(amount) {
+
+  /*
+   * Function DepotContainer.removeMoney
+   * Removes an amount of gold starting with the lowest coins: the caller must check the depot holds enough money first
+   */
+
+  let remainingAmount = amount;
+
+  // Pay with the lowest coins first and only break a higher coin when required
+  this.__collectCoins(this, new Array()).sort((a, b) => a.coin.value - b.coin.value).forEach(function(entry) {
+
+    if(remainingAmount <= 0) {
+      return;
+    }
+
+    let count = Math.min(entry.thing.count, Math.ceil(remainingAmount / entry.coin.value));
+
+    entry.container.removeIndex(entry.index, count).cleanup();
+
+    remainingAmount = remainingAmount - count * entry.coin.value;
+
+  });
+
+  // Too much was removed: return the change
+  return this.addMoney(-remainingAmount);
+
+}
+
+DepotContainer.prototype.addMoney = function(amount) {
+
+  /*
+   * Function DepotContainer.addMoney
+   * Adds an amount of gold in the highest possible coins and returns the coins that do not fit in the depot
+   */
+
+  let overflow = new Array();
+  let remainingAmount = amount;
+
+  Equipment.prototype.COINS.forEach(function(coin) {
+
+    let count = Math.floor(remainingAmount / coin.value);
+
+    remainingAmount = remainingAmount - count * coin.value;
+
+    // Coins may need multiple stacks
+    while(count > 0) {
+
+      let thing = process.gameServer.database.createThing(coin.id).setCount(count);
+
+      count = count - thing.count;
+
+      let container = this.__findEmptyContainer(this);
+
+      if(container === null) {
+        overflow.push(thing);
+      } else {
+        container.addFirstEmpty(thing);
+      }
+
+    }
+
+  }, this);
+
+  return overflow;
+
+}
+
+DepotContainer.prototype.__collectCoins = function(container, entries) {
+
+  /*
+   * Function DepotContainer.__collectCoins
+   * Recursively collects the coins from a container with their location
+   */
+
+  // The container is frozen and cannot be interacted with
+  if(container.frozen) {
+    return entries;
+  }
+
+  container.container.getSlots().forEach(function(thing, index) {
+
+    if(thing === null) {
+      return;
+    }
+
+    let coin = Equipment.prototype.COINS.find(coin => coin.id === thing.id);
+
+    if(coin !== undefined) {
+      entries.push(new Object({ "container": container, "index": index, "thing": thing, "coin": coin }));
+    }
+
+    if(thing.constructor.name === "Container") {
+      this.__collectCoins(thing, entries);
+    }
+
+  }, this);
+
+  return entries;
+
+}
+
+DepotContainer.prototype.__findEmptyContainer = function(container) {
+
+  /*
+   * Function DepotContainer.__findEmptyContainer
+   * Recursively finds the first container in the depot that has an empty slot
+   */
+
+  if(!container.frozen && !container.container.isFull()) {
+    return container;
+  }
+
+  for(let thing of container.container.getSlots()) {
+
+    if(thing === null || thing.constructor.name !== "Container") {
+      continue;
+    }
+
+    let empty = this.__findEmptyContainer(thing);
+
+    if(empty !== null) {
+      return empty;
+    }
+
+  }
+
+  return null;
+
+}
+
 DepotContainer.prototype.__addDepotItems = function(things) {
 
   /*
@@ -0,0 +1,287 @@
+"use strict";
+
+const Position = require("./position");
+
+const Dialogue = function(npc, definition) {
+
+  /*
+   * Class Dialogue
+   * Declarative dialogue tree of an NPC: responses are matched by their keywords and may lead to follow-up responses
+   *
+   * API:
+   *
+   * Dialogue.getBaseTalkState() - Returns the talk state that answers the top-level responses of the dialogue
+   * Dialogue.attachMessages() - Subscribes the configured messages to the events of the NPC (e.g., focus, defocus)
+   *
+   */
+
+  // Circular reference
+  this.npc = npc;
+
+  // The messages that are said on the NPC events
+  this.messages = definition.messages || new Object();
+
+  // The top-level responses of the tree
+  this.__baseTalkState = this.__createTalkState(definition.responses.map(this.__compileResponse, this));
+
+}
+
+// Matches the wildcards in keywords and the characters that must be escaped when building a regular expression
+Dialogue.prototype.WILDCARD = "*";
+Dialogue.prototype.REGEXP_SPECIAL = /[.+?^${}()|[\]\\]/g;
+
+Dialogue.prototype.getBaseTalkState = function() {
+
+  /*
+   * Function Dialogue.getBaseTalkState
+   * Returns the talk state that answers the top-level responses of the dialogue
+   */
+
+  return this.__baseTalkState;
+
+}
+
+Dialogue.prototype.attachMessages = function() {
+
+  /*
+   * Function Dialogue.attachMessages
+   * Subscribes the configured messages to the events of the NPC: the enter message is only heard by the player that enters
+   */
+
+  Object.entries(this.messages).forEach(function([ event, message ]) {
+
+    if(event === "enter") {
+      return this.npc.on(event, player => this.npc.privateSay(player, this.__format(message, player), CONST.COLOR.YELLOW));
+    }
+
+    this.npc.on(event, player => this.npc.internalCreatureSay(this.__format(message, player), CONST.COLOR.YELLOW));
+
+  }, this);
+
+}
+
+Dialogue.prototype.__compileResponse = function(response) {
+
+  /*
+   * Function Dialogue.__compileResponse
+   * Compiles the keywords of a response to regular expressions and the follow-up responses to a talk state
+   */
+
+  return new Object({
+    "keywords": response.keywords.map(this.__compileKeyword, this),
+    "conditions": response.conditions || new Array(),
+    "say": response.say || null,
+    "actions": response.actions || new Array(),
+    "next": response.responses ? this.__createTalkState(response.responses.map(this.__compileResponse, this)) : null
+  });
+
+}
+
+Dialogue.prototype.__compileKeyword = function(keyword) {
+
+  /*
+   * Function Dialogue.__compileKeyword
+   * Compiles a keyword to a regular expression that matches the entire message: a wildcard matches any text
+   */
+
+  let pattern = keyword.toLowerCase().split(this.WILDCARD).map(part => part.replace(this.REGEXP_SPECIAL, "\\$&")).join(".*");
+
+  return new RegExp("^" + pattern + "$");
+
+}
+
+Dialogue.prototype.__createTalkState = function(responses) {
+
+  /*
+   * Function Dialogue.__createTalkState
+   * Creates the talk state function that answers a list of responses
+   */
+
+  return this.__handleMessage.bind(this, responses);
+
+}
+
+Dialogue.prototype.__handleMessage = function(responses, player, message) {
+
+  /*
+   * Function Dialogue.__handleMessage
+   * Answers a message with the first response that matches its keywords and whose conditions are met
+   */
+
+  let response = responses.find(response => this.__isMatch(response, message) && this.__isAvailable(response, player));
+
+  // Nothing matches a follow-up question: the conversation returns to the base state
+  if(response === undefined) {
+    return this.npc.setTalkState(this.__baseTalkState);
+  }
+
+  if(response.say !== null) {
+    this.npc.internalCreatureSay(this.__format(response.say, player), CONST.COLOR.YELLOW);
+  }
+
+  // Continue with the follow-up responses or go back to the base state
+  this.npc.setTalkState(response.next || this.__baseTalkState);
+
+  response.actions.forEach(action => this.__applyAction(action, player));
+
+}
+
+Dialogue.prototype.__isMatch = function(response, message) {
+
+  /*
+   * Function Dialogue.__isMatch
+   * Returns true if one of the keywords (or synonyms) of a response matches the message
+   */
+
+  return response.keywords.some(keyword => keyword.test(message));
+
+}
+
+Dialogue.prototype.__isAvailable = function(response, player) {
+
+  /*
+   * Function Dialogue.__isAvailable
+   * Returns true if a player meets the conditions of a response, carries the items that the response takes and can learn the spells that it teaches
+   */
+
+  if(!response.conditions.every(condition => this.__isConditionMet(condition, player))) {
+    return false;
+  }
+
+  if(!response.actions.filter(action => action.type === "spell").every(action => player.spellbook.canLearnSpell(action.id))) {
+    return false;
+  }
+
+  return response.actions.filter(action => action.type === "take").every(function(action) {
+    return player.containerManager.equipment.getItemCount(action.id) >= (action.count || 1);
+  });
+
+}
+
+Dialogue.prototype.__isConditionMet = function(condition, player) {
+
+  /*
+   * Function Dialogue.__isConditionMet
+   * Returns true if a player meets a single condition of a response
+   */
+
+  switch(condition.type) {
+    case "level": return this.__isInRange(player.characterStatistics.level, condition);
+    case "item": return player.containerManager.equipment.getItemCount(condition.id) >= (condition.count || 1);
+    case "storage": return this.__isStorageMet(player.storageValues.get(condition.key), condition);
+    default: return false;
+  }
+
+}
+
+Dialogue.prototype.__isStorageMet = function(value, condition) {
+
+  /*
+   * Function Dialogue.__isStorageMet
+   * Returns true if a storage value equals the value of a condition or is within its range (null means nothing is stored)
+   */
+
+  if(condition.hasOwnProperty("value")) {
+    return value === condition.value;
+  }
+
+  return Number.isInteger(value) && this.__isInRange(value, condition);
+
+}
+
+Dialogue.prototype.__isInRange = function(value, condition) {
+
+  /*
+   * Function Dialogue.__isInRange
+   * Returns true if a value is within the optional minimum and maximum of a condition
+   */
+
+  if(condition.hasOwnProperty("min") && value < condition.min) {
+    return false;
+  }
+
+  if(condition.hasOwnProperty("max") && value > condition.max) {
+    return false;
+  }
+
+  return true;
+
+}
+
+Dialogue.prototype.__applyAction = function(action, player) {
+
+  /*
+   * Function Dialogue.__applyAction
+   * Applies a single action of a response to the player
+   */
+
+  switch(action.type) {
+    case "give": return this.__giveItems(player, action.id, action.count || 1);
+    case "take": return player.containerManager.equipment.removeItems(action.id, action.count || 1);
+    case "teleport": return this.__teleport(player, Position.prototype.fromLiteral(action.position));
+    case "storage": return player.storageValues.set(action.key, action.value);
+    case "spell": return player.spellbook.addAvailableSpell(action.id);
+    case "scene": return this.npc.setScene(action.scene);
+    case "trade": return this.npc.openTradeWindow(player);
+  }
+
+}
+
+Dialogue.prototype.__giveItems = function(player, id, count) {
+
+  /*
+   * Function Dialogue.__giveItems
+   * Gives a number of items to the player: items that cannot be carried are dropped on the ground
+   */
+
+  let thing = process.gameServer.database.createThing(id);
+
+  // Stackable items are given as a single stack and others one by one
+  if(thing.isStackable()) {
+    thing.setCount(count);
+  } else if(count > 1) {
+    this.__giveItems(player, id, count - 1);
+  }
+
+  if(player.containerManager.equipment.canPushItem(thing)) {
+    return player.containerManager.equipment.pushItem(thing);
+  }
+
+  process.gameServer.world.addTopThing(player.position, thing);
+
+}
+
+Dialogue.prototype.__teleport = function(player, position) {
+
+  /*
+   * Function Dialogue.__teleport
+   * Teleports the player to a position
+   */
+
+  // End the conversation so that the NPC is not offended when the player disappears
+  this.npc.__resetState();
+
+  if(!process.gameServer.world.teleportCreature(player, position)) {
+    return;
+  }
+
+  process.gameServer.world.sendMagicEffect(player.position, CONST.EFFECT.MAGIC.TELEPORT);
+
+}
+
+Dialogue.prototype.__format = function(message, player) {
+
+  /*
+   * Function Dialogue.__format
+   * Replaces the name placeholder in a message with the name of the player
+   */
+
+  if(player === undefined) {
+    return message;
+  }
+
+  return message.split("{player}").join(player.name);
+
+}
+
+module.exports = Dialogue;
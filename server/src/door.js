@@ -144,8 +144,13 @@ Door.prototype.isHouseDoor = function(player) {
 
 Door.prototype.handleHouseDoor = function(player) {
 
-  if(!player.ownsHouseTile(this.getParent())) {
-    return player.sendCancelMessage("You do not own this house.");
+  /*
+   * Function Door.handleHouseDoor
+   * Handling of house doors that can only be opened by players on the access list of the door or the house
+   */
+
+  if(!player.hasHouseAccess(this.getParent())) {
+    return player.sendCancelMessage("You are not allowed to open this door.");
   }
 
   if(!this.isOpened()) {
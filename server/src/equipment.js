@@ -14,6 +14,9 @@ const Equipment = function(cid, player, equipment) {
    *
    * Equipment.peekIndex(index) - Looks what is equipped at the requested index (see Equipment.SLOTS)
    * Equipment.isAmmunitionEquipped() - Returns true if the correct ammunition is equipped
+   * Equipment.getItemCount(id) - Returns the number of items with an identifier in the backpack (including nested containers)
+   * Equipment.removeItems(id, amount) - Removes a number of items with an identifier from the backpack (including nested containers)
+   * Equipment.addMoney(amount) - Adds an amount of gold to the backpack in the highest possible coins
    *
    */
 
@@ -45,6 +48,13 @@ Equipment.prototype.SLOTS = new Object({
   "QUIVER": 9
 });
 
+// Coins that are used for payments and their value in gold (highest value first)
+Equipment.prototype.COINS = new Array(
+  new Object({"id": 2160, "value": 10000}),
+  new Object({"id": 2152, "value": 100}),
+  new Object({"id": 2148, "value": 1})
+);
+
 Equipment.prototype.getTopParent = function() {
 
   /*
@@ -403,6 +413,84 @@ Equipment.prototype.payWithResource = function(resource, amount) {
 
 }
 
+Equipment.prototype.getItemCount = function(id) {
+
+  /*
+   * Function Equipment.getItemCount
+   * Returns the number of items with an identifier in the backpack and its nested containers (stacks count with their amount)
+   */
+
+  return this.__getBackpackItems(id).reduce((sum, entry) => sum + entry.amount, 0);
+
+}
+
+Equipment.prototype.removeItems = function(id, amount) {
+
+  /*
+   * Function Equipment.removeItems
+   * Removes a number of items with an identifier from the backpack and its nested containers
+   */
+
+  // Guard against not sufficient items
+  if(this.getItemCount(id) < amount) {
+    return false;
+  }
+
+  let remainingAmount = amount;
+
+  this.__getBackpackItems(id).forEach(function(entry) {
+
+    if(remainingAmount === 0) {
+      return;
+    }
+
+    // Take part of the stack or the entire item
+    let count = Math.min(entry.amount, remainingAmount);
+
+    entry.container.removeIndex(entry.index, count).cleanup();
+
+    remainingAmount = remainingAmount - count;
+
+  });
+
+  return true;
+
+}
+
+Equipment.prototype.addMoney = function(amount) {
+
+  /*
+   * Function Equipment.addMoney
+   * Adds an amount of gold to the backpack in the highest possible coins: coins that cannot be carried are dropped on the ground
+   */
+
+  let remainingAmount = amount;
+
+  this.COINS.forEach(function(coin) {
+
+    let count = Math.floor(remainingAmount / coin.value);
+
+    remainingAmount = remainingAmount - count * coin.value;
+
+    // Coins may need multiple stacks
+    while(count > 0) {
+
+      let thing = process.gameServer.database.createThing(coin.id).setCount(count);
+
+      count = count - thing.count;
+
+      if(this.canPushItem(thing)) {
+        this.pushItem(thing);
+      } else {
+        process.gameServer.world.addTopThing(this.__player.position, thing);
+      }
+
+    }
+
+  }, this);
+
+}
+
 Equipment.prototype.canPushItem = function(thing) {
 
   /*
@@ -450,6 +538,62 @@ Equipment.prototype.pushItem = function(thing) {
 
 }
 
+Equipment.prototype.__getBackpackItems = function(id) {
+
+  /*
+   * Function Equipment.__getBackpackItems
+   * Returns the items with an identifier in the backpack and its nested containers with their location
+   */
+
+  let backpack = this.peekIndex(this.SLOTS.BACKPACK);
+
+  if(backpack === null) {
+    return new Array();
+  }
+
+  return this.__collectItems(backpack, id, new Array());
+
+}
+
+Equipment.prototype.__collectItems = function(container, id, entries) {
+
+  /*
+   * Function Equipment.__collectItems
+   * Recursively collects the items with an identifier from a container
+   */
+
+  // The container is frozen and cannot be interacted with
+  if(container.frozen) {
+    return entries;
+  }
+
+  container.container.getSlots().forEach(function(thing, index) {
+
+    if(thing === null) {
+      return;
+    }
+
+    let isContainer = thing.constructor.name === "Container";
+
+    // Containers are only included when they are empty so that their contents cannot be lost
+    if(thing.id === id && (!isContainer || thing.container.getSlots().every(slot => slot === null))) {
+      entries.push(new Object({
+        "container": container,
+        "index": index,
+        "amount": thing.isStackable() ? thing.count : 1
+      }));
+    }
+
+    if(isContainer) {
+      this.__collectItems(thing, id, entries);
+    }
+
+  }, this);
+
+  return entries;
+
+}
+
 Equipment.prototype.getAttributeState = function(attribute) {
 
   /*
@@ -497,7 +641,7 @@ Equipment.prototype.__isRightType = function(item, slot) {
     case this.SLOTS.LEGS: return proto.properties.slotType === "legs";
     case this.SLOTS.BOOTS: return proto.properties.slotType === "feet";
     case this.SLOTS.HAND_RIGHT: return proto.properties.weaponType === "shield";	
-    case this.SLOTS.HAND_LEFT: return proto.properties.weaponType === "sword" || proto.properties.weaponType === "distance";
+    case this.SLOTS.HAND_LEFT: return ["sword", "axe", "club", "distance"].includes(proto.properties.weaponType);
     case this.SLOTS.BACKPACK: return proto.properties.slotType === "backpack";
     case this.SLOTS.NECKLACE: return proto.properties.slotType === "necklace";
     case this.SLOTS.RING: return proto.properties.slotType === "ring";
@@ -0,0 +1,197 @@
+"use strict";
+
+const PacketWriter = require("./packet-writer");
+
+const Frags = function(player, data) {
+
+  /*
+   * Class Frags
+   * Container for the unjustified player kills (frags) of a player and the skull that marks the player for others
+   *
+   * API:
+   *
+   * Frags.getSkull() - Returns the current skull of the player (see Frags.SKULLS)
+   * Frags.hasSkull() - Returns true if the player is marked with a skull and may be attacked without justification
+   * Frags.markAggression() - Marks the player with a white skull after attacking an unmarked player
+   * Frags.addFrag() - Records an unjustified kill and marks the player with a red skull when there are too many
+   * Frags.getFragCount(seconds) - Returns the number of frags within a number of seconds
+   * Frags.cleanup() - Cancels the scheduled expiration of the skull
+   *
+   */
+
+  // Circular reference
+  this.player = player;
+
+  // Characters created before PvP was introduced have no frags
+  if(data === undefined) {
+    data = new Object({ "skull": this.SKULLS.NONE, "skullExpires": null, "frags": new Array() });
+  }
+
+  // Timestamps of the unjustified kills
+  this.__frags = data.frags;
+
+  this.__skull = this.SKULLS.NONE;
+  this.__skullExpires = null;
+  this.__skullEvent = null;
+
+  // Restore the skull that has not expired while the player was offline
+  if(data.skull !== this.SKULLS.NONE && data.skullExpires > Date.now()) {
+    this.__setSkull(data.skull, data.skullExpires);
+  }
+
+}
+
+Frags.prototype.SKULLS = new Object({
+  "NONE": 0,
+  "WHITE": 1,
+  "RED": 2
+});
+
+// Windows in seconds in which frags are counted towards a red skull
+Frags.prototype.WINDOWS = new Object({
+  "DAY": 24 * 60 * 60,
+  "WEEK": 7 * 24 * 60 * 60,
+  "MONTH": 30 * 24 * 60 * 60
+});
+
+Frags.prototype.getSkull = function() {
+
+  /*
+   * Function Frags.getSkull
+   * Returns the current skull of the player
+   */
+
+  return this.__skull;
+
+}
+
+Frags.prototype.hasSkull = function() {
+
+  /*
+   * Function Frags.hasSkull
+   * Returns true if the player is marked with a skull
+   */
+
+  return this.__skull !== this.SKULLS.NONE;
+
+}
+
+Frags.prototype.markAggression = function() {
+
+  /*
+   * Function Frags.markAggression
+   * Marks the player with a white skull after attacking an unmarked player: a red skull is never replaced
+   */
+
+  if(this.__skull === this.SKULLS.RED) {
+    return;
+  }
+
+  this.__setSkull(this.SKULLS.WHITE, Date.now() + 1000 * CONFIG.WORLD.PVP.WHITE_SKULL_SECONDS);
+
+}
+
+Frags.prototype.addFrag = function() {
+
+  /*
+   * Function Frags.addFrag
+   * Records an unjustified kill and marks the player with a red skull when the frags exceed a limit in any window
+   */
+
+  this.__frags.push(Date.now());
+
+  // Frags older than the largest window are no longer relevant
+  this.__frags = this.__frags.filter(time => time > Date.now() - 1000 * this.WINDOWS.MONTH);
+
+  let exceeded = Object.entries(CONFIG.WORLD.PVP.RED_SKULL_FRAGS).some(function([ window, limit ]) {
+    return this.getFragCount(this.WINDOWS[window]) >= limit;
+  }, this);
+
+  if(exceeded) {
+    return this.__setSkull(this.SKULLS.RED, Date.now() + 1000 * CONFIG.WORLD.PVP.RED_SKULL_SECONDS);
+  }
+
+  this.markAggression();
+
+}
+
+Frags.prototype.getFragCount = function(seconds) {
+
+  /*
+   * Function Frags.getFragCount
+   * Returns the number of unjustified kills within a number of seconds
+   */
+
+  return this.__frags.filter(time => time > Date.now() - 1000 * seconds).length;
+
+}
+
+Frags.prototype.cleanup = function() {
+
+  /*
+   * Function Frags.cleanup
+   * Cancels the scheduled expiration of the skull when the player logs out
+   */
+
+  if(this.__skullEvent !== null) {
+    this.__skullEvent.cancel();
+    this.__skullEvent = null;
+  }
+
+}
+
+Frags.prototype.toJSON = function() {
+
+  /*
+   * Function Frags.toJSON
+   * Serializes the frags and skull to be saved to JSON
+   */
+
+  return new Object({
+    "skull": this.__skull,
+    "skullExpires": this.__skullExpires,
+    "frags": this.__frags
+  });
+
+}
+
+Frags.prototype.__setSkull = function(skull, expires) {
+
+  /*
+   * Function Frags.__setSkull
+   * Sets the skull of the player until a timestamp and informs all spectators
+   */
+
+  this.cleanup();
+
+  let changed = this.__skull !== skull;
+
+  this.__skull = skull;
+  this.__skullExpires = expires;
+
+  // Schedule the removal of the skull
+  if(skull !== this.SKULLS.NONE) {
+    this.__skullEvent = process.gameServer.world.eventQueue.addEvent(this.__expireSkull.bind(this), Math.ceil((expires - Date.now()) / CONFIG.SERVER.MS_TICK_INTERVAL));
+  }
+
+  // Refreshing the same skull does not need to be written
+  if(changed) {
+    this.player.broadcast(new PacketWriter(PacketWriter.prototype.opcodes.CREATURE_SKULL).writeCreatureSkull(this.player.guid, skull));
+  }
+
+}
+
+Frags.prototype.__expireSkull = function() {
+
+  /*
+   * Function Frags.__expireSkull
+   * Callback fired when the skull of the player expires
+   */
+
+  this.__skullEvent = null;
+
+  this.__setSkull(this.SKULLS.NONE, null);
+
+}
+
+module.exports = Frags;
@@ -91,6 +91,7 @@ GameLoop.prototype.__estimateNextTimeout = function() {
 
   // Save to average the loop execution time for logging
   this.logger.__gameLoopExecutionTime += gameLoopExecutionTime;
+  process.gameServer.metrics.addLoopExecutionTime(gameLoopExecutionTime);
 
   // Calculate the timeout for the next tick to keep as close as possible to the tick interval, including potential drift and execution
   return this.__interval - this.__drift - gameLoopExecutionTime;
@@ -1,10 +1,13 @@
 "use strict";
 
 const Database = require("./database");
+const DataWatcher = require("./data-watcher");
 const GameLoop = require("./gameloop");
 const HTTPServer = require("./http-server");
 const PacketWriter = require("./packet-writer");
 const IPCSocket = require("./ipcsocket");
+const ServerMetrics = require("./server-metrics");
+const Storage = require("./storage");
 const fs = require("fs");
 
 const GameServer = function() {
@@ -32,6 +35,9 @@ const GameServer = function() {
   // Connect to the information database that keeps all the server data
   this.database = new Database();
 
+  // Internal server parameters that are exposed over the IPC API and logged
+  this.metrics = new ServerMetrics();
+
   // Create the game loop with a callback function
   this.gameLoop = new GameLoop(CONFIG.SERVER.MS_TICK_INTERVAL, this.loop.bind(this));
 
@@ -41,6 +47,9 @@ const GameServer = function() {
 
   this.ipcsocket = new IPCSocket();
 
+  // Optionally reloads the data definitions when they are changed on disk
+  this.dataWatcher = null;
+
 }
 
 GameServer.prototype.loop = function() {
@@ -67,21 +76,42 @@ GameServer.prototype.loop = function() {
 
 }
 
-GameServer.prototype.initialize = function() {
+GameServer.prototype.initialize = function(callback) {
 
   /*
    * Function GameServer.initialize
-   * Initializes the game server and starts the internal game loop
+   * Initializes the game server and starts the internal game loop: the optional callback is called when the world is loaded
    */
 
   // When the server was started
   this.__initialized = Date.now();
 
-  // Database
-  this.database.initialize();
+  // The saved state of the houses is needed before the world is loaded
+  Storage.open().loadHouses(function(error, savedHouses) {
+
+    if(error) {
+      console.error("Could not load the houses from the storage.", error);
+      return process.exit(1);
+    }
+
+    // Database
+    this.database.initialize(savedHouses);
+
+    // Guilds are persisted next to the characters in the storage
+    this.world.guildManager.load();
 
-  // Start the gameloop
-  this.gameLoop.initialize();
+    if(CONFIG.DATA.WATCH) {
+      this.dataWatcher = new DataWatcher();
+    }
+
+    // Start the gameloop
+    this.gameLoop.initialize();
+
+    if(callback) {
+      callback();
+    }
+
+  }.bind(this));
 
 }
 
@@ -107,6 +137,11 @@ GameServer.prototype.shutdown = function() {
   console.log("Server is closing now: disconnecting all clients.");
 
   this.database.saveHouses();
+  this.database.worldState.saveSync();
+
+  if(this.dataWatcher !== null) {
+    this.dataWatcher.close();
+  }
 
   // Close
   this.server.close();
@@ -1,6 +1,7 @@
 "use strict";
 
 const PacketBuffer = require("./packet-buffer");
+const PacketLimiter = require("./packet-limiter");
 const PacketWriter = require("./packet-writer");
 
 const GameSocket = function(socket) {
@@ -25,10 +26,17 @@ const GameSocket = function(socket) {
   // State variable to kick inactive sockets that no longer respond
   this.__alive = true;
 
+  // Round trip time of the last answered ping
+  this.__pingSent = null;
+  this.__latency = null;
+
   // Buffer incoming & outgoing messages are read and send once per server tick
   this.incomingBuffer = new PacketBuffer();
   this.outgoingBuffer = new PacketBuffer();
 
+  // The server rejects clients that send more packets than a player can
+  this.packetLimiter = new PacketLimiter(this);
+
 }
 
 GameSocket.prototype.getLastPacketReceived = function() {
@@ -74,11 +82,38 @@ GameSocket.prototype.ping = function() {
 
   // Set to not being alive: will be set to alive after receiving the pong
   this.__alive = false;
+  this.__pingSent = Date.now();
 
   this.socket.ping();
 
 }
 
+GameSocket.prototype.handlePong = function() {
+
+  /*
+   * Function GameSocket.handlePong
+   * Marks the gamesocket as alive after it answered the ping and measures the round trip time
+   */
+
+  this.__alive = true;
+
+  if(this.__pingSent !== null) {
+    this.__latency = Date.now() - this.__pingSent;
+  }
+
+}
+
+GameSocket.prototype.getLatency = function() {
+
+  /*
+   * Function GameSocket.getLatency
+   * Returns the round trip time of the last answered ping in milliseconds or null when no ping was answered
+   */
+
+  return this.__latency;
+
+}
+
 GameSocket.prototype.getAddress = function() {
 
   /*
@@ -0,0 +1,463 @@
+"use strict";
+
+const Storage = require("./storage");
+const Guild = require("./guild");
+
+const GuildManager = function() {
+
+  /*
+   * Class GuildManager
+   * Container for all guilds in the world: guilds and their members are persisted in the storage next to the characters
+   *
+   * API:
+   *
+   * GuildManager.load() - Loads all guilds and their members from the database
+   * GuildManager.getGuild(name) - Returns the guild that a player is a member of or null
+   * GuildManager.createGuild(player, name) - Creates a new guild with the player as its leader
+   * GuildManager.invite(player, name) - Invites an online player to the guild of the player
+   * GuildManager.join(player, name) - Joins the guild with a name that the player was invited to
+   * GuildManager.leave(player) - Leaves the guild of the player
+   * GuildManager.kick(player, name) - Removes a member with a lower rank from the guild
+   * GuildManager.promote(player, name) - Promotes a member: promoting a vice-leader passes the leadership
+   * GuildManager.demote(player, name) - Demotes a vice-leader to a member
+   * GuildManager.setRankTitle(player, rank, title) - Changes the custom title of a rank
+   * GuildManager.disband(player) - Disbands the guild that the player leads
+   *
+   */
+
+  // Guilds referenced by their lowercase name
+  this.__guilds = new Map();
+
+  // Guilds referenced by the names of their members
+  this.__memberGuilds = new Map();
+
+}
+
+// Guild names and rank titles must be words separated by single spaces
+GuildManager.prototype.NAME_PATTERN = /^[a-z]+( [a-z]+)*$/i;
+GuildManager.prototype.TITLE_PATTERN = /^[a-z-]+( [a-z-]+)*$/i;
+GuildManager.prototype.MIN_NAME_LENGTH = 3;
+GuildManager.prototype.MAX_NAME_LENGTH = 20;
+
+GuildManager.prototype.load = function() {
+
+  /*
+   * Function GuildManager.load
+   * Loads all guilds and their members from the database
+   */
+
+  Storage.open().loadGuilds(function(error, rows) {
+
+    if(error) {
+      return console.error("Could not load the guilds from the database.", error);
+    }
+
+    rows.forEach(function(row) {
+
+      let guild = new Guild(row.name, row.ranks);
+
+      this.__guilds.set(guild.name.toLowerCase(), guild);
+
+      // The database stores lowercase character names
+      row.members.forEach(member => this.__addMember(guild, member.name.capitalize(), member.rank));
+
+    }, this);
+
+    console.log("Loaded [[ %s ]] guilds.".format(rows.length));
+
+  }.bind(this));
+
+}
+
+GuildManager.prototype.getGuild = function(name) {
+
+  /*
+   * Function GuildManager.getGuild
+   * Returns the guild that a player with a name is a member of or null
+   */
+
+  if(!this.__memberGuilds.has(name)) {
+    return null;
+  }
+
+  return this.__memberGuilds.get(name);
+
+}
+
+GuildManager.prototype.createGuild = function(player, name) {
+
+  /*
+   * Function GuildManager.createGuild
+   * Creates a new guild with the player as its leader
+   */
+
+  if(this.getGuild(player.name) !== null) {
+    return player.sendCancelMessage("You are already a member of a guild.");
+  }
+
+  if(!this.__isValidName(name, this.NAME_PATTERN)) {
+    return player.sendCancelMessage("A guild name must be between %s and %s letters long.".format(this.MIN_NAME_LENGTH, this.MAX_NAME_LENGTH));
+  }
+
+  if(this.__guilds.has(name.toLowerCase())) {
+    return player.sendCancelMessage("A guild with this name already exists.");
+  }
+
+  let guild = new Guild(name);
+
+  this.__guilds.set(name.toLowerCase(), guild);
+  this.__addMember(guild, player.name, guild.RANKS.LEADER);
+
+  Storage.open().insertGuild(guild.name, guild.ranks, player.name.toLowerCase(), guild.RANKS.LEADER, this.__handleDatabaseError.bind(this, guild.name));
+
+  player.sendCancelMessage("You have founded the guild %s.".format(guild.name));
+
+}
+
+GuildManager.prototype.invite = function(player, name) {
+
+  /*
+   * Function GuildManager.invite
+   * Invites an online player to the guild of the player: only leaders and vice-leaders may invite
+   */
+
+  let guild = this.__getManagedGuild(player, Guild.prototype.RANKS.VICE_LEADER);
+
+  if(guild === null) {
+    return;
+  }
+
+  let gameSocket = process.gameServer.world.getGameSocketByName(name);
+
+  if(gameSocket === null) {
+    return player.sendCancelMessage("A player with this name is not online.");
+  }
+
+  let target = gameSocket.player;
+
+  if(this.getGuild(target.name) !== null) {
+    return player.sendCancelMessage("%s is already a member of a guild.".format(target.name));
+  }
+
+  guild.invite(target.name);
+
+  player.sendCancelMessage("You have invited %s to the guild.".format(target.name));
+  target.sendCancelMessage("%s has invited you to the guild %s. Say /guild join %s to accept.".format(player.name, guild.name, guild.name));
+
+}
+
+GuildManager.prototype.join = function(player, name) {
+
+  /*
+   * Function GuildManager.join
+   * Joins the guild with a name when the player has been invited to it
+   */
+
+  if(this.getGuild(player.name) !== null) {
+    return player.sendCancelMessage("You are already a member of a guild.");
+  }
+
+  let guild = this.__guilds.get(name.toLowerCase());
+
+  if(guild === undefined || !guild.isInvited(player.name)) {
+    return player.sendCancelMessage("You have not been invited to this guild.");
+  }
+
+  this.__addMember(guild, player.name, guild.RANKS.MEMBER);
+  this.__saveMember(guild, player.name);
+
+  this.__broadcast(guild, "%s has joined the guild.".format(player.name));
+
+}
+
+GuildManager.prototype.leave = function(player) {
+
+  /*
+   * Function GuildManager.leave
+   * Leaves the guild of the player: a leader can only leave when no other members remain
+   */
+
+  let guild = this.getGuild(player.name);
+
+  if(guild === null) {
+    return player.sendCancelMessage("You are not a member of a guild.");
+  }
+
+  if(guild.getRank(player.name) === guild.RANKS.LEADER) {
+
+    // The last member disbands the guild by leaving
+    if(guild.getMembers().length === 1) {
+      return this.disband(player);
+    }
+
+    return player.sendCancelMessage("You must pass the leadership or disband the guild before leaving.");
+
+  }
+
+  this.__removeMember(guild, player.name);
+  this.__broadcast(guild, "%s has left the guild.".format(player.name));
+
+  player.sendCancelMessage("You have left the guild %s.".format(guild.name));
+
+}
+
+GuildManager.prototype.kick = function(player, name) {
+
+  /*
+   * Function GuildManager.kick
+   * Removes a member from the guild: only members with a lower rank can be kicked
+   */
+
+  let guild = this.__getManagedGuild(player, Guild.prototype.RANKS.VICE_LEADER);
+
+  if(guild === null) {
+    return;
+  }
+
+  // Members may be kicked while they are offline
+  name = name.capitalize();
+
+  if(!guild.hasMember(name)) {
+    return player.sendCancelMessage("%s is not a member of your guild.".format(name));
+  }
+
+  if(guild.getRank(name) >= guild.getRank(player.name)) {
+    return player.sendCancelMessage("You may only kick members with a lower rank.");
+  }
+
+  this.__removeMember(guild, name);
+  this.__broadcast(guild, "%s has been kicked from the guild by %s.".format(name, player.name));
+
+  let gameSocket = process.gameServer.world.getGameSocketByName(name);
+
+  if(gameSocket !== null) {
+    gameSocket.player.sendCancelMessage("You have been kicked from the guild %s.".format(guild.name));
+  }
+
+}
+
+GuildManager.prototype.promote = function(player, name) {
+
+  /*
+   * Function GuildManager.promote
+   * Promotes a member to vice-leader or passes the leadership to a vice-leader
+   */
+
+  let guild = this.__getManagedGuild(player, Guild.prototype.RANKS.LEADER);
+
+  if(guild === null) {
+    return;
+  }
+
+  name = name.capitalize();
+
+  if(name === player.name || !guild.hasMember(name)) {
+    return player.sendCancelMessage("%s is not a member of your guild.".format(name));
+  }
+
+  // Promoting a vice-leader passes the leadership and demotes the current leader
+  if(guild.getRank(name) === guild.RANKS.VICE_LEADER) {
+    this.__setRank(guild, player.name, guild.RANKS.VICE_LEADER);
+  }
+
+  this.__setRank(guild, name, guild.getRank(name) + 1);
+
+  this.__broadcast(guild, "%s has been promoted to %s.".format(name, guild.getRankTitle(name)));
+
+}
+
+GuildManager.prototype.demote = function(player, name) {
+
+  /*
+   * Function GuildManager.demote
+   * Demotes a vice-leader to a regular member
+   */
+
+  let guild = this.__getManagedGuild(player, Guild.prototype.RANKS.LEADER);
+
+  if(guild === null) {
+    return;
+  }
+
+  name = name.capitalize();
+
+  if(guild.getRank(name) !== guild.RANKS.VICE_LEADER) {
+    return player.sendCancelMessage("Only vice-leaders can be demoted.");
+  }
+
+  this.__setRank(guild, name, guild.RANKS.MEMBER);
+
+  this.__broadcast(guild, "%s has been demoted to %s.".format(name, guild.getRankTitle(name)));
+
+}
+
+GuildManager.prototype.setRankTitle = function(player, rank, title) {
+
+  /*
+   * Function GuildManager.setRankTitle
+   * Changes the custom title of one of the ranks of the guild
+   */
+
+  let guild = this.__getManagedGuild(player, Guild.prototype.RANKS.LEADER);
+
+  if(guild === null) {
+    return;
+  }
+
+  if(!this.__isValidName(title, this.TITLE_PATTERN)) {
+    return player.sendCancelMessage("A rank title must be between %s and %s letters long.".format(this.MIN_NAME_LENGTH, this.MAX_NAME_LENGTH));
+  }
+
+  guild.setRankTitle(rank, title);
+
+  Storage.open().updateGuildRanks(guild.name, guild.ranks, this.__handleDatabaseError.bind(this, guild.name));
+
+  this.__broadcast(guild, "The rank %s has been renamed to %s.".format(guild.DEFAULT_RANK_TITLES[rank].toLowerCase(), title));
+
+}
+
+GuildManager.prototype.disband = function(player) {
+
+  /*
+   * Function GuildManager.disband
+   * Disbands the guild that the player leads and removes all its members
+   */
+
+  let guild = this.__getManagedGuild(player, Guild.prototype.RANKS.LEADER);
+
+  if(guild === null) {
+    return;
+  }
+
+  this.__broadcast(guild, "The guild %s has been disbanded.".format(guild.name));
+
+  guild.getMembers().forEach(name => this.__removeMember(guild, name, false));
+
+  this.__guilds.delete(guild.name.toLowerCase());
+
+  // Deleting the guild also deletes its members from the database
+  Storage.open().deleteGuild(guild.name, this.__handleDatabaseError.bind(this, guild.name));
+
+}
+
+GuildManager.prototype.__getManagedGuild = function(player, rank) {
+
+  /*
+   * Function GuildManager.__getManagedGuild
+   * Returns the guild of a player when the player has at least the required rank or null
+   */
+
+  let guild = this.getGuild(player.name);
+
+  if(guild === null) {
+    player.sendCancelMessage("You are not a member of a guild.");
+    return null;
+  }
+
+  if(guild.getRank(player.name) < rank) {
+    player.sendCancelMessage("You do not have the required rank in your guild.");
+    return null;
+  }
+
+  return guild;
+
+}
+
+GuildManager.prototype.__addMember = function(guild, name, rank) {
+
+  /*
+   * Function GuildManager.__addMember
+   * Adds a member to a guild and references the guild by the member name
+   */
+
+  guild.setMember(name, rank);
+
+  this.__memberGuilds.set(name, guild);
+
+}
+
+GuildManager.prototype.__removeMember = function(guild, name, persist) {
+
+  /*
+   * Function GuildManager.__removeMember
+   * Removes a member from a guild and closes the guild channel for the member when online
+   */
+
+  guild.removeMember(name);
+
+  this.__memberGuilds.delete(name);
+
+  let gameSocket = process.gameServer.world.getGameSocketByName(name);
+
+  if(gameSocket !== null) {
+    process.gameServer.world.channelManager.leaveChannel(gameSocket.player, process.gameServer.world.channelManager.CHANNELS.GUILD);
+  }
+
+  if(persist === false) {
+    return;
+  }
+
+  Storage.open().deleteGuildMember(name.toLowerCase(), this.__handleDatabaseError.bind(this, guild.name));
+
+}
+
+GuildManager.prototype.__setRank = function(guild, name, rank) {
+
+  /*
+   * Function GuildManager.__setRank
+   * Changes the rank of a member and saves it
+   */
+
+  guild.setMember(name, rank);
+
+  this.__saveMember(guild, name);
+
+}
+
+GuildManager.prototype.__saveMember = function(guild, name) {
+
+  /*
+   * Function GuildManager.__saveMember
+   * Saves the membership and rank of a member to the database
+   */
+
+  Storage.open().saveGuildMember(name.toLowerCase(), guild.name, guild.getRank(name), this.__handleDatabaseError.bind(this, guild.name));
+
+}
+
+GuildManager.prototype.__broadcast = function(guild, message) {
+
+  /*
+   * Function GuildManager.__broadcast
+   * Informs all online members of the guild
+   */
+
+  guild.getOnlineMembers().forEach(member => member.sendCancelMessage(message));
+
+}
+
+GuildManager.prototype.__isValidName = function(name, pattern) {
+
+  /*
+   * Function GuildManager.__isValidName
+   * Returns true if a guild name or rank title is valid
+   */
+
+  return name.length >= this.MIN_NAME_LENGTH && name.length <= this.MAX_NAME_LENGTH && pattern.test(name);
+
+}
+
+GuildManager.prototype.__handleDatabaseError = function(name, error) {
+
+  /*
+   * Function GuildManager.__handleDatabaseError
+   * Callback for database writes: the guilds in memory remain leading
+   */
+
+  if(error) {
+    console.error("Could not save guild %s to the database.".format(name), error);
+  }
+
+}
+
+module.exports = GuildManager;
@@ -0,0 +1,162 @@
+"use strict";
+
+const Guild = function(name, ranks) {
+
+  /*
+   * Class Guild
+   * Container for a guild with its members, their ranks and the custom titles of those ranks
+   *
+   * API:
+   *
+   * Guild.hasMember(name) - Returns true if a player with the name is a member of the guild
+   * Guild.getRank(name) - Returns the rank of a member (see Guild.RANKS)
+   * Guild.getRankTitle(name) - Returns the custom title of the rank of a member
+   * Guild.setMember(name, rank) - Adds a member to the guild or changes the rank of a member
+   * Guild.removeMember(name) - Removes a member from the guild
+   * Guild.getMembers() - Returns the names of all members
+   * Guild.getOnlineMembers() - Returns all members that are currently online
+   * Guild.invite(name) - Invites a player to join the guild
+   * Guild.isInvited(name) - Returns true if the player has been invited to the guild
+   * Guild.setRankTitle(rank, title) - Sets the custom title of a rank
+   *
+   */
+
+  this.name = name;
+
+  // Custom titles of the ranks: indexed by rank
+  this.ranks = ranks || this.DEFAULT_RANK_TITLES.slice();
+
+  // Map of member names to their rank
+  this.__members = new Map();
+
+  // Invitations are not persisted and expire on server restart
+  this.__invitations = new Set();
+
+}
+
+Guild.prototype.RANKS = new Object({
+  "MEMBER": 0,
+  "VICE_LEADER": 1,
+  "LEADER": 2
+});
+
+Guild.prototype.DEFAULT_RANK_TITLES = new Array("Member", "Vice-Leader", "Leader");
+
+Guild.prototype.hasMember = function(name) {
+
+  /*
+   * Function Guild.hasMember
+   * Returns true if a player with the name is a member of the guild
+   */
+
+  return this.__members.has(name);
+
+}
+
+Guild.prototype.getRank = function(name) {
+
+  /*
+   * Function Guild.getRank
+   * Returns the rank of a member or null when the player is not a member
+   */
+
+  if(!this.hasMember(name)) {
+    return null;
+  }
+
+  return this.__members.get(name);
+
+}
+
+Guild.prototype.getRankTitle = function(name) {
+
+  /*
+   * Function Guild.getRankTitle
+   * Returns the custom title of the rank of a member
+   */
+
+  return this.ranks[this.getRank(name)];
+
+}
+
+Guild.prototype.setMember = function(name, rank) {
+
+  /*
+   * Function Guild.setMember
+   * Adds a member to the guild or changes the rank of an existing member
+   */
+
+  this.__invitations.delete(name);
+  this.__members.set(name, rank);
+
+}
+
+Guild.prototype.removeMember = function(name) {
+
+  /*
+   * Function Guild.removeMember
+   * Removes a member from the guild
+   */
+
+  this.__members.delete(name);
+
+}
+
+Guild.prototype.getMembers = function() {
+
+  /*
+   * Function Guild.getMembers
+   * Returns the names of all the members of the guild
+   */
+
+  return Array.from(this.__members.keys());
+
+}
+
+Guild.prototype.getOnlineMembers = function() {
+
+  /*
+   * Function Guild.getOnlineMembers
+   * Returns the players of all members that are currently online
+   */
+
+  return this.getMembers().map(function(name) {
+    return process.gameServer.world.getGameSocketByName(name);
+  }).filter(gameSocket => gameSocket !== null).map(gameSocket => gameSocket.player);
+
+}
+
+Guild.prototype.invite = function(name) {
+
+  /*
+   * Function Guild.invite
+   * Invites a player to join the guild
+   */
+
+  this.__invitations.add(name);
+
+}
+
+Guild.prototype.isInvited = function(name) {
+
+  /*
+   * Function Guild.isInvited
+   * Returns true if the player has been invited to join the guild
+   */
+
+  return this.__invitations.has(name);
+
+}
+
+Guild.prototype.setRankTitle = function(rank, title) {
+
+  /*
+   * Function Guild.setRankTitle
+   * Sets the custom title of one of the ranks
+   */
+
+  this.ranks[rank] = title;
+
+}
+
+module.exports = Guild;
@@ -0,0 +1,555 @@
+"use strict";
+
+const ContainerManager = require("./container-manager");
+const DepotContainer = require("./depot");
+
+const HouseManager = function() {
+
+  /*
+   * Class HouseManager
+   * Container for the house auctions, the rent that is charged from the depot of house owners and the access lists of houses
+   *
+   * API:
+   *
+   * HouseManager.tick() - Closes finished auctions and charges the rent of houses that are due
+   * HouseManager.getHouseByName(name) - Returns the house with a name or null
+   * HouseManager.getHouseByOwner(name) - Returns the house owned by a player or null
+   * HouseManager.listAuctions(player) - Informs the player of all houses that are up for auction
+   * HouseManager.bid(player, amount, name) - Places a bid in gold from the depot of the player on a house
+   * HouseManager.listAccess(player) - Informs the player of the guests and sub-owners of the house the player is in
+   * HouseManager.setGuest(player, name, allowed) - Invites or uninvites a guest to the house the player is in
+   * HouseManager.setSubOwner(player, name, allowed) - Adds or removes a sub-owner of the house the player is in
+   * HouseManager.setDoorAccess(player, name, allowed) - Changes the access list of the house door the player is facing
+   *
+   */
+
+  // Houses waiting for the (asynchronous) payment of their rent
+  this.__pendingRent = new Set();
+
+  // Houses with a bid that is being saved to the storage
+  this.__pendingBids = new Set();
+
+}
+
+// Character names consist of lowercase letters only
+HouseManager.prototype.NAME_PATTERN = /^[a-z]+$/i;
+
+HouseManager.prototype.tick = function() {
+
+  /*
+   * Function HouseManager.tick
+   * Closes finished auctions and charges the rent of houses that are due: called on every minute of the world clock
+   */
+
+  let now = Date.now();
+
+  process.gameServer.database.houses.forEach(function(house) {
+
+    // The auction may not close while its highest bid is being saved
+    if(this.__pendingBids.has(house.id)) {
+      return;
+    }
+
+    if(house.isAuctioned()) {
+      if(house.auction.ends <= now) {
+        this.__closeAuction(house);
+      }
+      return;
+    }
+
+    if(!house.hasOwner() || this.__pendingRent.has(house.id)) {
+      return;
+    }
+
+    // Houses saved before rent was charged start their first rent period
+    if(house.paidUntil === null) {
+      house.paidUntil = now + 1000 * CONFIG.WORLD.HOUSES.RENT_PERIOD_SECONDS;
+      return;
+    }
+
+    if(house.paidUntil <= now) {
+      this.__chargeRent(house);
+    }
+
+  }, this);
+
+}
+
+HouseManager.prototype.getHouseByName = function(name) {
+
+  /*
+   * Function HouseManager.getHouseByName
+   * Returns the house with a name (case insensitive) or null
+   */
+
+  for(let house of process.gameServer.database.houses.values()) {
+    if(house.name.toLowerCase() === name.toLowerCase()) {
+      return house;
+    }
+  }
+
+  return null;
+
+}
+
+HouseManager.prototype.getHouseByOwner = function(name) {
+
+  /*
+   * Function HouseManager.getHouseByOwner
+   * Returns the house owned by a player with a name or null
+   */
+
+  for(let house of process.gameServer.database.houses.values()) {
+    if(house.owner === name) {
+      return house;
+    }
+  }
+
+  return null;
+
+}
+
+HouseManager.prototype.listAuctions = function(player) {
+
+  /*
+   * Function HouseManager.listAuctions
+   * Informs the player of all houses without an owner and their current bid
+   */
+
+  let houses = Array.from(process.gameServer.database.houses.values()).filter(house => !house.hasOwner());
+
+  if(houses.length === 0) {
+    return player.sendCancelMessage("There are no houses up for auction.");
+  }
+
+  houses.forEach(function(house) {
+
+    if(!house.isAuctioned()) {
+      return player.sendCancelMessage("%s: no bids yet, the minimum bid is %s gold.".format(house.name, house.rent));
+    }
+
+    let hours = Math.ceil((house.auction.ends - Date.now()) / (60 * 60 * 1000));
+
+    player.sendCancelMessage("%s: the highest bid is %s gold and the auction ends in %s hours.".format(house.name, house.auction.bid, hours));
+
+  });
+
+}
+
+HouseManager.prototype.bid = function(player, amount, name) {
+
+  /*
+   * Function HouseManager.bid
+   * Places a bid on a house: the gold is taken from the depot and returned when the player is outbid
+   */
+
+  let house = this.getHouseByName(name);
+
+  if(house === null) {
+    return player.sendCancelMessage("A house with this name does not exist.");
+  }
+
+  if(house.hasOwner()) {
+    return player.sendCancelMessage("This house is not up for auction.");
+  }
+
+  if(this.__pendingBids.has(house.id)) {
+    return player.sendCancelMessage("Another bid on this house is being placed. Try again in a moment.");
+  }
+
+  if(this.getHouseByOwner(player.name) !== null) {
+    return player.sendCancelMessage("You already own a house.");
+  }
+
+  // A player can only be the highest bidder of a single house
+  if(this.__getHighestBid(player.name) !== null && this.__getHighestBid(player.name) !== house) {
+    return player.sendCancelMessage("You are already the highest bidder on another house.");
+  }
+
+  // The first bid must cover the first rent and every next bid must be higher
+  let minimum = house.isAuctioned() ? house.auction.bid + 1 : house.rent;
+
+  if(amount < minimum) {
+    return player.sendCancelMessage("Your bid must be at least %s gold.".format(minimum));
+  }
+
+  let isHighestBidder = house.isAuctioned() && house.auction.bidder === player.name;
+
+  // Raising your own bid only takes the difference
+  let price = isHighestBidder ? amount - house.auction.bid : amount;
+
+  let depot = player.containerManager.depot;
+
+  if(depot.getMoney() < price) {
+    return player.sendCancelMessage("You do not have enough gold in your depot.");
+  }
+
+  let previous = house.auction;
+
+  depot.removeMoney(price).forEach(thing => player.containerManager.inbox.addThing(thing));
+
+  house.auction = new Object({
+    "bidder": player.name,
+    "bid": amount,
+    "ends": house.isAuctioned() ? house.auction.ends : Date.now() + 1000 * CONFIG.WORLD.HOUSES.AUCTION_SECONDS
+  });
+
+  this.__saveBid(player, house, previous, price);
+
+}
+
+HouseManager.prototype.listAccess = function(player) {
+
+  /*
+   * Function HouseManager.listAccess
+   * Informs the player of the guests and sub-owners of the house the player is in
+   */
+
+  let house = this.__getManagedHouse(player);
+
+  if(house === null) {
+    return;
+  }
+
+  player.sendCancelMessage("Guests of %s: %s.".format(house.name, house.invited.join(", ") || "none"));
+  player.sendCancelMessage("Sub-owners of %s: %s.".format(house.name, house.subOwners.join(", ") || "none"));
+
+}
+
+HouseManager.prototype.setGuest = function(player, name, allowed) {
+
+  /*
+   * Function HouseManager.setGuest
+   * Invites or uninvites a guest to the house the player is in: owners and sub-owners manage the guests
+   */
+
+  let house = this.__getManagedHouse(player);
+
+  if(house === null || !this.__isValidName(player, name)) {
+    return;
+  }
+
+  house.setGuest(name.capitalize(), allowed);
+  house.evictUninvited();
+
+  player.sendCancelMessage("%s has been %s the guest list of %s.".format(name.capitalize(), allowed ? "added to" : "removed from", house.name));
+
+}
+
+HouseManager.prototype.setSubOwner = function(player, name, allowed) {
+
+  /*
+   * Function HouseManager.setSubOwner
+   * Adds or removes a sub-owner of the house the player is in: only the owner manages the sub-owners
+   */
+
+  let house = this.__getManagedHouse(player);
+
+  if(house === null || !this.__isValidName(player, name)) {
+    return;
+  }
+
+  if(house.owner !== player.name) {
+    return player.sendCancelMessage("Only the owner of the house can change the sub-owners.");
+  }
+
+  house.setSubOwner(name.capitalize(), allowed);
+  house.evictUninvited();
+
+  player.sendCancelMessage("%s has been %s the sub-owner list of %s.".format(name.capitalize(), allowed ? "added to" : "removed from", house.name));
+
+}
+
+HouseManager.prototype.setDoorAccess = function(player, name, allowed) {
+
+  /*
+   * Function HouseManager.setDoorAccess
+   * Changes the access list of the house door that the player is facing
+   */
+
+  let house = this.__getManagedHouse(player);
+
+  if(house === null || !this.__isValidName(player, name)) {
+    return;
+  }
+
+  let tile = process.gameServer.world.getTileFromWorldPosition(player.getFacePosition());
+
+  // The door must belong to the same house
+  if(tile === null || tile.house !== house || tile.getTopItem() === null || !tile.getTopItem().isDoor()) {
+    return player.sendCancelMessage("You must face a door of your house.");
+  }
+
+  house.setDoorAccess(tile.position, name.capitalize(), allowed);
+  house.evictUninvited();
+
+  player.sendCancelMessage("%s has been %s the access list of this door.".format(name.capitalize(), allowed ? "added to" : "removed from"));
+
+}
+
+HouseManager.prototype.__getManagedHouse = function(player) {
+
+  /*
+   * Function HouseManager.__getManagedHouse
+   * Returns the house the player is in when the player is its owner or a sub-owner or null
+   */
+
+  let tile = process.gameServer.world.getTileFromWorldPosition(player.position);
+
+  if(tile === null || !tile.isHouseTile() || !tile.house.canManageAccess(player.name)) {
+    player.sendCancelMessage("You must be inside a house you own or are a sub-owner of.");
+    return null;
+  }
+
+  return tile.house;
+
+}
+
+HouseManager.prototype.__isValidName = function(player, name) {
+
+  /*
+   * Function HouseManager.__isValidName
+   * Returns true if the name is a valid character name
+   */
+
+  if(name === undefined || !this.NAME_PATTERN.test(name)) {
+    player.sendCancelMessage("This is not a valid character name.");
+    return false;
+  }
+
+  return true;
+
+}
+
+HouseManager.prototype.__getHighestBid = function(name) {
+
+  /*
+   * Function HouseManager.__getHighestBid
+   * Returns the house that a player is the highest bidder of or null
+   */
+
+  for(let house of process.gameServer.database.houses.values()) {
+    if(house.isAuctioned() && house.auction.bidder === name) {
+      return house;
+    }
+  }
+
+  return null;
+
+}
+
+HouseManager.prototype.__saveBid = function(player, house, previous, price) {
+
+  /*
+   * Function HouseManager.__saveBid
+   * Saves a bid together with the depot it was paid from: the previous bidder is only refunded when the bid has been saved
+   */
+
+  let amount = house.auction.bid;
+
+  this.__pendingBids.add(house.id);
+
+  process.gameServer.database.saveHouse(house, function(error) {
+
+    this.__pendingBids.delete(house.id);
+
+    let gameSocket = process.gameServer.world.getGameSocketByName(player.name);
+
+    // The bid was not saved: restore the previous bid and return the gold
+    if(error) {
+
+      console.error("Could not save the bid of %s on %s.".format(player.name, house.name), error);
+
+      house.auction = previous;
+
+      return this.__updateDepot(player.name, function(depot, overflow) {
+        depot.addMoney(price).forEach(overflow);
+      }, function() {
+        if(gameSocket !== null) {
+          player.sendCancelMessage("Your bid on %s could not be placed. Try again later.".format(house.name));
+        }
+      });
+
+    }
+
+    // Players that logged out in the meantime were saved with the gold removed
+    if(gameSocket !== null) {
+      process.gameServer.server.websocketServer.savePlayer(player);
+    }
+
+    // Return the gold of the player that was outbid
+    if(previous !== null && previous.bidder !== player.name) {
+      this.__refund(previous.bidder, previous.bid, house);
+    }
+
+    if(gameSocket !== null) {
+      player.sendCancelMessage("You placed a bid of %s gold on %s.".format(amount, house.name));
+    }
+
+  }.bind(this));
+
+}
+
+HouseManager.prototype.__refund = function(name, amount, house) {
+
+  /*
+   * Function HouseManager.__refund
+   * Returns the gold of a bid to the depot of a player that was outbid
+   */
+
+  this.__updateDepot(name, function(depot, overflow) {
+    depot.addMoney(amount).forEach(overflow);
+  }, function(error) {
+
+    if(error) {
+      return console.error("Could not refund the bid of %s gold to %s.".format(amount, name));
+    }
+
+    this.__sendNotice(name, "You have been outbid on %s. Your bid of %s gold has been returned to your depot.".format(house.name, amount));
+
+  }.bind(this));
+
+}
+
+HouseManager.prototype.__closeAuction = function(house) {
+
+  /*
+   * Function HouseManager.__closeAuction
+   * Hands the house over to the highest bidder when the auction closes
+   */
+
+  let { bidder, bid } = house.auction;
+
+  house.auction = null;
+  house.setOwner(bidder);
+
+  this.__sendNotice(bidder, "Congratulations! You won the auction of %s for %s gold. The rent of %s gold will be taken from your depot every %s days.".format(
+    house.name,
+    bid,
+    house.rent,
+    Math.round(CONFIG.WORLD.HOUSES.RENT_PERIOD_SECONDS / (24 * 60 * 60))
+  ));
+
+}
+
+HouseManager.prototype.__chargeRent = function(house) {
+
+  /*
+   * Function HouseManager.__chargeRent
+   * Takes the rent from the depot of the owner: the house is reclaimed after too many missed payments
+   */
+
+  let owner = house.owner;
+
+  this.__pendingRent.add(house.id);
+
+  this.__updateDepot(owner, function(depot, overflow) {
+
+    if(depot.getMoney() < house.rent) {
+      return false;
+    }
+
+    depot.removeMoney(house.rent).forEach(overflow);
+
+    return true;
+
+  }, function(error, paid) {
+
+    this.__pendingRent.delete(house.id);
+
+    // The owner could not be read: try again on the next tick
+    if(error) {
+      return console.error("Could not charge the rent of %s to %s.".format(house.name, owner));
+    }
+
+    if(paid) {
+      house.paidUntil = house.paidUntil + 1000 * CONFIG.WORLD.HOUSES.RENT_PERIOD_SECONDS;
+      house.missedPayments = 0;
+      return;
+    }
+
+    this.__handleMissedPayment(house);
+
+  }.bind(this));
+
+}
+
+HouseManager.prototype.__handleMissedPayment = function(house) {
+
+  /*
+   * Function HouseManager.__handleMissedPayment
+   * Warns the owner of a missed payment or reclaims the house when the owner missed too many payments
+   */
+
+  let owner = house.owner;
+
+  house.missedPayments++;
+
+  if(house.missedPayments >= CONFIG.WORLD.HOUSES.MAXIMUM_MISSED_PAYMENTS) {
+    house.reclaim();
+    return this.__sendNotice(owner, "You did not pay the rent of %s. The house has been reclaimed and your items have been sent to your inbox.".format(house.name));
+  }
+
+  // Try to charge the rent again later
+  house.paidUntil = Date.now() + 1000 * CONFIG.WORLD.HOUSES.RENT_RETRY_SECONDS;
+
+  this.__sendNotice(owner, "Warning! You do not have %s gold in your depot to pay the rent of %s. The house will be reclaimed after %s more missed payments.".format(
+    house.rent,
+    house.name,
+    CONFIG.WORLD.HOUSES.MAXIMUM_MISSED_PAYMENTS - house.missedPayments
+  ));
+
+}
+
+HouseManager.prototype.__updateDepot = function(name, transaction, callback) {
+
+  /*
+   * Function HouseManager.__updateDepot
+   * Applies a transaction to the depot of a player: things that do not fit in the depot are added to the inbox.
+   * This function is asynchronous because it does I/O in case the player is not online.
+   */
+
+  let gameSocket = process.gameServer.world.getGameSocketByName(name);
+
+  // The player is online and the depot can be changed directly
+  if(gameSocket !== null) {
+    let inbox = gameSocket.player.containerManager.inbox;
+    return callback(false, transaction(gameSocket.player.containerManager.depot, thing => inbox.addThing(thing)));
+  }
+
+  // Atomic update of the depot in the player data
+  process.gameServer.server.websocketServer.accountManager.atomicUpdate(name, function(error, json) {
+
+    if(error) {
+      return callback(true, null);
+    }
+
+    let depot = new DepotContainer(ContainerManager.prototype.DEPOT, json.depot);
+    let result = transaction(depot, thing => json.inbox.push(thing));
+
+    json.depot = depot.toJSON();
+
+    callback(false, result);
+
+  });
+
+}
+
+HouseManager.prototype.__sendNotice = function(name, content) {
+
+  /*
+   * Function HouseManager.__sendNotice
+   * Mails a letter with a notice about a house to a player
+   */
+
+  process.gameServer.world.packetHandler.mailboxHandler.writeLetter(name, content, function(error) {
+
+    if(error) {
+      console.error("Could not mail the house notice to %s.".format(name));
+    }
+
+  });
+
+}
+
+module.exports = HouseManager;
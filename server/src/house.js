@@ -1,8 +1,25 @@
+const Storage = require("./storage");
+
 const House = function(id, entry) {
 
   /*
    * Class House
    * Wrapper for a player-ownable house
+   *
+   * API:
+   *
+   * House.setOwner(name) - Updates the owner of the house and starts the first rent period
+   * House.hasOwner() - Returns true if the house is owned by a player
+   * House.isAuctioned() - Returns true if the house has a running auction
+   * House.reclaim() - Evicts all players and items and makes the house available for auction
+   * House.hasAccess(name, position) - Returns true if a player may enter the house tile at a position
+   * House.canManageAccess(name) - Returns true if a player is the owner or a sub-owner of the house
+   * House.setGuest(name, allowed) - Adds or removes a player from the guest list
+   * House.setSubOwner(name, allowed) - Adds or removes a player from the sub-owner list
+   * House.setDoorAccess(position, name, allowed) - Adds or removes a player from the access list of a door
+   * House.getDoorAccess(position) - Returns the access list of the door at a position
+   * House.evictUninvited() - Moves all players that no longer have access to the exit tile
+   *
    */
 
   this.id = id;
@@ -13,24 +30,224 @@ const House = function(id, entry) {
   this.exit = entry.exit;
   this.rent = entry.rent;
 
+  // Houses saved before access lists were introduced have no sub-owners or door lists
+  this.subOwners = entry.subOwners ?? new Array();
+
+  // Access lists of doors referenced by the position of the door
+  this.doors = entry.doors ?? new Object();
+
+  // Houses saved before rent was charged have no billing information
+  this.paidUntil = entry.paidUntil ?? null;
+  this.missedPayments = entry.missedPayments ?? 0;
+
+  // The running auction with the highest bid and bidder
+  this.auction = entry.auction ?? null;
+
   // Save a reference to all the tiles in the house
   this.tiles = new Array();
 
 }
 
-House.prototype.setOwner = function(player) {
+House.prototype.setOwner = function(name) {
 
   /*
    * Function House.setOwner
-   * Updates the owner of the house
+   * Updates the owner of the house: the first rent is paid with the winning bid
    */
 
   // Evict all players and items from the emptied house
   this.__evictAllPlayers();
   this.__evictAllItems();
 
-  this.owner = player.name;
+  this.owner = name;
+  this.__clearAccessLists();
+
+  this.paidUntil = Date.now() + 1000 * CONFIG.WORLD.HOUSES.RENT_PERIOD_SECONDS;
+  this.missedPayments = 0;
+
+}
+
+House.prototype.hasOwner = function() {
+
+  /*
+   * Function House.hasOwner
+   * Returns true if the house is owned by a player
+   */
+
+  return this.owner !== null;
+
+}
+
+House.prototype.isAuctioned = function() {
+
+  /*
+   * Function House.isAuctioned
+   * Returns true if the house has a running auction
+   */
+
+  return this.auction !== null;
+
+}
+
+House.prototype.reclaim = function() {
+
+  /*
+   * Function House.reclaim
+   * Evicts all players and items from the house and makes it available for auction
+   */
+
+  this.__evictAllPlayers();
+  this.__evictAllItems();
+
+  this.owner = null;
+  this.__clearAccessLists();
+
+  this.paidUntil = null;
+  this.missedPayments = 0;
+
+}
+
+House.prototype.hasAccess = function(name, position) {
+
+  /*
+   * Function House.hasAccess
+   * Returns true if a player may enter the house tile at a position: doors with an access list only admit the players on the list
+   */
+
+  if(this.canManageAccess(name)) {
+    return true;
+  }
+
+  // The access list is only checked when crossing the door itself
+  let doorAccess = this.getDoorAccess(position);
+
+  if(doorAccess.length > 0) {
+    return doorAccess.includes(name);
+  }
+
+  // Players on the access list of a door may enter the tiles behind it
+  return this.invited.includes(name) || this.__isOnDoorAccess(name);
+
+}
+
+House.prototype.canManageAccess = function(name) {
+
+  /*
+   * Function House.canManageAccess
+   * Returns true if a player is the owner or a sub-owner of the house
+   */
+
+  return this.owner === name || this.subOwners.includes(name);
+
+}
+
+House.prototype.setGuest = function(name, allowed) {
+
+  /*
+   * Function House.setGuest
+   * Adds or removes a player from the guest list of the house
+   */
+
+  this.invited = this.__updateList(this.invited, name, allowed);
+
+}
+
+House.prototype.setSubOwner = function(name, allowed) {
+
+  /*
+   * Function House.setSubOwner
+   * Adds or removes a player from the sub-owner list of the house
+   */
+
+  this.subOwners = this.__updateList(this.subOwners, name, allowed);
+
+}
+
+House.prototype.setDoorAccess = function(position, name, allowed) {
+
+  /*
+   * Function House.setDoorAccess
+   * Adds or removes a player from the access list of the door at a position
+   */
+
+  let doorAccess = this.__updateList(this.getDoorAccess(position), name, allowed);
+
+  // Doors without a list are open to all guests
+  if(doorAccess.length === 0) {
+    return delete this.doors[position.toString()];
+  }
+
+  this.doors[position.toString()] = doorAccess;
+
+}
+
+House.prototype.getDoorAccess = function(position) {
+
+  /*
+   * Function House.getDoorAccess
+   * Returns the access list of the door at a position: an empty list when the door is open to all guests
+   */
+
+  return this.doors[position.toString()] ?? new Array();
+
+}
+
+House.prototype.evictUninvited = function() {
+
+  /*
+   * Function House.evictUninvited
+   * Moves all players that no longer have access to the house to the exit tile
+   */
+
+  this.tiles.forEach(function(tile) {
+    tile.players.forEach(function(player) {
+      if(!this.hasAccess(player.name, tile.position)) {
+        process.gameServer.world.teleportCreature(player, this.exit);
+        process.gameServer.world.sendMagicEffect(player.position, CONST.EFFECT.MAGIC.TELEPORT);
+      }
+    }, this);
+  }, this);
+
+}
+
+House.prototype.__isOnDoorAccess = function(name) {
+
+  /*
+   * Function House.__isOnDoorAccess
+   * Returns true if a player is on the access list of any door of the house
+   */
+
+  return Object.values(this.doors).some(doorAccess => doorAccess.includes(name));
+
+}
+
+House.prototype.__updateList = function(list, name, allowed) {
+
+  /*
+   * Function House.__updateList
+   * Returns the list with the name added or removed
+   */
+
+  let others = list.filter(other => other !== name);
+
+  if(allowed) {
+    others.push(name);
+  }
+
+  return others;
+
+}
+
+House.prototype.__clearAccessLists = function() {
+
+  /*
+   * Function House.__clearAccessLists
+   * Clears the guest, sub-owner and door lists when the house changes hands
+   */
+
   this.invited = new Array();
+  this.subOwners = new Array();
+  this.doors = new Object();
 
 }
 
@@ -41,6 +258,11 @@ House.prototype.__evictAllItems = function() {
    * Moves all pickupable items to the inbox
    */
 
+  // Nobody to return the items to
+  if(!this.hasOwner()) {
+    return;
+  }
+
   let owner = process.gameServer.world.getGameSocketByName(this.owner);
 
   // Check whether the player is online or offline
@@ -76,16 +298,13 @@ House.prototype.__evictAllItemsOffline = function(owner) {
 
   });
 
-  // Apply an atomic update to the player file on disk
-  process.gameServer.server.websocketServer.accountManager.atomicUpdate(owner, function(error, json) {
+  // The items are mailed to the inbox of the owner when the owner logs in
+  Storage.open().sendMail(owner.toLowerCase(), items, function(error) {
 
     if(error) {
-      return console.error("Encountered a fatal error writing inbox to player file.");
+      return console.error("Encountered a fatal error mailing the house items to %s.".format(owner), error);
     }
 
-    // Update the players inbox
-    Array.prototype.push.apply(json.inbox, items);
-
   });
 
 }
@@ -140,7 +359,12 @@ House.prototype.toJSON = function() {
     "rent": this.rent,
     "exit": this.exit,
     "invited": this.invited,
-    "name": this.name
+    "subOwners": this.subOwners,
+    "doors": this.doors,
+    "name": this.name,
+    "paidUntil": this.paidUntil,
+    "missedPayments": this.missedPayments,
+    "auction": this.auction
   });
 
 }
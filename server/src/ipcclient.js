@@ -32,7 +32,6 @@ IPCClient.prototype.__resetInternalState = function() {
    */
 
   this.__buffers = new Array();
-  this.__length = 0;
   this.__size = 0;
   this.__pending = false;
   this.__requestCallback = Function.prototype;
@@ -165,37 +164,32 @@ IPCClient.prototype.__handleSocketData = function(data) {
    * Implements a simple length-prefix protocol to determine when a packet is complete and emits it
    */
   
-  // First packet: save the message length
-  if(this.__buffers.length === 0) {
-    this.__length = data[0];
-  }
-  
+  let prefix = IPCPacket.prototype.LENGTH_PREFIX_SIZE;
+
   // Keep track of the size of the data and the buffer itself
   this.__size += data.length;
   this.__buffers.push(data);
   
   // Keep reading the buffer until it is empty or not long enough
-  while(this.__size > this.__length) {
+  while(this.__size >= prefix) {
   
     // Concatenate all buffers for packet extraction
     let buf = Buffer.concat(this.__buffers);
+    let length = buf.readUInt32LE(0);
+
+    // Wait for the remaining bytes of the packet
+    if(this.__size < prefix + length) {
+      return;
+    }
   
     // Handle the packet of the appropriate length (do not include the length-prefix)
-    this.__handlePacket(buf.slice(1, this.__length + 1));
-  
-    // The buffer was emptied: reset state
-    if(this.__length + 1 === this.__size) {
-      this.__length = 0;
-      this.__size = 0;
-      return this.__buffers = new Array();
-    }
+    this.__handlePacket(buf.slice(prefix, prefix + length));
   
-    // Otherwise keep the remaninig bytes from the next packet in memory
-    let remaining = buf.slice(this.__length + 1);
+    // Keep the remaninig bytes from the next packet in memory
+    let remaining = buf.slice(prefix + length);
 
     this.__buffers = new Array(remaining);
     this.__size = remaining.length;
-    this.__length = remaining[0];
   
   }
   
@@ -109,6 +109,94 @@ IPCHTTPAPI.prototype.__requestTimeChange = function(request, response, queryObje
 
 }
 
+IPCHTTPAPI.prototype.__requestExport = function(request, response, queryObject) {
+
+  /*
+   * Function IPCHTTPAPI.__requestExport
+   * Requests the server to export the live world to OTBM, spawn and house files
+   */
+
+  let req = new IPCPacket(IPCPacket.prototype.PACKETS.EXPORT_WORLD).serializeBuffer();
+
+  this.client.makeRequest(req, function(error, packet) {
+
+    if(error) {
+      return this.__writeStatusCode(500, response);
+    }
+
+    packet.readUInt8();
+
+    if(!packet.readBoolean()) {
+      return this.__writeStatusCode(500, response);
+    }
+
+    response.statusCode = 200;
+    response.end("World exported to \"%s\".".format(getDataFile("world", "export")));
+
+  }.bind(this));
+
+}
+
+IPCHTTPAPI.prototype.__requestReload = function(request, response, queryObject) {
+
+  /*
+   * Function IPCHTTPAPI.__requestReload
+   * Requests the server to reload a type of data definitions (e.g., npcs) from disk
+   */
+
+  let type = queryObject.query.type;
+
+  if(!type) {
+    return this.__writeStatusCode(400, response);
+  }
+
+  let req = new IPCPacket(IPCPacket.prototype.PACKETS.RELOAD).writeReload(type);
+
+  this.client.makeRequest(req, function(error, packet) {
+
+    if(error) {
+      return this.__writeStatusCode(500, response);
+    }
+
+    packet.readUInt8();
+
+    // Unknown type or the definitions contain an error
+    if(!packet.readBoolean()) {
+      return this.__writeStatusCode(400, response);
+    }
+
+    response.statusCode = 200;
+    response.end("Reloaded definitions: \"%s\".".format(type));
+
+  }.bind(this));
+
+}
+
+IPCHTTPAPI.prototype.__requestMetrics = function(request, response, queryObject) {
+
+  /*
+   * Function IPCHTTPAPI.__requestMetrics
+   * Requests the internal server metrics in the Prometheus text format
+   */
+
+  let req = new IPCPacket(IPCPacket.prototype.PACKETS.METRICS).serializeBuffer();
+
+  this.client.makeRequest(req, function(error, packet) {
+
+    if(error) {
+      return this.__writeStatusCode(500, response);
+    }
+
+    packet.readUInt8();
+
+    response.statusCode = 200;
+    response.setHeader("Content-Type", "text/plain; version=0.0.4");
+    response.end(packet.buffer.slice(packet.index));
+
+  }.bind(this));
+
+}
+
 IPCHTTPAPI.prototype.__writeStatusCode = function(statusCode, response) {
 
   /*
@@ -165,6 +253,9 @@ IPCHTTPAPI.prototype.__handleRequest = function(request, response) {
     case "/broadcast": return this.__requestBroadcast(request, response, queryObject);
     case "/shutdown": return this.__requestShutdown(request, response, queryObject);
     case "/time": return this.__requestTimeChange(request, response, queryObject);
+    case "/export": return this.__requestExport(request, response, queryObject);
+    case "/reload": return this.__requestReload(request, response, queryObject);
+    case "/metrics": return this.__requestMetrics(request, response, queryObject);
   }
 
   this.__writeStatusCode(404, response);
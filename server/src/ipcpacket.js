@@ -24,12 +24,21 @@ IPCPacket.prototype.PACKETS = new Object({
   "BROADCAST_MESSAGE": {"code": 0x01, "length": 255},
   "SERVER_DATA": {"code": 0x02, "length": 1},
   "CHANGE_TIME": {"code": 0x03, "length": 255},
+  "EXPORT_WORLD": {"code": 0x04, "length": 1},
+  "RELOAD": {"code": 0x05, "length": 255},
+  "METRICS": {"code": 0x06, "length": 1},
 
   // Server
   "OK": {"code": 0x00, "length": 1},
   "SERVER_RESULT": {"code": 0x01, "length": 3},
+  "EXPORT_RESULT": {"code": 0x02, "length": 2},
+  "RELOAD_RESULT": {"code": 0x03, "length": 2},
+  "METRICS_RESULT": {"code": 0x04, "length": 1},
 });
 
+// Packets are prefixed with their length as an unsigned 32-bit integer
+IPCPacket.prototype.LENGTH_PREFIX_SIZE = 4;
+
 IPCPacket.prototype.writeChangeTime = function(time) {
 
   this.__writeString(time);
@@ -51,6 +60,59 @@ IPCPacket.prototype.writeServerData = function(gameServer) {
 
 }
 
+IPCPacket.prototype.writeExportResult = function(success) {
+
+  /*
+   * Function IPCPacket.writeExportResult
+   * Writes whether the world was exported to the map files
+   */
+
+  this.writeBoolean(success);
+
+  return this.serializeBuffer();
+
+}
+
+IPCPacket.prototype.writeReload = function(type) {
+
+  /*
+   * Function IPCPacket.writeReload
+   * Writes the type of definitions that the server must reload
+   */
+
+  this.__writeString(type);
+
+  return this.__serializeBufferSlice();
+
+}
+
+IPCPacket.prototype.writeReloadResult = function(success) {
+
+  /*
+   * Function IPCPacket.writeReloadResult
+   * Writes whether the definitions were reloaded
+   */
+
+  this.writeBoolean(success);
+
+  return this.serializeBuffer();
+
+}
+
+IPCPacket.prototype.writeMetrics = function(metrics) {
+
+  /*
+   * Function IPCPacket.writeMetrics
+   * Writes the server metrics in the Prometheus text format: the text is appended because it exceeds the fixed packet length
+   */
+
+  return this.__prefixLength(Buffer.concat([
+    this.__slicePacket(),
+    Buffer.from(metrics)
+  ]));
+
+}
+
 IPCPacket.prototype.writeBroadcastMessage = function(message) {
 
   /*
@@ -84,12 +146,7 @@ IPCPacket.prototype.__serializeBufferSlice = function() {
    * Serializes the written buffer with an a-priori unknown length
    */
 
-  let slice = this.__slicePacket();
-
-  return Buffer.concat([
-    Buffer.from([slice.length]),
-    slice,
-  ]);
+  return this.__prefixLength(this.__slicePacket());
 
 }
 
@@ -100,10 +157,24 @@ IPCPacket.prototype.serializeBuffer = function() {
    * Serializes the IPC packet by prepending the length of the packet
    */
 
-  // Return a new buffer with the length + buffer
+  return this.__prefixLength(this.buffer);
+
+}
+
+IPCPacket.prototype.__prefixLength = function(buffer) {
+
+  /*
+   * Function IPCPacket.__prefixLength
+   * Returns a new buffer with the length of the packet prepended
+   */
+
+  let prefix = Buffer.alloc(this.LENGTH_PREFIX_SIZE);
+
+  prefix.writeUInt32LE(buffer.length);
+
   return Buffer.concat([
-    Buffer.from([this.buffer.length]),
-    this.buffer,
+    prefix,
+    buffer,
   ]);
 
 }
@@ -6,6 +6,7 @@ const path = require("path");
 
 const PacketReader = require("./packet-reader");
 const IPCPacket = require("./ipcpacket");
+const WorldExporter = require("./world-exporter");
 
 const IPCSocket = function() {
 
@@ -17,6 +18,9 @@ const IPCSocket = function() {
   // Keep a reference to the IPC clients
   this.clients = new Set();
 
+  // Only a single export of the world can run at the same time
+  this.__exporting = false;
+
   // Open a local socket for incoming connections
   this.socket = net.createServer();
   this.socket.listen(this.getSocketPath());
@@ -63,48 +67,42 @@ IPCSocket.prototype.__handleSocketData = function(socket, data) {
 
   // Shorthand ref
   let ref = socket.__dataBuffer;
+  let prefix = IPCPacket.prototype.LENGTH_PREFIX_SIZE;
 
-  // First packet: save the message length
-  if(ref.buffers.length === 0) {
-    ref.length = data[0];
-  }
-  
   // Keep track of the size of the data and the buffer itself
   ref.size += data.length;
   ref.buffers.push(data);
   
   // Keep reading the buffer until it is empty or not long enough
-  while(ref.size > ref.length) {
+  while(ref.size >= prefix) {
   
     // Concatenate all buffers for packet extraction
     let buf = Buffer.concat(ref.buffers);
+    let length = buf.readUInt32LE(0);
+
+    // Wait for the remaining bytes of the packet
+    if(ref.size < prefix + length) {
+      return;
+    }
   
     // Handle the packet of the appropriate length
-    this.__handlePacket(socket, buf.slice(1, ref.length + 1));
-  
-    // The buffer was emptied: reset state
-    if(ref.length + 1 === ref.size) {
-      ref.length = 0;
-      ref.size = 0;
-      return ref.buffers = new Array();
-    }
+    this.__handlePacket(socket, buf.slice(prefix, prefix + length));
   
-    // Otherwise keep the remaninig bytes from the next packet in memory
-    let remaining = buf.slice(ref.length + 1);
+    // Keep the remaninig bytes from the next packet in memory
+    let remaining = buf.slice(prefix + length);
 
     ref.buffers = new Array(remaining);
     ref.size = remaining.length;
-    ref.length = remaining[0];
   
   }
   
 }
 
-IPCSocket.prototype.__internalHandlePacket = function(packet) {
+IPCSocket.prototype.__internalHandlePacket = function(socket, packet) {
 
   /*
    * Function IPCSocket.__internalHandlePacket
-   * Internal function to handles an incoming packet
+   * Internal function to handles an incoming packet: returns null when the result is written to the socket later
    */
 
   // Read the opcode
@@ -121,6 +119,12 @@ IPCSocket.prototype.__internalHandlePacket = function(packet) {
     case 0x03:
       process.gameServer.world.clock.changeTime(packet.readString16());
       break;
+    case 0x04:
+      return this.__exportWorld(socket);
+    case 0x05:
+      return new IPCPacket(IPCPacket.prototype.PACKETS.RELOAD_RESULT).writeReloadResult(process.gameServer.database.reload(packet.readString16()));
+    case 0x06:
+      return new IPCPacket(IPCPacket.prototype.PACKETS.METRICS_RESULT).writeMetrics(process.gameServer.metrics.serialize());
   }
 
   // Always end the request
@@ -128,6 +132,38 @@ IPCSocket.prototype.__internalHandlePacket = function(packet) {
 
 }
 
+IPCSocket.prototype.__exportWorld = function(socket) {
+
+  /*
+   * Function IPCSocket.__exportWorld
+   * Exports the live world to map files in the background and writes whether it succeeded to the socket when done
+   */
+
+  if(this.__exporting) {
+    return new IPCPacket(IPCPacket.prototype.PACKETS.EXPORT_RESULT).writeExportResult(false);
+  }
+
+  this.__exporting = true;
+
+  new WorldExporter().export(getDataFile("world", "export"), function(error) {
+
+    this.__exporting = false;
+
+    if(error) {
+      console.error("Could not export the world.", error);
+    }
+
+    // The client may have disconnected while the world was being exported
+    if(!socket.destroyed) {
+      socket.write(new IPCPacket(IPCPacket.prototype.PACKETS.EXPORT_RESULT).writeExportResult(!error));
+    }
+
+  }.bind(this));
+
+  return null;
+
+}
+
 IPCSocket.prototype.__handlePacket = function(socket, buffer) {
 
   /*
@@ -135,7 +171,13 @@ IPCSocket.prototype.__handlePacket = function(socket, buffer) {
    * Handles a complete incoming buffer
    */
 
-  return socket.write(this.__internalHandlePacket(new PacketReader(buffer)));
+  let result = this.__internalHandlePacket(socket, new PacketReader(buffer));
+
+  if(result === null) {
+    return;
+  }
+
+  return socket.write(result);
 
 }
 
@@ -151,7 +193,6 @@ IPCSocket.prototype.__handleConnection = function(socket) {
   // Create a new container for the buffered socket data
   socket.__dataBuffer = new Object({
     "buffers": new Array(),
-    "length": 0,
     "size": 0
   });
 
@@ -23,6 +23,13 @@ const ItemStack = function() {
 ItemStack.prototype.MAX_CAPACITY = 16;
 ItemStack.prototype.TOP_INDEX = 0xFF;
 
+// The damage type dealt by each type of field
+ItemStack.prototype.FIELD_DAMAGE_TYPES = new Object({
+  "energy": CONST.DAMAGE.ENERGY,
+  "fire": CONST.DAMAGE.FIRE,
+  "poison": CONST.DAMAGE.EARTH
+});
+
 ItemStack.prototype.isFull = function() {
 
   /*
@@ -352,6 +359,11 @@ ItemStack.prototype.__applyFieldCondition = function(field, creature) {
    * Applies the field condition to the creature
    */
 
+  // Creatures that are immune to the element of the field are not affected
+  if(creature.isImmune(this.FIELD_DAMAGE_TYPES[field])) {
+    return;
+  }
+
   // Handle specific field types
   switch(field) {
     case "energy": return creature.addCondition(Condition.prototype.ELECTRIFIED, 3, 100, null);
@@ -198,6 +198,24 @@ Item.prototype.toJSON = function() {
 
 }
 
+Item.prototype.serialize = function() {
+
+  /*
+   * Function Item.serialize
+   * Recursively serializes the item without cleaning up its events: used to take snapshots of the live world
+   */
+
+  let item = this.__serialize();
+
+  // Some containers on the map (e.g., depots) have no contents of their own
+  if(this.hasOwnProperty("container")) {
+    item.items = this.container.getSlots().map(thing => thing === null ? null : thing.serialize());
+  }
+
+  return item;
+
+}
+
 Item.prototype.__serialize = function() {
 
   /*
@@ -15,6 +15,11 @@ const Lattice = function(size) {
    * Lattice.getTileFromWorldPosition(position) - returns the tile that belongs to a world position
    * Lattice.setReferences() - Creates the lattice by setting all references to each other
    * Lattice.createChunk(position) - Creates a chunk at the given position
+   * Lattice.forEachChunk(callback) - Calls a callback for every chunk that exists in the world
+   * Lattice.forEachTile(callback) - Calls a callback for every tile in the loaded chunks
+   * Lattice.loadChunk(chunk) - Creates the tiles of a chunk and references their neighbours
+   * Lattice.unloadChunk(chunk) - Serializes and releases a loaded chunk when its tiles can be restored
+   * Lattice.unloadIdleChunks() - Serializes and releases the chunks that have not been active for a while
    *
    */
 
@@ -49,9 +54,13 @@ Lattice.prototype.getActiveChunks = function(gameSockets) {
         return;
       }
 
+      // Chunks near players are never unloaded
+      this.loadChunk(chunk);
+      chunk.touch();
+
       activeChunks.add(chunk);
 
-    });
+    }, this);
 
   }, this);
 
@@ -124,7 +133,7 @@ Lattice.prototype.getChunkFromWorldPosition = function(position) {
   let index = this.__getChunkIndex(chunkPosition);
 
   // Return the chunk
-  return this.__chunks[index];
+  return this.__getChunk(index);
 
 }
 
@@ -142,6 +151,9 @@ Lattice.prototype.getTileFromWorldPosition = function(position) {
     return null;
   }
 
+  // The tiles of the chunk are created when first requested
+  this.loadChunk(chunk);
+
   // Delegate to find the tile within the chunk
   return chunk.getTileFromWorldPosition(position);
 
@@ -157,10 +169,44 @@ Lattice.prototype.createChunk = function(position) {
   let chunkPosition = this.__getChunkPositionFromWorldPosition(position);
   let index = this.__getChunkIndex(chunkPosition);
 
-  this.__chunks[index] = new Chunk(index, chunkPosition);
+  this.__chunks.set(index, new Chunk(index, chunkPosition));
 
   // Return the created chunk
-  return this.__chunks[index];
+  return this.__chunks.get(index);
+
+}
+
+Lattice.prototype.forEachChunk = function(callback) {
+
+  /*
+   * Function Lattice.forEachChunk
+   * Calls a callback for every chunk that exists in the world
+   */
+
+  this.__chunks.forEach(chunk => callback(chunk));
+
+}
+
+Lattice.prototype.forEachTile = function(callback) {
+
+  /*
+   * Function Lattice.forEachTile
+   * Calls a callback for every tile in the loaded chunks: chunks that are not loaded are skipped
+   */
+
+  this.forEachChunk(function(chunk) {
+
+    if(!chunk.isLoaded()) {
+      return;
+    }
+
+    chunk.tiles.forEach(function(tile) {
+      if(tile !== null) {
+        callback(tile);
+      }
+    });
+
+  });
 
 }
 
@@ -168,32 +214,111 @@ Lattice.prototype.setReferences = function() {
 
   /*
    * Function Lattice.setReferences
-   * Goes over all available chunks and references its neighbours, including tiles for pathfinding
+   * Goes over all available chunks and references its neighbours: tiles are referenced when their chunk is loaded
    */
 
-  this.__chunks.forEach(function(chunk) {
+  this.forEachChunk(this.__referenceChunkNeighbours.bind(this));
+
+}
 
-    // Chunk does not exist
-    if(chunk === null) {
+Lattice.prototype.loadChunk = function(chunk) {
+
+  /*
+   * Function Lattice.loadChunk
+   * Creates the tiles of a chunk and references their neighbours for pathfinding
+   */
+
+  if(chunk.isLoaded()) {
+    return;
+  }
+
+  let fromMap = chunk.load();
+
+  chunk.tiles.forEach(function(tile) {
+
+    if(tile === null) {
       return;
     }
 
-    // First reference all chunks
-    this.__referenceChunkNeighbours(chunk);
+    this.__referenceTileNeighbours(chunk, tile);
 
-    // Go over all tiles that exist and reference its neighbours
-    chunk.tiles.forEach(function(tile) {
+  }, this);
 
-      if(tile === null) {
-        return;
-      }
+  // The world state remembers the tiles as they are on the map
+  if(fromMap) {
+    process.gameServer.database.worldState.trackChunk(chunk);
+  }
 
-      this.__referenceTileNeighbours(tile);
+}
+
+Lattice.prototype.unloadChunk = function(chunk) {
+
+  /*
+   * Function Lattice.unloadChunk
+   * Serializes and releases a loaded chunk (e.g., after exporting it) and returns whether the chunk was unloaded
+   */
+
+  if(!chunk.canUnload(0)) {
+    return false;
+  }
 
+  this.__unloadChunk(chunk);
+
+  return true;
+
+}
+
+Lattice.prototype.unloadIdleChunks = function() {
+
+  /*
+   * Function Lattice.unloadIdleChunks
+   * Serializes and releases the tiles of all chunks that have not been active for the configured number of seconds
+   */
+
+  let count = 0;
+
+  this.forEachChunk(function(chunk) {
+
+    if(!chunk.canUnload(CONFIG.WORLD.CHUNK.LAZY.IDLE_SECONDS)) {
+      return;
+    }
+
+    this.__unloadChunk(chunk);
+
+    count++;
+
+  }.bind(this));
+
+  if(count > 0) {
+    console.log("Unloaded [[ %s ]] idle chunks.".format(count));
+  }
+
+}
+
+Lattice.prototype.__unloadChunk = function(chunk) {
+
+  /*
+   * Function Lattice.__unloadChunk
+   * Removes the references to the tiles of a chunk from its neighbours and serializes the tiles
+   */
+
+  chunk.tiles.forEach(function(tile) {
+
+    if(tile === null) {
+      return;
+    }
+
+    // Tiles in other chunks must no longer reference the released tile
+    tile.neighbours.forEach(function(neighbour) {
+      if(this.getChunkFromWorldPosition(neighbour.position) !== chunk) {
+        neighbour.neighbours.splice(neighbour.neighbours.indexOf(tile), 1);
+      }
     }, this);
 
   }, this);
 
+  chunk.unload();
+
 }
 
 Lattice.prototype.__getFloorChangePosition = function(position) {
@@ -279,11 +404,11 @@ Lattice.prototype.__referenceChunkNeighbours = function(chunk) {
 
 }
 
-Lattice.prototype.__referenceTileNeighbours = function(tile) {
+Lattice.prototype.__referenceTileNeighbours = function(chunk, tile) {
 
   /*
    * Function Lattice.__referenceTileNeighbours
-   * References tile neighbours to use for A* pathfinding
+   * References tile neighbours to use for A* pathfinding: neighbours in other loaded chunks reference the tile too
    */
 
   // All tiles to reference
@@ -298,8 +423,33 @@ Lattice.prototype.__referenceTileNeighbours = function(tile) {
     tile.position.southeast()
   );
 
-  // Add the neighbouring chunks
-  tiles.map(this.getTileFromWorldPosition, this).nullfilter().forEach(x => tile.neighbours.push(x));
+  // Add the neighbouring tiles without loading other chunks: these reference the tile when they are loaded
+  tiles.map(this.__getLoadedTile, this).nullfilter().forEach(function(neighbour) {
+
+    tile.neighbours.push(neighbour);
+
+    if(this.getChunkFromWorldPosition(neighbour.position) !== chunk) {
+      neighbour.neighbours.push(tile);
+    }
+
+  }, this);
+
+}
+
+Lattice.prototype.__getLoadedTile = function(position) {
+
+  /*
+   * Function Lattice.__getLoadedTile
+   * Returns the tile at a world position only when its chunk is already loaded
+   */
+
+  let chunk = this.getChunkFromWorldPosition(position);
+
+  if(chunk === null || !chunk.isLoaded()) {
+    return null;
+  }
+
+  return chunk.getTileFromWorldPosition(position);
 
 }
 
@@ -310,8 +460,8 @@ Lattice.prototype.__reserveChunksMemory = function() {
    * Generates the projected chunks for the gameworld 
    */
 
-  // Calculate the total amount of required chunks and fill with none
-  this.__chunks = new Array(this.nChunksWidth * this.nChunksHeight * this.nChunksDepth).fill(null);
+  // Only the chunks that exist on the map are kept by their index
+  this.__chunks = new Map();
 
 }
 
@@ -354,7 +504,22 @@ Lattice.prototype.__getChunkFromChunkPosition = function(position) {
   }
 
   // Look up per index
-  return this.__chunks[this.__getChunkIndex(position)];
+  return this.__getChunk(this.__getChunkIndex(position));
+
+}
+
+Lattice.prototype.__getChunk = function(index) {
+
+  /*
+   * Function Lattice.__getChunk
+   * Returns the chunk with an index or null when the chunk does not exist
+   */
+
+  if(!this.__chunks.has(index)) {
+    return null;
+  }
+
+  return this.__chunks.get(index);
 
 }
 
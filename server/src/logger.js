@@ -6,35 +6,38 @@ const ServerLogger = function() {
 
   /*
    * Class ServerLogger
-   * Logs internal server parameters to logfile
+   * Logs internal server parameters to a logfile that is rotated when it grows too large
    */
 
   // State to keep average game loop exec time
   this.__gameLoopExecutionTime = 0;
 
-  // Create writeable stream to disk
-  this.logfile = fs.createWriteStream("server.log");
-
-  // Write the header
-  const header = new Array(
-    "Timestamp",
-    "Memory (MB)",
-    "Clients",
-    "Event Heap Size",
-    "Bytes Recv",
-    "Bytes Sent",
-    "Loop Exec Time (ms)",
-    "Drift",
-    "Frame",
-    "World Time"
-  );
+  // Number of bytes in the current logfile
+  this.__size = 0;
 
-  this.writeLine(header);
+  this.logfile = null;
+
+  if(CONFIG.LOGGING.ENABLED) {
+    this.__open("a");
+  }
 
 }
 
 ServerLogger.prototype.LOG_FRAMES = 60;
 
+ServerLogger.prototype.HEADER = new Array(
+  "Timestamp",
+  "Memory (MB)",
+  "Clients",
+  "Event Heap Size",
+  "Bytes Recv",
+  "Bytes Sent",
+  "Loop Exec Time (ms)",
+  "Drift",
+  "Frame",
+  "World Time"
+);
+
 ServerLogger.prototype.writeLine = function(line) {
 
   /*
@@ -42,8 +45,14 @@ ServerLogger.prototype.writeLine = function(line) {
    * Writes an array of parameters to a line delimited by tabs
    */
 
-  this.logfile.write(line.join("\t"));
-  this.logfile.write("\n");
+  let string = line.join("\t") + "\n";
+
+  this.logfile.write(string);
+  this.__size += Buffer.byteLength(string);
+
+  if(this.__size >= CONFIG.LOGGING.MAX_BYTES) {
+    this.__rotate();
+  }
 
 }
 
@@ -54,6 +63,11 @@ ServerLogger.prototype.log = function() {
    * Writes server diagnostics to logfile
    */
 
+  // Logging is disabled: the metrics are still available over the IPC API
+  if(this.logfile === null) {
+    return this.__gameLoopExecutionTime = 0;
+  }
+
   let networkDetails = process.gameServer.server.websocketServer.networkManager.getDataDetails();
 
   // Generate a logging message
@@ -77,4 +91,50 @@ ServerLogger.prototype.log = function() {
 
 }
 
+ServerLogger.prototype.__open = function(flags) {
+
+  /*
+   * Function ServerLogger.__open
+   * Opens the configured logfile and writes the header when the file is new
+   */
+
+  let filename = CONFIG.LOGGING.FILE;
+
+  this.__size = (flags === "a" && fs.existsSync(filename)) ? fs.statSync(filename).size : 0;
+
+  // Create writeable stream to disk
+  this.logfile = fs.createWriteStream(filename, { "flags": flags });
+
+  if(this.__size === 0) {
+    this.writeLine(this.HEADER);
+  }
+
+}
+
+ServerLogger.prototype.__rotate = function() {
+
+  /*
+   * Function ServerLogger.__rotate
+   * Closes the full logfile, shifts the previous logfiles (e.g., server.log.1 to server.log.2) and opens a new logfile
+   */
+
+  let filename = CONFIG.LOGGING.FILE;
+
+  this.logfile.end();
+
+  // The oldest logfile is overwritten
+  for(let i = CONFIG.LOGGING.MAX_FILES; i > 0; i--) {
+
+    let source = i === 1 ? filename : "%s.%s".format(filename, i - 1);
+
+    if(fs.existsSync(source)) {
+      fs.renameSync(source, "%s.%s".format(filename, i));
+    }
+
+  }
+
+  this.__open("w");
+
+}
+
 module.exports = ServerLogger;
@@ -3,11 +3,12 @@
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 const http = require("http");
-const fs = require("fs");
 const url = require("url");
 
 const AccountManager = require("./account-manager");
-const AccountDB = require("./account-db");
+const Storage = require("./storage");
+const SessionManager = require("./session-manager");
+const LoginThrottle = require("./login-throttle");
 
 const LoginServer = function (callback) {
 
@@ -20,16 +21,16 @@ const LoginServer = function (callback) {
    *
    */
 
-  // Inicializar estructura de cuentas (carpetas para los JSON de player)
-  this.__init();
+  // Cuentas y personajes en el almacenamiento configurado (SQLite o PostgreSQL)
+  this.storage = Storage.open();
 
-  // Inicializar base de datos de cuentas (PostgreSQL)
-  AccountDB.initDatabase();
+  this.accountManager = new AccountManager();
 
-  // Ya no usamos this.accounts para login, pero lo dejamos por compatibilidad / posibles usos futuros
-  this.accounts = {};
+  // Sesiones de las cuentas: el token sustituye a la contraseña en las peticiones de personajes
+  this.sessionManager = new SessionManager();
 
-  this.accountManager = new AccountManager();
+  // Los logins fallidos bloquean la dirección y la cuenta con un retardo exponencial
+  this.loginThrottle = new LoginThrottle();
 
   // Create the server and handler
   this.server = http.createServer(this.__handleRequest.bind(this));
@@ -37,7 +38,6 @@ const LoginServer = function (callback) {
   // Graceful close
   process.on("SIGINT", this.server.close.bind(this.server));
   process.on("SIGTERM", this.server.close.bind(this.server));
-  process.on("exit", this.__handleExit.bind(this));
   //process.on("uncaughtException", process.exit.bind(this, 1));
 
   // Listen for incoming requests
@@ -45,39 +45,6 @@ const LoginServer = function (callback) {
 
 };
 
-LoginServer.prototype.__init = function () {
-
-  /*
-   * LoginServer.__init
-   * Initializes the login server and handles creation of account directory if it does not exist
-   */
-
-  // If accounts does not exist create the folder and necessary files
-  try {
-    fs.accessSync(getDataFile("accounts"));
-  } catch (error) {
-    fs.mkdirSync(getDataFile("accounts"));
-    fs.writeFileSync(getDataFile("accounts", "accounts.json"), "{}");
-    fs.mkdirSync(getDataFile("accounts", "definitions"));
-  }
-
-};
-
-LoginServer.prototype.__handleExit = function (exit) {
-
-  /*
-   * LoginServer.__handleExit
-   * Antes guardaba this.accounts en accounts.json.
-   * Ahora las cuentas reales están en PostgreSQL, así que esto es opcional.
-   */
-
-  fs.writeFileSync(
-    getDataFile("accounts", "accounts.json"),
-    JSON.stringify(this.accounts, null, 2)
-  );
-
-};
-
 LoginServer.prototype.__generateToken = function (name) {
 
   /*
@@ -122,6 +89,11 @@ LoginServer.prototype.__isValidCreateAccount = function (queryObject) {
     return false;
   }
 
+  // The vocation is optional but must exist when supplied
+  if (this.accountManager.getVocationIdentifier(queryObject.vocation) === null) {
+    return false;
+  }
+
   return true;
 
 };
@@ -145,7 +117,7 @@ LoginServer.prototype.__createAccount = function (request, response) {
   let account = queryObject.account;
 
   // 1) Comprobar si ya existe la cuenta en la base de datos
-  AccountDB.findAccount(account, function (err, row) {
+  this.storage.findAccount(account, function (err, row) {
 
     if (err) {
       console.error("[LOGIN] Error comprobando cuenta en DB:", err);
@@ -168,13 +140,14 @@ LoginServer.prototype.__createAccount = function (request, response) {
         return response.end();
       }
 
-      // accountObject = { hash, definition, playerData }
+      // accountObject = { hash, definition, playerData, recoveryKey, recoveryHash }
 
       // 3) Guardar cuenta en tabla accounts
-      AccountDB.insertAccount(
+      this.storage.insertAccount(
         account,
         accountObject.hash,
         accountObject.definition,
+        accountObject.recoveryHash,
         function (err2) {
 
           if (err2) {
@@ -184,7 +157,7 @@ LoginServer.prototype.__createAccount = function (request, response) {
           }
 
           // 4) Guardar player en tabla players (ahora la FK ya existe)
-          AccountDB.savePlayerData(
+          this.storage.savePlayerData(
             accountObject.definition,   // name del personaje
             account,                    // número de cuenta
             accountObject.playerData,   // JSON completo del player
@@ -196,11 +169,10 @@ LoginServer.prototype.__createAccount = function (request, response) {
                 return response.end();
               }
 
-              // 5) Respuesta OK
-              response.statusCode = 201;
-              response.end();
+              // 5) Respuesta OK: la clave de recuperación solo se muestra una vez
+              this.__writeJSON(response, 201, { recoveryKey: accountObject.recoveryKey });
 
-            }
+            }.bind(this)
           );
 
         }.bind(this)
@@ -221,16 +193,16 @@ LoginServer.prototype.__handleRequest = function(request, response) {
 
   // CORS básico
   response.setHeader("Access-Control-Allow-Origin", "*");
-  response.setHeader("Access-Control-Allow-Methods", "OPTIONS, GET, POST");
-  response.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  response.setHeader("Access-Control-Allow-Methods", "OPTIONS, GET, POST, DELETE");
+  response.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
 
   if (request.method === "OPTIONS") {
     response.statusCode = 200;
     return response.end();
   }
 
-  // Solo aceptamos GET y POST
-  if (request.method !== "GET" && request.method !== "POST") {
+  // Solo aceptamos GET, POST y DELETE
+  if (request.method !== "GET" && request.method !== "POST" && request.method !== "DELETE") {
     response.statusCode = 501;
     return response.end();
   }
@@ -240,230 +212,84 @@ LoginServer.prototype.__handleRequest = function(request, response) {
 
   /*
    * ==========================================================
-   *  RUTA: POST /characters
-   *  Crea un nuevo personaje para una cuenta existente.
-   *  Body JSON: { account, password, name, sex }
+   *  RUTA: POST /session
+   *  Inicia sesión con la cuenta y devuelve un token de sesión
+   *  Body JSON: { account, password }
    * ==========================================================
    */
-  if (request.method === "POST" && pathname === "/characters") {
-
-    let body = "";
-    request.on("data", chunk => body += chunk);
-    request.on("end", function() {
-      let data;
-
-      try {
-        data = JSON.parse(body);
-      } catch (e) {
-        response.statusCode = 400;
-        response.write(JSON.stringify({ error: "INVALID_JSON" }));
-        return response.end();
-      }
-
-      let { account, password, name, sex } = data || {};
-
-      if (!account || !password || !name || !sex) {
-        response.statusCode = 400;
-        response.write(JSON.stringify({ error: "MISSING_FIELDS" }));
-        return response.end();
-      }
-
-      // 1) Validar cuenta + password con la misma lógica de siempre
-      this.__authAccount(account, password, function(err, accountRow) {
-        if (err) {
-          if (err.message === "ACCOUNT_NOT_FOUND" || err.message === "INVALID_PASSWORD") {
-            response.statusCode = 401;
-            response.write(JSON.stringify({ error: err.message }));
-            return response.end();
-          }
-
-          console.error("[LOGIN] Error auth POST /characters:", err);
-          response.statusCode = 500;
-          response.write(JSON.stringify({ error: "INTERNAL_ERROR" }));
-          return response.end();
-        }
-
-        // 2) Asegurarnos de que el nombre de personaje no exista ya
-        AccountDB.loadPlayerData(name.toLowerCase(), function(err, existing) {
-          if (err) {
-            console.error("[LOGIN] Error comprobando nombre:", err);
-            response.statusCode = 500;
-            response.write(JSON.stringify({ error: "INTERNAL_ERROR" }));
-            return response.end();
-          }
-
-          if (existing) {
-            response.statusCode = 409;
-            response.write(JSON.stringify({ error: "NAME_TAKEN" }));
-            return response.end();
-          }
-
-          // 3) Usar AccountManager.__getCharacterBlueprint para generar el PJ
-          const charQueryObject = {
-            name: name,
-            sex: sex
-          };
-
-          // Devuelve un STRING JSON con el blueprint completo del personaje
-          const playerDataString = this.accountManager.__getCharacterBlueprint(charQueryObject);
-
-          let playerData;
-          try {
-            // Lo convertimos a objeto JS para guardarlo como JSON/JSONB en la BD
-            playerData = JSON.parse(playerDataString);
-          } catch (e) {
-            console.error("[LOGIN] Error parseando blueprint de personaje:", e);
-            response.statusCode = 500;
-            response.write(JSON.stringify({ error: "INTERNAL_ERROR" }));
-            return response.end();
-          }
-
-          // 4) Guardar el nuevo personaje en la tabla players
-          AccountDB.savePlayerData(
-            name.toLowerCase(),   // name: en minúsculas
-            account,              // número de cuenta
-            playerData,           // JSON completo del personaje
-            function(err2) {
-              if (err2) {
-                console.error("[LOGIN] Error guardando nuevo personaje:", err2);
-                response.statusCode = 500;
-                response.write(JSON.stringify({ error: "INTERNAL_ERROR" }));
-                return response.end();
-              }
-
-              response.writeHead(201, { "Content-Type": "application/json" });
-              response.end(JSON.stringify({ ok: true, name }));
-            }
-          );
-
-        }.bind(this));
-      }.bind(this));
-    }.bind(this));
-
-    return;
+  if (request.method === "POST" && pathname === "/session") {
+    return this.__createSession(request, response);
   }
 
   /*
    * ==========================================================
-   *  RUTA: POST /  (crear cuenta)
-   *  Se deja igual que en tu código original
+   *  RUTA: DELETE /session
+   *  Revoca el token de sesión (cabecera Authorization)
    * ==========================================================
    */
-  if (request.method === "POST" && pathname === "/") {
-    return this.__createAccount(request, response);
+  if (request.method === "DELETE" && pathname === "/session") {
+    this.sessionManager.revoke(this.__getSessionToken(request));
+    response.statusCode = 204;
+    return response.end();
   }
 
   /*
    * ==========================================================
-   *  RUTA: GET /characters
-   *  Lista todos los personajes de una cuenta
-   *  Parámetros: ?account=...&password=...
+   *  RUTA: POST /password
+   *  Cambia la contraseña y revoca todas las sesiones de la cuenta
+   *  Body JSON: { account, password, newPassword }
    * ==========================================================
    */
-  if (request.method === "GET" && pathname === "/characters") {
-    const q = requestObject.query;
-
-    if (!q.account || !q.password) {
-      response.statusCode = 400;
-      response.write(JSON.stringify({ error: "MISSING_CREDENTIALS" }));
-      return response.end();
-    }
-
-    this.__authAccount(q.account, q.password, function(err, accountRow) {
-      if (err) {
-        if (err.message === "ACCOUNT_NOT_FOUND" || err.message === "INVALID_PASSWORD") {
-          response.statusCode = 401;
-          response.write(JSON.stringify({ error: err.message }));
-          return response.end();
-        }
-
-        console.error("[LOGIN] Error auth GET /characters:", err);
-        response.statusCode = 500;
-        response.write(JSON.stringify({ error: "INTERNAL_ERROR" }));
-        return response.end();
-      }
-
-      AccountDB.listCharactersByAccount(q.account, function(err, rows) {
-        if (err) {
-          console.error("[LOGIN] Error listando personajes:", err);
-          response.statusCode = 500;
-          response.write(JSON.stringify({ error: "INTERNAL_ERROR" }));
-          return response.end();
-        }
-
-        response.writeHead(200, { "Content-Type": "application/json" });
-        response.end(JSON.stringify({
-          account: q.account,
-          characters: rows.map(r => ({
-            name: r.name
-            // aquí podrías parsear r.data para exponer level, voc, etc
-          }))
-        }));
-      });
-    }.bind(this));
-
-    return;
+  if (request.method === "POST" && pathname === "/password") {
+    return this.__changePassword(request, response);
   }
 
   /*
    * ==========================================================
-   *  RUTA: GET /login-character
-   *  Genera un token para un personaje concreto
-   *  Parámetros: ?account=...&password=...&name=...
+   *  RUTA: POST /recover
+   *  Cambia la contraseña con la clave de recuperación de un solo uso
+   *  Body JSON: { account, recoveryKey, newPassword }
    * ==========================================================
    */
-  if (request.method === "GET" && pathname === "/login-character") {
-    const q = requestObject.query;
-
-    if (!q.account || !q.password || !q.name) {
-      response.statusCode = 400;
-      response.write(JSON.stringify({ error: "MISSING_FIELDS" }));
-      return response.end();
-    }
+  if (request.method === "POST" && pathname === "/recover") {
+    return this.__recoverAccount(request, response);
+  }
 
-    this.__authAccount(q.account, q.password, function(err, accountRow) {
-      if (err) {
-        if (err.message === "ACCOUNT_NOT_FOUND" || err.message === "INVALID_PASSWORD") {
-          response.statusCode = 401;
-          response.write(JSON.stringify({ error: err.message }));
-          return response.end();
-        }
+  /*
+   * ==========================================================
+   *  RUTA: POST /  (crear cuenta)
+   *  Se deja igual que en tu código original
+   * ==========================================================
+   */
+  if (request.method === "POST" && pathname === "/") {
+    return this.__createAccount(request, response);
+  }
 
-        console.error("[LOGIN] Error auth GET /login-character:", err);
-        response.statusCode = 500;
-        response.write(JSON.stringify({ error: "INTERNAL_ERROR" }));
-        return response.end();
-      }
+  // Las rutas de personajes requieren una sesión válida en lugar de la contraseña
+  if (pathname === "/characters" || pathname === "/login-character") {
 
-      // Confirmar que el personaje pertenece a esta cuenta
-      AccountDB.listCharactersByAccount(q.account, function(err, rows) {
-        if (err) {
-          console.error("[LOGIN] Error listando personajes en /login-character:", err);
-          response.statusCode = 500;
-          response.write(JSON.stringify({ error: "INTERNAL_ERROR" }));
-          return response.end();
-        }
+    let account = this.sessionManager.getAccount(this.__getSessionToken(request));
 
-        const found = rows.find(r => r.name.toLowerCase() === q.name.toLowerCase());
+    if (account === null) {
+      return this.__writeJSON(response, 401, { error: "INVALID_SESSION" });
+    }
 
-        if (!found) {
-          response.statusCode = 403;
-          response.write(JSON.stringify({ error: "CHARACTER_DOES_NOT_BELONG_TO_ACCOUNT" }));
-          return response.end();
-        }
+    switch (request.method + " " + pathname) {
+      case "GET /characters": return this.__listCharacters(account, response);
+      case "POST /characters": return this.__createCharacter(account, request, response);
+      case "DELETE /characters": return this.__deleteCharacter(account, requestObject.query, response);
+      case "GET /login-character": return this.__loginCharacter(account, requestObject.query, response);
+    }
 
-        // Generar token usando el nombre del personaje
-        const tokenObject = this.__generateToken(q.name);
+    response.statusCode = 404;
+    return response.end();
 
-        response.writeHead(200, { "Content-Type": "application/json" });
-        response.end(JSON.stringify({
-          token: Buffer.from(JSON.stringify(tokenObject)).toString("base64"),
-          host: CONFIG.SERVER.EXTERNAL_HOST
-        }));
-      }.bind(this));
-    }.bind(this));
+  }
 
-    return;
+  // Cualquier otra ruta DELETE no existe
+  if (request.method === "DELETE") {
+    response.statusCode = 404;
+    return response.end();
   }
 
   /*
@@ -490,72 +316,563 @@ LoginServer.prototype.__handleRequest = function(request, response) {
   const account  = queryObject.account;
   const password = queryObject.password;
 
-  AccountDB.findAccount(account, function(err, row) {
+  // Comparar password: los logins fallidos se limitan igual que en /session
+  this.__authAccount(account, password, request.socket.remoteAddress, function(err, row) {
 
     if (err) {
-      console.error("[LOGIN] Error buscando cuenta en DB:", err);
-      response.statusCode = 500;
-      return response.end();
+      return this.__writeAuthError(response, err, "GET /");
     }
 
-    // Cuenta no existe
-    if (!row) {
-      response.statusCode = 401;
-      return response.end();
+    // Login válido → devolver token y host
+    response.writeHead(200, { "Content-Type": "application/json" });
+    response.end(JSON.stringify({
+      token: Buffer.from(
+        JSON.stringify(this.__generateToken(row.definition))
+      ).toString("base64"),
+      host: CONFIG.SERVER.EXTERNAL_HOST
+    }));
+
+  }.bind(this));
+
+};
+
+LoginServer.prototype.__getSessionToken = function (request) {
+
+  /*
+   * LoginServer.__getSessionToken
+   * Returns the session token from the Authorization header of a request (e.g., "Bearer <token>") or null
+   */
+
+  let header = request.headers["authorization"];
+
+  if (!header || !header.startsWith("Bearer ")) {
+    return null;
+  }
+
+  return header.slice("Bearer ".length).trim();
+
+};
+
+LoginServer.prototype.__writeJSON = function (response, statusCode, object) {
+
+  /*
+   * LoginServer.__writeJSON
+   * Ends a request with a status code and a JSON body
+   */
+
+  response.writeHead(statusCode, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(object));
+
+};
+
+LoginServer.prototype.__readJSON = function (request, response, callback) {
+
+  /*
+   * LoginServer.__readJSON
+   * Reads the JSON body of a request and calls the callback with the parsed object: invalid JSON ends the request
+   */
+
+  let body = "";
+
+  request.on("data", chunk => body += chunk);
+  request.on("end", function () {
+
+    let data;
+
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return this.__writeJSON(response, 400, { error: "INVALID_JSON" });
     }
 
-    // Comparar password
-    bcrypt.compare(password, row.hash, function(error, result) {
+    callback(data || {});
 
-      if (error) {
-        response.statusCode = 500;
-        return response.end();
+  }.bind(this));
+
+};
+
+LoginServer.prototype.__createSession = function (request, response) {
+
+  /*
+   * LoginServer.__createSession
+   * Validates the account and password once and returns a session token to use for the character requests
+   */
+
+  this.__readJSON(request, response, function (data) {
+
+    if (!data.account || !data.password) {
+      return this.__writeJSON(response, 400, { error: "MISSING_CREDENTIALS" });
+    }
+
+    this.__authAccount(String(data.account), String(data.password), request.socket.remoteAddress, function (err, accountRow) {
+
+      if (err) {
+        return this.__writeAuthError(response, err, "POST /session");
       }
 
-      if (!result) {
-        response.statusCode = 401;
-        return response.end();
+      this.__writeJSON(response, 200, this.sessionManager.create(accountRow.account));
+
+    }.bind(this));
+
+  }.bind(this));
+
+};
+
+LoginServer.prototype.__getCharacterSummary = function (row) {
+
+  /*
+   * LoginServer.__getCharacterSummary
+   * Returns the details of a character that are shown in the character list
+   */
+
+  let characterStatistics = row.data.characterStatistics;
+  let vocation = this.accountManager.VOCATIONS[characterStatistics.vocation];
+
+  return new Object({
+    "name": row.name,
+    "level": characterStatistics.level,
+    "sex": characterStatistics.sex === 0 ? "male" : characterStatistics.sex === 1 ? "female" : null,
+    "vocation": vocation === undefined ? null : vocation.name,
+    "outfit": row.data.creatureStatistics.outfit,
+    "lastLogin": row.data.lastVisit || null
+  });
+
+};
+
+LoginServer.prototype.__listCharacters = function (account, response) {
+
+  /*
+   * LoginServer.__listCharacters
+   * Lists all characters of the account of a session
+   */
+
+  this.storage.listCharactersByAccount(account, function (err, rows) {
+
+    if (err) {
+      console.error("[LOGIN] Error listando personajes:", err);
+      return this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
+    }
+
+    this.__writeJSON(response, 200, {
+      account: account,
+      characters: rows.map(this.__getCharacterSummary, this)
+    });
+
+  }.bind(this));
+
+};
+
+LoginServer.prototype.__createCharacter = function (account, request, response) {
+
+  /*
+   * LoginServer.__createCharacter
+   * Creates a new character for the account of a session
+   * Body JSON: { name, sex, vocation }
+   */
+
+  this.__readJSON(request, response, function (data) {
+
+    let { name, sex, vocation } = data;
+
+    if (!name || !sex) {
+      return this.__writeJSON(response, 400, { error: "MISSING_FIELDS" });
+    }
+
+    if (this.accountManager.getVocationIdentifier(vocation) === null) {
+      return this.__writeJSON(response, 400, { error: "INVALID_VOCATION" });
+    }
+
+    // Asegurarnos de que el nombre de personaje no exista ya
+    this.storage.loadPlayerData(name.toLowerCase(), function (err, existing) {
+
+      if (err) {
+        console.error("[LOGIN] Error comprobando nombre:", err);
+        return this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
       }
 
-      // Login válido → devolver token y host
-      response.writeHead(200, { "Content-Type": "application/json" });
-      response.end(JSON.stringify({
-        token: Buffer.from(
-          JSON.stringify(this.__generateToken(row.definition))
-        ).toString("base64"),
-        host: CONFIG.SERVER.EXTERNAL_HOST
+      if (existing) {
+        return this.__writeJSON(response, 409, { error: "NAME_TAKEN" });
+      }
+
+      // El blueprint se devuelve como string JSON: se guarda como JSONB en la BD
+      let playerData = JSON.parse(this.accountManager.__getCharacterBlueprint({
+        name: name,
+        sex: sex,
+        vocation: vocation
       }));
 
+      this.storage.savePlayerData(name.toLowerCase(), account, playerData, function (err2) {
+
+        if (err2) {
+          console.error("[LOGIN] Error guardando nuevo personaje:", err2);
+          return this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
+        }
+
+        this.__writeJSON(response, 201, { ok: true, name });
+
+      }.bind(this));
+
     }.bind(this));
 
   }.bind(this));
 
 };
 
-LoginServer.prototype.__authAccount = function (account, password, callback) {
+LoginServer.prototype.__deleteCharacter = function (account, query, response) {
+
+  /*
+   * LoginServer.__deleteCharacter
+   * Deletes a character that belongs to the account of a session
+   * Query: ?name=...
+   */
+
+  if (!query.name) {
+    return this.__writeJSON(response, 400, { error: "MISSING_FIELDS" });
+  }
+
+  this.storage.deletePlayerData(query.name.toLowerCase(), account, function (err, deleted) {
+
+    if (err) {
+      console.error("[LOGIN] Error borrando personaje:", err);
+      return this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
+    }
+
+    if (!deleted) {
+      return this.__writeJSON(response, 403, { error: "CHARACTER_DOES_NOT_BELONG_TO_ACCOUNT" });
+    }
+
+    response.statusCode = 204;
+    response.end();
+
+  }.bind(this));
+
+};
+
+LoginServer.prototype.__loginCharacter = function (account, query, response) {
+
+  /*
+   * LoginServer.__loginCharacter
+   * Generates a gameserver token for a character that belongs to the account of a session
+   * Query: ?name=...
+   */
+
+  if (!query.name) {
+    return this.__writeJSON(response, 400, { error: "MISSING_FIELDS" });
+  }
+
+  // Confirmar que el personaje pertenece a esta cuenta
+  this.storage.listCharactersByAccount(account, function (err, rows) {
+
+    if (err) {
+      console.error("[LOGIN] Error listando personajes en /login-character:", err);
+      return this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
+    }
+
+    let found = rows.find(r => r.name.toLowerCase() === query.name.toLowerCase());
+
+    if (!found) {
+      return this.__writeJSON(response, 403, { error: "CHARACTER_DOES_NOT_BELONG_TO_ACCOUNT" });
+    }
+
+    // Generar token usando el nombre del personaje
+    let tokenObject = this.__generateToken(found.name);
+
+    this.__writeJSON(response, 200, {
+      token: Buffer.from(JSON.stringify(tokenObject)).toString("base64"),
+      host: CONFIG.SERVER.EXTERNAL_HOST
+    });
+
+  }.bind(this));
+
+};
+
+LoginServer.prototype.__authAccount = function (account, password, address, callback) {
   /*
    * Valida account + password usando la misma lógica que el login normal.
    * callback(err, accountRow)
    */
 
-  AccountDB.findAccount(account, function (err, row) {
+  this.__authenticate(account, address, "INVALID_PASSWORD", function (row, compareCallback) {
+    bcrypt.compare(password, row.hash, compareCallback);
+  }, callback);
+
+};
+
+LoginServer.prototype.__authRecoveryKey = function (account, recoveryKey, address, callback) {
+
+  /*
+   * LoginServer.__authRecoveryKey
+   * Validates the one-time recovery key of an account with the same throttling as a login
+   * callback(err, accountRow)
+   */
+
+  this.__authenticate(account, address, "INVALID_RECOVERY_KEY", function (row, compareCallback) {
+
+    // The key of the account was already used
+    if (!row.recovery_key) {
+      return compareCallback(null, false);
+    }
+
+    bcrypt.compare(recoveryKey, row.recovery_key, compareCallback);
+
+  }, callback);
+
+};
+
+LoginServer.prototype.__authenticate = function (account, address, failure, compare, callback) {
+
+  /*
+   * LoginServer.__authenticate
+   * Validates a secret of an account: failed attempts lock the address and the account with an exponential backoff
+   * A locked address or account is rejected before the costly bcrypt compare
+   * callback(err, accountRow)
+   */
+
+  let retrySeconds = this.loginThrottle.getRetrySeconds(address);
+
+  if (retrySeconds > 0) {
+    return callback(this.__getLockedError(retrySeconds));
+  }
+
+  this.storage.findAccount(account, function (err, row) {
+
     if (err) return callback(err);
 
     if (!row) {
       // cuenta no existe
+      this.loginThrottle.addFailure(address);
       return callback(new Error("ACCOUNT_NOT_FOUND"));
     }
 
-    bcrypt.compare(password, row.hash, function (error, result) {
+    retrySeconds = this.loginThrottle.getRemainingSeconds(row.locked_until);
+
+    if (retrySeconds > 0) {
+      return callback(this.__getLockedError(retrySeconds));
+    }
+
+    compare(row, function (error, result) {
+
       if (error) return callback(error);
-      if (!result) return callback(new Error("INVALID_PASSWORD"));
+
+      if (!result) {
+        return this.__recordFailedLogin(row, address, function (err2) {
+          callback(err2 || new Error(failure));
+        });
+      }
+
+      this.loginThrottle.reset(address);
 
       // credenciales OK → devolvemos la fila
-      callback(null, row);
-    });
-  });
+      if (row.failed_logins === 0) {
+        return callback(null, row);
+      }
+
+      this.storage.resetFailedLogins(account, function (err2) {
+        callback(err2 || null, row);
+      });
+
+    }.bind(this));
+
+  }.bind(this));
+
+};
+
+LoginServer.prototype.__recordFailedLogin = function (row, address, callback) {
+
+  /*
+   * LoginServer.__recordFailedLogin
+   * Records a failed login for the address and the account and locks the account in the accounts table after too many failures
+   */
+
+  this.loginThrottle.addFailure(address);
+
+  let failures = row.failed_logins + 1;
+  let lockedUntil = this.loginThrottle.getLockout(failures);
+
+  if (lockedUntil !== null) {
+    console.log("Locked account [[ %s ]] until %s after %s failed logins (last from %s).".format(row.account, lockedUntil.toISOString(), failures, address));
+  }
+
+  this.storage.recordFailedLogin(row.account, failures, lockedUntil, callback);
+
+};
+
+LoginServer.prototype.__getLockedError = function (retrySeconds) {
+
+  /*
+   * LoginServer.__getLockedError
+   * Returns the error for a locked address or account with the number of seconds to wait
+   */
+
+  let error = new Error("TOO_MANY_ATTEMPTS");
+  error.retryAfter = retrySeconds;
+
+  return error;
+
+};
+
+LoginServer.prototype.__writeAuthError = function (response, err, route) {
+
+  /*
+   * LoginServer.__writeAuthError
+   * Ends a request that failed authentication with the matching status code
+   */
+
+  switch (err.message) {
+    case "ACCOUNT_NOT_FOUND":
+    case "INVALID_PASSWORD":
+    case "INVALID_RECOVERY_KEY":
+      return this.__writeJSON(response, 401, { error: err.message });
+    case "TOO_MANY_ATTEMPTS":
+      response.setHeader("Retry-After", err.retryAfter);
+      return this.__writeJSON(response, 429, { error: err.message, retryAfter: err.retryAfter });
+  }
+
+  console.error("[LOGIN] Error auth %s:".format(route), err);
+  this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
+
+};
+
+LoginServer.prototype.__changePassword = function (request, response) {
+
+  /*
+   * LoginServer.__changePassword
+   * Changes the password of an account after validating its current password: accounts without a recovery key (e.g., migrated accounts) are issued one
+   * Body JSON: { account, password, newPassword }
+   */
+
+  this.__readJSON(request, response, function (data) {
+
+    if (!data.account || !data.password || !data.newPassword) {
+      return this.__writeJSON(response, 400, { error: "MISSING_FIELDS" });
+    }
+
+    this.__authAccount(String(data.account), String(data.password), request.socket.remoteAddress, function (err, accountRow) {
+
+      if (err) {
+        return this.__writeAuthError(response, err, "POST /password");
+      }
+
+      // The current recovery key is kept
+      if (accountRow.recovery_key) {
+        return this.__changePasswordWithKey(accountRow.account, String(data.newPassword), null, null, response);
+      }
+
+      this.accountManager.createRecoveryKey(function (error, recoveryKey, recoveryHash) {
+
+        if (error) {
+          console.error("[LOGIN] Error creando clave de recuperación:", error);
+          return this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
+        }
+
+        this.__changePasswordWithKey(accountRow.account, String(data.newPassword), recoveryKey, recoveryHash, response);
+
+      }.bind(this));
+
+    }.bind(this));
+
+  }.bind(this));
+
+};
+
+LoginServer.prototype.__changePasswordWithKey = function (account, password, recoveryKey, recoveryHash, response) {
+
+  /*
+   * LoginServer.__changePasswordWithKey
+   * Sets the new password and returns the recovery key when a new key was issued
+   */
+
+  this.__setPassword(account, password, recoveryHash, function (err) {
+
+    if (err) {
+      console.error("[LOGIN] Error cambiando contraseña:", err);
+      return this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
+    }
+
+    if (recoveryKey !== null) {
+      return this.__writeJSON(response, 200, { recoveryKey: recoveryKey });
+    }
+
+    response.statusCode = 204;
+    response.end();
+
+  }.bind(this));
+
 };
 
+LoginServer.prototype.__recoverAccount = function (request, response) {
+
+  /*
+   * LoginServer.__recoverAccount
+   * Sets a new password with the one-time recovery key of an account and returns the next recovery key
+   * Body JSON: { account, recoveryKey, newPassword }
+   */
+
+  this.__readJSON(request, response, function (data) {
+
+    if (!data.account || !data.recoveryKey || !data.newPassword) {
+      return this.__writeJSON(response, 400, { error: "MISSING_FIELDS" });
+    }
+
+    let recoveryKey = String(data.recoveryKey).trim().toUpperCase();
+
+    this.__authRecoveryKey(String(data.account), recoveryKey, request.socket.remoteAddress, function (err, accountRow) {
 
+      if (err) {
+        return this.__writeAuthError(response, err, "POST /recover");
+      }
+
+      // The used key is replaced by a new key
+      this.accountManager.createRecoveryKey(function (error, nextRecoveryKey, recoveryHash) {
+
+        if (error) {
+          console.error("[LOGIN] Error creando clave de recuperación:", error);
+          return this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
+        }
+
+        this.__setPassword(accountRow.account, String(data.newPassword), recoveryHash, function (err2) {
+
+          if (err2) {
+            console.error("[LOGIN] Error recuperando cuenta:", err2);
+            return this.__writeJSON(response, 500, { error: "INTERNAL_ERROR" });
+          }
+
+          this.__writeJSON(response, 200, { recoveryKey: nextRecoveryKey });
+
+        }.bind(this));
+
+      }.bind(this));
+
+    }.bind(this));
+
+  }.bind(this));
+
+};
+
+LoginServer.prototype.__setPassword = function (account, password, recoveryHash, callback) {
+
+  /*
+   * LoginServer.__setPassword
+   * Stores the hash of a new password, unlocks the account and revokes all of its sessions
+   */
+
+  this.accountManager.hashPassword(password, function (error, hash) {
+
+    if (error) return callback(error);
+
+    this.storage.updatePassword(account, hash, recoveryHash, function (err) {
+
+      if (err) return callback(err);
+
+      // Sessions opened with the previous password are no longer valid
+      this.sessionManager.revokeAccount(account);
+
+      callback(null);
+
+    }.bind(this));
+
+  }.bind(this));
+
+};
 
 module.exports = LoginServer;
\ No newline at end of file
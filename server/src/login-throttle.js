@@ -0,0 +1,122 @@
+"use strict";
+
+const LoginThrottle = function() {
+
+  /*
+   * Class LoginThrottle
+   * Throttles failed logins with an exponential backoff: the lockout doubles with every failure after the free attempts
+   *
+   * API:
+   *
+   * LoginThrottle.getLockout(failures) - Returns the date until which an account or address with a number of failures is locked or null
+   * LoginThrottle.getRetrySeconds(address) - Returns the number of seconds an address has to wait before it may log in again
+   * LoginThrottle.getRemainingSeconds(lockedUntil) - Returns the number of seconds until a lockout ends
+   * LoginThrottle.addFailure(address) - Records a failed login from an address
+   * LoginThrottle.reset(address) - Forgets the failed logins of an address after a successful login
+   *
+   */
+
+  // Failed logins by the remote address of the client
+  this.__addresses = new Map();
+
+}
+
+LoginThrottle.prototype.getLockout = function(failures) {
+
+  /*
+   * Function LoginThrottle.getLockout
+   * Returns the date until which an account or address with a number of consecutive failures is locked or null
+   */
+
+  let exponent = failures - CONFIG.LOGIN.THROTTLE.FREE_ATTEMPTS - 1;
+
+  if(exponent < 0) {
+    return null;
+  }
+
+  let seconds = Math.min(CONFIG.LOGIN.THROTTLE.MAX_SECONDS, CONFIG.LOGIN.THROTTLE.BASE_SECONDS * Math.pow(2, exponent));
+
+  return new Date(Date.now() + 1000 * seconds);
+
+}
+
+LoginThrottle.prototype.getRetrySeconds = function(address) {
+
+  /*
+   * Function LoginThrottle.getRetrySeconds
+   * Returns the number of seconds an address has to wait before it may log in again
+   */
+
+  if(!this.__addresses.has(address)) {
+    return 0;
+  }
+
+  return this.getRemainingSeconds(this.__addresses.get(address).lockedUntil);
+
+}
+
+LoginThrottle.prototype.getRemainingSeconds = function(lockedUntil) {
+
+  /*
+   * Function LoginThrottle.getRemainingSeconds
+   * Returns the number of seconds until a lockout ends (zero when there is no lockout)
+   */
+
+  if(lockedUntil === null) {
+    return 0;
+  }
+
+  return Math.max(0, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+
+}
+
+LoginThrottle.prototype.addFailure = function(address) {
+
+  /*
+   * Function LoginThrottle.addFailure
+   * Records a failed login from an address and locks the address when it has too many failures
+   */
+
+  this.__removeExpired();
+
+  if(!this.__addresses.has(address)) {
+    this.__addresses.set(address, new Object({ "failures": 0, "lockedUntil": null, "updated": 0 }));
+  }
+
+  let entry = this.__addresses.get(address);
+
+  entry.failures++;
+  entry.lockedUntil = this.getLockout(entry.failures);
+  entry.updated = Date.now();
+
+}
+
+LoginThrottle.prototype.reset = function(address) {
+
+  /*
+   * Function LoginThrottle.reset
+   * Forgets the failed logins of an address after a successful login
+   */
+
+  this.__addresses.delete(address);
+
+}
+
+LoginThrottle.prototype.__removeExpired = function() {
+
+  /*
+   * Function LoginThrottle.__removeExpired
+   * Forgets the addresses that have not failed a login for longer than the maximum lockout
+   */
+
+  let threshold = Date.now() - 1000 * CONFIG.LOGIN.THROTTLE.MAX_SECONDS;
+
+  this.__addresses.forEach(function(entry, address) {
+    if(entry.updated < threshold) {
+      this.__addresses.delete(address);
+    }
+  }, this);
+
+}
+
+module.exports = LoginThrottle;
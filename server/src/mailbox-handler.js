@@ -1,3 +1,5 @@
+const Storage = require("./storage");
+
 const MailboxHandler = function() {
 
   /*
@@ -119,21 +121,12 @@ MailboxHandler.prototype.__addItemsOffline = function(owner, thing, callback) {
 
   /*
    * Function MailboxHandler.__addItemsOffline
-   * Writes a letter to a player that is offline by doing an atomic update
+   * Mails a thing to a player that is offline: the thing is added to the inbox when the player logs in
    */
 
-  // Atomic update of the player gamefile
-  process.gameServer.server.websocketServer.accountManager.atomicUpdate(owner, function(error, json) {
-
-    if(error) {
-      return callback(true);
-    }
-
-    // Update the players inbox
-    json.inbox.push(thing);
-
-    callback(false);
-
+  // Fails when the player does not exist
+  Storage.open().sendMail(owner.toLowerCase(), new Array(thing), function(error) {
+    callback(!!error);
   });
 
 }
@@ -68,6 +68,35 @@ Monster.prototype.setTarget = function(target) {
 
 }
 
+Monster.prototype.reload = function() {
+
+  /*
+   * Function Monster.reload
+   * Applies the reloaded monster definition to the live monster: its health and outfit are kept
+   */
+
+  let data = this.getPrototype();
+
+  this.attack = data.creatureStatistics.attack ?? 0;
+  this.attackSlowness = data.creatureStatistics.attackSlowness ?? 0;
+  this.defense = data.creatureStatistics.defense ?? 0;
+
+  this.behaviour.setBehaviour(data.behaviour);
+
+  // Sayings may have been added to the definition
+  if(data.hasOwnProperty("sayings") && !this.actions.has(this.handleActionSpeak)) {
+    this.actions.add(this.handleActionSpeak);
+  }
+
+  // Replace the spellbook
+  this.spellActions = new ActionManager();
+
+  if(data.spells) {
+    this.__addSpells(data.spells);
+  }
+
+}
+
 Monster.prototype.isTileOccupied = function(tile) {
 
   /*
@@ -122,9 +151,9 @@ Monster.prototype.createCorpse = function() {
   // Add loot to the corpse and schedule a decay event
   if(corpse.constructor.name === "Corpse") {
     corpse.addLoot(proto.loot);
-    this.damageMap.distributeExperienceAndLoot(this.getPrototype(), corpse.container.__slots.nullfilter());
+    this.damageMap.distributeExperienceAndLoot(this.getPrototype(), corpse.container.__slots.nullfilter(), this.position);
   } else {
-    this.damageMap.distributeExperienceAndLoot(this.getPrototype(), []);
+    this.damageMap.distributeExperienceAndLoot(this.getPrototype(), [], this.position);
   }
 
   // Add the experience
@@ -335,11 +364,14 @@ Monster.prototype.handleSpellAction = function() {
       return;
     }
 
-    // Get the spell callback from the database and apply it
+    // Get the spell callback from the database and apply it: monsters do not pay the mana cost
     let cast = process.gameServer.database.getSpell(spell.id);
 
+    // The entry of the monster may override the properties of the spell (e.g., a larger area)
+    let properties = Object.assign(new Object(), cast, spell);
+
     // If casting was succesful lock it with the specified cooldown
-    if(cast.call(this, spell)) {
+    if(cast.callback.call(this, properties)) {
       this.spellActions.lock(spell, spell.cooldown);
     }
 
@@ -376,6 +408,27 @@ Monster.prototype.decreaseHealth = function(attacker, amount, color) {
 
 }
 
+Monster.prototype.getDamageReduction = function(type) {
+
+  /*
+   * Function Monster.getDamageReduction
+   * Returns the percentage of damage of a type that is mitigated by the immunities and resistances of the monster
+   */
+
+  let proto = this.getPrototype();
+
+  if(proto.immunities && proto.immunities.includes(type)) {
+    return 100;
+  }
+
+  if(proto.resistances && proto.resistances.hasOwnProperty(type)) {
+    return proto.resistances[type];
+  }
+
+  return 0;
+
+}
+
 Monster.prototype.getProperty = function(property) {
 
   /*
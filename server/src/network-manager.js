@@ -118,6 +118,13 @@ NetworkManager.prototype.__readPacket = function(gameSocket, packet) {
   // Read the opcode of the packet
   let opcode = packet.readUInt8();
 
+  process.gameServer.metrics.countPacket(opcode);
+
+  // Rejected packets are skipped without being handled
+  if(!gameSocket.packetLimiter.accept(opcode)) {
+    return this.__rejectPacket(gameSocket, packet, opcode);
+  }
+
   // The packet operational code
   switch(opcode) {
 
@@ -126,6 +133,19 @@ NetworkManager.prototype.__readPacket = function(gameSocket, packet) {
        return gameSocket.player.handleBuyOffer(packet.readBuyOffer());
     }
 
+    // An item is offered to another player
+    case PacketReader.prototype.opcodes.TRADE_REQUEST.code: {
+      return gameSocket.player.handleTradeRequest(packet.readTradeRequest(gameSocket.player));
+    }
+
+    case PacketReader.prototype.opcodes.TRADE_ACCEPT.code: {
+      return gameSocket.player.handleTradeAccept();
+    }
+
+    case PacketReader.prototype.opcodes.TRADE_CANCEL.code: {
+      return gameSocket.player.handleTradeCancel();
+    }
+
     // Cancel target packet is requested (esc key)
     case PacketReader.prototype.opcodes.TARGET_CANCEL.code: {
        return gameSocket.player.setTarget(null);
@@ -232,4 +252,23 @@ NetworkManager.prototype.__readPacket = function(gameSocket, packet) {
 
 }
 
+NetworkManager.prototype.__rejectPacket = function(gameSocket, packet, opcode) {
+
+  /*
+   * Function NetworkManager.__rejectPacket
+   * Skips a packet that was rejected by the packet limiter so that the packets after it can still be read
+   */
+
+  // Packets have no length prefix: an unknown opcode means the rest of the buffer cannot be read
+  if(!packet.skipPacket(opcode)) {
+    return gameSocket.close();
+  }
+
+  // The client has already taken the step so it must be returned to the position of the player
+  if(gameSocket.packetLimiter.MOVE_OPCODES.has(opcode)) {
+    process.gameServer.world.teleportCreature(gameSocket.player, gameSocket.player.position);
+  }
+
+}
+
 module.exports = NetworkManager;
@@ -2,6 +2,7 @@
 
 const Creature = require("./creature");
 const CutsceneManager = require("./scene");
+const Dialogue = require("./dialogue");
 const Position = require("./position");
 const PacketWriter = require("./packet-writer");
 const GenericLock = require("./generic-lock");
@@ -15,6 +16,7 @@ const NPC = function(data) {
    * API:
    * 
    * @NPC.isSpeaking() - returns true if the NPC has a focus
+   * @NPC.reload(data) - rebinds the NPC to a changed definition, dialogue and script
    *
    */
 
@@ -61,9 +63,16 @@ const NPC = function(data) {
     "ignoreCharacters": true
   }
 
+  // A declarative dialogue tree answers keywords without a script
+  this.dialogue = null;
+
+  if(data.dialogue) {
+    this.__loadDialogue(data.dialogue);
+  }
+
   this.script = data.script;
 
-  // If there is a script we must attach it to the NPC
+  // If there is a script we must attach it to the NPC: it can overwrite the talk states of the dialogue
   if(data.script) {
     this.__loadScript(data.script);
   }
@@ -90,6 +99,49 @@ NPC.prototype.setTarget = function(target) {
 
 }
 
+NPC.prototype.reload = function(data) {
+
+  /*
+   * Function NPC.reload
+   * Rebinds the live NPC to a changed definition and script without removing it from the world
+   */
+
+  // The talk states of an ongoing conversation belong to the previous script
+  this.__resetState();
+
+  // Detach the listeners of the previous script
+  this.clear();
+
+  this.greetings = data.greetings;
+  this.farewells = data.farewells;
+  this.hearingRange = data.hearingRange;
+  this.wanderRange = data.wanderRange;
+  this.speakSlowness = data.speakSlowness;
+  this.trade = data.trade;
+
+  if(data.hasOwnProperty("sayings")) {
+    this.sayings = data.sayings;
+    if(!this.actions.has(this.handleActionSpeak)) {
+      this.actions.add(this.handleActionSpeak);
+    }
+  }
+
+  this.__talkState = this.__baseTalkState = Function.prototype;
+
+  this.dialogue = null;
+
+  if(data.dialogue) {
+    this.__loadDialogue(data.dialogue);
+  }
+
+  this.script = data.script;
+
+  if(data.script) {
+    this.__loadScript(data.script);
+  }
+
+}
+
 NPC.prototype.internalCreatureSay = function(message, color) {
 
   if(this.isSpeaking()) {
@@ -295,7 +347,7 @@ NPC.prototype.handleResponse = function(player, keyword) {
    * Handles an incoming keyword from a particular player
    */
 
-  if(!this.script) {
+  if(!this.script && !this.dialogue) {
     return;
   }
 
@@ -416,6 +468,20 @@ NPC.prototype.__extendFocus = function() {
 
 }
 
+NPC.prototype.__loadDialogue = function(definition) {
+
+  /*
+   * Function NPC.__loadDialogue
+   * Creates the dialogue tree of the NPC and answers keywords with its responses
+   */
+
+  this.dialogue = new Dialogue(this, definition);
+  this.dialogue.attachMessages();
+
+  this.__baseTalkState = this.__talkState = this.dialogue.getBaseTalkState();
+
+}
+
 NPC.prototype.__loadScript = function(script) {
 
   /*
@@ -35,6 +35,9 @@
       "LEAVE_CHANNEL": {"code": 36, "length": 2},
       "BUY_OFFER": {"code": 37, "length": 7},
       "OPEN_KEYRING": {"code": 38, "length": 1},
+      "TRADE_REQUEST": {"code": 39, "length": 13},
+      "TRADE_ACCEPT": {"code": 40, "length": 1},
+      "TRADE_CANCEL": {"code": 41, "length": 1},
       "LATENCY": {"code": 255, "length": 1}
     },
     "SERVER": {
@@ -83,7 +86,7 @@
       "ADD_ACHIEVEMENT": {"code": 46, "length": 255},
       "TRADE_OFFER": {"code": 47, "length": 4096},
       "WORLD_TIME": {"code": 48, "length": 5},
-      "PLAYER_STATISTICS": {"code": 49, "length": 9},
+      "PLAYER_STATISTICS": {"code": 49, "length": 18},
       "COMBAT_LOCK": {"code": 50, "length": 2},
       "SERVER_ERROR": {"code": 51, "length": 255},
       "CAST_SPELL": {"code": 52, "length": 7},
@@ -91,6 +94,15 @@
       "TOGGLE_CONDITION": {"code": 54, "length": 8},
       "SET_TARGET": {"code": 55, "length": 5},
       "WRITE_SPELLS": {"code": 56, "length": 255},
+      "SKILL_UPDATE": {"code": 57, "length": 4},
+      "TRADE_UPDATE": {"code": 58, "length": 255},
+      "TRADE_CLOSE": {"code": 59, "length": 1},
+      "CREATURE_SKULL": {"code": 60, "length": 6},
+      "LOSE_EXPERIENCE": {"code": 61, "length": 5},
+      "QUEST_LOG": {"code": 62, "length": 3},
+      "CREATURE_SHIELD": {"code": 63, "length": 6},
+      "PARTY_MEMBERS": {"code": 64, "length": 4096},
+      "PARTY_HEALTH": {"code": 65, "length": 255},
       "LATENCY": {"code": 255, "length": 1}
     }
   });
@@ -1,6 +1,7 @@
 const PacketWriter = require("./packet-writer");
 const Condition = require("./condition");
 const MailboxHandler = require("./mailbox-handler");
+const CommandHandler = require("./command-handler");
 
 const PacketHandler = function() {
 
@@ -10,6 +11,7 @@ const PacketHandler = function() {
    */
 
   this.mailboxHandler = new MailboxHandler();
+  this.commandHandler = new CommandHandler();
 
 }
 
@@ -324,8 +326,12 @@ PacketHandler.prototype.handleTargetCreature = function(player, id) {
     return;
   }
 
-  // Must be of type monster
-  if(creature.constructor.name !== "Monster") {
+  // Players can only be attacked according to the PvP rules of the world
+  if(creature.isPlayer()) {
+    if(!player.canAttackPlayer(creature)) {
+      return;
+    }
+  } else if(creature.constructor.name !== "Monster") {
     return player.sendCancelMessage("You may not attack this creature.");
   }
 
@@ -343,6 +349,11 @@ PacketHandler.prototype.handlePlayerSay = function(player, packet) {
    * When player says a message handle it
    */
 
+  // Commands are executed by saying them: players without permissions can only use the public commands
+  if(this.commandHandler.isCommand(packet.message) && this.commandHandler.isAvailable(player, packet.message)) {
+    return this.commandHandler.handle(player, packet.message);
+  }
+
   // Write to the appropriate channel identifier
   let channel = process.gameServer.world.channelManager.getChannel(packet.id);
 
@@ -0,0 +1,174 @@
+"use strict";
+
+const PacketReader = require("./packet-reader");
+
+const PacketLimiter = function(gameSocket) {
+
+  /*
+   * Class PacketLimiter
+   * Rate limits the incoming packets of a single client: packets that exceed the limits are rejected and repeat offenders are disconnected
+   *
+   * API:
+   *
+   * PacketLimiter.accept(opcode) - Returns true if a packet is within the limits and may be handled
+   *
+   */
+
+  // Circular reference
+  this.gameSocket = gameSocket;
+
+  // Token buckets by their key that are refilled continuously up to their capacity
+  this.__buckets = new Map();
+
+  // Rejected packets are forgotten when the client behaves for a while
+  this.__violations = 0;
+  this.__lastViolation = 0;
+
+  // Packets that are still in flight after disconnecting are all rejected
+  this.__disconnected = false;
+
+}
+
+// The opcodes of all movement directions are limited by the step duration of the player
+PacketLimiter.prototype.MOVE_OPCODES = new Set(new Array(
+  "MOVE_NORTH",
+  "MOVE_EAST",
+  "MOVE_SOUTH",
+  "MOVE_WEST",
+  "MOVE_NORTHEAST",
+  "MOVE_NORTHWEST",
+  "MOVE_SOUTHEAST",
+  "MOVE_SOUTHWEST"
+).map(name => PacketReader.prototype.opcodes[name].code));
+
+// Look up the names of the opcodes that are configured
+PacketLimiter.prototype.OPCODE_NAMES = new Map(Object.entries(PacketReader.prototype.opcodes).map(([ name, opcode ]) => [ opcode.code, name ]));
+
+PacketLimiter.prototype.accept = function(opcode) {
+
+  /*
+   * Function PacketLimiter.accept
+   * Returns true if a packet is within the limits of all packets and of its opcode and otherwise records a violation
+   */
+
+  if(!CONFIG.PACKET_LIMITS.ENABLED) {
+    return true;
+  }
+
+  if(this.__disconnected) {
+    return false;
+  }
+
+  let rate = CONFIG.PACKET_LIMITS.PACKETS_PER_SECOND;
+
+  if(this.__take("ALL", rate, rate * CONFIG.PACKET_LIMITS.BURST_SECONDS) && this.__acceptOpcode(opcode)) {
+    return true;
+  }
+
+  this.__addViolation(opcode);
+
+  return false;
+
+}
+
+PacketLimiter.prototype.__acceptOpcode = function(opcode) {
+
+  /*
+   * Function PacketLimiter.__acceptOpcode
+   * Returns true if a packet is within the limit of its opcode: opcodes without a configured limit are always accepted
+   */
+
+  // A client cannot walk faster than the player: a few steps may arrive at once because of latency
+  if(this.MOVE_OPCODES.has(opcode)) {
+    return this.__take("MOVE", 1000 / this.__getStepMilliseconds(), CONFIG.PACKET_LIMITS.MOVE_BURST);
+  }
+
+  let name = this.OPCODE_NAMES.get(opcode);
+
+  if(!CONFIG.PACKET_LIMITS.OPCODES_PER_SECOND.hasOwnProperty(name)) {
+    return true;
+  }
+
+  let rate = CONFIG.PACKET_LIMITS.OPCODES_PER_SECOND[name];
+
+  return this.__take(name, rate, rate * CONFIG.PACKET_LIMITS.BURST_SECONDS);
+
+}
+
+PacketLimiter.prototype.__getStepMilliseconds = function() {
+
+  /*
+   * Function PacketLimiter.__getStepMilliseconds
+   * Returns the duration of a single step of the player on its current tile
+   */
+
+  let player = this.gameSocket.player;
+  let tile = process.gameServer.world.getTileFromWorldPosition(player.position);
+
+  let frames = (tile === null || tile.id === 0) ? 10 : player.getStepDuration(tile.getFriction());
+
+  return frames * CONFIG.SERVER.MS_TICK_INTERVAL;
+
+}
+
+PacketLimiter.prototype.__take = function(key, rate, capacity) {
+
+  /*
+   * Function PacketLimiter.__take
+   * Takes a token from a bucket that is refilled at a rate per second and returns false when the bucket is empty
+   */
+
+  let now = Date.now();
+
+  if(!this.__buckets.has(key)) {
+    this.__buckets.set(key, new Object({ "tokens": capacity, "updated": now }));
+  }
+
+  let bucket = this.__buckets.get(key);
+
+  bucket.tokens = Math.min(capacity, bucket.tokens + rate * (now - bucket.updated) / 1000);
+  bucket.updated = now;
+
+  if(bucket.tokens < 1) {
+    return false;
+  }
+
+  bucket.tokens--;
+
+  return true;
+
+}
+
+PacketLimiter.prototype.__addViolation = function(opcode) {
+
+  /*
+   * Function PacketLimiter.__addViolation
+   * Records a rejected packet and disconnects the client when too many packets were rejected in a short time
+   */
+
+  let now = Date.now();
+
+  if(now - this.__lastViolation > 1000 * CONFIG.PACKET_LIMITS.VIOLATION_RESET_SECONDS) {
+    this.__violations = 0;
+  }
+
+  this.__violations++;
+  this.__lastViolation = now;
+
+  if(this.__violations < CONFIG.PACKET_LIMITS.MAX_VIOLATIONS) {
+    return;
+  }
+
+  this.__disconnected = true;
+
+  console.log("Disconnecting [[ %s ]] from %s: too many packets were rejected (last opcode %s).".format(
+    this.gameSocket.player === null ? "unknown" : this.gameSocket.player.name,
+    this.gameSocket.getAddress().address,
+    this.OPCODE_NAMES.get(opcode) || opcode
+  ));
+
+  this.gameSocket.closeError("You have been disconnected for sending too many packets.");
+
+}
+
+module.exports = PacketLimiter;
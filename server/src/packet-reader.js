@@ -114,6 +114,55 @@ PacketReader.prototype.readItemUseWith = function(player) {
 
 }
 
+PacketReader.prototype.readTradeRequest = function(player) {
+
+  /*
+   * Function PacketReader.readTradeRequest
+   * Reads a packet that offers an item to another player in a trade
+   */
+
+  return new Object({
+    "which": this.readMoveEvent(player),
+    "index": this.readUInt8(),
+    "id": this.readUInt32()
+  });
+
+}
+
+PacketReader.prototype.skipPacket = function(opcode) {
+
+  /*
+   * Function PacketReader.skipPacket
+   * Skips the remainder of a packet without handling it: returns false when the opcode is unknown
+   */
+
+  // Packets with strings have a variable length and must be read to find where they end
+  switch(opcode) {
+    case this.opcodes.CLIENT_MESSAGE.code:
+      this.readClientMessage();
+      return true;
+    case this.opcodes.SEND_PRIVATE_MESSAGE.code:
+      this.readPrivateMessage();
+      return true;
+    case this.opcodes.ADD_FRIEND.code:
+    case this.opcodes.REMOVE_FRIEND.code:
+      this.readString();
+      return true;
+  }
+
+  let packet = Object.values(this.opcodes).find(packet => packet.code === opcode);
+
+  if(packet === undefined) {
+    return false;
+  }
+
+  // The length of the other packets is fixed and includes the opcode
+  this.skip(packet.length - 1);
+
+  return true;
+
+}
+
 PacketReader.prototype.isReadable = function() {
 
   /*
@@ -54,10 +54,31 @@ PacketWriter.prototype.writeCharacterInformation = function(creature) {
     this.writeUInt8(0);
   }
 
+  this.writeGuild(creature);
+
   return this.__slicePacket();
 
 }
 
+PacketWriter.prototype.writeGuild = function(creature) {
+
+  /*
+   * Function PacketWriter.writeGuild
+   * Writes the guild name and rank title of a creature: empty strings when the creature is not in a guild
+   */
+
+  let guild = creature.isPlayer() ? creature.getGuild() : null;
+
+  if(guild === null) {
+    this.__writeString(null);
+    return this.__writeString(null);
+  }
+
+  this.__writeString(guild.name);
+  this.__writeString(guild.getRankTitle(creature.name));
+
+}
+
 PacketWriter.prototype.writeCondition = function(toggle, guid, cid) {
 
   /*
@@ -87,6 +108,21 @@ PacketWriter.prototype.writeCastSpell = function(sid, duration) {
 
 }
 
+PacketWriter.prototype.writeSkillUpdate = function(skill, level, percentage) {
+
+  /*
+   * Function PacketWriter.writeSkillUpdate
+   * Writes the new level and advancement percentage of a single skill
+   */
+
+  this.writeUInt8(skill);
+  this.writeUInt8(level);
+  this.writeUInt8(percentage);
+
+  return this.buffer;
+
+}
+
 PacketWriter.prototype.writeCombatLock = function(bool) {
 
   /*
@@ -107,11 +143,16 @@ PacketWriter.prototype.writePlayerStatistics = function(player) {
    * Writes player statistics to the player
    */
 
-  // Information that needs to be overwritten when it changes
-  this.writeUInt32(player.characterStatistics.capacity);
+  // Information that needs to be overwritten when it changes: losing a level may leave the player overloaded
+  this.writeUInt32(Math.max(0, player.characterStatistics.capacity));
   this.writeUInt8(player.getAttack());
   this.writeUInt8(player.getDefense());
   this.writeUInt16(player.getSpeed());
+  this.writeUInt16(player.mana);
+  this.writeUInt16(player.maxMana);
+  this.writeUInt16(player.health);
+  this.writeUInt16(player.maxHealth);
+  this.writeUInt8(player.characterStatistics.soul);
 
   return this.buffer;
 
@@ -150,6 +191,42 @@ PacketWriter.prototype.writeTrade = function(npc) {
 
 }
 
+PacketWriter.prototype.writeTradeUpdate = function(own, partner) {
+
+  /*
+   * Function PacketWriter.writeTradeUpdate
+   * Writes the state of a trade between two players from the perspective of one of the players
+   */
+
+  this.__writeString(partner.player.name);
+
+  // The offered items with their contents and whether the players have accepted
+  this.__writeTradeOffer(own);
+  this.__writeTradeOffer(partner);
+
+  return this.__slicePacket();
+
+}
+
+PacketWriter.prototype.__writeTradeOffer = function(party) {
+
+  /*
+   * Function PacketWriter.__writeTradeOffer
+   * Writes a single offer of a trade: an offered container is written with all the items inside it
+   */
+
+  let contents = party.item !== null && party.item.constructor.name === "Container" ? party.item.getContents() : new Array();
+
+  // Containers can hold many items so make sure the packet is large enough
+  this.__reserve(6 + 3 * contents.length);
+
+  this.writeItem(party.item);
+  this.writeUInt16(contents.length);
+  contents.forEach(this.writeItem, this);
+  this.writeBoolean(party.accepted);
+
+}
+
 PacketWriter.prototype.writeAddAchievement = function(achievement) {
 
   /*
@@ -164,6 +241,92 @@ PacketWriter.prototype.writeAddAchievement = function(achievement) {
 
 }
 
+PacketWriter.prototype.writeQuestLog = function(quests) {
+
+  /*
+   * Function PacketWriter.writeQuestLog
+   * Writes the quests that the player has started with their missions
+   */
+
+  // The packet is sized from the names and descriptions of the quests
+  this.__reserve(this.__getQuestLogLength(quests));
+
+  this.writeUInt16(quests.length);
+
+  quests.forEach(function(quest) {
+
+    this.__writeString(quest.name);
+    this.writeBoolean(quest.completed);
+    this.writeUInt16(quest.missions.length);
+
+    quest.missions.forEach(function(mission) {
+      this.__writeString(mission.name);
+      this.__writeString(mission.description);
+      this.writeBoolean(mission.completed);
+    }, this);
+
+  }, this);
+
+  return this.__slicePacket();
+
+}
+
+PacketWriter.prototype.__getQuestLogLength = function(quests) {
+
+  /*
+   * Function PacketWriter.__getQuestLogLength
+   * Returns the number of bytes that are written for the quest log
+   */
+
+  return quests.reduce(function(length, quest) {
+
+    let missions = quest.missions.reduce(function(sum, mission) {
+      return sum + this.__getStringLength(mission.name) + this.__getStringLength(mission.description) + 1;
+    }.bind(this), 0);
+
+    return length + this.__getStringLength(quest.name) + 3 + missions;
+
+  }.bind(this), 2);
+
+}
+
+PacketWriter.prototype.writePartyMembers = function(party) {
+
+  /*
+   * Function PacketWriter.writePartyMembers
+   * Writes the members of a party with their health: no members are written when the player is not in a party
+   */
+
+  let members = party === null ? new Array() : party.getMembers();
+
+  this.writeUInt8(members.length);
+
+  members.forEach(function(member) {
+    this.__writeString(member.name);
+    this.writeBoolean(party.isLeader(member));
+    this.writeUInt32(member.health);
+    this.writeUInt32(member.maxHealth);
+  }, this);
+
+  return this.__slicePacket();
+
+}
+
+PacketWriter.prototype.writePartyHealth = function(player) {
+
+  /*
+   * Function PacketWriter.writePartyHealth
+   * Writes the health of a party member
+   */
+
+  this.__writeString(player.name);
+  this.writeUInt32(player.health);
+  this.writeUInt32(player.maxHealth);
+
+  return this.__slicePacket();
+
+}
+
 PacketWriter.prototype.writeZoneInformation = function(zid) {
 
   /*
@@ -388,6 +551,19 @@ PacketWriter.prototype.writeGainExperience = function(id, experience) {
 
 }
 
+PacketWriter.prototype.writeLoseExperience = function(experience) {
+
+  /*
+   * Function PacketWriter.writeLoseExperience
+   * Writes a packet that contains the experience lost by the player
+   */
+
+  this.writeUInt32(experience);
+
+  return this.buffer;
+
+}
+
 PacketWriter.prototype.writeCreatureType = function(creature) {
 
   /*
@@ -417,11 +593,27 @@ PacketWriter.prototype.writeConditions = function(conditions) {
 
 }
 
-PacketWriter.prototype.writeCreatureInfo = function(creature) {
+PacketWriter.prototype.writeSkills = function(skills) {
+
+  /*
+   * Function PacketWriter.writeSkills
+   * Writes the level and advancement percentage of all skills of the player
+   */
+
+  this.writeUInt8(skills.NAMES.length);
+
+  skills.NAMES.forEach(function(name, skill) {
+    this.writeUInt8(skills.getSkillLevel(skill));
+    this.writeUInt8(skills.getSkillPercentage(skill));
+  }, this);
+
+}
+
+PacketWriter.prototype.writeCreatureInfo = function(creature, viewer) {
 
   /*
    * Function PacketWriter.writeCreatureInfo
-   * Writes the necessary creature information to a packet
+   * Writes the necessary creature information to a packet: the party shield depends on the player that sees the creature
    */
 
   this.writeUInt32(creature.guid);
@@ -439,6 +631,9 @@ PacketWriter.prototype.writeCreatureInfo = function(creature) {
 
   this.writeUInt8(creature.type);
   this.__writeString(creature.name);
+  this.writeGuild(creature);
+  this.writeUInt8(creature.isPlayer() ? creature.frags.getSkull() : 0);
+  this.writeUInt8(creature.isPlayer() && viewer !== undefined ? process.gameServer.world.partyManager.getShield(creature, viewer) : 0);
 
   // The conditions
   this.writeConditions(creature.conditions);
@@ -517,6 +712,34 @@ PacketWriter.prototype.writeCreatureRemove = function(id) {
 
 }
 
+PacketWriter.prototype.writeCreatureSkull = function(id, skull) {
+
+  /*
+   * Function PacketWriter.writeCreatureSkull
+   * Writes the skull that marks a player in PvP
+   */
+
+  this.writeUInt32(id);
+  this.writeUInt8(skull);
+
+  return this.buffer;
+
+}
+
+PacketWriter.prototype.writeCreatureShield = function(id, shield) {
+
+  /*
+   * Function PacketWriter.writeCreatureShield
+   * Writes the party shield of a player as seen by the receiving player
+   */
+
+  this.writeUInt32(id);
+  this.writeUInt8(shield);
+
+  return this.buffer;
+
+}
+
 PacketWriter.prototype.writeCreatureTurn = function(id, direction) {
 
   /*
@@ -573,12 +796,16 @@ PacketWriter.prototype.writeLoginSuccess = function(player) {
   // Write the outfit
   this.writeOutfit(player.outfit);
 
-  // Write health information
-  this.writeUInt8(player.health);
-  this.writeUInt8(player.maxHealth);
+  // Write health information: vocations raise the maximum health beyond a single byte
+  this.writeUInt16(player.health);
+  this.writeUInt16(player.maxHealth);
 
   this.writeConditions(player.conditions);
 
+  this.writeSkills(player.skills);
+
+  this.writeUInt8(player.frags.getSkull());
+
   // Only return the part of the packet with information
   return this.__slicePacket();
 
@@ -1041,7 +1268,7 @@ PacketWriter.prototype.__writeSingleTrade = function(offer) {
   this.writeClientId(offer.id);
   this.__writeString(offer.name);
   this.writeUInt32(offer.price);
-  this.writeBoolean(offer.sell);
+  this.writeBoolean(offer.type === "sell");
 
 }
 
@@ -1075,6 +1302,21 @@ PacketWriter.prototype.__writeString = function(message) {
 
 }
 
+PacketWriter.prototype.__getStringLength = function(message) {
+
+  /*
+   * Function PacketWriter.__getStringLength
+   * Returns the number of bytes that are written for a string including its length
+   */
+
+  if(message === null) {
+    return 2;
+  }
+
+  return 2 + Buffer.byteLength(this.__escapeHTML(message).slice(0, 0xFFFF), "utf-8");
+
+}
+
 PacketWriter.prototype.__allocateBuffer = function(packet) {
 
   /*
@@ -1089,6 +1331,21 @@ PacketWriter.prototype.__allocateBuffer = function(packet) {
 
 }
 
+PacketWriter.prototype.__reserve = function(length) {
+
+  /*
+   * Function PacketWriter.__reserve
+   * Grows the buffer when fewer than a number of bytes remain: used for packets with a size that depends on their content
+   */
+
+  if(this.index + length <= this.buffer.length) {
+    return;
+  }
+
+  this.buffer = Buffer.concat([ this.buffer, Buffer.alloc(this.index + length - this.buffer.length) ]);
+
+}
+
 PacketWriter.prototype.__slicePacket = function() {
 
   /*
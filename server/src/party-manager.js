@@ -0,0 +1,379 @@
+"use strict";
+
+const Party = require("./party");
+const PacketWriter = require("./packet-writer");
+
+const PartyManager = function() {
+
+  /*
+   * Class PartyManager
+   * Container for all parties in the world: parties only exist while their members are online
+   *
+   * API:
+   *
+   * PartyManager.getParty(player) - Returns the party that a player is a member of or null
+   * PartyManager.getShield(creature, viewer) - Returns the party shield of a creature as seen by another player (see Party.SHIELDS)
+   * PartyManager.invite(player, name) - Invites an online player to the party of the player and creates the party when needed
+   * PartyManager.accept(player, name) - Joins the party of the leader with a name that invited the player
+   * PartyManager.leave(player) - Leaves the party of the player
+   * PartyManager.kick(player, name) - Removes a member from the party that the player leads
+   * PartyManager.passLeadership(player, name) - Passes the leadership of the party to another member
+   * PartyManager.handleLogout(player) - Removes a player that logs out from its party
+   *
+   */
+
+  // Parties referenced by their member players
+  this.__memberParties = new Map();
+
+}
+
+PartyManager.prototype.getParty = function(player) {
+
+  /*
+   * Function PartyManager.getParty
+   * Returns the party that a player is a member of or null
+   */
+
+  if(!this.__memberParties.has(player)) {
+    return null;
+  }
+
+  return this.__memberParties.get(player);
+
+}
+
+PartyManager.prototype.getShield = function(creature, viewer) {
+
+  /*
+   * Function PartyManager.getShield
+   * Returns the party shield of a creature as seen by another player: invitations are only visible to the leader and the invited player
+   */
+
+  let party = this.getParty(creature);
+
+  // The creature may have been invited by the viewer
+  if(party === null) {
+
+    let viewerParty = this.getParty(viewer);
+
+    if(viewerParty !== null && viewerParty.isLeader(viewer) && viewerParty.isInvited(creature.name)) {
+      return Party.prototype.SHIELDS.INVITED;
+    }
+
+    return Party.prototype.SHIELDS.NONE;
+
+  }
+
+  if(party.hasMember(viewer)) {
+    return party.isLeader(creature) ? Party.prototype.SHIELDS.LEADER : Party.prototype.SHIELDS.MEMBER;
+  }
+
+  if(party.isLeader(creature) && party.isInvited(viewer.name)) {
+    return Party.prototype.SHIELDS.INVITER;
+  }
+
+  return Party.prototype.SHIELDS.NONE;
+
+}
+
+PartyManager.prototype.invite = function(player, name) {
+
+  /*
+   * Function PartyManager.invite
+   * Invites an online player to the party of the player: a party is created when the player is not yet in one
+   */
+
+  let party = this.getParty(player);
+
+  if(party !== null && !party.isLeader(player)) {
+    return player.sendCancelMessage("Only the leader of the party may invite players.");
+  }
+
+  let gameSocket = process.gameServer.world.getGameSocketByName(name);
+
+  if(gameSocket === null) {
+    return player.sendCancelMessage("A player with this name is not online.");
+  }
+
+  let target = gameSocket.player;
+
+  if(target === player) {
+    return player.sendCancelMessage("You cannot invite yourself.");
+  }
+
+  if(this.getParty(target) !== null) {
+    return player.sendCancelMessage("%s is already a member of a party.".format(target.name));
+  }
+
+  // The first invitation forms the party with the player as its leader
+  if(party === null) {
+    party = new Party(player);
+    this.__memberParties.set(player, party);
+  }
+
+  if(party.isInvited(target.name)) {
+    return player.sendCancelMessage("%s has already been invited to your party.".format(target.name));
+  }
+
+  party.invite(target.name);
+
+  this.__updateShields(new Array(player, target));
+
+  player.sendCancelMessage("You have invited %s to your party.".format(target.name));
+  target.sendCancelMessage("%s has invited you to the party. Say /party accept %s to join.".format(player.name, player.name));
+
+}
+
+PartyManager.prototype.accept = function(player, name) {
+
+  /*
+   * Function PartyManager.accept
+   * Joins the party of the leader with a name when the leader has invited the player
+   */
+
+  if(this.getParty(player) !== null) {
+    return player.sendCancelMessage("You are already a member of a party.");
+  }
+
+  let gameSocket = process.gameServer.world.getGameSocketByName(name);
+  let party = gameSocket === null ? null : this.getParty(gameSocket.player);
+
+  if(party === null || !party.isLeader(gameSocket.player) || !party.isInvited(player.name)) {
+    return player.sendCancelMessage("You have not been invited to this party.");
+  }
+
+  party.addMember(player);
+  this.__memberParties.set(player, party);
+
+  party.broadcast("%s has joined the party.".format(player.name));
+  party.writeMembers();
+
+  this.__updateShields(party.getMembers());
+
+}
+
+PartyManager.prototype.leave = function(player) {
+
+  /*
+   * Function PartyManager.leave
+   * Leaves the party of the player: the leadership is passed to another member when the leader leaves
+   */
+
+  let party = this.getParty(player);
+
+  if(party === null) {
+    return player.sendCancelMessage("You are not a member of a party.");
+  }
+
+  this.__removeMember(party, player);
+
+  player.sendCancelMessage("You have left the party.");
+  party.broadcast("%s has left the party.".format(player.name));
+
+}
+
+PartyManager.prototype.kick = function(player, name) {
+
+  /*
+   * Function PartyManager.kick
+   * Removes a member from the party that the player leads
+   */
+
+  let party = this.__getLedParty(player);
+
+  if(party === null) {
+    return;
+  }
+
+  let member = party.getMembers().find(member => member.name === name.capitalize());
+
+  if(member === undefined || member === player) {
+    return player.sendCancelMessage("%s is not a member of your party.".format(name.capitalize()));
+  }
+
+  this.__removeMember(party, member);
+
+  member.sendCancelMessage("You have been kicked from the party by %s.".format(player.name));
+  party.broadcast("%s has been kicked from the party.".format(member.name));
+
+}
+
+PartyManager.prototype.passLeadership = function(player, name) {
+
+  /*
+   * Function PartyManager.passLeadership
+   * Passes the leadership of the party that the player leads to another member
+   */
+
+  let party = this.__getLedParty(player);
+
+  if(party === null) {
+    return;
+  }
+
+  let member = party.getMembers().find(member => member.name === name.capitalize());
+
+  if(member === undefined || member === player) {
+    return player.sendCancelMessage("%s is not a member of your party.".format(name.capitalize()));
+  }
+
+  this.__setLeader(party, member);
+
+}
+
+PartyManager.prototype.handleLogout = function(player) {
+
+  /*
+   * Function PartyManager.handleLogout
+   * Removes a player that logs out from its party
+   */
+
+  let party = this.getParty(player);
+
+  if(party === null) {
+    return;
+  }
+
+  this.__removeMember(party, player);
+
+  party.broadcast("%s has left the party.".format(player.name));
+
+}
+
+PartyManager.prototype.__getLedParty = function(player) {
+
+  /*
+   * Function PartyManager.__getLedParty
+   * Returns the party of a player when the player is its leader or null
+   */
+
+  let party = this.getParty(player);
+
+  if(party === null) {
+    player.sendCancelMessage("You are not a member of a party.");
+    return null;
+  }
+
+  if(!party.isLeader(player)) {
+    player.sendCancelMessage("You are not the leader of the party.");
+    return null;
+  }
+
+  return party;
+
+}
+
+PartyManager.prototype.__setLeader = function(party, player) {
+
+  /*
+   * Function PartyManager.__setLeader
+   * Passes the leadership of a party to a member: the invitations of the previous leader are revoked
+   */
+
+  let invited = this.__revokeInvitations(party);
+
+  party.setLeader(player);
+
+  party.broadcast("%s is now the leader of the party.".format(player.name));
+  party.writeMembers();
+
+  this.__updateShields(party.getMembers().concat(invited));
+
+}
+
+PartyManager.prototype.__removeMember = function(party, player) {
+
+  /*
+   * Function PartyManager.__removeMember
+   * Removes a member from a party: a party with a single remaining member is disbanded
+   */
+
+  this.__releaseMember(party, player);
+
+  let members = party.getMembers();
+
+  if(members.length < 2) {
+    return this.__disband(party, members.concat(player));
+  }
+
+  if(party.isLeader(player)) {
+    this.__setLeader(party, members[0]);
+  } else {
+    party.writeMembers();
+  }
+
+  // The removed player no longer sees the shields of the members and the other way around
+  this.__updateShields(members.concat(player));
+
+}
+
+PartyManager.prototype.__releaseMember = function(party, player) {
+
+  /*
+   * Function PartyManager.__releaseMember
+   * Removes a player from a party, closes the party channel and clears the party members of the player
+   */
+
+  party.removeMember(player);
+
+  this.__memberParties.delete(player);
+
+  process.gameServer.world.channelManager.leaveChannel(player, process.gameServer.world.channelManager.CHANNELS.PARTY);
+
+  player.write(new PacketWriter(PacketWriter.prototype.opcodes.PARTY_MEMBERS).writePartyMembers(null));
+
+}
+
+PartyManager.prototype.__disband = function(party, players) {
+
+  /*
+   * Function PartyManager.__disband
+   * Disbands a party by releasing its remaining members and revoking its invitations
+   */
+
+  let invited = this.__revokeInvitations(party);
+
+  party.getMembers().forEach(function(member) {
+    member.sendCancelMessage("The party has been disbanded.");
+    this.__releaseMember(party, member);
+  }, this);
+
+  this.__updateShields(players.concat(invited));
+
+}
+
+PartyManager.prototype.__revokeInvitations = function(party) {
+
+  /*
+   * Function PartyManager.__revokeInvitations
+   * Revokes all invitations of a party and returns the invited players that are still online
+   */
+
+  return party.revokeInvitations().map(function(name) {
+    return process.gameServer.world.getGameSocketByName(name);
+  }).filter(gameSocket => gameSocket !== null).map(gameSocket => gameSocket.player);
+
+}
+
+PartyManager.prototype.__updateShields = function(players) {
+
+  /*
+   * Function PartyManager.__updateShields
+   * Writes the shields of a number of players to each other after the party relations between them have changed
+   */
+
+  players.forEach(function(viewer) {
+    players.forEach(function(creature) {
+
+      if(creature === viewer) {
+        return;
+      }
+
+      viewer.write(new PacketWriter(PacketWriter.prototype.opcodes.CREATURE_SHIELD).writeCreatureShield(creature.guid, this.getShield(creature, viewer)));
+
+    }, this);
+  }, this);
+
+}
+
+module.exports = PartyManager;
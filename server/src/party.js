@@ -0,0 +1,246 @@
+"use strict";
+
+const PacketWriter = require("./packet-writer");
+
+const Party = function(leader) {
+
+  /*
+   * Class Party
+   * Container for a party of online players that share experience and see each others health
+   *
+   * API:
+   *
+   * Party.isLeader(player) - Returns true if the player is the leader of the party
+   * Party.setLeader(player) - Passes the leadership of the party to a member
+   * Party.hasMember(player) - Returns true if the player is a member of the party
+   * Party.getMembers() - Returns all members of the party
+   * Party.addMember(player) - Adds a player to the party and shares the health of the player with the other members
+   * Party.removeMember(player) - Removes a player from the party
+   * Party.invite(name) - Invites a player to join the party
+   * Party.isInvited(name) - Returns true if the player has been invited to the party
+   * Party.revokeInvitations() - Removes all invitations and returns the names of the invited players
+   * Party.canShareExperience(position) - Returns true if experience gained at a position is shared by the members
+   * Party.shareExperience(experience) - Divides experience equally over all members
+   * Party.broadcast(message) - Informs all members of the party
+   * Party.writeMembers() - Writes the members with their health to all members
+   *
+   */
+
+  this.leader = leader;
+
+  // Set of the players in the party including the leader
+  this.__members = new Set();
+
+  // Invitations are referenced by the names of the invited players
+  this.__invitations = new Set();
+
+  // The health change subscriptions of the members
+  this.__healthListeners = new Map();
+
+  this.addMember(leader);
+
+}
+
+// Members must be within this range of the creature and their levels may not differ too much to share experience
+Party.prototype.SHARE_RANGE = 30;
+Party.prototype.SHARE_LEVEL_RATIO = 2 / 3;
+
+// The shields that are shown in front of the name of a player (relative to the player that sees it)
+Party.prototype.SHIELDS = new Object({
+  "NONE": 0,
+  "INVITED": 1,
+  "INVITER": 2,
+  "MEMBER": 3,
+  "LEADER": 4
+});
+
+Party.prototype.isLeader = function(player) {
+
+  /*
+   * Function Party.isLeader
+   * Returns true if the player is the leader of the party
+   */
+
+  return this.leader === player;
+
+}
+
+Party.prototype.setLeader = function(player) {
+
+  /*
+   * Function Party.setLeader
+   * Passes the leadership of the party to one of the members
+   */
+
+  this.leader = player;
+
+}
+
+Party.prototype.hasMember = function(player) {
+
+  /*
+   * Function Party.hasMember
+   * Returns true if the player is a member of the party
+   */
+
+  return this.__members.has(player);
+
+}
+
+Party.prototype.getMembers = function() {
+
+  /*
+   * Function Party.getMembers
+   * Returns all the members of the party
+   */
+
+  return Array.from(this.__members);
+
+}
+
+Party.prototype.addMember = function(player) {
+
+  /*
+   * Function Party.addMember
+   * Adds a player to the party and shares the health changes of the player with the other members
+   */
+
+  this.__invitations.delete(player.name);
+  this.__members.add(player);
+
+  this.__healthListeners.set(player, player.on("healthchange", this.__handleHealthChange.bind(this, player)));
+
+}
+
+Party.prototype.removeMember = function(player) {
+
+  /*
+   * Function Party.removeMember
+   * Removes a player from the party
+   */
+
+  if(!this.__members.delete(player)) {
+    return;
+  }
+
+  player.off("healthchange", this.__healthListeners.get(player));
+
+  this.__healthListeners.delete(player);
+
+}
+
+Party.prototype.invite = function(name) {
+
+  /*
+   * Function Party.invite
+   * Invites a player to join the party
+   */
+
+  this.__invitations.add(name);
+
+}
+
+Party.prototype.isInvited = function(name) {
+
+  /*
+   * Function Party.isInvited
+   * Returns true if the player has been invited to join the party
+   */
+
+  return this.__invitations.has(name);
+
+}
+
+Party.prototype.revokeInvitations = function() {
+
+  /*
+   * Function Party.revokeInvitations
+   * Removes all pending invitations and returns the names of the players that were invited
+   */
+
+  let names = Array.from(this.__invitations);
+
+  this.__invitations.clear();
+
+  return names;
+
+}
+
+Party.prototype.canShareExperience = function(position) {
+
+  /*
+   * Function Party.canShareExperience
+   * Returns true if all members are close to the position and the lowest level is not too far below the highest level
+   */
+
+  let members = this.getMembers();
+
+  if(!members.every(member => member.position.isWithinRangeOf(position, this.SHARE_RANGE))) {
+    return false;
+  }
+
+  let levels = members.map(member => member.characterStatistics.level);
+
+  return Math.min(...levels) >= Math.ceil(this.SHARE_LEVEL_RATIO * Math.max(...levels));
+
+}
+
+Party.prototype.shareExperience = function(experience) {
+
+  /*
+   * Function Party.shareExperience
+   * Divides experience equally over all members of the party
+   */
+
+  let sharedExperience = Math.floor(experience / this.__members.size);
+
+  if(sharedExperience === 0) {
+    return;
+  }
+
+  this.__members.forEach(member => member.characterStatistics.addExperience(sharedExperience));
+
+}
+
+Party.prototype.broadcast = function(message) {
+
+  /*
+   * Function Party.broadcast
+   * Informs all members of the party
+   */
+
+  this.__members.forEach(member => member.sendCancelMessage(message));
+
+}
+
+Party.prototype.writeMembers = function() {
+
+  /*
+   * Function Party.writeMembers
+   * Writes the members of the party with their health to all members
+   */
+
+  let packet = new PacketWriter(PacketWriter.prototype.opcodes.PARTY_MEMBERS).writePartyMembers(this);
+
+  this.__members.forEach(member => member.write(packet));
+
+}
+
+Party.prototype.__handleHealthChange = function(player) {
+
+  /*
+   * Function Party.__handleHealthChange
+   * Writes the changed health of a member to the other members
+   */
+
+  let packet = new PacketWriter(PacketWriter.prototype.opcodes.PARTY_HEALTH).writePartyHealth(player);
+
+  this.__members.forEach(function(member) {
+    if(member !== player) {
+      member.write(packet);
+    }
+  });
+
+}
+
+module.exports = Party;
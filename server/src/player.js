@@ -5,14 +5,19 @@ const CharacterStats = require("./stat-manager");
 const Condition = require("./condition");
 const Creature = require("./creature");
 const ContainerManager = require("./container-manager");
+const DamageMap = require("./damage-map");
 const ActionManager = require("./action.js");
 const Friendlist = require("./friendlist.js");
 const FluidContainer = require("./fluidcontainer.js");
+const Frags = require("./frags");
 const GenericLock = require("./generic-lock");
 const PacketWriter = require("./packet-writer");
 const PacketReader = require("./packet-reader");
 const Position = require("./position");
 const Spellbook = require("./spellbook");
+const Skills = require("./skills");
+const StorageValues = require("./storage-values");
+const Trade = require("./trade");
 const Equipment = require("./equipment");
 
 const Player = function(gameSocket, data) {
@@ -24,6 +29,9 @@ const Player = function(gameSocket, data) {
    * API:
    *
    * Player.isInCombat - Returns true if the player is or has recently been in combat
+   * Player.isAttackable(target) - Returns true if the PvP rules of the world allow the player to attack another player
+   * Player.canAttackPlayer(target) - Returns true if the player may attack another player and otherwise sends the reason to the player
+   * Player.handleAttackPlayer(target) - Applies the player-killing lock and skulls when the player attacks another player
    *
    *
    */
@@ -55,6 +63,21 @@ const Player = function(gameSocket, data) {
   // This represents the handler for the player spells
   this.spellbook = new Spellbook(this, data.spellbook);
 
+  // The skills of the player that advance with use
+  this.skills = new Skills(this, data.skills);
+
+  // The trade with another player that is currently in progress
+  this.trade = null;
+
+  // Unjustified player kills and the skull that marks the player
+  this.frags = new Frags(this, data.frags);
+
+  // Persistent values set by scripts that track e.g., the progress of quests
+  this.storageValues = new StorageValues(this, data.storageValues);
+
+  // Damage caused by other creatures to determine the killer and assists
+  this.damageMap = new DamageMap();
+
   // Add the available player actions that are checked every frame
   this.actions.add(this.handleActionAttack);
   this.actions.add(this.handleActionRegeneration);
@@ -76,14 +99,35 @@ const Player = function(gameSocket, data) {
   // Create a lock for combat
   this.__createCombatLock();
 
+  // Attacking other players prevents entering protection zones
+  this.__playerKillingLock = new GenericLock();
+
 }
 
 Player.prototype = Object.create(Creature.prototype);
 Player.prototype.constructor = Player;
 
 Player.prototype.COMBAT_LOCK_SECONDS = 3;
+Player.prototype.DEATH_ASSIST_SECONDS = 60;
 Player.prototype.REGENERATION_DURATION = 100;
 
+// The health that every sated character regenerated before vocations: the health regeneration of the vocation multiplies it
+Player.prototype.SATED_HEALTH_REGENERATION = 5;
+
+// The equipment attributes that protect against each damage type
+Player.prototype.ABSORB_ATTRIBUTES = new Object({
+  "physical": "absorbPercentPhysical",
+  "fire": "absorbPercentFire",
+  "energy": "absorbPercentEnergy",
+  "earth": "absorbPercentPoison",
+  "ice": "absorbPercentIce",
+  "holy": "absorbPercentHoly",
+  "death": "absorbPercentDeath",
+  "drowning": "absorbPercentDrown",
+  "lifedrain": "absorbPercentLifeDrain",
+  "manadrain": "absorbPercentManaDrain"
+});
+
 Player.prototype.extendCondition = function(id, ticks, duration) {
 
   // Does not exist yet?
@@ -129,9 +173,9 @@ Player.prototype.enterNewChunk = function(newChunks) {
    * Necessary functions to call when a creature enters a new chunk
    */
 
-  // Introduce self to the new chunk
+  // Introduce self to the new chunk: the party shield is written for each player that sees the player
   newChunks.forEach(chunk => chunk.handleRequest(this));
-  newChunks.forEach(chunk => chunk.__internalBroadcast(this.info()));
+  newChunks.forEach(chunk => chunk.players.forEach(player => player.write(this.info(player))));
 
 }
 
@@ -157,14 +201,14 @@ Player.prototype.isInProtectionZone = function() {
 
 }
 
-Player.prototype.ownsHouseTile = function(tile) {
+Player.prototype.hasHouseAccess = function(tile) {
 
   /*
-   * Function Player.ownsHouseTile
-   * Returns true if the tile is a house tile
+   * Function Player.hasHouseAccess
+   * Returns true if the player is the owner, a sub-owner or a guest that may enter the house tile
    */
 
-  return tile.house.owner === this.name || tile.house.invited.includes(this.name);
+  return tile.house.hasAccess(this.name, tile.position);
 
 }
 
@@ -180,9 +224,15 @@ Player.prototype.isTileOccupied = function(tile) {
     return true;
   }
 
-  // House tile but not owned
-  if(tile.isHouseTile() && !this.ownsHouseTile(tile)) {
-    this.sendCancelMessage("You do not own this house.");
+  // Players that recently attacked other players cannot hide in protection zones
+  if(tile.isProtectionZone() && this.isPlayerKillingLocked()) {
+    this.sendCancelMessage("You may not enter a protection zone after attacking another player.");
+    return true;
+  }
+
+  // House tile but not invited
+  if(tile.isHouseTile() && !this.hasHouseAccess(tile)) {
+    this.sendCancelMessage("You are not invited to this house.");
     return true;
   }
 
@@ -235,24 +285,83 @@ Player.prototype.isInCombat = function() {
 
 }
 
+Player.prototype.isPlayerKillingLocked = function() {
+
+  /*
+   * Function Player.isPlayerKillingLocked
+   * Returns true if the player has recently attacked another player
+   */
+
+  return this.__playerKillingLock.isLocked();
+
+}
+
+Player.prototype.isAttackable = function(target) {
+
+  /*
+   * Function Player.isAttackable
+   * Returns true if the PvP rules of the world allow the player to attack another player without telling the player (e.g., to filter the targets of an area)
+   */
+
+  return target !== this && this.__getAttackRestriction(target) === null;
+
+}
+
+Player.prototype.canAttackPlayer = function(target) {
+
+  /*
+   * Function Player.canAttackPlayer
+   * Returns true if the PvP rules of the world allow the player to attack another player and otherwise tells the player why not
+   */
+
+  if(target === this) {
+    return false;
+  }
+
+  let restriction = this.__getAttackRestriction(target);
+
+  if(restriction !== null) {
+    this.sendCancelMessage(restriction);
+    return false;
+  }
+
+  return true;
+
+}
+
+Player.prototype.handleAttackPlayer = function(target) {
+
+  /*
+   * Function Player.handleAttackPlayer
+   * Extends the combat lock to the player-killing lock and marks the player when the attack is not justified
+   */
+
+  let seconds = CONFIG.WORLD.PVP.PLAYER_KILLING_LOCK_SECONDS;
+
+  this.combatLock.lockSeconds(seconds);
+  this.__playerKillingLock.lockSeconds(seconds);
+
+  // Skulls are only given on regular PvP worlds: attacking a marked player is justified
+  if(CONFIG.WORLD.PVP.TYPE === process.gameServer.world.PVP_TYPES.PVP && !target.frags.hasSkull()) {
+    this.frags.markAggression();
+  }
+
+}
+
 Player.prototype.handleActionRegeneration = function() {
 
   /*
    * Function Player.handleActionRegeneration
-   * Handles default health generation of players
+   * Handles default health and mana generation of players
    */
 
+  // Health and mana are regenerated at the rates of the vocation
   if(!this.isFullHealth()) {
+    this.increaseHealth(this.__getHealthRegeneration());
+  }
 
-    let regeneration = this.getEquipmentAttribute("healthGain");
-    
-    // If not full health
-    if(!this.isInCombat() && this.hasCondition(Condition.prototype.SATED)) {
-      regeneration += 5;
-    }
-
-    this.increaseHealth(regeneration);
-
+  if(this.mana < this.maxMana) {
+    this.changeMana(this.__getManaRegeneration());
   }
 
   this.lockAction(this.handleActionRegeneration, this.REGENERATION_DURATION);
@@ -431,6 +540,8 @@ Player.prototype.decreaseHealth = function(attacker, amount, color) {
    */
 
   // Record the attack in the damage map
+  this.damageMap.update(attacker, amount);
+
   this.internalDecreaseHealth(attacker, amount, color);
 
 }
@@ -486,7 +597,8 @@ Player.prototype.cleanup = function() {
    * Cleans up player references and events after socket close
    */
 
-  // Leave all channels
+  // Leave the party and all channels
+  process.gameServer.world.partyManager.handleLogout(this);
   this.__openedChannels.forEach(channel => channel.leave(this));
 
   // Close all containers
@@ -497,24 +609,182 @@ Player.prototype.cleanup = function() {
 
   // Cancel events scheduled by the combat lock
   this.combatLock.cleanup();
+  this.__playerKillingLock.cleanup();
+
+  // Cancel the expiration of the skull
+  this.frags.cleanup();
 
   // Emit the logout event for the player
   this.emit("logout");
 
 }
 
-Player.prototype.handleDeath = function() {
+Player.prototype.handleDeath = function(killer) {
 
   /*
    * Function Player.handleDeath
-   * Handles the death of the player
+   * Handles the death of the player: the killer dealt the final blow and other recent attackers assisted
    */
 
+  let attackers = this.damageMap.getAttackers(this.DEATH_ASSIST_SECONDS);
+
+  // The killer may be the environment (null) or a creature that did not cause damage recently
+  if(killer !== null && !attackers.includes(killer)) {
+    attackers.unshift(killer);
+  }
+
+  // Record the death before the penalty lowers the level
+  this.characterStatistics.addDeath(attackers.map(attacker => attacker.name));
+
+  this.__handlePlayerKill(attackers.filter(attacker => attacker.isPlayer()));
+
+  // Leave the corpse with the lost items behind
+  process.gameServer.world.addTopThing(this.position, this.createCorpse());
+
+  this.__applyExperienceLoss();
+
+  this.damageMap.clear();
+
   // Disconnect the player on death
   this.gameSocket.close();
 
 }
 
+Player.prototype.createCorpse = function() {
+
+  /*
+   * Function Player.createCorpse
+   * Returns the corpse of the player that contains the items lost on death
+   */
+
+  let corpse = process.gameServer.database.createThing(this.characterStatistics.sex === 0 ? CONST.CORPSE.MALE : CONST.CORPSE.FEMALE);
+
+  if(corpse.isDecaying()) {
+    corpse.scheduleDecay();
+  }
+
+  this.__dropItems(corpse);
+
+  return corpse;
+
+}
+
+Player.prototype.__dropItems = function(corpse) {
+
+  /*
+   * Function Player.__dropItems
+   * Moves equipped items to the corpse by chance: an amulet of loss or all blessings protect the items unless the player has a red skull
+   */
+
+  let { EQUIPMENT_LOSS_PERCENT, CONTAINER_LOSS_PERCENT, BLESSINGS } = CONFIG.WORLD.DEATH;
+
+  let equipment = this.containerManager.equipment;
+  let necklace = equipment.peekIndex(equipment.SLOTS.NECKLACE);
+
+  // Players with a red skull lose all their items
+  let redSkull = this.frags.getSkull() === this.frags.SKULLS.RED;
+
+  if(!redSkull) {
+
+    // The amulet is consumed instead
+    if(necklace !== null && necklace.getAttribute("preventitemloss")) {
+      return equipment.removeIndex(equipment.SLOTS.NECKLACE, necklace.count);
+    }
+
+    if(this.characterStatistics.hasAllBlessings()) {
+      return;
+    }
+
+  }
+
+  // Each blessing lowers the chance to lose an item
+  let reduction = redSkull ? 1 : 1 - this.characterStatistics.blessings / BLESSINGS;
+
+  Object.values(equipment.SLOTS).forEach(function(slot) {
+
+    let item = equipment.peekIndex(slot);
+
+    if(item === null) {
+      return;
+    }
+
+    let chance = (slot === equipment.SLOTS.BACKPACK ? CONTAINER_LOSS_PERCENT : EQUIPMENT_LOSS_PERCENT) * reduction;
+
+    if(!redSkull && 100 * Math.random() >= chance) {
+      return;
+    }
+
+    corpse.addFirstEmpty(equipment.removeIndex(slot, item.count));
+
+  });
+
+}
+
+Player.prototype.__applyExperienceLoss = function() {
+
+  /*
+   * Function Player.__applyExperienceLoss
+   * Removes a percentage of the experience of the player: every blessing reduces the loss and all blessings are lost on death
+   */
+
+  let { EXPERIENCE_LOSS_PERCENT, BLESSING_REDUCTION_PERCENT } = CONFIG.WORLD.DEATH;
+
+  let percentage = EXPERIENCE_LOSS_PERCENT * Math.max(0, 1 - this.characterStatistics.blessings * BLESSING_REDUCTION_PERCENT / 100);
+
+  this.characterStatistics.removeExperience(Math.floor(this.characterStatistics.experience * percentage / 100));
+
+  this.characterStatistics.blessings = 0;
+
+}
+
+Player.prototype.__handlePlayerKill = function(killers) {
+
+  /*
+   * Function Player.__handlePlayerKill
+   * Records a frag for every player that took part in the unjustified killing of this player
+   */
+
+  // Killing a marked player is justified
+  if(CONFIG.WORLD.PVP.TYPE !== process.gameServer.world.PVP_TYPES.PVP || this.frags.hasSkull()) {
+    return;
+  }
+
+  killers.forEach(function(killer) {
+    killer.frags.addFrag();
+    killer.sendCancelMessage("Warning! The murder of %s was not justified.".format(this.name));
+  }, this);
+
+}
+
+Player.prototype.__getAttackRestriction = function(target) {
+
+  /*
+   * Function Player.__getAttackRestriction
+   * Returns the reason why the PvP rules of the world do not allow the player to attack another player or null when the attack is allowed
+   */
+
+  let { TYPE, PROTECTION_LEVEL } = CONFIG.WORLD.PVP;
+
+  if(TYPE === process.gameServer.world.PVP_TYPES.NO_PVP) {
+    return "You may not attack a person in a no-pvp world.";
+  }
+
+  if(this.isInProtectionZone() || target.isInProtectionZone()) {
+    return "You may not attack a person in a protection zone.";
+  }
+
+  if(this.characterStatistics.level < PROTECTION_LEVEL) {
+    return "You may not attack a person while you are below level %s.".format(PROTECTION_LEVEL);
+  }
+
+  if(target.characterStatistics.level < PROTECTION_LEVEL) {
+    return "You may not attack a person below level %s.".format(PROTECTION_LEVEL);
+  }
+
+  return null;
+
+}
+
 Player.prototype.toJSON = function() {
 
   /*
@@ -532,6 +802,8 @@ Player.prototype.toJSON = function() {
       "direction": this.direction,
       "health": this.health,
       "maxHealth": this.maxHealth,
+      "mana": this.mana,
+      "maxMana": this.maxMana,
       "name": this.name,
       "outfit": this.outfit,
       "speed": this.speed
@@ -541,9 +813,12 @@ Player.prototype.toJSON = function() {
     "depot": this.containerManager.depot,
     "characterStatistics": this.characterStatistics,
     "spellbook": this.spellbook,
+    "skills": this.skills,
     "equipment": this.containerManager.equipment,
     "keyring": this.containerManager.keyring,
-    "friends": this.friendlist
+    "friends": this.friendlist,
+    "frags": this.frags,
+    "storageValues": this.storageValues
   });
 
 }
@@ -570,6 +845,57 @@ Player.prototype.enterNewZone = function(zid) {
 
 }
 
+Player.prototype.__getHealthRegeneration = function() {
+
+  /*
+   * Function Player.__getHealthRegeneration
+   * Returns the health that is regenerated every regeneration interval from the equipment and vocation
+   */
+
+  let regeneration = this.getEquipmentAttribute("healthGain");
+
+  if(this.isInCombat() || !this.hasCondition(Condition.prototype.SATED)) {
+    return regeneration;
+  }
+
+  return regeneration + this.SATED_HEALTH_REGENERATION * this.__getVocationRegeneration("healthRegeneration");
+
+}
+
+Player.prototype.__getManaRegeneration = function() {
+
+  /*
+   * Function Player.__getManaRegeneration
+   * Returns the mana that is regenerated every regeneration interval from the equipment and vocation
+   */
+
+  let regeneration = this.getEquipmentAttribute("manaGain");
+
+  if(this.isInCombat() || !this.hasCondition(Condition.prototype.SATED)) {
+    return regeneration;
+  }
+
+  return regeneration + this.__getVocationRegeneration("manaRegeneration");
+
+}
+
+Player.prototype.__getVocationRegeneration = function(rate) {
+
+  /*
+   * Function Player.__getVocationRegeneration
+   * Returns a regeneration rate of the vocation of the player
+   */
+
+  let vocation = this.characterStatistics.getVocation();
+
+  if(vocation === null) {
+    return 0;
+  }
+
+  return vocation[rate];
+
+}
+
 Player.prototype.getEquipmentAttribute = function(attribute) {
 
   /*
@@ -620,6 +946,43 @@ Player.prototype.getDefense = function() {
 
 }
 
+Player.prototype.getDamageReduction = function(type) {
+
+  /*
+   * Function Player.getDamageReduction
+   * Returns the percentage of damage of a type that is absorbed by the equipment (e.g., absorbPercentFire)
+   */
+
+  return this.getEquipmentAttribute("absorbPercentAll") + this.getEquipmentAttribute(this.ABSORB_ATTRIBUTES[type]);
+
+}
+
+Player.prototype.calculateDamage = function() {
+
+  /*
+   * Function Player.calculateDamage
+   * Calculates the random damage done by an attack which is scaled by the skill of the equipped weapon
+   */
+
+  let modifier = this.skills.getSkillModifier(this.skills.getWeaponSkill());
+
+  return Number.prototype.random(0, Math.round(modifier * this.getAttack()));
+
+}
+
+Player.prototype.calculateDefense = function() {
+
+  /*
+   * Function Player.calculateDefense
+   * Calculates the random damage mitigated by a defense which is scaled by the shielding skill
+   */
+
+  let modifier = this.skills.getSkillModifier(this.skills.SKILLS.SHIELDING);
+
+  return Number.prototype.random(0, Math.round(modifier * this.getDefense()));
+
+}
+
 Player.prototype.purchase = function(offer, count) {
 
   /*
@@ -651,6 +1014,24 @@ Player.prototype.purchase = function(offer, count) {
 
 }
 
+Player.prototype.sell = function(offer, count) {
+
+  /*
+   * Function Player.sell
+   * Function to sell an item to an NPC: the items are taken from the backpack and paid for in coins
+   */
+
+  if(!this.containerManager.equipment.removeItems(offer.id, count)) {
+    return this.sendCancelMessage("You do not have enough of this item.");
+  }
+
+  // Price is equivalent to the count times price
+  this.containerManager.equipment.addMoney(offer.price * count);
+
+  return true;
+
+}
+
 Player.prototype.hasSufficientCapacity = function(thing) {
 
   /*
@@ -700,6 +1081,18 @@ Player.prototype.handleBuyOffer = function(packet) {
   // Get the current offer
   let offer = creature.getTradeItem(packet.index);
 
+  if(offer === null) {
+    return;
+  }
+
+  // The NPC buys the item from the player
+  if(offer.type === "buy") {
+    if(this.sell(offer, Math.max(1, packet.count))) {
+      creature.internalCreatureSay("Thank you, here is your money.", CONST.COLOR.YELLOW);
+    }
+    return;
+  }
+
   // Try to make the purchase
   if(this.purchase(offer, packet.count)) {
     creature.internalCreatureSay("Here you go!", CONST.COLOR.YELLOW);
@@ -707,6 +1100,100 @@ Player.prototype.handleBuyOffer = function(packet) {
 
 }
 
+Player.prototype.handleTradeRequest = function(packet) {
+
+  /*
+   * Function Player.handleTradeRequest
+   * Offers a carried item to another player: opens a new trade or adds the offer to the existing trade
+   */
+
+  let partner = process.gameServer.world.getCreatureFromId(packet.id);
+
+  // Trading only with other players
+  if(partner === null || !partner.isPlayer() || partner === this) {
+    return this.sendCancelMessage("You can only trade with other players.");
+  }
+
+  if(!this.position.besides(partner.position)) {
+    return this.sendCancelMessage("You are not close enough.");
+  }
+
+  // Only items that are carried by the player can be traded
+  if(packet.which === null || packet.which.constructor.name === "Tile" || packet.which.getTopParent() !== this) {
+    return this.sendCancelMessage("You can only trade items that you carry.");
+  }
+
+  let item = packet.which.peekIndex(packet.index);
+
+  if(item === null) {
+    return;
+  }
+
+  // The backpack must stay equipped to receive the item from the other player
+  if(item.frozen || !item.isMoveable() || item.hasUniqueId() || item === this.containerManager.equipment.peekIndex(Equipment.prototype.SLOTS.BACKPACK)) {
+    return this.sendCancelMessage("You cannot trade this item.");
+  }
+
+  // Open a new trade with the other player
+  if(this.trade === null) {
+
+    if(partner.trade !== null) {
+      return this.sendCancelMessage("%s is already trading.".format(partner.name));
+    }
+
+    new Trade(this, partner);
+
+  }
+
+  if(!this.trade.hasPlayer(partner)) {
+    return this.sendCancelMessage("You are already trading.");
+  }
+
+  this.trade.setOffer(this, packet.which, packet.index, item);
+
+}
+
+Player.prototype.handleTradeAccept = function() {
+
+  /*
+   * Function Player.handleTradeAccept
+   * Accepts the trade that is currently in progress
+   */
+
+  if(this.trade === null) {
+    return;
+  }
+
+  this.trade.accept(this);
+
+}
+
+Player.prototype.handleTradeCancel = function() {
+
+  /*
+   * Function Player.handleTradeCancel
+   * Cancels the trade that is currently in progress
+   */
+
+  if(this.trade === null) {
+    return;
+  }
+
+  this.trade.cancel("%s has cancelled the trade.".format(this.name));
+
+}
+
+Player.prototype.getGuild = function() {
+
+  /*
+   * Function Player.getGuild
+   * Returns the guild that the player is a member of or null
+   */
+
+  return process.gameServer.world.guildManager.getGuild(this.name);
+
+}
+
 Player.prototype.getFluidType = function() {
 
   /*
@@ -790,6 +1277,40 @@ Player.prototype.changeCapacity = function(value) {
   
 }
 
+Player.prototype.changeMana = function(value) {
+
+  /*
+   * Function Player.changeMana
+   * Changes the mana of a player by a value without exceeding the maximum mana
+   */
+
+  if(value === 0) {
+    return;
+  }
+
+  this.mana = Math.max(0, Math.min(this.maxMana, this.mana + value));
+
+  this.write(new PacketWriter(PacketWriter.prototype.opcodes.PLAYER_STATISTICS).writePlayerStatistics(this));
+
+}
+
+Player.prototype.changeSoul = function(value) {
+
+  /*
+   * Function Player.changeSoul
+   * Changes the soul points of a player by a value without exceeding the maximum soul points
+   */
+
+  if(value === 0) {
+    return;
+  }
+
+  this.characterStatistics.soul = Math.max(0, Math.min(this.characterStatistics.MAX_SOUL, this.characterStatistics.soul + value));
+
+  this.write(new PacketWriter(PacketWriter.prototype.opcodes.PLAYER_STATISTICS).writePlayerStatistics(this));
+
+}
+
 Player.prototype.changeSlowness = function(speed) {
 
   this.speed = this.speed + speed;
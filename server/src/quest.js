@@ -0,0 +1,121 @@
+"use strict";
+
+const Quest = function(id, definition) {
+
+  /*
+   * Class Quest
+   * Definition of a quest and its missions: the progress is read from the storage values of a player
+   *
+   * API:
+   *
+   * Quest.isStarted(storageValues) - Returns true if the player has started the quest
+   * Quest.isCompleted(storageValues) - Returns true if the player has completed the quest
+   * Quest.usesStorage(key) - Returns true if the quest or one of its missions tracks its progress under a storage key
+   * Quest.getLogEntry(storageValues) - Returns the quest log entry of the player or null when the quest was not started
+   *
+   */
+
+  this.id = Number(id);
+  this.name = definition.name;
+
+  // The storage key of the quest and the values at which it is started and completed
+  this.storage = definition.storage;
+  this.start = definition.start;
+  this.end = definition.end;
+
+  // The missions each have their own storage key and a description for each of their states
+  this.missions = definition.missions;
+
+}
+
+Quest.prototype.isStarted = function(storageValues) {
+
+  /*
+   * Function Quest.isStarted
+   * Returns true if the player has started the quest
+   */
+
+  return this.__isReached(storageValues, this.storage, this.start);
+
+}
+
+Quest.prototype.isCompleted = function(storageValues) {
+
+  /*
+   * Function Quest.isCompleted
+   * Returns true if the player has completed the quest
+   */
+
+  return this.__isReached(storageValues, this.storage, this.end);
+
+}
+
+Quest.prototype.usesStorage = function(key) {
+
+  /*
+   * Function Quest.usesStorage
+   * Returns true if the quest or one of its missions tracks its progress under a storage key
+   */
+
+  return this.storage === key || this.missions.some(mission => mission.storage === key);
+
+}
+
+Quest.prototype.getLogEntry = function(storageValues) {
+
+  /*
+   * Function Quest.getLogEntry
+   * Returns the quest with the missions that the player has started or null when the quest was not started
+   */
+
+  if(!this.isStarted(storageValues)) {
+    return null;
+  }
+
+  let missions = this.missions.filter(mission => this.__isReached(storageValues, mission.storage, mission.start));
+
+  return new Object({
+    "name": this.name,
+    "completed": this.isCompleted(storageValues),
+    "missions": missions.map(function(mission) {
+      return new Object({
+        "name": mission.name,
+        "description": this.__getDescription(mission, storageValues.get(mission.storage)),
+        "completed": this.__isReached(storageValues, mission.storage, mission.end)
+      });
+    }, this)
+  });
+
+}
+
+Quest.prototype.__isReached = function(storageValues, key, value) {
+
+  /*
+   * Function Quest.__isReached
+   * Returns true if the integer value stored under a key has reached a particular value
+   */
+
+  let current = storageValues.get(key);
+
+  return Number.isInteger(current) && current >= value;
+
+}
+
+Quest.prototype.__getDescription = function(mission, value) {
+
+  /*
+   * Function Quest.__getDescription
+   * Returns the description of the state of a mission: the description of the highest state that was reached is used
+   */
+
+  let states = Object.keys(mission.states).map(Number).filter(state => state <= value);
+
+  if(states.length === 0) {
+    return "";
+  }
+
+  return mission.states[Math.max(...states)];
+
+}
+
+module.exports = Quest;
@@ -9,11 +9,111 @@ const RMEParser = function(database) {
   /*
    * Class RMEParser
    * Parses a RME item definition that is present on the map
+   *
+   * API:
+   *
+   * RMEParser.load() - Loads the world from the configured OTBM files
+   * RMEParser.createTile(chunk, position, zid, data) - Creates a tile in a chunk from its raw OTBM node
+   * RMEParser.getMetadata(zid) - Returns the map header and features of the map file of a zone
+   * RMEParser.getRMEVersion() - Returns the RME major and minor item versions of the client version
+   *
    */
 
   // Circular reference
   this.database = database;
 
+  // The map headers and features (e.g., towns) per zone that are only needed to write the map back
+  this.__metadata = new Map();
+
+  // Tiles are kept as raw OTBM nodes until their chunk is loaded: these read them per zone
+  this.__tileReaders = new Map();
+
+}
+
+RMEParser.prototype.getMetadata = function(zid) {
+
+  /*
+   * Function RMEParser.getMetadata
+   * Returns the map header, description and non-tile features of the map file loaded for a zone
+   */
+
+  if(!this.__metadata.has(zid)) {
+    return null;
+  }
+
+  return this.__metadata.get(zid);
+
+}
+
+RMEParser.prototype.getRMEVersion = function() {
+
+  /*
+   * Function RMEParser.getRMEVersion
+   * Returns the RME major and minor item versions that belong to the configured client version
+   */
+
+  return this.__RMEVersion(CONFIG.SERVER.CLIENT_VERSION);
+
+}
+
+RMEParser.prototype.createTile = function(chunk, position, zid, data) {
+
+  /*
+   * Function RMEParser.createTile
+   * Creates a tile in a chunk from its raw OTBM node when the chunk is first loaded
+   */
+
+  let tile = this.__tileReaders.get(zid)(data);
+
+  // Somehow tiles with actions have become items..
+  if(!tile.tileid && tile.items && (tile.items[0].aid || tile.items[0].uid)) {
+
+    // Keep the flags, house and the items on top of the ground
+    tile = Object.assign(new Object(), tile, {
+      "tileid": tile.items[0].id,
+      "aid": tile.items[0].aid,
+      "uid": tile.items[0].uid,
+      "items": tile.items.slice(1)
+    });
+
+  }
+
+  // Create the tile
+  let worldTile = chunk.createTile(position, tile.tileid || 0);
+
+  // Reference the zone identifier
+  worldTile.zoneIdentifier = zid;
+
+  // Set the action identifier
+  if(tile.aid) {
+    worldTile.setActionId(tile.aid);
+  }
+
+  // Set the action identifier
+  if(tile.uid) {
+    worldTile.setUniqueId(tile.uid);
+  }
+
+  // Set the tile zone flags
+  if(tile.zones) {
+    worldTile.setZoneFlags(tile.zones);
+  }
+
+  // Add the items to the tile
+  if(tile.items) {
+
+    tile.items.forEach(function(item) {
+      worldTile.addTopThing(this.__parseRMEItem(item));
+    }, this);
+
+  }
+
+  if(tile.type === otbm2json.HEADERS.OTBM_HOUSETILE) {
+    this.__addHouseTile(tile.houseId, worldTile);
+  }
+
+  return worldTile;
+
 }
 
 RMEParser.prototype.load = function() {
@@ -40,9 +140,16 @@ RMEParser.prototype.load = function() {
     this.__loadOTBMFile(world, value.file, key);
   }, this);
 
-  // After all zones are loaded: reference neighbouring chunks and tiles in the world "lattice"
+  // After all zones are loaded: reference neighbouring chunks in the world "lattice"
   world.lattice.setReferences();
 
+  // Large maps are loaded lazily: only chunks with houses are loaded and the others follow when first requested
+  world.lattice.forEachChunk(function(chunk) {
+    if(!CONFIG.WORLD.CHUNK.LAZY.ENABLED || chunk.isPinned()) {
+      world.lattice.loadChunk(chunk);
+    }
+  });
+
   console.log("Completed loading world in %s miliseconds.".format(Math.round(performance.now() - start)));
 
   return world;
@@ -147,6 +254,25 @@ RMEParser.prototype.__RMEVersion = function(version) {
 
 }
 
+RMEParser.prototype.__getMetadata = function(header) {
+
+  /*
+   * Function RMEParser.__getMetadata
+   * Collects the information of a map file that is not kept in the world lattice
+   */
+
+  let data = header.nodes[0];
+
+  return new Object({
+    "version": header.version,
+    "mapWidth": header.mapWidth,
+    "mapHeight": header.mapHeight,
+    "description": data.description,
+    "features": data.features.filter(feature => feature.type !== otbm2json.HEADERS.OTBM_TILE_AREA)
+  });
+
+}
+
 RMEParser.prototype.__readOTBMFile = function(file) {
 
   /*
@@ -154,7 +280,7 @@ RMEParser.prototype.__readOTBMFile = function(file) {
    * Reads an .OTBM file from disk using a modified version of OTBM2JSON
    */
 
-  return otbm2json.read(getDataFile("world", "definitions", "otbm", file), this.database.items);
+  return otbm2json.read(getDataFile("world", "definitions", "otbm", file), this.database.items, true);
 
 }
 
@@ -188,13 +314,16 @@ RMEParser.prototype.__loadOTBMFile = function(world, file, zid) {
   let mapData = this.__readOTBMFile(file);
 
   // Determine the RME versions from the client versions
-  let [ major, minor ] = this.__RMEVersion(CONFIG.SERVER.CLIENT_VERSION);
+  let [ major, minor ] = this.getRMEVersion();
   
   // Make sure the map is OK with the version
   if(major !== mapData.data.itemsMajorVersion || minor !== mapData.data.itemsMinorVersion) {
     throw("Map version does not match the specified server version.");
   }
 
+  this.__metadata.set(zid, this.__getMetadata(mapData.data));
+  this.__tileReaders.set(zid, mapData.readTile);
+
   // Go over the OTBM map data
   mapData.data.nodes.forEach(function(node) {
 
@@ -232,49 +361,12 @@ RMEParser.prototype.__loadOTBMFile = function(world, file, zid) {
           chunk = world.lattice.createChunk(worldPosition);
         }
 
-        // Somehow tiles with actions have become items..
-        if(!tile.tileid && tile.items && (tile.items[0].aid || tile.items[0].uid)) {
-
-          tile = new Object({
-            "tileid": tile.items[0].id,
-            "aid": tile.items[0].aid,
-            "uid": tile.items[0].uid
-          });
-
-        }
-
-        // Create the tile
-        let worldTile = chunk.createTile(worldPosition, tile.tileid || 0);
-
-        // Reference the zone identifier
-        worldTile.zoneIdentifier = zid;
-
-        // Set the action identifier
-        if(tile.aid) {
-          worldTile.setActionId(tile.aid);
-        }
-
-        // Set the action identifier
-        if(tile.uid) {
-          worldTile.setUniqueId(tile.uid);
-        }
-
-        // Set the tile zone flags
-        if(tile.zones) {
-          worldTile.setZoneFlags(tile.zones);
-        }
-
-        // Add the items to the tile
-        if(tile.items) {
-
-          tile.items.forEach(function(item) {
-            worldTile.addTopThing(this.__parseRMEItem(item));
-          }, this);
-
-        }
+        // Only the raw node is kept: the tile is read and created when its chunk is first loaded
+        chunk.addSerializedTile(worldPosition, zid, tile.data);
 
+        // House tiles are always kept in memory
         if(tile.type === otbm2json.HEADERS.OTBM_HOUSETILE) {
-          this.__addHouseTile(tile.houseId, worldTile);
+          chunk.pin();
         }
 
       }, this);
@@ -0,0 +1,266 @@
+"use strict";
+
+const PacketReader = require("./packet-reader");
+
+const ServerMetrics = function() {
+
+  /*
+   * Class ServerMetrics
+   * Container for the internal server parameters that are exposed in the Prometheus text format
+   *
+   * API:
+   *
+   * ServerMetrics.countPacket(opcode) - Counts an incoming client packet by its opcode
+   * ServerMetrics.countPathfinding(milliseconds) - Counts a pathfinding search and the time it took
+   * ServerMetrics.addLoopExecutionTime(milliseconds) - Adds the execution time of a single game loop tick
+   * ServerMetrics.setActiveChunks(count) - Sets the number of chunks that were active in the last tick
+   * ServerMetrics.serialize() - Returns all metrics in the Prometheus text format
+   *
+   */
+
+  // Number of incoming packets by their opcode
+  this.__packets = new Map();
+
+  this.__pathfindingCalls = 0;
+  this.__pathfindingTime = 0;
+
+  this.__loopTicks = 0;
+  this.__loopExecutionTime = 0;
+
+  this.__activeChunks = 0;
+
+  // Look up the names of the client opcodes to label the packets
+  this.__opcodeNames = new Map(Object.entries(PacketReader.prototype.opcodes).map(([ name, opcode ]) => [ opcode.code, name ]));
+
+}
+
+// All metric names share this prefix
+ServerMetrics.prototype.PREFIX = "gameserver";
+
+ServerMetrics.prototype.countPacket = function(opcode) {
+
+  /*
+   * Function ServerMetrics.countPacket
+   * Counts an incoming client packet by its opcode
+   */
+
+  this.__packets.set(opcode, (this.__packets.get(opcode) || 0) + 1);
+
+}
+
+ServerMetrics.prototype.countPathfinding = function(milliseconds) {
+
+  /*
+   * Function ServerMetrics.countPathfinding
+   * Counts a pathfinding search and the time it took
+   */
+
+  this.__pathfindingCalls++;
+  this.__pathfindingTime += milliseconds;
+
+}
+
+ServerMetrics.prototype.addLoopExecutionTime = function(milliseconds) {
+
+  /*
+   * Function ServerMetrics.addLoopExecutionTime
+   * Adds the execution time of a single game loop tick
+   */
+
+  this.__loopTicks++;
+  this.__loopExecutionTime += milliseconds;
+
+}
+
+ServerMetrics.prototype.setActiveChunks = function(count) {
+
+  /*
+   * Function ServerMetrics.setActiveChunks
+   * Sets the number of chunks that were activated by players in the last tick
+   */
+
+  this.__activeChunks = count;
+
+}
+
+ServerMetrics.prototype.serialize = function() {
+
+  /*
+   * Function ServerMetrics.serialize
+   * Returns all metrics in the Prometheus text exposition format
+   */
+
+  return this.__collect().map(this.__serializeMetric, this).join("");
+
+}
+
+ServerMetrics.prototype.__collect = function() {
+
+  /*
+   * Function ServerMetrics.__collect
+   * Collects the current value of every metric
+   */
+
+  let gameServer = process.gameServer;
+  let networkDetails = gameServer.server.websocketServer.networkManager.getDataDetails();
+  let gameSockets = gameServer.server.websocketServer.connectedSockets();
+
+  return new Array(
+    this.__metric("memory_bytes", "gauge", "Resident memory of the server process.", process.memoryUsage().rss),
+    this.__metric("clients", "gauge", "Number of connected clients.", gameSockets.size),
+    this.__metric("event_queue_size", "gauge", "Number of events scheduled in the event queue.", gameServer.world.eventQueue.heap.size()),
+    this.__metric("received_bytes_total", "counter", "Bytes received from the clients.", networkDetails.received),
+    this.__metric("sent_bytes_total", "counter", "Bytes sent to the clients.", networkDetails.sent),
+    this.__metric("loop_ticks_total", "counter", "Number of executed game loop ticks.", this.__loopTicks),
+    this.__metric("loop_execution_milliseconds_total", "counter", "Time spent executing the game loop.", this.__loopExecutionTime),
+    this.__metric("loop_drift_milliseconds", "gauge", "Drift of the game loop from its tick interval.", gameServer.gameLoop.__drift),
+    this.__metric("frame", "counter", "Current frame of the game loop.", gameServer.gameLoop.getCurrentFrame()),
+    this.__metric("world_time_seconds", "gauge", "Time of the world clock in seconds after midnight.", Math.floor(gameServer.world.clock.getTime() / 1000)),
+    this.__metric("packets_received_total", "counter", "Client packets received by their opcode.", this.__getPacketSamples()),
+    this.__metric("chunks_active", "gauge", "Number of chunks activated by players in the last tick.", this.__activeChunks),
+    this.__metric("chunks_loaded", "gauge", "Number of chunks with their tiles loaded in memory.", this.__getLoadedChunks()),
+    this.__metric("creatures", "gauge", "Number of creatures in the world by their type.", this.__getCreatureSamples()),
+    this.__metric("pathfinding_calls_total", "counter", "Number of pathfinding searches.", this.__pathfindingCalls),
+    this.__metric("pathfinding_milliseconds_total", "counter", "Time spent on pathfinding searches.", this.__pathfindingTime),
+    this.__metric("player_latency_milliseconds", "gauge", "Round trip time of the last ping to each player.", this.__getLatencySamples(gameSockets))
+  );
+
+}
+
+ServerMetrics.prototype.__metric = function(name, type, help, samples) {
+
+  /*
+   * Function ServerMetrics.__metric
+   * Creates a metric with its samples: a single value is a sample without labels
+   */
+
+  if(!Array.isArray(samples)) {
+    samples = new Array(new Object({ "labels": null, "value": samples }));
+  }
+
+  return new Object({
+    "name": "%s_%s".format(this.PREFIX, name),
+    "type": type,
+    "help": help,
+    "samples": samples
+  });
+
+}
+
+ServerMetrics.prototype.__getPacketSamples = function() {
+
+  /*
+   * Function ServerMetrics.__getPacketSamples
+   * Returns the number of received packets labeled by the name of their opcode
+   */
+
+  return Array.from(this.__packets).map(function([ opcode, count ]) {
+    return new Object({
+      "labels": { "opcode": this.__opcodeNames.get(opcode) || opcode },
+      "value": count
+    });
+  }, this);
+
+}
+
+ServerMetrics.prototype.__getLoadedChunks = function() {
+
+  /*
+   * Function ServerMetrics.__getLoadedChunks
+   * Returns the number of chunks that have their tiles loaded
+   */
+
+  let count = 0;
+
+  process.gameServer.world.lattice.forEachChunk(function(chunk) {
+    if(chunk.isLoaded()) {
+      count++;
+    }
+  });
+
+  return count;
+
+}
+
+ServerMetrics.prototype.__getCreatureSamples = function() {
+
+  /*
+   * Function ServerMetrics.__getCreatureSamples
+   * Returns the number of players, monsters and NPCs in the world
+   */
+
+  let counts = new Object({ "player": 0, "monster": 0, "npc": 0 });
+
+  process.gameServer.world.lattice.forEachChunk(function(chunk) {
+    counts.player += chunk.players.size;
+    counts.monster += chunk.monsters.size;
+    counts.npc += chunk.npcs.size;
+  });
+
+  return Object.entries(counts).map(([ type, count ]) => new Object({ "labels": { "type": type }, "value": count }));
+
+}
+
+ServerMetrics.prototype.__getLatencySamples = function(gameSockets) {
+
+  /*
+   * Function ServerMetrics.__getLatencySamples
+   * Returns the latency of each player that has answered a ping
+   */
+
+  let samples = new Array();
+
+  gameSockets.forEach(function(gameSocket) {
+
+    if(gameSocket.player === null || gameSocket.getLatency() === null) {
+      return;
+    }
+
+    samples.push(new Object({ "labels": { "player": gameSocket.player.name }, "value": gameSocket.getLatency() }));
+
+  });
+
+  return samples;
+
+}
+
+ServerMetrics.prototype.__serializeMetric = function(metric) {
+
+  /*
+   * Function ServerMetrics.__serializeMetric
+   * Serializes a metric with its help, type and samples
+   */
+
+  let lines = new Array(
+    "# HELP %s %s".format(metric.name, metric.help),
+    "# TYPE %s %s".format(metric.name, metric.type)
+  );
+
+  metric.samples.forEach(function(sample) {
+    lines.push("%s%s %s".format(metric.name, this.__serializeLabels(sample.labels), sample.value));
+  }, this);
+
+  return lines.join("\n") + "\n";
+
+}
+
+ServerMetrics.prototype.__serializeLabels = function(labels) {
+
+  /*
+   * Function ServerMetrics.__serializeLabels
+   * Serializes the labels of a sample and escapes their values
+   */
+
+  if(labels === null) {
+    return "";
+  }
+
+  let pairs = Object.entries(labels).map(function([ key, value ]) {
+    return "%s=\"%s\"".format(key, String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n"));
+  });
+
+  return "{%s}".format(pairs.join(","));
+
+}
+
+module.exports = ServerMetrics;
@@ -0,0 +1,130 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const SessionManager = function() {
+
+  /*
+   * Class SessionManager
+   * Keeps the sessions of accounts that have logged in to the login server: a session token replaces the password for the character requests
+   *
+   * API:
+   *
+   * SessionManager.create(account) - Creates a new session for an account and returns its token and expiration
+   * SessionManager.getAccount(token) - Returns the account of a valid session and extends its expiration or null
+   * SessionManager.revoke(token) - Revokes a single session
+   * SessionManager.revokeAccount(account) - Revokes all sessions of an account
+   *
+   */
+
+  // Sessions referenced by their token
+  this.__sessions = new Map();
+
+}
+
+// Number of random bytes in a session token
+SessionManager.prototype.TOKEN_BYTES = 32;
+
+SessionManager.prototype.create = function(account) {
+
+  /*
+   * Function SessionManager.create
+   * Creates a new session for an account and returns its token and expiration
+   */
+
+  // Clean up the sessions that were abandoned by their clients
+  this.__removeExpired();
+
+  let token = crypto.randomBytes(this.TOKEN_BYTES).toString("hex");
+
+  this.__sessions.set(token, new Object({
+    "account": account,
+    "expire": this.__getExpiration()
+  }));
+
+  return new Object({
+    "session": token,
+    "expire": this.__sessions.get(token).expire
+  });
+
+}
+
+SessionManager.prototype.getAccount = function(token) {
+
+  /*
+   * Function SessionManager.getAccount
+   * Returns the account of a valid session and extends its expiration or null when the session is unknown or expired
+   */
+
+  if(!this.__sessions.has(token)) {
+    return null;
+  }
+
+  let session = this.__sessions.get(token);
+
+  if(session.expire < Date.now()) {
+    this.__sessions.delete(token);
+    return null;
+  }
+
+  session.expire = this.__getExpiration();
+
+  return session.account;
+
+}
+
+SessionManager.prototype.revoke = function(token) {
+
+  /*
+   * Function SessionManager.revoke
+   * Revokes a single session and returns true when the session existed
+   */
+
+  return this.__sessions.delete(token);
+
+}
+
+SessionManager.prototype.revokeAccount = function(account) {
+
+  /*
+   * Function SessionManager.revokeAccount
+   * Revokes all sessions of an account (e.g., after its password has changed)
+   */
+
+  this.__sessions.forEach(function(session, token) {
+    if(session.account === account) {
+      this.__sessions.delete(token);
+    }
+  }, this);
+
+}
+
+SessionManager.prototype.__getExpiration = function() {
+
+  /*
+   * Function SessionManager.__getExpiration
+   * Returns the expiration timestamp of a session that is created or used now
+   */
+
+  return Date.now() + 1000 * CONFIG.LOGIN.SESSION_SECONDS;
+
+}
+
+SessionManager.prototype.__removeExpired = function() {
+
+  /*
+   * Function SessionManager.__removeExpired
+   * Removes all sessions that have expired
+   */
+
+  let now = Date.now();
+
+  this.__sessions.forEach(function(session, token) {
+    if(session.expire < now) {
+      this.__sessions.delete(token);
+    }
+  }, this);
+
+}
+
+module.exports = SessionManager;
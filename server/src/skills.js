@@ -0,0 +1,208 @@
+"use strict";
+
+const PacketWriter = require("./packet-writer");
+
+const Skills = function(player, skills) {
+
+  /*
+   * Class Skills
+   * Container for the skills of a player that advance by collecting tries (e.g., hits, blocks, mana spent)
+   *
+   * API:
+   *
+   * Skills.getSkillLevel(skill) - Returns the current level of a skill (see Skills.SKILLS)
+   * Skills.getSkillPercentage(skill) - Returns the percentage of tries collected towards the next level
+   * Skills.getSkillModifier(skill) - Returns the multiplier that the skill applies to attack or defense
+   * Skills.getWeaponSkill() - Returns the skill that is trained by the currently equipped weapon
+   * Skills.addSkillTries(skill, tries) - Adds tries to a skill and advances it when enough tries are collected
+   *
+   */
+
+  // Circular reference
+  this.player = player;
+
+  // Characters created before skills were introduced start with the default levels
+  if(skills === undefined) {
+    skills = new Object();
+  }
+
+  this.__skills = this.NAMES.map(function(name, skill) {
+    return this.__createSkill(skills[name], skill);
+  }, this);
+
+}
+
+Skills.prototype.SKILLS = new Object({
+  "MAGIC": 0,
+  "MELEE": 1,
+  "AXE": 2,
+  "CLUB": 3,
+  "SWORD": 4,
+  "DISTANCE": 5,
+  "SHIELDING": 6
+});
+
+// Names used for serialization and the client skill window
+Skills.prototype.NAMES = new Array("magic", "melee", "axe", "club", "sword", "distance", "shielding");
+
+// Descriptions used when informing the player of an advancement
+Skills.prototype.DESCRIPTIONS = new Array("magic level", "fist fighting", "axe fighting", "club fighting", "sword fighting", "distance fighting", "shielding");
+
+// Number of tries required for the first advancement of a skill and the growth for each subsequent level
+Skills.prototype.BASE_TRIES = new Array(1600, 50, 50, 50, 50, 30, 100);
+Skills.prototype.TRIES_MULTIPLIER = 1.1;
+
+// Level that every skill starts at: magic level starts at zero
+Skills.prototype.START_LEVEL = 10;
+Skills.prototype.START_MAGIC_LEVEL = 0;
+
+Skills.prototype.getSkillLevel = function(skill) {
+
+  /*
+   * Function Skills.getSkillLevel
+   * Returns the current level of a skill
+   */
+
+  return this.__skills[skill].level;
+
+}
+
+Skills.prototype.getSkillPercentage = function(skill) {
+
+  /*
+   * Function Skills.getSkillPercentage
+   * Returns the percentage of tries collected towards the next level of the skill
+   */
+
+  let { level, tries } = this.__skills[skill];
+
+  return Math.floor(100 * tries / this.__getRequiredTries(skill, level));
+
+}
+
+Skills.prototype.getSkillModifier = function(skill) {
+
+  /*
+   * Function Skills.getSkillModifier
+   * Returns the multiplier that a skill applies: a skill at the starting level has no effect and every level adds 5%
+   */
+
+  return 1 + 0.05 * (this.getSkillLevel(skill) - this.START_LEVEL);
+
+}
+
+Skills.prototype.getWeaponSkill = function() {
+
+  /*
+   * Function Skills.getWeaponSkill
+   * Returns the skill that is trained by the weapon the player has equipped
+   */
+
+  let weapon = this.player.containerManager.equipment.peekIndex(this.player.containerManager.equipment.SLOTS.HAND_LEFT);
+
+  // Fighting without a weapon
+  if(weapon === null) {
+    return this.SKILLS.MELEE;
+  }
+
+  switch(weapon.getAttribute("weaponType")) {
+    case "axe": return this.SKILLS.AXE;
+    case "club": return this.SKILLS.CLUB;
+    case "sword": return this.SKILLS.SWORD;
+    case "distance": return this.SKILLS.DISTANCE;
+    default: return this.SKILLS.MELEE;
+  }
+
+}
+
+Skills.prototype.addSkillTries = function(skill, tries) {
+
+  /*
+   * Function Skills.addSkillTries
+   * Adds a number of tries to a skill and advances the skill when enough tries have been collected
+   */
+
+  let entry = this.__skills[skill];
+
+  entry.tries += tries;
+
+  // Many tries (e.g., a lot of mana spent) may advance multiple levels at once
+  while(entry.tries >= this.__getRequiredTries(skill, entry.level)) {
+    entry.tries -= this.__getRequiredTries(skill, entry.level);
+    this.__handleAdvanceSkill(skill);
+  }
+
+  // Update the skill window of the player
+  this.player.write(new PacketWriter(PacketWriter.prototype.opcodes.SKILL_UPDATE).writeSkillUpdate(skill, entry.level, this.getSkillPercentage(skill)));
+
+}
+
+Skills.prototype.toJSON = function() {
+
+  /*
+   * Function Skills.toJSON
+   * Serializes the skills to be saved to JSON
+   */
+
+  let skills = new Object();
+
+  this.__skills.forEach(function(entry, skill) {
+    skills[this.NAMES[skill]] = entry;
+  }, this);
+
+  return skills;
+
+}
+
+Skills.prototype.__handleAdvanceSkill = function(skill) {
+
+  /*
+   * Function Skills.__handleAdvanceSkill
+   * Advances a skill by a single level and informs the player
+   */
+
+  this.__skills[skill].level++;
+
+  if(skill === this.SKILLS.MAGIC) {
+    return this.player.sendCancelMessage("You advanced to magic level %s.".format(this.__skills[skill].level));
+  }
+
+  this.player.sendCancelMessage("You advanced in %s.".format(this.DESCRIPTIONS[skill]));
+
+}
+
+Skills.prototype.__getRequiredTries = function(skill, level) {
+
+  /*
+   * Function Skills.__getRequiredTries
+   * Returns the number of tries required to advance from a level to the next level
+   */
+
+  let offset = skill === this.SKILLS.MAGIC ? this.START_MAGIC_LEVEL : this.START_LEVEL;
+
+  return Math.floor(this.BASE_TRIES[skill] * Math.pow(this.TRIES_MULTIPLIER, level - offset));
+
+}
+
+Skills.prototype.__createSkill = function(data, skill) {
+
+  /*
+   * Function Skills.__createSkill
+   * Creates the state of a single skill from the serialized data or the defaults
+   */
+
+  if(data !== undefined) {
+    return new Object({
+      "level": data.level,
+      "tries": data.tries
+    });
+  }
+
+  return new Object({
+    "level": skill === this.SKILLS.MAGIC ? this.START_MAGIC_LEVEL : this.START_LEVEL,
+    "tries": 0
+  });
+
+}
+
+module.exports = Skills;
@@ -15,6 +15,9 @@ const Spellbook = function(player, data) {
   // The map of spells that are currently on cooldown
   this.__spellCooldowns = new Map();
 
+  // The map of spell groups (e.g., attack, healing) that are currently on cooldown
+  this.__groupCooldowns = new Map();
+
   this.__cooldowns = data.cooldowns;
 
   // The set of available spell identifiers
@@ -24,6 +27,7 @@ const Spellbook = function(player, data) {
 
 Spellbook.prototype.GLOBAL_COOLDOWN = 0xFFFF;
 Spellbook.prototype.GLOBAL_COOLDOWN_DURATION = 20;
+Spellbook.prototype.GROUP_COOLDOWN_DURATION = 40;
 
 Spellbook.prototype.getAvailableSpells = function() {
 
@@ -65,13 +69,37 @@ Spellbook.prototype.__serializeCooldown = function([ key, value ]) {
 
 }
 
+Spellbook.prototype.canLearnSpell = function(sid) {
+
+  /*
+   * Function Spellbook.canLearnSpell
+   * Returns true if the vocation of the player is allowed to learn the spell
+   */
+
+  let vocation = this.player.characterStatistics.getVocation();
+
+  if(vocation === null) {
+    return false;
+  }
+
+  // Characters without a vocation (e.g., created before vocations existed) can learn every spell
+  return vocation.spells === null || vocation.spells.includes(sid);
+
+}
+
 Spellbook.prototype.addAvailableSpell = function(sid) {
 
   /*
    * Function Spellbook.addAvailableSpell
-   * Adds an available spell to the player's spellbook
+   * Adds an available spell to the player's spellbook and returns whether the spell was learned
    */
 
+  // The vocation of the player must be able to learn the spell
+  if(!this.canLearnSpell(sid)) {
+    this.player.sendCancelMessage("Your vocation cannot learn this spell.");
+    return false;
+  }
+
   // Add it
   this.__availableSpells.add(sid);
 
@@ -81,20 +109,17 @@ Spellbook.prototype.addAvailableSpell = function(sid) {
   // Write the spells again
   this.player.write(new PacketWriter(PacketWriter.prototype.opcodes.WRITE_SPELLS).writeAvailableSpells(this.__availableSpells));
 
+  return true;
+
 }
 
 Spellbook.prototype.handleSpell = function(sid) {
 
   /*
    * Function Spellbook.handleSpell
-   * Handles casting of a spell by an entity
+   * Handles casting of a spell by an entity: the requirements are checked and the mana and soul are spent here
    */
 
-  // Ignore cast requests that are already on cooldown
-  if(this.__spellCooldowns.has(this.GLOBAL_COOLDOWN) || this.__spellCooldowns.has(sid)) {
-    return;
-  }
-
   // Try to get the spell
   let spell = process.gameServer.database.getSpell(sid);
 
@@ -108,19 +133,111 @@ Spellbook.prototype.handleSpell = function(sid) {
     return;
   }
 
-  // Call with reference to player
-  let cooldown = spell.call(this.player);
+  // Reject cast requests that are still on cooldown
+  if(this.__isLocked(sid, spell.group)) {
+    return this.player.sendCancelMessage("You are exhausted.");
+  }
+
+  // The requirements of the spell must be met before it is cast
+  let message = this.__getRequirementMessage(spell);
+
+  if(message !== null) {
+    return this.player.sendCancelMessage(message);
+  }
+
+  // Call with reference to player and the spell definition
+  let cooldown = spell.callback.call(this.player, spell);
 
   // Zero cooldown means that the cast was unsuccesful
-  if(cooldown === 0) {
+  if(!cooldown) {
     return;
   }
 
+  // The words are spoken when the spell is cast from the hotbar too
+  this.player.sayEmote(spell.words, CONST.COLOR.ORANGE);
+
+  // Pay for the spell
+  this.player.changeMana(-spell.mana);
+  this.player.changeSoul(-spell.soul);
+
+  // Mana spent on spells advances the magic level
+  if(spell.mana > 0) {
+    this.player.skills.addSkillTries(this.player.skills.SKILLS.MAGIC, spell.mana);
+  }
+
   // Write a packet to the player that the spell needs to be put on cooldown by a number of frames
   this.player.write(new PacketWriter(PacketWriter.prototype.opcodes.CAST_SPELL).writeCastSpell(sid, cooldown));
 
   // Lock it
   this.__lockSpell(sid, cooldown);
+  this.__lockGroup(spell.group);
+
+}
+
+Spellbook.prototype.handleSpellWords = function(words) {
+
+  /*
+   * Function Spellbook.handleSpellWords
+   * Casts the spell with the words that were said by the player and returns true when the words belong to an owned spell
+   */
+
+  let sid = process.gameServer.database.getSpellIdentifier(words.trim().toLowerCase());
+
+  // Not a spell: the player is just talking
+  if(sid === null || !this.__availableSpells.has(sid)) {
+    return false;
+  }
+
+  this.handleSpell(sid);
+
+  return true;
+
+}
+
+Spellbook.prototype.__isLocked = function(sid, group) {
+
+  /*
+   * Function Spellbook.__isLocked
+   * Returns true if the spell, its group or the global cooldown is locked
+   */
+
+  return this.__spellCooldowns.has(this.GLOBAL_COOLDOWN) || this.__spellCooldowns.has(sid) || this.__groupCooldowns.has(group);
+
+}
+
+Spellbook.prototype.__getRequirementMessage = function(spell) {
+
+  /*
+   * Function Spellbook.__getRequirementMessage
+   * Returns the message to show when the player does not meet the requirements of a spell or null
+   */
+
+  if(this.player.characterStatistics.level < spell.level) {
+    return "You do not have enough level.";
+  }
+
+  if(this.player.mana < spell.mana) {
+    return "You do not have enough mana.";
+  }
+
+  if(this.player.characterStatistics.soul < spell.soul) {
+    return "You do not have enough soulpoints.";
+  }
+
+  // Spells that are aimed at the target of the player
+  if(spell.target === "target") {
+
+    if(!this.player.hasTarget()) {
+      return "You need to select a target first.";
+    }
+
+    if(!this.player.isInLineOfSight(this.player.getTarget())) {
+      return "You cannot see your target.";
+    }
+
+  }
+
+  return null;
 
 }
 
@@ -164,6 +281,17 @@ Spellbook.prototype.applyCooldowns = function() {
 
 }
 
+Spellbook.prototype.__lockGroup = function(group) {
+
+  /*
+   * Function Spellbook.__lockGroup
+   * Locks all spells of a group for the group cooldown
+   */
+
+  this.__groupCooldowns.set(group, process.gameServer.world.eventQueue.addEvent(this.__groupCooldowns.delete.bind(this.__groupCooldowns, group), this.GROUP_COOLDOWN_DURATION));
+
+}
+
 Spellbook.prototype.__internalLockSpell = function(sid, duration) {
 
   /*
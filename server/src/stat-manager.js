@@ -19,6 +19,16 @@ const CharacterStats = function(player, stats) {
   this.admin = stats.admin;
   this.sex = stats.sex;
 
+  // Characters created before vocations were introduced have no vocation
+  this.vocation = stats.vocation ?? 0;
+
+  // Blessings reduce the death penalty and the log of the most recent deaths
+  this.blessings = stats.blessings ?? 0;
+  this.deaths = stats.deaths ?? new Array();
+
+  // Soul points are spent on spells with a soul cost
+  this.soul = stats.soul ?? this.MAX_SOUL;
+
   this.capacity = stats.maxCapacity;
   this.maxCapacity = stats.maxCapacity
 
@@ -31,6 +41,16 @@ const CharacterStats = function(player, stats) {
 
 }
 
+// Number of deaths that are kept in the death log
+CharacterStats.prototype.MAX_DEATHS = 10;
+
+// The maximum number of soul points of a character
+CharacterStats.prototype.MAX_SOUL = 100;
+
+// Losing levels never lowers the maximum health and mana below these values
+CharacterStats.prototype.MIN_MAX_HEALTH = 50;
+CharacterStats.prototype.MIN_MAX_MANA = 0;
+
 CharacterStats.prototype.setTemplePosition = function(position) {
 
   /*
@@ -42,6 +62,17 @@ CharacterStats.prototype.setTemplePosition = function(position) {
 
 }
 
+CharacterStats.prototype.getVocation = function() {
+
+  /*
+   * Function CharacterStats.getVocation
+   * Returns the vocation definition of the character
+   */
+
+  return process.gameServer.database.getVocation(this.vocation);
+
+}
+
 CharacterStats.prototype.toJSON = function() {
 
   /*
@@ -53,10 +84,14 @@ CharacterStats.prototype.toJSON = function() {
     "position": this.player.position,
     "admin": this.admin,
     "sex": this.sex,
+    "vocation": this.vocation,
     "templePosition": this.templePosition,
     "maxCapacity": this.maxCapacity,
     "level": this.level,
     "experience": this.experience,
+    "blessings": this.blessings,
+    "soul": this.soul,
+    "deaths": this.deaths,
     "availableMounts": Array.from(this.availableMounts),
     "availableOutfits": Array.from(this.availableOutfits)
   });
@@ -105,6 +140,71 @@ CharacterStats.prototype.addExperience = function(experience) {
 
 }
 
+CharacterStats.prototype.removeExperience = function(experience) {
+
+  /*
+   * Function CharacterStats.removeExperience
+   * Removes an amount of experience from the player and lowers the level when required
+   */
+
+  experience = Math.min(experience, this.experience);
+
+  this.experience -= experience;
+
+  // Inform the player of the lost experience
+  this.player.write(new PacketWriter(PacketWriter.prototype.opcodes.LOSE_EXPERIENCE).writeLoseExperience(experience));
+
+  // Check the level is OK
+  this.__handleLoseExperience();
+
+}
+
+CharacterStats.prototype.addBlessing = function() {
+
+  /*
+   * Function CharacterStats.addBlessing
+   * Adds a blessing to the character: returns false when the character already has all blessings
+   */
+
+  if(this.blessings >= CONFIG.WORLD.DEATH.BLESSINGS) {
+    return false;
+  }
+
+  this.blessings++;
+
+  return true;
+
+}
+
+CharacterStats.prototype.hasAllBlessings = function() {
+
+  /*
+   * Function CharacterStats.hasAllBlessings
+   * Returns true if the character has received all blessings
+   */
+
+  return this.blessings >= CONFIG.WORLD.DEATH.BLESSINGS;
+
+}
+
+CharacterStats.prototype.addDeath = function(killers) {
+
+  /*
+   * Function CharacterStats.addDeath
+   * Adds an entry with the time, level and names of the killers to the death log of the character
+   */
+
+  this.deaths.unshift(new Object({
+    "time": Date.now(),
+    "level": this.level,
+    "killers": killers
+  }));
+
+  // Only the most recent deaths are kept
+  this.deaths = this.deaths.slice(0, this.MAX_DEATHS);
+
+}
+
 CharacterStats.prototype.__getExperienceForLevel = function(x) {
 
   /*
@@ -141,8 +241,92 @@ CharacterStats.prototype.__handleGainLevel = function() {
 
   this.level++;
 
-  // Inform the player
+  let vocation = this.getVocation();
+
+  // Apply the statistics that are gained by the vocation on each level
+  if(vocation !== null) {
+    this.__applyVocationGains(vocation);
+  }
+
+  // Inform the player and update the maximum health and mana
   this.player.write(new PacketWriter(PacketWriter.prototype.opcodes.LEVEL_ADVANCE).writeLevelAdvance());
+  this.player.write(new PacketWriter(PacketWriter.prototype.opcodes.PLAYER_STATISTICS).writePlayerStatistics(this.player));
+
+}
+
+CharacterStats.prototype.__handleLoseExperience = function() {
+
+  /*
+   * Function CharacterStats.__handleLoseExperience
+   * Function to check whether the player needs to be downgraded
+   */
+
+  let level = this.level;
+
+  // While the player does not have enough experience for the current level
+  while(this.level > 1 && this.experience < this.__getExperienceForLevel(this.level)) {
+    this.__handleLoseLevel();
+  }
+
+  if(this.level < level) {
+    this.player.sendCancelMessage("You were downgraded from level %s to level %s.".format(level, this.level));
+  }
+
+}
+
+CharacterStats.prototype.__handleLoseLevel = function() {
+
+  /*
+   * Function CharacterStats.__handleLoseLevel
+   * Decreases the level of the player and removes the statistics gained by the vocation
+   */
+
+  this.level--;
+
+  let vocation = this.getVocation();
+
+  if(vocation !== null) {
+    this.__removeVocationGains(vocation);
+  }
+
+  // Update the maximum health and mana of the player
+  this.player.write(new PacketWriter(PacketWriter.prototype.opcodes.PLAYER_STATISTICS).writePlayerStatistics(this.player));
+
+}
+
+CharacterStats.prototype.__removeVocationGains = function(vocation) {
+
+  /*
+   * Function CharacterStats.__removeVocationGains
+   * Lowers the maximum health, mana and capacity of the player by the amounts defined for the vocation: the maximum health and mana keep a minimum
+   */
+
+  this.maxCapacity -= vocation.capacityPerLevel;
+  this.player.changeCapacity(-vocation.capacityPerLevel);
+
+  this.player.maxMana = Math.max(this.MIN_MAX_MANA, this.player.maxMana - vocation.manaPerLevel);
+  this.player.mana = Math.min(this.player.mana, this.player.maxMana);
+
+  this.player.maxHealth = Math.max(this.MIN_MAX_HEALTH, this.player.maxHealth - vocation.healthPerLevel);
+  this.player.health = Math.min(this.player.health, this.player.maxHealth);
+
+}
+
+CharacterStats.prototype.__applyVocationGains = function(vocation) {
+
+  /*
+   * Function CharacterStats.__applyVocationGains
+   * Raises the maximum health, mana and capacity of the player by the amounts defined for the vocation
+   */
+
+  this.maxCapacity += vocation.capacityPerLevel;
+  this.player.changeCapacity(vocation.capacityPerLevel);
+
+  this.player.maxMana += vocation.manaPerLevel;
+  this.player.mana += vocation.manaPerLevel;
+
+  this.player.maxHealth += vocation.healthPerLevel;
+  this.player.increaseHealth(vocation.healthPerLevel);
 
 }
 
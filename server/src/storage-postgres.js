@@ -0,0 +1,96 @@
+"use strict";
+
+const { Pool } = require("pg");
+
+const Storage = require("./storage");
+
+const PostgresStorage = function() {
+
+  /*
+   * Class PostgresStorage
+   * Storage backend for production setups that keeps the data in a PostgreSQL database
+   */
+
+  // Inherits from the storage interface
+  Storage.call(this);
+
+  // Options that are not configured are read from the PGHOST, PGUSER, PGPASSWORD, .. environment variables
+  this.__pool = new Pool(new Object({
+    "host": CONFIG.DATABASE.POSTGRES.HOST,
+    "port": CONFIG.DATABASE.POSTGRES.PORT,
+    "user": CONFIG.DATABASE.POSTGRES.USER,
+    "password": CONFIG.DATABASE.POSTGRES.PASSWORD,
+    "database": CONFIG.DATABASE.POSTGRES.DATABASE
+  }));
+
+}
+
+PostgresStorage.prototype = Object.create(Storage.prototype);
+PostgresStorage.prototype.constructor = PostgresStorage;
+
+// The columns of the accounts added after the table was first created are added to existing databases
+PostgresStorage.prototype.SCHEMA = new Array(
+  `CREATE TABLE IF NOT EXISTS accounts (
+    id          SERIAL PRIMARY KEY,
+    account     TEXT UNIQUE NOT NULL,
+    hash        TEXT NOT NULL,
+    definition  TEXT NOT NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  "ALTER TABLE accounts ADD COLUMN IF NOT EXISTS recovery_key TEXT",
+  "ALTER TABLE accounts ADD COLUMN IF NOT EXISTS failed_logins INTEGER NOT NULL DEFAULT 0",
+  "ALTER TABLE accounts ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ",
+  `CREATE TABLE IF NOT EXISTS players (
+    id          SERIAL PRIMARY KEY,
+    account     TEXT NOT NULL REFERENCES accounts(account) ON DELETE CASCADE,
+    name        TEXT UNIQUE NOT NULL,
+    data        JSONB NOT NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE TABLE IF NOT EXISTS guilds (
+    id          SERIAL PRIMARY KEY,
+    name        TEXT UNIQUE NOT NULL,
+    ranks       JSONB NOT NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE TABLE IF NOT EXISTS guild_members (
+    name        TEXT PRIMARY KEY REFERENCES players(name) ON DELETE CASCADE,
+    guild       TEXT NOT NULL REFERENCES guilds(name) ON DELETE CASCADE,
+    rank        INTEGER NOT NULL,
+    joined_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE TABLE IF NOT EXISTS houses (
+    id          INTEGER PRIMARY KEY,
+    data        JSONB NOT NULL,
+    items       JSONB NOT NULL,
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE TABLE IF NOT EXISTS mail (
+    id          SERIAL PRIMARY KEY,
+    name        TEXT NOT NULL REFERENCES players(name) ON DELETE CASCADE,
+    thing       JSONB NOT NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`
+);
+
+PostgresStorage.prototype.__run = function(sql, parameters, callback) {
+
+  /*
+   * Function PostgresStorage.__run
+   * Runs a statement on a client from the pool: JSONB columns are returned as objects
+   */
+
+  this.__pool.query(sql, parameters, function(error, result) {
+
+    if(error) {
+      return callback(error, null);
+    }
+
+    callback(null, new Object({ "rows": result.rows, "changes": result.rowCount }));
+
+  });
+
+}
+
+module.exports = PostgresStorage;
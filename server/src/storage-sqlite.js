@@ -0,0 +1,118 @@
+"use strict";
+
+const sqlite3 = require("sqlite3");
+
+const Storage = require("./storage");
+
+const SQLiteStorage = function() {
+
+  /*
+   * Class SQLiteStorage
+   * Storage backend for single machine and development setups that keeps the data in a single SQLite file
+   */
+
+  // Inherits from the storage interface
+  Storage.call(this);
+
+  this.__database = new sqlite3.Database(CONFIG.DATABASE.SQLITE.FILE);
+
+  // Statements run in order so that a query never overtakes the creation of its tables
+  this.__database.serialize();
+
+}
+
+SQLiteStorage.prototype = Object.create(Storage.prototype);
+SQLiteStorage.prototype.constructor = SQLiteStorage;
+
+// JSON is stored as text and timestamps as milliseconds: the cascades require foreign keys to be enabled per connection
+SQLiteStorage.prototype.SCHEMA = new Array(
+  "PRAGMA foreign_keys = ON",
+  `CREATE TABLE IF NOT EXISTS accounts (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    account        TEXT UNIQUE NOT NULL,
+    hash           TEXT NOT NULL,
+    definition     TEXT NOT NULL,
+    recovery_key   TEXT,
+    failed_logins  INTEGER NOT NULL DEFAULT 0,
+    locked_until   INTEGER,
+    created_at     TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS players (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    account     TEXT NOT NULL REFERENCES accounts(account) ON DELETE CASCADE,
+    name        TEXT UNIQUE NOT NULL,
+    data        TEXT NOT NULL,
+    created_at  TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at  TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS guilds (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    name        TEXT UNIQUE NOT NULL,
+    ranks       TEXT NOT NULL,
+    created_at  TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS guild_members (
+    name        TEXT PRIMARY KEY REFERENCES players(name) ON DELETE CASCADE,
+    guild       TEXT NOT NULL REFERENCES guilds(name) ON DELETE CASCADE,
+    rank        INTEGER NOT NULL,
+    joined_at   TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS houses (
+    id          INTEGER PRIMARY KEY,
+    data        TEXT NOT NULL,
+    items       TEXT NOT NULL,
+    updated_at  TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS mail (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    name        TEXT NOT NULL REFERENCES players(name) ON DELETE CASCADE,
+    thing       TEXT NOT NULL,
+    created_at  TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`
+);
+
+SQLiteStorage.prototype.__run = function(sql, parameters, callback) {
+
+  /*
+   * Function SQLiteStorage.__run
+   * Runs a statement on the database: the $1, $2, .. parameters are numbered ?1, ?2, .. parameters in SQLite
+   */
+
+  sql = sql.replace(/\$(\d+)/g, "?$1");
+
+  // Statements that return rows are read completely
+  if(/^\s*SELECT|RETURNING/i.test(sql)) {
+    return this.__database.all(sql, parameters, function(error, rows) {
+      callback(error, error ? null : new Object({ "rows": rows, "changes": rows.length }));
+    });
+  }
+
+  this.__database.run(sql, parameters, function(error) {
+    callback(error, error ? null : new Object({ "rows": new Array(), "changes": this.changes }));
+  });
+
+}
+
+SQLiteStorage.prototype.__readJSON = function(value) {
+
+  /*
+   * Function SQLiteStorage.__readJSON
+   * JSON columns are stored as text
+   */
+
+  return JSON.parse(value);
+
+}
+
+SQLiteStorage.prototype.__writeTimestamp = function(date) {
+
+  /*
+   * Function SQLiteStorage.__writeTimestamp
+   * Timestamps are stored as milliseconds since the epoch
+   */
+
+  return date === null ? null : date.getTime();
+
+}
+
+module.exports = SQLiteStorage;
@@ -0,0 +1,147 @@
+"use strict";
+
+const PacketWriter = require("./packet-writer");
+
+const StorageValues = function(player, values) {
+
+  /*
+   * Class StorageValues
+   * Persistent key/value storage of a player for quest progress and other flags set by scripts (e.g., NPCs, chests)
+   *
+   * API:
+   *
+   * StorageValues.get(key) - Returns the integer or string value stored under a key or null
+   * StorageValues.has(key) - Returns true if a value is stored under a key
+   * StorageValues.set(key, value) - Stores an integer or string value under a key and updates the quest log when a quest uses the key
+   * StorageValues.remove(key) - Removes the value stored under a key
+   * StorageValues.getQuestLog() - Returns the entries of the quests that the player has started
+   * StorageValues.writeQuestLog() - Writes the quest log to the player
+   * StorageValues.toJSON() - Serializes the storage values
+   *
+   */
+
+  // Circular reference
+  this.player = player;
+
+  // Characters created before storage values were introduced have none
+  if(values === undefined) {
+    values = new Object();
+  }
+
+  this.__values = new Map(Object.entries(values));
+
+}
+
+StorageValues.prototype.get = function(key) {
+
+  /*
+   * Function StorageValues.get
+   * Returns the value that is stored under a key or null when nothing is stored
+   */
+
+  if(!this.__values.has(key)) {
+    return null;
+  }
+
+  return this.__values.get(key);
+
+}
+
+StorageValues.prototype.has = function(key) {
+
+  /*
+   * Function StorageValues.has
+   * Returns true if a value is stored under a key
+   */
+
+  return this.__values.has(key);
+
+}
+
+StorageValues.prototype.set = function(key, value) {
+
+  /*
+   * Function StorageValues.set
+   * Stores an integer or string value under a key
+   */
+
+  if(!Number.isInteger(value) && typeof value !== "string") {
+    throw new Error("Storage value %s must be an integer or a string.".format(key));
+  }
+
+  if(this.__values.get(key) === value) {
+    return;
+  }
+
+  this.__values.set(key, value);
+
+  this.__handleChange(key);
+
+}
+
+StorageValues.prototype.remove = function(key) {
+
+  /*
+   * Function StorageValues.remove
+   * Removes the value that is stored under a key
+   */
+
+  if(!this.__values.delete(key)) {
+    return;
+  }
+
+  this.__handleChange(key);
+
+}
+
+StorageValues.prototype.getQuestLog = function() {
+
+  /*
+   * Function StorageValues.getQuestLog
+   * Returns the log entries of the quests that have been started by the player
+   */
+
+  return Object.values(process.gameServer.database.quests).map(quest => quest.getLogEntry(this)).filter(entry => entry !== null);
+
+}
+
+StorageValues.prototype.writeQuestLog = function() {
+
+  /*
+   * Function StorageValues.writeQuestLog
+   * Writes the quest log to the player
+   */
+
+  this.player.write(new PacketWriter(PacketWriter.prototype.opcodes.QUEST_LOG).writeQuestLog(this.getQuestLog()));
+
+}
+
+StorageValues.prototype.toJSON = function() {
+
+  /*
+   * Function StorageValues.toJSON
+   * Serializes the storage values to a { key => value } object
+   */
+
+  return Object.fromEntries(this.__values);
+
+}
+
+StorageValues.prototype.__handleChange = function(key) {
+
+  /*
+   * Function StorageValues.__handleChange
+   * Updates the quest log of the player when a value that is used by a quest changes
+   */
+
+  let isQuestStorage = Object.values(process.gameServer.database.quests).some(quest => quest.usesStorage(key));
+
+  if(!isQuestStorage) {
+    return;
+  }
+
+  this.writeQuestLog();
+
+}
+
+module.exports = StorageValues;
@@ -0,0 +1,551 @@
+"use strict";
+
+// The storage backend that is shared by all callers
+let instance = null;
+
+const Storage = function() {
+
+  /*
+   * Class Storage
+   * Interface to the persistent storage of accounts, players, guilds, houses and mail: the queries are shared and a backend implements the connection
+   *
+   * API:
+   *
+   * Storage.open() - Returns the storage backend selected in the configuration: the connection is shared by all callers
+   *
+   * Storage.findAccount(account, callback) - Returns the account row (hash, definition, recovery key and lockout) or null
+   * Storage.insertAccount(account, hash, definition, recoveryKey, callback) - Creates a new account
+   * Storage.updatePassword(account, hash, recoveryKey, callback) - Changes the password and unlocks an account: a null recovery key keeps the current key
+   * Storage.recordFailedLogin(account, failures, lockedUntil, callback) - Records the failed logins and the lockout of an account
+   * Storage.resetFailedLogins(account, callback) - Forgets the failed logins of an account
+   *
+   * Storage.savePlayerData(name, account, data, callback) - Creates or replaces the data of a character
+   * Storage.loadPlayerData(name, callback) - Returns the data of a character or null
+   * Storage.updatePlayerData(name, data, callback) - Replaces the data of an existing character
+   * Storage.listCharactersByAccount(account, callback) - Returns the names and data of all characters of an account
+   * Storage.deletePlayerData(name, account, callback) - Deletes a character of an account and returns whether it existed
+   *
+   * Storage.loadGuilds(callback) - Returns all guilds with their ranks and members
+   * Storage.insertGuild(name, ranks, leader, rank, callback) - Creates a guild with its leader
+   * Storage.deleteGuild(name, callback) - Deletes a guild and its members
+   * Storage.updateGuildRanks(name, ranks, callback) - Changes the rank titles of a guild
+   * Storage.saveGuildMember(name, guild, rank, callback) - Adds a member to a guild or changes the rank of a member
+   * Storage.deleteGuildMember(name, callback) - Removes a member from a guild
+   *
+   * Storage.loadHouses(callback) - Returns the saved state and items of all houses
+   * Storage.saveHouse(id, data, items, callback) - Saves the state and items of a house
+   *
+   * Storage.sendMail(name, things, callback) - Adds things to the inbox of a character that is offline
+   * Storage.takeMail(name, callback) - Removes and returns the things that were sent to the inbox of a character
+   *
+   */
+
+  // Queries wait until the tables have been created
+  this.__ready = false;
+  this.__pending = new Array();
+
+  // Queries fail when the tables could not be created (e.g., the database is unreachable)
+  this.__error = null;
+
+}
+
+Storage.open = function() {
+
+  /*
+   * Function Storage.open
+   * Returns the storage backend selected in the configuration: the backends are only required when selected
+   */
+
+  if(instance !== null) {
+    return instance;
+  }
+
+  let Backend;
+
+  switch(CONFIG.DATABASE.TYPE) {
+    case "postgres": Backend = require("./storage-postgres"); break;
+    case "sqlite": Backend = require("./storage-sqlite"); break;
+    default: throw new Error("Unknown storage backend %s.".format(CONFIG.DATABASE.TYPE));
+  }
+
+  instance = new Backend();
+  instance.initialize();
+
+  return instance;
+
+}
+
+Storage.prototype.initialize = function() {
+
+  /*
+   * Function Storage.initialize
+   * Creates the tables of the backend one after the other and runs the queries that were waiting
+   */
+
+  let statements = this.SCHEMA.slice();
+
+  let next = function(error) {
+
+    if(error) {
+      console.error("Could not create the %s storage tables.".format(CONFIG.DATABASE.TYPE), error);
+      this.__error = error;
+      this.__pending.forEach(([ sql, parameters, callback ]) => callback(error, null));
+      return this.__pending = new Array();
+    }
+
+    if(statements.length > 0) {
+      return this.__run(statements.shift(), new Array(), next);
+    }
+
+    console.log("The %s storage is ready.".format(CONFIG.DATABASE.TYPE));
+
+    this.__ready = true;
+    this.__pending.forEach(query => this.__run(...query));
+    this.__pending = new Array();
+
+  }.bind(this);
+
+  next(null);
+
+}
+
+Storage.prototype.findAccount = function(account, callback) {
+
+  /*
+   * Function Storage.findAccount
+   * Returns the account row (hash, definition, recovery key and lockout) or null
+   */
+
+  this.__query(
+    "SELECT account, hash, definition, recovery_key, failed_logins, locked_until FROM accounts WHERE account = $1",
+    [ account ],
+    function(error, rows) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      if(rows.length === 0) {
+        return callback(null, null);
+      }
+
+      let row = rows[0];
+      row.locked_until = row.locked_until === null ? null : new Date(row.locked_until);
+
+      callback(null, row);
+
+    }
+  );
+
+}
+
+Storage.prototype.insertAccount = function(account, hash, definition, recoveryKey, callback) {
+
+  /*
+   * Function Storage.insertAccount
+   * Creates a new account
+   */
+
+  this.__execute(
+    "INSERT INTO accounts (account, hash, definition, recovery_key) VALUES ($1, $2, $3, $4)",
+    [ account, hash, definition, recoveryKey ],
+    callback
+  );
+
+}
+
+Storage.prototype.updatePassword = function(account, hash, recoveryKey, callback) {
+
+  /*
+   * Function Storage.updatePassword
+   * Changes the password and unlocks an account: a null recovery key keeps the current key
+   */
+
+  this.__execute(
+    "UPDATE accounts SET hash = $2, recovery_key = COALESCE($3, recovery_key), failed_logins = 0, locked_until = NULL WHERE account = $1",
+    [ account, hash, recoveryKey ],
+    callback
+  );
+
+}
+
+Storage.prototype.recordFailedLogin = function(account, failures, lockedUntil, callback) {
+
+  /*
+   * Function Storage.recordFailedLogin
+   * Records the failed logins and the lockout of an account
+   */
+
+  this.__execute(
+    "UPDATE accounts SET failed_logins = $2, locked_until = $3 WHERE account = $1",
+    [ account, failures, this.__writeTimestamp(lockedUntil) ],
+    callback
+  );
+
+}
+
+Storage.prototype.resetFailedLogins = function(account, callback) {
+
+  /*
+   * Function Storage.resetFailedLogins
+   * Forgets the failed logins of an account
+   */
+
+  this.__execute(
+    "UPDATE accounts SET failed_logins = 0, locked_until = NULL WHERE account = $1",
+    [ account ],
+    callback
+  );
+
+}
+
+Storage.prototype.savePlayerData = function(name, account, data, callback) {
+
+  /*
+   * Function Storage.savePlayerData
+   * Creates or replaces the data of a character
+   */
+
+  this.__execute(
+    "INSERT INTO players (account, name, data) VALUES ($1, $2, $3) ON CONFLICT (name) DO UPDATE SET data = excluded.data, updated_at = CURRENT_TIMESTAMP",
+    [ account, name, JSON.stringify(data) ],
+    callback
+  );
+
+}
+
+Storage.prototype.loadPlayerData = function(name, callback) {
+
+  /*
+   * Function Storage.loadPlayerData
+   * Returns the data of a character or null
+   */
+
+  this.__query(
+    "SELECT data FROM players WHERE name = $1",
+    [ name ],
+    function(error, rows) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      callback(null, rows.length === 0 ? null : this.__readJSON(rows[0].data));
+
+    }.bind(this)
+  );
+
+}
+
+Storage.prototype.updatePlayerData = function(name, data, callback) {
+
+  /*
+   * Function Storage.updatePlayerData
+   * Replaces the data of an existing character
+   */
+
+  this.__execute(
+    "UPDATE players SET data = $2, updated_at = CURRENT_TIMESTAMP WHERE name = $1",
+    [ name, JSON.stringify(data) ],
+    callback
+  );
+
+}
+
+Storage.prototype.listCharactersByAccount = function(account, callback) {
+
+  /*
+   * Function Storage.listCharactersByAccount
+   * Returns the names and data of all characters of an account
+   */
+
+  this.__query(
+    "SELECT name, data FROM players WHERE account = $1 ORDER BY name",
+    [ account ],
+    function(error, rows) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      callback(null, rows.map(row => new Object({ "name": row.name, "data": this.__readJSON(row.data) })));
+
+    }.bind(this)
+  );
+
+}
+
+Storage.prototype.deletePlayerData = function(name, account, callback) {
+
+  /*
+   * Function Storage.deletePlayerData
+   * Deletes a character of an account and returns whether it existed
+   */
+
+  this.__execute(
+    "DELETE FROM players WHERE name = $1 AND account = $2",
+    [ name, account ],
+    function(error, changes) {
+      callback(error, changes > 0);
+    }
+  );
+
+}
+
+Storage.prototype.loadGuilds = function(callback) {
+
+  /*
+   * Function Storage.loadGuilds
+   * Returns an array of { name, ranks, members: [{ name, rank }] }
+   */
+
+  this.__query("SELECT name, ranks FROM guilds ORDER BY name", new Array(), function(error, guilds) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    this.__query("SELECT name, guild, rank FROM guild_members", new Array(), function(error, members) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      callback(null, guilds.map(function(guild) {
+        return new Object({
+          "name": guild.name,
+          "ranks": this.__readJSON(guild.ranks),
+          "members": members.filter(member => member.guild === guild.name).map(member => new Object({ "name": member.name, "rank": member.rank }))
+        });
+      }, this));
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+Storage.prototype.insertGuild = function(name, ranks, leader, rank, callback) {
+
+  /*
+   * Function Storage.insertGuild
+   * Creates a guild and then its leader: the member is never inserted before the guild exists
+   */
+
+  this.__execute("INSERT INTO guilds (name, ranks) VALUES ($1, $2)", [ name, JSON.stringify(ranks) ], function(error) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    this.saveGuildMember(leader, name, rank, callback);
+
+  }.bind(this));
+
+}
+
+Storage.prototype.deleteGuild = function(name, callback) {
+
+  /*
+   * Function Storage.deleteGuild
+   * Deletes a guild and its members
+   */
+
+  // The members are deleted in cascade
+  this.__execute("DELETE FROM guilds WHERE name = $1", [ name ], callback);
+
+}
+
+Storage.prototype.updateGuildRanks = function(name, ranks, callback) {
+
+  /*
+   * Function Storage.updateGuildRanks
+   * Changes the rank titles of a guild
+   */
+
+  this.__execute("UPDATE guilds SET ranks = $2 WHERE name = $1", [ name, JSON.stringify(ranks) ], callback);
+
+}
+
+Storage.prototype.saveGuildMember = function(name, guild, rank, callback) {
+
+  /*
+   * Function Storage.saveGuildMember
+   * Adds a member to a guild or changes the rank of a member
+   */
+
+  this.__execute(
+    "INSERT INTO guild_members (name, guild, rank) VALUES ($1, $2, $3) ON CONFLICT (name) DO UPDATE SET guild = excluded.guild, rank = excluded.rank",
+    [ name, guild, rank ],
+    callback
+  );
+
+}
+
+Storage.prototype.deleteGuildMember = function(name, callback) {
+
+  /*
+   * Function Storage.deleteGuildMember
+   * Removes a member from a guild
+   */
+
+  this.__execute("DELETE FROM guild_members WHERE name = $1", [ name ], callback);
+
+}
+
+Storage.prototype.loadHouses = function(callback) {
+
+  /*
+   * Function Storage.loadHouses
+   * Returns a map of the saved house state and items referenced by the house identifier
+   */
+
+  this.__query("SELECT id, data, items FROM houses", new Array(), function(error, rows) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    callback(null, new Map(rows.map(row => [ Number(row.id), new Object({ "data": this.__readJSON(row.data), "items": this.__readJSON(row.items) }) ])));
+
+  }.bind(this));
+
+}
+
+Storage.prototype.saveHouse = function(id, data, items, callback) {
+
+  /*
+   * Function Storage.saveHouse
+   * Saves the state and items of a house
+   */
+
+  this.__execute(
+    "INSERT INTO houses (id, data, items) VALUES ($1, $2, $3) ON CONFLICT (id) DO UPDATE SET data = excluded.data, items = excluded.items, updated_at = CURRENT_TIMESTAMP",
+    [ id, JSON.stringify(data), JSON.stringify(items) ],
+    callback
+  );
+
+}
+
+Storage.prototype.sendMail = function(name, things, callback) {
+
+  /*
+   * Function Storage.sendMail
+   * Adds things to the inbox of a character that is offline: fails when the character does not exist
+   */
+
+  if(things.length === 0) {
+    return callback(null, 0);
+  }
+
+  let values = things.map((thing, index) => "($1, $%s)".format(index + 2)).join(", ");
+
+  this.__execute(
+    "INSERT INTO mail (name, thing) VALUES %s".format(values),
+    new Array(name).concat(things.map(thing => JSON.stringify(thing))),
+    callback
+  );
+
+}
+
+Storage.prototype.takeMail = function(name, callback) {
+
+  /*
+   * Function Storage.takeMail
+   * Removes and returns the things that were sent to a character in a single statement
+   */
+
+  this.__query("DELETE FROM mail WHERE name = $1 RETURNING id, thing", [ name ], function(error, rows) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    // Keep the order in which the mail was sent
+    rows.sort((a, b) => a.id - b.id);
+
+    callback(null, rows.map(row => this.__readJSON(row.thing)));
+
+  }.bind(this));
+
+}
+
+Storage.prototype.__query = function(sql, parameters, callback) {
+
+  /*
+   * Function Storage.__query
+   * Runs a statement and calls the callback with the returned rows
+   */
+
+  this.__schedule(sql, parameters, function(error, result) {
+    callback(error || null, error ? null : result.rows);
+  });
+
+}
+
+Storage.prototype.__execute = function(sql, parameters, callback) {
+
+  /*
+   * Function Storage.__execute
+   * Runs a statement and calls the callback with the number of changed rows
+   */
+
+  this.__schedule(sql, parameters, function(error, result) {
+    callback(error || null, error ? 0 : result.changes);
+  });
+
+}
+
+Storage.prototype.__schedule = function(sql, parameters, callback) {
+
+  /*
+   * Function Storage.__schedule
+   * Runs a statement or keeps it until the tables have been created
+   */
+
+  if(this.__error !== null) {
+    return callback(this.__error, null);
+  }
+
+  if(!this.__ready) {
+    return this.__pending.push(new Array(sql, parameters, callback));
+  }
+
+  this.__run(sql, parameters, callback);
+
+}
+
+Storage.prototype.__readJSON = function(value) {
+
+  /*
+   * Function Storage.__readJSON
+   * Returns the object of a JSON column: backends that return text columns parse the value
+   */
+
+  return value;
+
+}
+
+Storage.prototype.__writeTimestamp = function(date) {
+
+  /*
+   * Function Storage.__writeTimestamp
+   * Returns the value of a date for a timestamp column
+   */
+
+  return date;
+
+}
+
+Storage.prototype.__run = function(sql, parameters, callback) {
+
+  /*
+   * Function Storage.__run
+   * Implemented by the backend: runs a statement with $1, $2, .. parameters and calls the callback with { rows, changes }
+   */
+
+  throw new Error("The storage backend does not implement __run.");
+
+}
+
+module.exports = Storage;
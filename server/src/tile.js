@@ -21,6 +21,8 @@ const Tile = function(chunk, id, position) {
    * @Tile.addTopThing(thing) - Adds the thing to the top of the tile
    * @Tile.deleteThing(thing) - removes a thing from the tile by its reference
    * @Tile.removeIndex(index, count) - removes a number of items from the tile from an index
+   * @Tile.setChanged() - Informs the world state that the ground or items of the tile changed
+   * @Tile.hasScheduledDecay() - Returns true if the ground of the tile is waiting for a decay event
    *
    */
 
@@ -243,6 +245,8 @@ Tile.prototype.replace = function(id) {
   // Simply update the identifier of the tile
   this.id = id;
 
+  this.setChanged();
+
   // If the new identifier is said to be decaying (e.g., pickholes)
   if(this.isDecaying()) {
     this.scheduleDecay();
@@ -252,6 +256,21 @@ Tile.prototype.replace = function(id) {
 
 }
 
+Tile.prototype.setChanged = function() {
+
+  /*
+   * Function Tile.setChanged
+   * Informs the world state that the ground or items of the tile changed: tiles that are being created with their chunk have not changed
+   */
+
+  if(this.__chunk.isLoading()) {
+    return;
+  }
+
+  process.gameServer.database.worldState.setChanged(this);
+
+}
+
 Tile.prototype.getItems = function() {
 
   /*
@@ -583,7 +602,7 @@ Tile.prototype.getMaximumAddCount = function(player, item, index) {
     return 0;
   }
 
-  if(this.isHouseTile() && !player.ownsHouseTile(this)) {
+  if(this.isHouseTile() && !player.hasHouseAccess(this)) {
     return 0;
   }
 
@@ -685,8 +704,32 @@ Tile.prototype.scheduleDecay = function() {
   // Get the decaying properties
   let properties = this.__getDecayProperties();
 
-  // Schedule the event
-  return process.gameServer.world.eventQueue.addEvent(this.replace.bind(this, properties.decayTo), properties.duration);
+  // Schedule the event: the chunk of the tile is not unloaded while the event is pending
+  return this.__scheduledDecayEvent = process.gameServer.world.eventQueue.addEvent(this.__decayCallback.bind(this, properties.decayTo), properties.duration);
+
+}
+
+Tile.prototype.hasScheduledDecay = function() {
+
+  /*
+   * Function Tile.hasScheduledDecay
+   * Returns true if the ground of the tile is waiting for a decay event (e.g., a pickhole that closes)
+   */
+
+  return this.__scheduledDecayEvent !== null && !this.__scheduledDecayEvent.cancelled;
+
+}
+
+Tile.prototype.__decayCallback = function(id) {
+
+  /*
+   * Function Tile.__decayCallback
+   * Replaces the ground of the tile when its decay event fires: the replacement may schedule the next decay
+   */
+
+  this.__scheduledDecayEvent = null;
+
+  this.replace(id);
 
 }
 
@@ -787,6 +830,8 @@ Tile.prototype.__addThing = function(thing, index) {
   // If specified at the top of the stack
   this.itemStack.addThing(index, thing);
 
+  this.setChanged();
+
   // Inform spectators of the change
   this.broadcast(new PacketWriter(PacketWriter.prototype.opcodes.ITEM_ADD).writeItemAdd(this.position, thing, index));
 
@@ -803,6 +848,8 @@ Tile.prototype.__deleteThing = function(thing, index) {
   // Top index
   this.itemStack.deleteThing(index);
 
+  this.setChanged();
+
   // Inform spectators of the change
   this.broadcast(new PacketWriter(PacketWriter.prototype.opcodes.ITEM_REMOVE).writeItemRemove(this.position, index, thing.getCount()));
 
@@ -0,0 +1,281 @@
+"use strict";
+
+const PacketWriter = require("./packet-writer");
+
+const Trade = function(requester, partner) {
+
+  /*
+   * Class Trade
+   * Container for a trade between two players: both players offer an item and the items are swapped when both accept
+   *
+   * API:
+   *
+   * Trade.hasPlayer(player) - Returns true if the player is participating in the trade
+   * Trade.setOffer(player, which, index, item) - Sets the item offered by one of the players
+   * Trade.accept(player) - Accepts the trade for one of the players and completes it when both have accepted
+   * Trade.cancel(message) - Cancels the trade and informs both players
+   *
+   */
+
+  this.__parties = new Array(requester, partner).map(this.__createParty, this);
+
+  // Both players reference the trade they are participating in
+  requester.trade = this;
+  partner.trade = this;
+
+  partner.sendCancelMessage("%s wants to trade with you.".format(requester.name));
+
+}
+
+Trade.prototype.hasPlayer = function(player) {
+
+  /*
+   * Function Trade.hasPlayer
+   * Returns true if the player is participating in the trade
+   */
+
+  return this.__getParty(player) !== null;
+
+}
+
+Trade.prototype.setOffer = function(player, which, index, item) {
+
+  /*
+   * Function Trade.setOffer
+   * Sets the item offered by one of the players and resets the acceptance of both players
+   */
+
+  let party = this.__getParty(player);
+
+  // The offer cannot be changed after it has been made
+  if(party.item !== null) {
+    return player.sendCancelMessage("You have already made an offer.");
+  }
+
+  party.which = which;
+  party.index = index;
+  party.item = item;
+  party.count = item.count;
+
+  // Any change to the offers must be accepted again
+  this.__parties.forEach(party => party.accepted = false);
+
+  this.__writeUpdate();
+
+}
+
+Trade.prototype.accept = function(player) {
+
+  /*
+   * Function Trade.accept
+   * Accepts the trade for one of the players and completes the trade when both players have accepted
+   */
+
+  // Both players must have made an offer
+  if(this.__parties.some(party => party.item === null)) {
+    return player.sendCancelMessage("Both players must make an offer.");
+  }
+
+  // The offered items may have been moved, split or locked since they were offered: both must be removable before either is taken
+  if(!this.__parties.every(this.__isOfferAvailable, this)) {
+    return this.__close("The offered items are no longer available.");
+  }
+
+  // Offers that were changed after they were shown to the players must be accepted again
+  if(this.__parties.some(this.__hasChangedOffer, this)) {
+    this.__parties.forEach(party => party.accepted = false);
+    this.__writeUpdate();
+    return player.sendCancelMessage("The offers have changed and must be accepted again.");
+  }
+
+  this.__getParty(player).accepted = true;
+
+  if(this.__parties.every(party => party.accepted)) {
+    return this.__complete();
+  }
+
+  this.__writeUpdate();
+
+}
+
+Trade.prototype.cancel = function(message) {
+
+  /*
+   * Function Trade.cancel
+   * Cancels the trade and informs both players
+   */
+
+  this.__close(message);
+
+}
+
+Trade.prototype.__complete = function() {
+
+  /*
+   * Function Trade.__complete
+   * Swaps the offered items between the two players: all checks are done before any item is moved
+   */
+
+  let [ requester, partner ] = this.__parties;
+
+  // Both players must be able to carry the item they receive
+  if(!partner.player.containerManager.equipment.canPushItem(requester.item)) {
+    return this.__close("%s does not have enough available space or capacity.".format(partner.player.name));
+  }
+
+  if(!requester.player.containerManager.equipment.canPushItem(partner.item)) {
+    return this.__close("%s does not have enough available space or capacity.".format(requester.player.name));
+  }
+
+  // Take both items before adding them so that neither can be lost
+  let requesterItem = requester.which.removeIndex(requester.index, requester.count);
+  let partnerItem = partner.which.removeIndex(partner.index, partner.count);
+
+  partner.player.containerManager.equipment.pushItem(requesterItem);
+  requester.player.containerManager.equipment.pushItem(partnerItem);
+
+  // Traded containers may no longer be opened by the previous owner
+  new Array(requesterItem, partnerItem).forEach(function(item) {
+    if(item.constructor.name === "Container") {
+      item.checkPlayersAdjacency();
+    }
+  });
+
+  this.__close("The trade has been completed.");
+
+}
+
+Trade.prototype.__isOfferAvailable = function(party) {
+
+  /*
+   * Function Trade.__isOfferAvailable
+   * Returns true if the offered item is still carried by the player at the same place and in the same amount and can be removed
+   */
+
+  if(party.which.getTopParent() !== party.player) {
+    return false;
+  }
+
+  // Frozen things cannot be removed (e.g., while undergoing I/O)
+  if(party.which.frozen || party.item.frozen) {
+    return false;
+  }
+
+  let item = party.which.peekIndex(party.index);
+
+  return item === party.item && item.count === party.count;
+
+}
+
+Trade.prototype.__hasChangedOffer = function(party) {
+
+  /*
+   * Function Trade.__hasChangedOffer
+   * Returns true if the offered item or the contents of an offered container changed since the offer was last shown
+   */
+
+  return party.snapshot !== this.__getSnapshot(party.item);
+
+}
+
+Trade.prototype.__getSnapshot = function(item) {
+
+  /*
+   * Function Trade.__getSnapshot
+   * Returns a snapshot of an offered item that includes the contents of containers
+   */
+
+  if(item === null) {
+    return null;
+  }
+
+  return JSON.stringify(item.serialize());
+
+}
+
+Trade.prototype.__close = function(message) {
+
+  /*
+   * Function Trade.__close
+   * Closes the trade for both players and removes the subscribed events
+   */
+
+  this.__parties.forEach(function(party) {
+
+    party.player.off("move", party.moveEvent);
+    party.player.off("logout", party.logoutEvent);
+
+    party.player.trade = null;
+
+    party.player.write(new PacketWriter(PacketWriter.prototype.opcodes.TRADE_CLOSE).buffer);
+    party.player.sendCancelMessage(message);
+
+  });
+
+}
+
+Trade.prototype.__writeUpdate = function() {
+
+  /*
+   * Function Trade.__writeUpdate
+   * Writes the current state of the trade to both players
+   */
+
+  let [ requester, partner ] = this.__parties;
+
+  // Remember what the players have seen so that later changes to the offers can be detected
+  this.__parties.forEach(party => party.snapshot = this.__getSnapshot(party.item));
+
+  requester.player.write(new PacketWriter(PacketWriter.prototype.opcodes.TRADE_UPDATE).writeTradeUpdate(requester, partner));
+  partner.player.write(new PacketWriter(PacketWriter.prototype.opcodes.TRADE_UPDATE).writeTradeUpdate(partner, requester));
+
+}
+
+Trade.prototype.__handleMove = function() {
+
+  /*
+   * Function Trade.__handleMove
+   * Callback fired when one of the players moves: the trade is cancelled when the players are no longer adjacent
+   */
+
+  let [ requester, partner ] = this.__parties;
+
+  if(!requester.player.position.besides(partner.player.position)) {
+    return this.__close("The trade was cancelled because you moved too far apart.");
+  }
+
+}
+
+Trade.prototype.__getParty = function(player) {
+
+  /*
+   * Function Trade.__getParty
+   * Returns the state of the player participating in the trade or null
+   */
+
+  return this.__parties.find(party => party.player === player) || null;
+
+}
+
+Trade.prototype.__createParty = function(player) {
+
+  /*
+   * Function Trade.__createParty
+   * Creates the state of one of the players in the trade and subscribes to the events that cancel the trade
+   */
+
+  return new Object({
+    "player": player,
+    "which": null,
+    "index": null,
+    "item": null,
+    "count": 0,
+    "snapshot": null,
+    "accepted": false,
+    "moveEvent": player.on("move", this.__handleMove.bind(this)),
+    "logoutEvent": player.on("logout", this.__close.bind(this, "The trade was cancelled because %s logged out.".format(player.name)))
+  });
+
+}
+
+module.exports = Trade;
@@ -55,6 +55,41 @@ DataValidator.prototype.validateNPC = function(filename, npc) {
     throw new Error("Schema validation failed for: %s: %s".format(filename, validated.errors.join("\n")));
   }
 
+  if(npc.hasOwnProperty("dialogue")) {
+    this.__validateResponses(filename, npc.dialogue.responses);
+  }
+
+}
+
+DataValidator.prototype.__validateResponses = function(filename, responses) {
+
+  /*
+   * Function Validator.__validateResponses
+   * Validates what the schema cannot: the items and spells that are referenced in the dialogue tree of an NPC must exist
+   */
+
+  responses.forEach(function(response) {
+
+    let entries = (response.conditions || new Array()).concat(response.actions || new Array());
+
+    entries.forEach(function(entry) {
+
+      if([ "item", "give", "take" ].includes(entry.type) && process.gameServer.database.getThingPrototype(entry.id) === null) {
+        throw new Error("Dialogue validation failed for: %s: unknown item %s in response to %s".format(filename, entry.id, response.keywords.join(", ")));
+      }
+
+      if(entry.type === "spell" && process.gameServer.database.getSpell(entry.id) === null) {
+        throw new Error("Dialogue validation failed for: %s: unknown spell %s in response to %s".format(filename, entry.id, response.keywords.join(", ")));
+      }
+
+    });
+
+    if(response.responses) {
+      this.__validateResponses(filename, response.responses);
+    }
+
+  }, this);
+
 }
 
 module.exports = DataValidator;
\ No newline at end of file
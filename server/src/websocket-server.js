@@ -90,6 +90,22 @@ WebsocketServer.prototype.connectedSockets = function() {
 
 }
 
+WebsocketServer.prototype.savePlayer = function(player) {
+
+  /*
+   * Function WebsocketServer.savePlayer
+   * Serializes a player and writes it to the character database
+   */
+
+  let pointer = new Object({
+    "buffer": JSON.stringify(player, null, 2),
+    "error": false
+  });
+
+  this.accountManager.savePlayerAccount(player.name, pointer);
+
+}
+
 WebsocketServer.prototype.readIncomingBuffer = function(socket) {
 
   /*
@@ -259,13 +275,30 @@ WebsocketServer.prototype.__handleLogin = function(gameSocket, name) {
       return gameSocket.closeError("Invalid account number or password.");
     }
 
-    // The character is already online
-    if(process.gameServer.world.__gameSocketReferences.has(data.creatureStatistics.name)) {
-      return gameSocket.closeError("This character is already online.");
-    }
+    // Things mailed while the player was offline are added to the inbox
+    this.accountManager.storage.takeMail(name.toLowerCase(), function(error, things) {
+
+      if(error) {
+        console.error("Could not read the mail of %s.".format(name), error);
+        things = new Array();
+      }
+
+      // The character is already online: the mail is kept for the next login
+      if(process.gameServer.world.__gameSocketReferences.has(data.creatureStatistics.name)) {
+        this.accountManager.storage.sendMail(name.toLowerCase(), things, function(error) {
+          if(error) {
+            console.error("Could not return the mail of %s.".format(name), error);
+          }
+        });
+        return gameSocket.closeError("This character is already online.");
+      }
+
+      Array.prototype.push.apply(data.inbox, things);
 
-    // Accept the gamesocket
-    this.__acceptPlayer(gameSocket, data);
+      // Accept the gamesocket
+      this.__acceptPlayer(gameSocket, data);
+
+    }.bind(this));
 
   }.bind(this));
 
@@ -317,7 +350,7 @@ WebsocketServer.prototype.__handlePong = function(gameSocket) {
    * Updates the state for the ping/pong
    */
 
-  gameSocket.__alive = true;
+  gameSocket.handlePong();
 
 }
 
@@ -377,13 +410,8 @@ WebsocketServer.prototype.__removePlayerFromWorld = function(gameSocket) {
   process.gameServer.world.removePlayer(gameSocket.player);
   process.gameServer.world.writePlayerLogout(gameSocket.player.name);
 
-  let pointer = new Object({
-    "buffer": JSON.stringify(gameSocket.player, null, 2),
-    "error": false
-  });
-  
   // Save the character account
-  this.accountManager.savePlayerAccount(gameSocket.player.name, pointer);
+  this.savePlayer(gameSocket.player);
 
   gameSocket.player.gameSocket = null;
 
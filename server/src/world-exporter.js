@@ -0,0 +1,435 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const xml2js = require("xml2js");
+
+const otbm2json = require("../lib/otbm2json");
+
+const WorldExporter = function() {
+
+  /*
+   * Class WorldExporter
+   * Writes the live world back to OTBM files with matching spawn and house files that can be opened in Remere's Map Editor
+   *
+   * API:
+   *
+   * WorldExporter.export(directory, callback) - Writes the map, spawn and house files of every zone to a directory in the background
+   *
+   */
+
+  // Writes the spawn and house files in the RME XML format
+  this.__builder = new xml2js.Builder();
+
+}
+
+// Tile areas in the OTBM format are 256x256 tiles
+WorldExporter.prototype.AREA_SIZE = 256;
+
+WorldExporter.prototype.export = function(directory, callback) {
+
+  /*
+   * Function WorldExporter.export
+   * Writes the map, spawn and house files of every zone to a directory: each zone is written to a file with the name of its original map
+   */
+
+  fs.mkdirSync(directory, { "recursive": true });
+
+  let zones = this.__createZones();
+  let chunks = new Array();
+
+  process.gameServer.world.lattice.forEachChunk(chunk => chunks.push(chunk));
+
+  this.__collectChunks(zones, chunks, function(error) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    try {
+      this.__writeZones(directory, zones);
+    } catch(error) {
+      return callback(error);
+    }
+
+    console.log("Exported [[ %s ]] zones to %s.".format(zones.size, directory));
+
+    callback(null);
+
+  }.bind(this));
+
+}
+
+WorldExporter.prototype.__createZones = function() {
+
+  /*
+   * Function WorldExporter.__createZones
+   * Creates the containers for the tile areas, spawns and houses of each zone of the world
+   */
+
+  let zones = new Map();
+
+  Object.keys(process.gameServer.database.zones).forEach(function(zid) {
+    zones.set(zid, new Object({
+      "areas": new Map(),
+      "spawns": new Array(),
+      "houses": new Array()
+    }));
+  });
+
+  return zones;
+
+}
+
+WorldExporter.prototype.__collectChunks = function(zones, chunks, callback) {
+
+  /*
+   * Function WorldExporter.__collectChunks
+   * Collects the tiles of the remaining chunks: a single chunk is collected per turn of the event loop so the game keeps running
+   */
+
+  let chunk = chunks.pop();
+
+  if(chunk === undefined) {
+    return callback(null);
+  }
+
+  try {
+    this.__collectChunk(zones, chunk);
+  } catch(error) {
+    return callback(error);
+  }
+
+  setImmediate(this.__collectChunks.bind(this, zones, chunks, callback));
+
+}
+
+WorldExporter.prototype.__collectChunk = function(zones, chunk) {
+
+  /*
+   * Function WorldExporter.__collectChunk
+   * Collects the tiles of a chunk: chunks that are not loaded are only loaded while their tiles are collected
+   */
+
+  let lattice = process.gameServer.world.lattice;
+  let loaded = chunk.isLoaded();
+
+  if(!loaded) {
+    lattice.loadChunk(chunk);
+  }
+
+  chunk.tiles.forEach(function(tile) {
+
+    if(tile === null || !zones.has(tile.zoneIdentifier)) {
+      return;
+    }
+
+    let version = process.gameServer.database.worldParser.getMetadata(tile.zoneIdentifier).version;
+
+    this.__getArea(zones.get(tile.zoneIdentifier), tile.position).tiles.push(this.__getTileNode(tile, version));
+
+  }, this);
+
+  if(!loaded) {
+    lattice.unloadChunk(chunk);
+  }
+
+}
+
+WorldExporter.prototype.__writeZones = function(directory, zones) {
+
+  /*
+   * Function WorldExporter.__writeZones
+   * Adds the spawns and houses to the zone of the tile they are on and writes the files of every zone
+   */
+
+  let database = process.gameServer.database;
+
+  database.spawns.forEach(function(spawn) {
+
+    let zid = this.__getZoneIdentifier(spawn.position);
+
+    if(zones.has(zid)) {
+      zones.get(zid).spawns.push(spawn);
+    }
+
+  }, this);
+
+  database.houses.forEach(function(house) {
+
+    if(house.tiles.length > 0 && zones.has(house.tiles[0].zoneIdentifier)) {
+      zones.get(house.tiles[0].zoneIdentifier).houses.push(house);
+    }
+
+  });
+
+  zones.forEach(function(zone, zid) {
+    this.__writeZone(directory, zid, zone);
+  }, this);
+
+}
+
+WorldExporter.prototype.__getZoneIdentifier = function(position) {
+
+  /*
+   * Function WorldExporter.__getZoneIdentifier
+   * Returns the zone of the tile at a position without loading its chunk or null when there is no tile
+   */
+
+  let chunk = process.gameServer.world.lattice.getChunkFromWorldPosition(position);
+
+  if(chunk === null) {
+    return null;
+  }
+
+  if(!chunk.isLoaded()) {
+    let entry = chunk.getSerializedTile(position);
+    return entry === null ? null : entry.zone;
+  }
+
+  let tile = chunk.getTileFromWorldPosition(position);
+
+  return tile === null ? null : tile.zoneIdentifier;
+
+}
+
+WorldExporter.prototype.__getArea = function(zone, position) {
+
+  /*
+   * Function WorldExporter.__getArea
+   * Returns the tile area node that contains a position and creates it when it does not exist
+   */
+
+  let x = position.x - (position.x % this.AREA_SIZE);
+  let y = position.y - (position.y % this.AREA_SIZE);
+  let z = this.__getMapFloor(position.z);
+
+  let key = "%s.%s.%s".format(x, y, z);
+
+  if(!zone.areas.has(key)) {
+    zone.areas.set(key, new Object({
+      "type": otbm2json.HEADERS.OTBM_TILE_AREA,
+      "x": x,
+      "y": y,
+      "z": z,
+      "tiles": new Array()
+    }));
+  }
+
+  return zone.areas.get(key);
+
+}
+
+WorldExporter.prototype.__getTileNode = function(tile, version) {
+
+  /*
+   * Function WorldExporter.__getTileNode
+   * Returns the OTBM node of a tile with its ground, flags and items
+   */
+
+  let node = new Object({
+    "type": otbm2json.HEADERS.OTBM_TILE,
+    "x": tile.position.x % this.AREA_SIZE,
+    "y": tile.position.y % this.AREA_SIZE,
+    "items": new Array()
+  });
+
+  if(tile.isHouseTile()) {
+    node.type = otbm2json.HEADERS.OTBM_HOUSETILE;
+    node.houseId = tile.house.id;
+  }
+
+  // The tile zone flags share their bits with RME
+  if(tile.tilezoneFlags.flag) {
+    node.zones = this.__getZones(tile.tilezoneFlags);
+  }
+
+  // RME saves a ground with an action or unique identifier as the first item
+  if(tile.actionId || tile.uid) {
+    node.items.push(new Object({
+      "type": otbm2json.HEADERS.OTBM_ITEM,
+      "id": tile.id,
+      "aid": tile.actionId,
+      "uid": tile.uid
+    }));
+  } else {
+    node.tileid = tile.id;
+  }
+
+  tile.getItems().forEach(function(thing) {
+
+    // Items that players keep in their house are saved with the house and are loaded on top of the map
+    if(tile.isHouseTile() && (thing.isPickupable() || thing.isMoveable())) {
+      return;
+    }
+
+    node.items.push(this.__getItemNode(thing, version));
+
+  }, this);
+
+  return node;
+
+}
+
+WorldExporter.prototype.__getItemNode = function(thing, version) {
+
+  /*
+   * Function WorldExporter.__getItemNode
+   * Recursively returns the OTBM node of an item and its contents
+   */
+
+  let node = new Object({
+    "type": otbm2json.HEADERS.OTBM_ITEM,
+    "id": thing.id,
+    "aid": thing.actionId,
+    "uid": thing.uid,
+    "text": thing.content,
+    "destination": thing.destination
+  });
+
+  let hasCount = thing.isStackable() || thing.isSplash() || thing.isFluidContainer();
+
+  // Version 0 maps do not have a count attribute
+  if(version === 0 && hasCount) {
+    node.subtype = thing.getCount();
+  } else if(hasCount) {
+    node.count = thing.getCount();
+  }
+
+  // Some containers on the map (e.g., depots) have no contents of their own
+  if(thing.hasOwnProperty("container")) {
+    node.content = thing.container.getSlots().filter(item => item !== null).map(item => this.__getItemNode(item, version));
+  }
+
+  return node;
+
+}
+
+WorldExporter.prototype.__getZones = function(flags) {
+
+  /*
+   * Function WorldExporter.__getZones
+   * Returns the tile zone flags in the format that is written by OTBM2JSON
+   */
+
+  return new Object({
+    "protection": flags.get(flags.flags.TILESTATE_PROTECTIONZONE),
+    "noPVP": flags.get(flags.flags.TILESTATE_NOPVP),
+    "noLogout": flags.get(flags.flags.TILESTATE_NOLOGOUT),
+    "PVPZone": flags.get(flags.flags.TILESTATE_PVPZONE),
+    "refresh": flags.get(flags.flags.TILESTATE_REFRESH)
+  });
+
+}
+
+WorldExporter.prototype.__writeZone = function(directory, zid, zone) {
+
+  /*
+   * Function WorldExporter.__writeZone
+   * Writes the map, spawn and house files of a single zone
+   */
+
+  let parser = process.gameServer.database.worldParser;
+  let metadata = parser.getMetadata(zid);
+  let [ major, minor ] = parser.getRMEVersion();
+
+  let name = path.basename(process.gameServer.database.getZone(zid).file, ".otbm");
+
+  let header = new Object({
+    "type": otbm2json.HEADERS.OTBM_MAP_HEADER,
+    "version": metadata.version,
+    "mapWidth": metadata.mapWidth,
+    "mapHeight": metadata.mapHeight,
+    "itemsMajorVersion": major,
+    "itemsMinorVersion": minor,
+    "nodes": new Array(new Object({
+      "type": otbm2json.HEADERS.OTBM_MAP_DATA,
+      "description": metadata.description,
+      "spawnfile": "%s-spawn.xml".format(name),
+      "housefile": "%s-house.xml".format(name),
+      "features": Array.from(zone.areas.values()).concat(metadata.features)
+    }))
+  });
+
+  otbm2json.write(path.join(directory, "%s.otbm".format(name)), new Object({ "data": header }));
+
+  fs.writeFileSync(path.join(directory, "%s-spawn.xml".format(name)), this.__builder.buildObject({
+    "spawns": { "spawn": zone.spawns.map(this.__getSpawnElement, this) }
+  }));
+
+  fs.writeFileSync(path.join(directory, "%s-house.xml".format(name)), this.__builder.buildObject({
+    "houses": { "house": zone.houses.map(house => this.__getHouseElement(house, this.__getTownId(metadata))) }
+  }));
+
+}
+
+WorldExporter.prototype.__getSpawnElement = function(spawn) {
+
+  /*
+   * Function WorldExporter.__getSpawnElement
+   * Returns the RME spawn element of a configured spawn with a single monster in its center
+   */
+
+  let monster = process.gameServer.database.getMonster(spawn.mid);
+  let z = this.__getMapFloor(spawn.position.z);
+
+  return new Object({
+    "$": { "centerx": spawn.position.x, "centery": spawn.position.y, "centerz": z, "radius": 1 },
+    "monster": new Array(new Object({
+      "$": { "name": monster === null ? spawn.mid : monster.creatureStatistics.name, "x": 0, "y": 0, "z": z, "spawntime": spawn.respawnTime }
+    }))
+  });
+
+}
+
+WorldExporter.prototype.__getHouseElement = function(house, townid) {
+
+  /*
+   * Function WorldExporter.__getHouseElement
+   * Returns the RME house element of a house
+   */
+
+  return new Object({
+    "$": {
+      "name": house.name,
+      "houseid": house.id,
+      "entryx": house.exit.x,
+      "entryy": house.exit.y,
+      "entryz": this.__getMapFloor(house.exit.z),
+      "rent": house.rent,
+      "townid": townid,
+      "size": house.tiles.length
+    }
+  });
+
+}
+
+WorldExporter.prototype.__getTownId = function(metadata) {
+
+  /*
+   * Function WorldExporter.__getTownId
+   * Returns the identifier of the first town in the map that the houses are assigned to
+   */
+
+  let towns = metadata.features.find(feature => feature.type === otbm2json.HEADERS.OTBM_TOWNS);
+
+  if(towns === undefined || !towns.towns || towns.towns.length === 0) {
+    return 0;
+  }
+
+  return towns.towns[0].townid;
+
+}
+
+WorldExporter.prototype.__getMapFloor = function(z) {
+
+  /*
+   * Function WorldExporter.__getMapFloor
+   * Returns the floor in the map editor: the server swaps the z-coordinate when loading the map
+   */
+
+  return 15 - z;
+
+}
+
+module.exports = WorldExporter;
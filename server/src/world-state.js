@@ -0,0 +1,338 @@
+"use strict";
+
+const fs = require("fs");
+
+const Position = require("./position");
+
+const WorldState = function() {
+
+  /*
+   * Class WorldState
+   * Container for the snapshot of all tiles that changed since the world was loaded from the map (e.g., dropped items or opened chests)
+   *
+   * API:
+   *
+   * WorldState.initialize() - Replays the saved snapshot on top of the loaded map and schedules the autosave
+   * WorldState.trackChunk(chunk) - Replays the saved tiles of a chunk that is loaded from the map
+   * WorldState.setChanged(tile) - Remembers that the ground or items of a tile changed since the map was loaded
+   * WorldState.save(callback) - Serializes the changed tiles and writes them to the snapshot in the background
+   * WorldState.saveSync() - Synchronously writes the snapshot (e.g., when the server is shutting down)
+   *
+   */
+
+  // The positions of the tracked tiles that changed since the map was loaded: only these tiles are saved
+  this.__changed = new Map();
+
+  // Saved tiles in chunks that have not been loaded yet are replayed when their chunk is loaded
+  this.__pending = null;
+
+  // Prevents two asynchronous saves from writing at the same time
+  this.__saving = false;
+
+}
+
+WorldState.prototype.initialize = function() {
+
+  /*
+   * Function WorldState.initialize
+   * Replays the saved snapshot on top of the loaded map and schedules the autosave
+   */
+
+  if(!CONFIG.WORLD.STATE.ENABLED) {
+    return;
+  }
+
+  let lattice = process.gameServer.world.lattice;
+
+  this.__pending = this.__readSnapshot();
+
+  console.log("Read [[ %s ]] changed tiles from the world state.".format(this.__pending.size));
+
+  // Chunks that are lazily loaded are tracked when they are loaded later
+  lattice.forEachChunk(function(chunk) {
+    if(chunk.isLoaded()) {
+      this.trackChunk(chunk);
+    }
+  }.bind(this));
+
+  // The map or the excluded zones changed since the snapshot was written
+  this.__pending.forEach(function(entry, key) {
+
+    let chunk = lattice.getChunkFromWorldPosition(entry.position);
+
+    if(chunk === null || chunk.isLoaded() || chunk.getSerializedTile(entry.position) === null) {
+      this.__pending.delete(key);
+    }
+
+  }, this);
+
+  this.__scheduleAutosave();
+
+}
+
+WorldState.prototype.trackChunk = function(chunk) {
+
+  /*
+   * Function WorldState.trackChunk
+   * Replays the saved tiles of a chunk that is loaded from the map on top of the tiles
+   */
+
+  // Not enabled or the chunk is loaded before the world state is initialized
+  if(this.__pending === null) {
+    return;
+  }
+
+  chunk.tiles.forEach(function(tile) {
+
+    if(tile === null) {
+      return;
+    }
+
+    let key = tile.position.toString();
+
+    if(!this.__isTracked(tile)) {
+      return this.__pending.delete(key);
+    }
+
+    // Replaying the saved tile marks it as changed again
+    if(this.__pending.has(key)) {
+      this.__replay(tile, this.__pending.get(key));
+      this.__pending.delete(key);
+    }
+
+  }, this);
+
+}
+
+WorldState.prototype.setChanged = function(tile) {
+
+  /*
+   * Function WorldState.setChanged
+   * Remembers that the ground or items of a tile changed since the map was loaded so that the tile is included in the snapshot
+   */
+
+  // Not enabled or the change happens before the world state is initialized
+  if(this.__pending === null) {
+    return;
+  }
+
+  let key = tile.position.toString();
+
+  if(this.__changed.has(key) || !this.__isTracked(tile)) {
+    return;
+  }
+
+  // Tiles that are not part of the world (e.g., created by the tests) cannot be saved
+  if(process.gameServer.world.getTileFromWorldPosition(tile.position) !== tile) {
+    return;
+  }
+
+  this.__changed.set(key, tile.position);
+
+}
+
+WorldState.prototype.save = function(callback) {
+
+  /*
+   * Function WorldState.save
+   * Serializes the changed tiles and writes them to the snapshot: only writing the file happens asynchronously
+   */
+
+  if(this.__saving) {
+    return callback(true);
+  }
+
+  this.__saving = true;
+
+  let filename = this.__getFilename();
+
+  // Write to a temporary file first so that a crash can never leave a partial snapshot
+  fs.writeFile("%s.tmp".format(filename), this.__serialize(), function(error) {
+
+    if(error) {
+      this.__saving = false;
+      return callback(error);
+    }
+
+    fs.rename("%s.tmp".format(filename), filename, function(error) {
+      this.__saving = false;
+      callback(error);
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+WorldState.prototype.saveSync = function() {
+
+  /*
+   * Function WorldState.saveSync
+   * Synchronously writes the snapshot when the server is shutting down
+   */
+
+  if(!CONFIG.WORLD.STATE.ENABLED) {
+    return;
+  }
+
+  let filename = this.__getFilename();
+
+  // Write to a temporary file first just like the periodic saves: a crash during shutdown must not corrupt the snapshot
+  fs.writeFileSync("%s.tmp".format(filename), this.__serialize());
+  fs.renameSync("%s.tmp".format(filename), filename);
+
+}
+
+WorldState.prototype.__serialize = function() {
+
+  /*
+   * Function WorldState.__serialize
+   * Serializes the ground and items of all tracked tiles that changed since the map was loaded
+   */
+
+  // Saved tiles in chunks that were never loaded have not changed since the last snapshot
+  let tiles = Array.from(this.__pending.values());
+
+  this.__changed.forEach(function(position) {
+
+    let state = this.__getCurrentState(position);
+
+    state.position = position;
+
+    tiles.push(state);
+
+  }, this);
+
+  return JSON.stringify(tiles);
+
+}
+
+WorldState.prototype.__readSnapshot = function() {
+
+  /*
+   * Function WorldState.__readSnapshot
+   * Reads the saved tiles from the snapshot by their position
+   */
+
+  let pending = new Map();
+  let filename = this.__getFilename();
+
+  if(!fs.existsSync(filename)) {
+    return pending;
+  }
+
+  JSON.parse(fs.readFileSync(filename)).forEach(function(entry) {
+    pending.set(new Position(entry.position.x, entry.position.y, entry.position.z).toString(), entry);
+  });
+
+  return pending;
+
+}
+
+WorldState.prototype.__replay = function(tile, entry) {
+
+  /*
+   * Function WorldState.__replay
+   * Replays a saved tile on top of the tile loaded from the map
+   */
+
+  tile.id = entry.id;
+
+  // Replace the items from the map by the saved items
+  tile.getItems().slice().forEach(function(thing) {
+    tile.deleteThing(thing);
+    thing.cleanup();
+  });
+
+  entry.items.forEach(function(item) {
+    tile.addTopThing(process.gameServer.database.parseThing(item));
+  });
+
+  // The ground may be the only difference with the map
+  this.setChanged(tile);
+
+}
+
+WorldState.prototype.__scheduleAutosave = function() {
+
+  /*
+   * Function WorldState.__scheduleAutosave
+   * Schedules the next periodic save of the world state
+   */
+
+  process.gameServer.world.eventQueue.addEventSeconds(function() {
+
+    this.save(function(error) {
+      if(error) {
+        console.error("Could not save the world state.", error);
+      }
+    });
+
+    this.__scheduleAutosave();
+
+  }.bind(this), CONFIG.WORLD.STATE.AUTOSAVE_SECONDS);
+
+}
+
+WorldState.prototype.__isTracked = function(tile) {
+
+  /*
+   * Function WorldState.__isTracked
+   * Returns true if changes to the tile are saved: houses are saved separately and unique items or teleporters cannot be restored
+   */
+
+  if(tile.isHouseTile() || CONFIG.WORLD.STATE.EXCLUDED_ZONES.includes(tile.zoneIdentifier)) {
+    return false;
+  }
+
+  return !tile.getItems().some(thing => thing.hasUniqueId() || thing.isTeleporter());
+
+}
+
+WorldState.prototype.__getTileState = function(tile) {
+
+  /*
+   * Function WorldState.__getTileState
+   * Returns the ground and serialized items of a tile
+   */
+
+  return new Object({
+    "id": tile.id,
+    "items": tile.getItems().map(thing => thing.serialize())
+  });
+
+}
+
+WorldState.prototype.__getCurrentState = function(position) {
+
+  /*
+   * Function WorldState.__getCurrentState
+   * Returns the current state of a tracked tile from the loaded tile or the state it was serialized with when its chunk was unloaded
+   */
+
+  let chunk = process.gameServer.world.lattice.getChunkFromWorldPosition(position);
+
+  if(chunk.isLoaded()) {
+    return this.__getTileState(chunk.getTileFromWorldPosition(position));
+  }
+
+  let entry = chunk.getSerializedTile(position);
+
+  return new Object({
+    "id": entry.id,
+    "items": entry.items
+  });
+
+}
+
+WorldState.prototype.__getFilename = function() {
+
+  /*
+   * Function WorldState.__getFilename
+   * Returns the file that the world state is saved to
+   */
+
+  return getDataFile("world", "state.json");
+
+}
+
+module.exports = WorldState;
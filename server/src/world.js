@@ -3,9 +3,12 @@
 const Condition = require("./condition");
 const ChannelManager = require("./channel-manager");
 const EventQueue = require("./eventqueue");
+const GuildManager = require("./guild-manager");
+const HouseManager = require("./house-manager");
 const Monster = require("./monster");
 const PacketHandler = require("./packet-handler");
 const PacketWriter = require("./packet-writer");
+const PartyManager = require("./party-manager");
 const Pathfinder = require("./pathfinder");
 const Position = require("./position");
 const Lattice = require("./lattice");
@@ -38,6 +41,12 @@ const World = function(size) {
 
   this.channelManager = new ChannelManager();
 
+  // Guilds with their members and ranks
+  this.guildManager = new GuildManager();
+
+  // Parties of online players that share experience
+  this.partyManager = new PartyManager();
+
   // Create an A* pathfinder class inside the world
   this.pathfinder = new Pathfinder();
 
@@ -53,6 +62,15 @@ const World = function(size) {
   // Create the world clock
   this.clock = new WorldClock();
 
+  // House auctions and rent are checked on every minute of the world clock
+  this.houseManager = new HouseManager();
+  this.clock.on("time", this.houseManager.tick.bind(this.houseManager));
+
+  // Chunks that are lazily loaded are released again when no player has been nearby for a while
+  if(CONFIG.WORLD.CHUNK.LAZY.ENABLED) {
+    this.clock.on("time", this.lattice.unloadIdleChunks.bind(this.lattice));
+  }
+
   // Explicitly active sectors for action NPCs
   this.explicitActive = new Set();
 
@@ -178,6 +196,13 @@ World.prototype.getCreatureFromId = function(id) {
 
 }
 
+// The configurable world types (see CONFIG.WORLD.PVP.TYPE)
+World.prototype.PVP_TYPES = new Object({
+  "NO_PVP": "no-pvp",
+  "PVP": "pvp",
+  "PVP_ENFORCED": "pvp-enforced"
+});
+
 World.prototype.handleCombat = function(source) {
 
   /*
@@ -188,6 +213,18 @@ World.prototype.handleCombat = function(source) {
   // Reference the target
   let target = source.getTarget();
 
+  // Attacks between players are subject to the PvP rules of the world
+  if(source.isPlayer() && target.isPlayer()) {
+
+    // The rules may no longer allow the attack (e.g., the target entered a protection zone)
+    if(!source.canAttackPlayer(target)) {
+      return source.setTarget(null);
+    }
+
+    source.handleAttackPlayer(target);
+
+  }
+
   // Calculate the damage
   let damage = source.calculateDamage();
   let defense = target.calculateDefense();
@@ -205,6 +242,16 @@ World.prototype.handleCombat = function(source) {
 
     this.handleDistanceCombat(source, target);
 
+  } else if(source.isPlayer()) {
+
+    // Train the melee skill of the weapon that is used
+    source.skills.addSkillTries(source.skills.getWeaponSkill(), 1);
+
+  }
+
+  // Players being attacked train their shielding
+  if(target.isPlayer()) {
+    target.skills.addSkillTries(target.skills.SKILLS.SHIELDING, 1);
   }
 
   // If there is no damage send a block poff effect
@@ -218,7 +265,7 @@ World.prototype.handleCombat = function(source) {
   }
 
   // Damage the entity
-  this.__damageEntity(source, target, unmitigatedDamage, CONST.COLOR.RED);
+  this.__damageEntity(source, target, unmitigatedDamage, CONST.DAMAGE.PHYSICAL);
   
 }
 
@@ -235,6 +282,11 @@ World.prototype.handleDistanceCombat = function(source, target) {
   // Write a distance effect
   this.sendDistanceEffect(source.position, target.position, ammo.getShootType());
 
+  // Train the distance skill
+  if(source.isPlayer()) {
+    source.skills.addSkillTries(source.skills.SKILLS.DISTANCE, 1);
+  }
+
 }
 
 World.prototype.addSplash = function(id, position, type) {
@@ -357,8 +409,14 @@ World.prototype.findPath = function(creature, fromPosition, toPosition, mode) {
     return new Array();
   }
 
+  let start = performance.now();
+
   // Delegate to the pathfinder
-  return this.pathfinder.search(creature, from, to, mode);
+  let path = this.pathfinder.search(creature, from, to, mode);
+
+  process.gameServer.metrics.countPathfinding(performance.now() - start);
+
+  return path;
 
 }
 
@@ -811,6 +869,9 @@ World.prototype.writeLoginPackets = function(player) {
   // Write the player statistics
   player.write(new PacketWriter(PacketWriter.prototype.opcodes.PLAYER_STATISTICS).writePlayerStatistics(player));
 
+  // The quests that the player has started
+  player.storageValues.writeQuestLog();
+
   // Write the last visited message
   if(player.lastVisit) {
     player.sendCancelMessage("Welcome back! Your last visit was at %s.".format(new Date(player.lastVisit).toISOString()));
@@ -828,8 +889,12 @@ World.prototype.doCreatureActions = function(sockets) {
   // All NPCs that are in a scene and need to update the world everywhere
   this.__handleExplicitNPCs();
 
+  let activeChunks = this.lattice.getActiveChunks(sockets);
+
+  process.gameServer.metrics.setActiveChunks(activeChunks.size);
+
   // Go over each sector activated by a player and make the creatures (monsters & NPCs) think
-  this.lattice.getActiveChunks(sockets).forEach(function(sector) {
+  activeChunks.forEach(function(sector) {
 
     sector.players.forEach(player => player.think());
     sector.monsters.forEach(monster => monster.think());
@@ -930,6 +995,11 @@ World.prototype.__scheduleRespawnCreature = function(spawn) {
    * Function called to schedule the respawn of a creature
    */
 
+  // Summoned creatures have no respawn time and are never respawned
+  if(spawn.respawnTime === null) {
+    return;
+  }
+
   // Schedule a respawn event after a number of ticks
   return process.gameServer.world.eventQueue.addEventSeconds(this.spawnCreature.bind(this, spawn), spawn.respawnTime);
 
@@ -972,11 +1042,11 @@ World.prototype.__alertNPCEnter = function(creature) {
 
 }
 
-World.prototype.applyEnvironmentalDamage = function(target, amount, color) {
+World.prototype.applyEnvironmentalDamage = function(target, amount, type) {
 
   /*
    * Function World.applyEnvironmentalDamage
-   * Applies environmental damage from the gameworld (fire, energy, poison)
+   * Applies environmental damage of a particular damage type from the gameworld (fire, energy, poison)
    */
 
   // Make sure to lock the player in combat
@@ -984,6 +1054,20 @@ World.prototype.applyEnvironmentalDamage = function(target, amount, color) {
     target.combatLock.lockSeconds(target.COMBAT_LOCK_SECONDS);
   }
 
+  // Reduce the damage by the resistances of the target
+  amount = target.getMitigatedDamage(amount, type);
+
+  let { color, effect } = this.__getDamageProperties(type);
+
+  // The target is immune to this type of damage
+  if(amount === 0) {
+    return this.sendMagicEffect(target.position, CONST.EFFECT.MAGIC.BLOCKHIT);
+  }
+
+  if(effect !== null) {
+    this.sendMagicEffect(target.position, effect);
+  }
+
   target.decreaseHealth(null, amount, color);
 
   // Zero health
@@ -999,28 +1083,144 @@ World.prototype.applyEnvironmentalDamage = function(target, amount, color) {
 
 }
 
-World.prototype.__damageEntity = function(source, target, amount, color) {
+World.prototype.applyAreaDamage = function(source, tiles, effect, amount, type) {
+
+  /*
+   * Function World.applyAreaDamage
+   * Shows an effect on the tiles of an area and damages the creatures on the opposing side: players hit monsters and the players that the PvP rules allow and monsters hit players.
+   * The amount can be a function that is called for every target (e.g., to roll the damage per target)
+   */
+
+  tiles.forEach(function(tile) {
+
+    this.sendMagicEffect(tile.position, effect);
+
+    // Creatures that die are removed from the tile
+    this.__getAreaTargets(source, tile).forEach(function(target) {
+
+      let damage = typeof amount === "function" ? amount() : amount;
+
+      // Only the players that actually take damage lock the attacker and may give a skull
+      if(source.isPlayer() && target.isPlayer() && target.getMitigatedDamage(damage, type) > 0) {
+        source.handleAttackPlayer(target);
+      }
+
+      this.__damageEntity(source, target, damage, type);
+
+    }, this);
+
+  }, this);
+
+}
+
+World.prototype.__getAreaTargets = function(source, tile) {
+
+  /*
+   * Function World.__getAreaTargets
+   * Returns the creatures on a tile that are hit by area damage of a source: attacks on players are subject to the PvP rules
+   */
+
+  if(!source.isPlayer()) {
+    return Array.from(tile.players);
+  }
+
+  // Players that may not be attacked are silently skipped: the caster is not told about every player in the area
+  return Array.from(tile.monsters).concat(Array.from(tile.players).filter(target => source.isAttackable(target)));
+
+}
+
+World.prototype.__damageEntity = function(source, target, amount, type) {
 
   /*
    * Function World.__damageEntity
-   * Internal function that damages the entity
+   * Internal function that damages the entity with a particular damage type (see CONST.DAMAGE)
    */
 
-  // Clamp the amount between zero and the maximum health
-  amount = amount.clamp(0, target.health);
+  // Untyped damage is physical
+  if(type === undefined) {
+    type = CONST.DAMAGE.PHYSICAL;
+  }
+
+  // Reduce the damage by the resistances of the target and clamp it between zero and the remaining health (or mana for mana drain)
+  amount = target.getMitigatedDamage(amount, type).clamp(0, type === CONST.DAMAGE.MANADRAIN ? this.__getDrainableMana(target) : target.health);
+
+  let { color, effect } = this.__getDamageProperties(type);
+
+  // The target is immune or resisted everything
+  if(amount === 0) {
+    return this.sendMagicEffect(target.position, CONST.EFFECT.MAGIC.BLOCKHIT);
+  }
+
+  if(effect !== null) {
+    this.sendMagicEffect(target.position, effect);
+  }
+
+  // Mana drain removes mana instead of health: only players are informed of their mana
+  if(type === CONST.DAMAGE.MANADRAIN) {
+    if(target.isPlayer()) {
+      return target.changeMana(-amount);
+    }
+
+    target.mana -= amount;
+    return;
+  }
 
   // Remove health from target
   target.decreaseHealth(source, amount, color);
 
   // If the creature is dead or alive: create a different splash
   if(!target.isZeroHealth()) {
-    return this.addSplash(2019, target.position, target.getFluidType());
+
+    // Only physical damage causes bleeding
+    if(type === CONST.DAMAGE.PHYSICAL) {
+      this.addSplash(2019, target.position, target.getFluidType());
+    }
+
+    return;
+
   }
 
   return this.__setCreatureDead(source, target);
 
 }
 
+World.prototype.__getDrainableMana = function(target) {
+
+  /*
+   * Function World.__getDrainableMana
+   * Returns the mana that can be drained from a target: creatures without mana take no mana damage
+   */
+
+  if(!Number.isFinite(target.mana)) {
+    return 0;
+  }
+
+  return Math.max(0, target.mana);
+
+}
+
+World.prototype.__getDamageProperties = function(type) {
+
+  /*
+   * Function World.__getDamageProperties
+   * Returns the text color and magic effect that belong to a damage type
+   */
+
+  // Some effects are not available in older client versions
+  switch(type) {
+    case CONST.DAMAGE.FIRE: return { "color": CONST.COLOR.ORANGE, "effect": CONST.EFFECT.MAGIC.HITBYFIRE };
+    case CONST.DAMAGE.ENERGY: return { "color": CONST.COLOR.LIGHTBLUE, "effect": CONST.EFFECT.MAGIC.ENERGYHIT };
+    case CONST.DAMAGE.EARTH: return { "color": CONST.COLOR.LIGHTGREEN, "effect": CONST.EFFECT.MAGIC.GREEN_RINGS };
+    case CONST.DAMAGE.ICE: return { "color": CONST.COLOR.SKYBLUE, "effect": CONST.EFFECT.MAGIC.ICEATTACK ?? CONST.EFFECT.MAGIC.MAGIC_BLUE };
+    case CONST.DAMAGE.HOLY: return { "color": CONST.COLOR.YELLOW, "effect": CONST.EFFECT.MAGIC.HOLYDAMAGE ?? CONST.EFFECT.MAGIC.YELLOW_RINGS };
+    case CONST.DAMAGE.DEATH: return { "color": CONST.COLOR.DARKRED, "effect": CONST.EFFECT.MAGIC.MORTAREA };
+    case CONST.DAMAGE.DROWNING: return { "color": CONST.COLOR.MAYABLUE, "effect": CONST.EFFECT.MAGIC.BUBBLES ?? CONST.EFFECT.MAGIC.LOSEENERGY };
+    case CONST.DAMAGE.LIFEDRAIN: return { "color": CONST.COLOR.RED, "effect": CONST.EFFECT.MAGIC.MAGIC_RED };
+    case CONST.DAMAGE.MANADRAIN: return { "color": CONST.COLOR.BLUE, "effect": CONST.EFFECT.MAGIC.LOSEENERGY };
+    default: return { "color": CONST.COLOR.RED, "effect": null };
+  }
+
+}
 
 World.prototype.__deferencePlayer = function(name) {
 
@@ -1053,7 +1253,7 @@ World.prototype.__setCreatureDead = function(source, target) {
 
   // If a player is killed: set player to log out but restore health
   if(target.isPlayer()) {
-    return target.handleDeath();
+    return target.handleDeath(source);
   }
 
   // Player killed a monster
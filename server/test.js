@@ -6,6 +6,9 @@ const fs = require("fs");
 // Load the configuration
 global.CONFIG = require("./config");
 
+// The tests use the data of the 7.40 client that is shipped with the server
+CONFIG.SERVER.CLIENT_VERSION = "740";
+
 // Create some useful global functions
 global.getDataFile = function() {
 
@@ -41,18 +44,44 @@ if(require.main === module) {
    * Function __main__
    * Function called when the initialization script is executed
    */
+
+  // The tests run against an in-memory database so that no database server is needed
+  CONFIG.DATABASE.TYPE = "sqlite";
+  CONFIG.DATABASE.SQLITE.FILE = ":memory:";
+
+  // The tests change the world and must not read or overwrite the saved world state of the server
+  CONFIG.WORLD.STATE.ENABLED = false;
+
   const GameServer = requireModule("gameserver");
 
   // Attach the gameserver to the process and initialize
   process.gameServer = new GameServer();
-  process.gameServer.initialize();
+  process.gameServer.initialize(function() {
+
+    let failures = 0;
+
+    // Other files in the directory are helpers that are shared by the tests
+    fs.readdirSync("tests").filter(file => file.startsWith("test-")).forEach(function(file) {
+
+      for(let fn of require(path.join(__dirname, "tests", file))) {
+
+        console.log("Running test: %s".format(fn.name));
+
+        // A failing test is reported and does not stop the other tests
+        try {
+          fn.call();
+        } catch(error) {
+          failures++;
+          console.error("Failed test: %s".format(fn.name), error);
+        }
+
+      }
+
+    });
 
-  fs.readdirSync("tests").forEach(function(file) {
+    console.log("Completed tests with [[ %s ]] failures.".format(failures));
 
-    for(let fn of require(path.join(__dirname, "tests", file))) {
-      console.log("Running test: %s".format(fn.name));
-      fn.call();
-    }
+    process.exitCode = failures === 0 ? 0 : 1;
 
     process.gameServer.__scheduleShutdown();
 
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const Player = requireModule("player");
+const PacketWriter = requireModule("packet-writer");
+
+function createPlayer(name, modify) {
+
+  // Players are created from the account template and record the packets that are written to them
+  let data = JSON.parse(fs.readFileSync(getDataFile("account-template.json")));
+
+  data.creatureStatistics.name = name;
+  data.creatureStatistics.outfit.id = 128;
+  data.characterStatistics.sex = 0;
+
+  if(modify !== undefined) {
+    modify(data);
+  }
+
+  let gameSocket = new Object({
+    "packets": new Array(),
+    "write": function(packet) { this.packets.push(packet); },
+    "close": function() { this.closed = true; },
+    "getAddress": function() { return new Object({ "address": "127.0.0.1" }); }
+  });
+
+  let player = new Player(gameSocket, data);
+
+  process.gameServer.world.addPlayer(player);
+
+  return player;
+
+}
+
+function removePlayer(player) {
+
+  process.gameServer.world.removePlayer(player);
+
+}
+
+function getCancelMessages(player) {
+
+  return player.gameSocket.packets.filter(packet => packet[0] === PacketWriter.prototype.opcodes.CANCEL_MESSAGE.code).map(packet => packet.toString("utf8", 3));
+
+}
+
+module.exports = {
+  createPlayer,
+  removePlayer,
+  getCancelMessages
+}
@@ -0,0 +1,99 @@
+const assert = require("assert");
+const Area = requireModule("area");
+const Position = requireModule("position");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function testAreaRotation() {
+
+  let area = new Area("test", {
+    "directional": true,
+    "grid": [
+      [ 0, 1, 0 ],
+      [ 0, 1, 1 ],
+      [ 0, 3, 0 ]
+    ]
+  });
+
+  let origin = new Position(100, 100, 7);
+
+  let offsets = function(direction) {
+    return area.getPositions(origin, direction).map(position => "%s,%s".format(position.x - origin.x, position.y - origin.y)).join(" ");
+  }
+
+  assert(offsets(Position.prototype.NORTH) === "0,-2 0,-1 1,-1");
+  assert(offsets(Position.prototype.EAST) === "2,0 1,0 1,1");
+  assert(offsets(Position.prototype.SOUTH) === "0,2 0,1 -1,1");
+  assert(offsets(Position.prototype.WEST) === "-2,0 -1,0 -1,-1");
+
+}
+
+function testAreaCentered() {
+
+  let area = new Area("test", {
+    "directional": false,
+    "grid": [
+      [ 0, 1, 0 ],
+      [ 1, 2, 1 ],
+      [ 0, 1, 0 ]
+    ]
+  });
+
+  let origin = new Position(100, 100, 7);
+
+  let north = area.getPositions(origin, Position.prototype.NORTH);
+  let east = area.getPositions(origin, Position.prototype.EAST);
+
+  assert(north.length === 5);
+  assert(north.some(position => position.equals(origin)));
+  assert(north.every((position, index) => position.equals(east[index])));
+
+}
+
+function testAreaSingleOrigin() {
+
+  assert.throws(() => new Area("test", { "directional": false, "grid": [ [ 1, 1 ] ] }));
+  assert.throws(() => new Area("test", { "directional": false, "grid": [ [ 3, 1, 3 ] ] }));
+
+}
+
+function testAreaDamagePlayers() {
+
+  let place = function(x, level) {
+    return data => {
+      data.characterStatistics.level = level;
+      data.characterStatistics.position = new Object({ "x": x, "y": 84, "z": 8 });
+    }
+  }
+
+  let caster = createPlayer("Caster", place(73, 60));
+  let victim = createPlayer("Victim", place(74, 60));
+  let low = createPlayer("Low", place(75, 10));
+
+  let tiles = [ victim, low ].map(player => process.gameServer.world.getTileFromWorldPosition(player.position));
+
+  // No damage means no skull or player-killing lock
+  process.gameServer.world.applyAreaDamage(caster, tiles, CONST.EFFECT.MAGIC.FIREAREA, 0, CONST.DAMAGE.FIRE);
+
+  assert(!caster.isPlayerKillingLocked());
+  assert(!caster.frags.hasSkull());
+
+  process.gameServer.world.applyAreaDamage(caster, tiles, CONST.EFFECT.MAGIC.FIREAREA, 10, CONST.DAMAGE.FIRE);
+
+  assert(victim.health === victim.maxHealth - 10);
+  assert(low.health === low.maxHealth);
+  assert(caster.isPlayerKillingLocked());
+  assert(caster.frags.getSkull() === caster.frags.SKULLS.WHITE);
+
+  // Players that are skipped do not cause a message for the caster
+  assert(getCancelMessages(caster).length === 0);
+
+  [ caster, victim, low ].forEach(removePlayer);
+
+}
+
+module.exports = [
+  testAreaRotation,
+  testAreaCentered,
+  testAreaSingleOrigin,
+  testAreaDamagePlayers
+]
@@ -0,0 +1,32 @@
+const assert = require("assert");
+const Position = requireModule("position");
+
+function testChunkPendingDecay() {
+
+  let position = new Position(74, 90, 8);
+  let tile = process.gameServer.world.getTileFromWorldPosition(position);
+  let chunk = process.gameServer.world.lattice.getChunkFromWorldPosition(position);
+  let id = tile.id;
+
+  assert(!tile.hasScheduledDecay());
+  assert(chunk.canUnload(0));
+
+  // A pickhole closes again and the decay event cannot be restored when the chunk is unloaded
+  tile.replace(392);
+
+  assert(tile.isDecaying());
+  assert(tile.hasScheduledDecay());
+  assert(!chunk.canUnload(0));
+
+  tile.__scheduledDecayEvent.cancel();
+
+  assert(!tile.hasScheduledDecay());
+  assert(chunk.canUnload(0));
+
+  tile.id = id;
+
+}
+
+module.exports = [
+  testChunkPendingDecay
+]
@@ -0,0 +1,73 @@
+const assert = require("assert");
+const { createPlayer, removePlayer } = require("./helpers");
+
+function findMonster(name) {
+
+  let monsters = new Array();
+
+  process.gameServer.world.lattice.forEachChunk(chunk => chunk.monsters.forEach(monster => monsters.push(monster)));
+
+  return monsters.find(monster => monster.name === name);
+
+}
+
+function testDamageResistances() {
+
+  let skeleton = findMonster("Skeleton");
+
+  // Immunities block everything and negative resistances are weaknesses
+  assert(skeleton.getMitigatedDamage(100, CONST.DAMAGE.DEATH) === 0);
+  assert(skeleton.getMitigatedDamage(100, CONST.DAMAGE.FIRE) === 80);
+  assert(skeleton.getMitigatedDamage(100, CONST.DAMAGE.HOLY) === 125);
+  assert(skeleton.getMitigatedDamage(100, CONST.DAMAGE.ENERGY) === 100);
+
+  let health = skeleton.health;
+
+  process.gameServer.world.__damageEntity(null, skeleton, 5, CONST.DAMAGE.EARTH);
+
+  assert(skeleton.health === health);
+
+}
+
+function testDamageManaDrain() {
+
+  let player = createPlayer("Drained", data => data.characterStatistics.position = new Object({ "x": 73, "y": 88, "z": 8 }));
+
+  let { health, mana } = player;
+
+  process.gameServer.world.__damageEntity(null, player, 20, CONST.DAMAGE.MANADRAIN);
+
+  assert(player.mana === mana - 20);
+  assert(player.health === health);
+
+  // The drain is limited to the remaining mana
+  process.gameServer.world.__damageEntity(null, player, 1000, CONST.DAMAGE.MANADRAIN);
+
+  assert(player.mana === 0);
+  assert(player.health === health);
+
+  removePlayer(player);
+
+}
+
+function testDamageManaDrainWithoutMana() {
+
+  let skeleton = findMonster("Skeleton");
+  let { health, mana } = skeleton;
+
+  skeleton.mana = undefined;
+
+  process.gameServer.world.__damageEntity(null, skeleton, 20, CONST.DAMAGE.MANADRAIN);
+
+  assert(skeleton.mana === undefined);
+  assert(skeleton.health === health);
+
+  skeleton.mana = mana;
+
+}
+
+module.exports = [
+  testDamageResistances,
+  testDamageManaDrain,
+  testDamageManaDrainWithoutMana
+]
@@ -0,0 +1,113 @@
+const assert = require("assert");
+const Equipment = requireModule("equipment");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function createVictim(blessings, modify) {
+
+  return createPlayer("Victim", function(data) {
+    data.characterStatistics.level = 20;
+    data.characterStatistics.experience = 98800;
+    data.characterStatistics.blessings = blessings;
+    data.characterStatistics.position = new Object({ "x": 73, "y": 88, "z": 8 });
+    if(modify !== undefined) {
+      modify(data);
+    }
+  });
+
+}
+
+function testDeathExperienceLoss() {
+
+  let player = createVictim(0);
+
+  player.__applyExperienceLoss();
+
+  assert(player.characterStatistics.experience === 88920);
+  assert(player.characterStatistics.level === 19);
+  assert(getCancelMessages(player).includes("You were downgraded from level 20 to level 19."));
+
+  removePlayer(player);
+
+}
+
+function testDeathBlessings() {
+
+  let player = createVictim(2);
+
+  // Every blessing reduces the experience loss and all blessings are lost
+  player.__applyExperienceLoss();
+
+  assert(player.characterStatistics.experience === 98800 - 8299);
+  assert(player.characterStatistics.blessings === 0);
+
+  assert(player.characterStatistics.addBlessing());
+  assert(!player.characterStatistics.hasAllBlessings());
+
+  removePlayer(player);
+
+}
+
+function testDeathItemLoss() {
+
+  // All blessings protect the items
+  let blessed = createVictim(5);
+  let equipment = blessed.containerManager.equipment;
+
+  assert(blessed.createCorpse().container.getSlots().every(item => item === null));
+  assert(equipment.peekIndex(equipment.SLOTS.BACKPACK) !== null);
+
+  removePlayer(blessed);
+
+  // The amulet is consumed instead of the items
+  let amulet = createVictim(0, data => data.equipment[Equipment.prototype.SLOTS.NECKLACE] = new Object({ "id": 2173 }));
+
+  equipment = amulet.containerManager.equipment;
+
+  assert(amulet.createCorpse().container.getSlots().every(item => item === null));
+  assert(equipment.peekIndex(equipment.SLOTS.NECKLACE) === null);
+  assert(equipment.peekIndex(equipment.SLOTS.BACKPACK) !== null);
+
+  removePlayer(amulet);
+
+  // The backpack is always lost without protection
+  let unamulet = createVictim(0);
+
+  equipment = unamulet.containerManager.equipment;
+
+  let backpack = equipment.peekIndex(equipment.SLOTS.BACKPACK);
+
+  assert(unamulet.createCorpse().container.getSlots().includes(backpack));
+  assert(equipment.peekIndex(equipment.SLOTS.BACKPACK) === null);
+
+  removePlayer(unamulet);
+
+}
+
+function testDeathLog() {
+
+  let player = createVictim(5);
+
+  player.handleDeath(null);
+
+  assert(player.gameSocket.closed);
+  assert(player.characterStatistics.deaths[0].level === 20);
+  assert(player.characterStatistics.deaths[0].killers.length === 0);
+
+  // Only the most recent deaths are kept
+  for(let i = 0; i < 12; i++) {
+    player.characterStatistics.addDeath([ "Rat %s".format(i) ]);
+  }
+
+  assert(player.characterStatistics.deaths.length === player.characterStatistics.MAX_DEATHS);
+  assert(player.characterStatistics.deaths[0].killers[0] === "Rat 11");
+
+  removePlayer(player);
+
+}
+
+module.exports = [
+  testDeathExperienceLoss,
+  testDeathBlessings,
+  testDeathItemLoss,
+  testDeathLog
+]
@@ -0,0 +1,110 @@
+const assert = require("assert");
+const Dialogue = requireModule("dialogue");
+const { createPlayer, removePlayer } = require("./helpers");
+
+function createDialogue(responses) {
+
+  let npc = new Object({
+    "said": new Array(),
+    "talkState": null,
+    "internalCreatureSay": function(message) { this.said.push(message); },
+    "setTalkState": function(talkState) { this.talkState = talkState; }
+  });
+
+  let dialogue = new Dialogue(npc, { "responses": responses });
+
+  npc.talkState = dialogue.getBaseTalkState();
+
+  return npc;
+
+}
+
+function say(npc, message, player) {
+
+  let count = npc.said.length;
+
+  npc.talkState(player || new Object({ "name": "Tester" }), message);
+
+  return npc.said.length > count ? npc.said[npc.said.length - 1] : null;
+
+}
+
+function testDialogueKeywords() {
+
+  let npc = createDialogue([
+    { "keywords": [ "job", "occupation" ], "say": "I am a baker, {player}." },
+    { "keywords": [ "bread" ], "say": "Fresh from the oven." }
+  ]);
+
+  assert(say(npc, "job") === "I am a baker, Tester.");
+  assert(say(npc, "occupation") === "I am a baker, Tester.");
+  assert(say(npc, "bread") === "Fresh from the oven.");
+  assert(say(npc, "my job") === null);
+  assert(say(npc, "breads") === null);
+
+}
+
+function testDialogueWildcards() {
+
+  let npc = createDialogue([
+    { "keywords": [ "buy *" ], "say": "What do you want to buy?" },
+    { "keywords": [ "what?" ], "say": "Pardon?" }
+  ]);
+
+  assert(say(npc, "buy bread") === "What do you want to buy?");
+  assert(say(npc, "buy ") === "What do you want to buy?");
+  assert(say(npc, "buy") === null);
+  assert(say(npc, "what?") === "Pardon?");
+  assert(say(npc, "what") === null);
+
+}
+
+function testDialogueFollowUp() {
+
+  let npc = createDialogue([
+    { "keywords": [ "quest" ], "say": "Will you help me?", "responses": [
+      { "keywords": [ "yes" ], "say": "Thank you!" }
+    ]}
+  ]);
+
+  assert(say(npc, "yes") === null);
+  assert(say(npc, "quest") === "Will you help me?");
+  assert(say(npc, "yes") === "Thank you!");
+  assert(say(npc, "yes") === null);
+
+  // An unexpected answer ends the question
+  assert(say(npc, "quest") === "Will you help me?");
+  assert(say(npc, "maybe") === null);
+  assert(say(npc, "yes") === null);
+
+}
+
+function testDialogueSpell() {
+
+  let npc = createDialogue([
+    { "keywords": [ "spell" ], "say": "Learn this!", "actions": [ { "type": "spell", "id": 4 } ] },
+    { "keywords": [ "spell" ], "say": "You cannot learn my spell." }
+  ]);
+
+  let knight = createPlayer("Knight", data => data.characterStatistics.vocation = 1);
+  let sorcerer = createPlayer("Sorcerer", data => data.characterStatistics.vocation = 3);
+
+  knight.spellbook.getAvailableSpells().delete(4);
+  sorcerer.spellbook.getAvailableSpells().delete(4);
+
+  assert(say(npc, "spell", knight) === "You cannot learn my spell.");
+  assert(!knight.spellbook.getAvailableSpells().has(4));
+
+  assert(say(npc, "spell", sorcerer) === "Learn this!");
+  assert(sorcerer.spellbook.getAvailableSpells().has(4));
+
+  [ knight, sorcerer ].forEach(removePlayer);
+
+}
+
+module.exports = [
+  testDialogueKeywords,
+  testDialogueWildcards,
+  testDialogueFollowUp,
+  testDialogueSpell
+]
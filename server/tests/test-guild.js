@@ -0,0 +1,131 @@
+const assert = require("assert");
+const GuildManager = requireModule("guild-manager");
+const Storage = requireModule("storage");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function withGuildManager(callback) {
+
+  // The players of the tests are not in the database: record the writes instead
+  let open = Storage.open;
+  let writes = new Array();
+
+  Storage.open = () => new Proxy(new Object(), { "get": (target, name) => (...args) => writes.push(name) });
+
+  try {
+    callback(new GuildManager(), writes);
+  } finally {
+    Storage.open = open;
+  }
+
+}
+
+function testGuildCreate() {
+
+  withGuildManager(function(guildManager, writes) {
+
+    let leader = createPlayer("Leader");
+
+    guildManager.createGuild(leader, "x");
+    assert(guildManager.getGuild(leader.name) === null);
+
+    guildManager.createGuild(leader, "Red Rose");
+
+    let guild = guildManager.getGuild(leader.name);
+
+    assert(guild.name === "Red Rose");
+    assert(guild.getRank(leader.name) === guild.RANKS.LEADER);
+    assert(guild.getRankTitle(leader.name) === "Leader");
+    assert(writes.includes("insertGuild"));
+
+    // Guild names are unique regardless of their case
+    let other = createPlayer("Other");
+
+    guildManager.createGuild(other, "red rose");
+    assert(getCancelMessages(other).includes("A guild with this name already exists."));
+
+    [ leader, other ].forEach(removePlayer);
+
+  });
+
+}
+
+function testGuildInvite() {
+
+  withGuildManager(function(guildManager) {
+
+    let leader = createPlayer("Leader");
+    let member = createPlayer("Member");
+
+    guildManager.createGuild(leader, "Red Rose");
+
+    // Joining requires an invitation
+    guildManager.join(member, "Red Rose");
+    assert(guildManager.getGuild(member.name) === null);
+
+    guildManager.invite(leader, member.name);
+    guildManager.join(member, "red rose");
+
+    let guild = guildManager.getGuild(member.name);
+
+    assert(guild === guildManager.getGuild(leader.name));
+    assert(guild.getRank(member.name) === guild.RANKS.MEMBER);
+    assert(!guild.isInvited(member.name));
+
+    // Members cannot invite or kick
+    guildManager.kick(member, leader.name);
+    assert(getCancelMessages(member).includes("You do not have the required rank in your guild."));
+    assert(guild.hasMember(leader.name));
+
+    [ leader, member ].forEach(removePlayer);
+
+  });
+
+}
+
+function testGuildRanks() {
+
+  withGuildManager(function(guildManager, writes) {
+
+    let leader = createPlayer("Leader");
+    let member = createPlayer("Member");
+
+    guildManager.createGuild(leader, "Red Rose");
+    guildManager.invite(leader, member.name);
+    guildManager.join(member, "Red Rose");
+
+    let guild = guildManager.getGuild(leader.name);
+
+    guildManager.setRankTitle(leader, guild.RANKS.MEMBER, "Rookie");
+    assert(guild.getRankTitle(member.name) === "Rookie");
+
+    guildManager.promote(leader, "member");
+    assert(guild.getRank(member.name) === guild.RANKS.VICE_LEADER);
+
+    // Promoting a vice-leader passes the leadership
+    guildManager.promote(leader, "member");
+    assert(guild.getRank(member.name) === guild.RANKS.LEADER);
+    assert(guild.getRank(leader.name) === guild.RANKS.VICE_LEADER);
+
+    // The leader cannot leave while other members remain
+    guildManager.leave(member);
+    assert(guild.hasMember(member.name));
+
+    guildManager.kick(member, "leader");
+    assert(guildManager.getGuild(leader.name) === null);
+
+    // The last member disbands the guild by leaving
+    guildManager.leave(member);
+    assert(guildManager.getGuild(member.name) === null);
+    assert(writes.includes("deleteGuild"));
+
+    [ leader, member ].forEach(removePlayer);
+
+  });
+
+}
+
+module.exports = [
+  testGuildCreate,
+  testGuildInvite,
+  testGuildRanks
+]
@@ -0,0 +1,160 @@
+const assert = require("assert");
+const House = requireModule("house");
+const Position = requireModule("position");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+// The door and a tile of the house that is shipped with the 7.40 data
+const DOOR_POSITION = new Position(86, 99, 9);
+const HOUSE_POSITION = new Position(85, 99, 9);
+
+function withHouse(callback) {
+
+  // Restore the lists of the house that is changed by the tests
+  let house = process.gameServer.database.houses.get(1);
+  let state = JSON.parse(JSON.stringify(house));
+
+  try {
+    callback(house);
+  } finally {
+    house.owner = state.owner;
+    house.invited = state.invited;
+    house.subOwners = state.subOwners;
+    house.doors = state.doors;
+  }
+
+}
+
+function createResident(name) {
+
+  let player = createPlayer(name, data => data.characterStatistics.position = HOUSE_POSITION);
+
+  // Residents face the door of the house
+  player.setDirection(Position.prototype.EAST);
+
+  return player;
+
+}
+
+function testHouseAccessLists() {
+
+  let house = new House(9999, new Object({ "name": "Test Cottage", "owner": "Owner", "invited": new Array(), "exit": null, "rent": 100 }));
+  let door = new Position(1, 1, 7);
+  let inside = new Position(2, 1, 7);
+
+  assert(house.hasAccess("Owner", door));
+  assert(!house.hasAccess("Guest", inside));
+
+  house.setGuest("Guest", true);
+  house.setSubOwner("Friend", true);
+
+  assert(house.hasAccess("Guest", inside));
+  assert(house.hasAccess("Guest", door));
+  assert(house.canManageAccess("Friend"));
+  assert(!house.canManageAccess("Guest"));
+
+  // A door with an access list only admits the players on the list
+  house.setDoorAccess(door, "Visitor", true);
+
+  assert(!house.hasAccess("Guest", door));
+  assert(house.hasAccess("Guest", inside));
+  assert(house.hasAccess("Visitor", door));
+  assert(house.hasAccess("Visitor", inside));
+  assert(house.hasAccess("Friend", door));
+
+  // Doors without a list are open to all guests again
+  house.setDoorAccess(door, "Visitor", false);
+
+  assert(house.hasAccess("Guest", door));
+  assert(Object.keys(house.doors).length === 0);
+
+  let json = JSON.parse(JSON.stringify(house));
+
+  assert(json.invited.includes("Guest"));
+  assert(json.subOwners.includes("Friend"));
+
+}
+
+function testHouseAccessManage() {
+
+  withHouse(function(house) {
+
+    let houseManager = process.gameServer.world.houseManager;
+
+    // Only the owner and sub-owners can change the lists
+    let outsider = createPlayer("Outsider");
+
+    houseManager.setGuest(outsider, "guest", true);
+    assert(getCancelMessages(outsider).includes("You must be inside a house you own or are a sub-owner of."));
+
+    removePlayer(outsider);
+
+    // Players log in to the house only when they have access
+    house.owner = "Owner";
+
+    let owner = createResident("Owner");
+
+    houseManager.setGuest(owner, "guest1", true);
+    assert(getCancelMessages(owner).includes("This is not a valid character name."));
+
+    houseManager.setGuest(owner, "guest", true);
+    houseManager.setSubOwner(owner, "friend", true);
+
+    assert(house.invited.includes("Guest"));
+    assert(house.subOwners.includes("Friend"));
+
+    // The owner must face a door to change its access list
+    houseManager.setDoorAccess(owner, "visitor", true);
+    assert(house.getDoorAccess(DOOR_POSITION).includes("Visitor"));
+
+    removePlayer(owner);
+
+    // Sub-owners manage the guests but not the other sub-owners
+    let friend = createResident("Friend");
+
+    houseManager.setGuest(friend, "other", true);
+    houseManager.setSubOwner(friend, "other", true);
+
+    assert(house.invited.includes("Other"));
+    assert(!house.subOwners.includes("Other"));
+    assert(getCancelMessages(friend).includes("Only the owner of the house can change the sub-owners."));
+
+    removePlayer(friend);
+
+  });
+
+}
+
+function testHouseAccessDoor() {
+
+  withHouse(function(house) {
+
+    let tile = process.gameServer.world.getTileFromWorldPosition(DOOR_POSITION);
+    let door = tile.getTopItem();
+    let guest = createPlayer("Guest");
+
+    assert(door.isHouseDoor() && !door.isOpened());
+
+    door.toggle(guest);
+
+    assert(!door.isOpened());
+    assert(getCancelMessages(guest).includes("You are not allowed to open this door."));
+
+    house.setGuest(guest.name, true);
+    door.toggle(guest);
+
+    // Opening the door replaces it by the opened door
+    assert(tile.getTopItem().isOpened());
+
+    tile.getTopItem().close();
+
+    removePlayer(guest);
+
+  });
+
+}
+
+module.exports = [
+  testHouseAccessLists,
+  testHouseAccessManage,
+  testHouseAccessDoor
+]
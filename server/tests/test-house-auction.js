@@ -0,0 +1,189 @@
+const assert = require("assert");
+const House = requireModule("house");
+const HouseManager = requireModule("house-manager");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function withAuction(callback) {
+
+  // A house of its own that does not touch the storage: saves are completed by the tests and notices are recorded
+  let { database } = process.gameServer;
+  let { websocketServer } = process.gameServer.server;
+  let { saveHouse } = database;
+  let { savePlayer } = websocketServer;
+
+  let house = new House(9999, new Object({ "name": "Test Cottage", "owner": null, "invited": new Array(), "exit": null, "rent": 100 }));
+  let houseManager = new HouseManager();
+  let saves = new Array();
+  let notices = new Array();
+
+  database.saveHouse = (house, done) => saves.push(done);
+  websocketServer.savePlayer = function() {};
+  houseManager.__sendNotice = (name, content) => notices.push(content);
+
+  database.houses.set(house.id, house);
+
+  try {
+    callback(house, houseManager, saves, notices);
+  } finally {
+    database.houses.delete(house.id);
+    database.saveHouse = saveHouse;
+    websocketServer.savePlayer = savePlayer;
+  }
+
+}
+
+function createBidder(name, money) {
+
+  let player = createPlayer(name);
+
+  player.containerManager.depot.addMoney(money);
+
+  return player;
+
+}
+
+function testHouseBidRequirements() {
+
+  withAuction(function(house, houseManager, saves) {
+
+    let bidder = createBidder("Bidder", 150);
+
+    houseManager.bid(bidder, 100, "Unknown House");
+    assert(getCancelMessages(bidder).includes("A house with this name does not exist."));
+
+    // The first bid must cover the rent
+    houseManager.bid(bidder, 99, "test cottage");
+    assert(getCancelMessages(bidder).includes("Your bid must be at least 100 gold."));
+
+    houseManager.bid(bidder, 200, "test cottage");
+    assert(getCancelMessages(bidder).includes("You do not have enough gold in your depot."));
+
+    assert(!house.isAuctioned());
+    assert(saves.length === 0);
+    assert(bidder.containerManager.depot.getMoney() === 150);
+
+    removePlayer(bidder);
+
+  });
+
+}
+
+function testHouseBid() {
+
+  withAuction(function(house, houseManager, saves, notices) {
+
+    let first = createBidder("First", 500);
+    let second = createBidder("Second", 500);
+
+    houseManager.bid(first, 150, "Test Cottage");
+
+    assert(house.auction.bidder === first.name);
+    assert(first.containerManager.depot.getMoney() === 350);
+
+    // Nobody else can bid while the bid is being saved
+    houseManager.bid(second, 200, "Test Cottage");
+    assert(getCancelMessages(second).includes("Another bid on this house is being placed. Try again in a moment."));
+
+    saves.shift()(null);
+    assert(getCancelMessages(first).includes("You placed a bid of 150 gold on Test Cottage."));
+
+    houseManager.bid(second, 200, "Test Cottage");
+    saves.shift()(null);
+
+    // The outbid player gets the gold back
+    assert(house.auction.bidder === second.name);
+    assert(second.containerManager.depot.getMoney() === 300);
+    assert(first.containerManager.depot.getMoney() === 500);
+    assert(notices.includes("You have been outbid on Test Cottage. Your bid of 150 gold has been returned to your depot."));
+
+    [ first, second ].forEach(removePlayer);
+
+  });
+
+}
+
+function testHouseBidFailure() {
+
+  withAuction(function(house, houseManager, saves) {
+
+    let bidder = createBidder("Bidder", 500);
+
+    houseManager.bid(bidder, 150, "Test Cottage");
+
+    // A bid that cannot be saved is undone
+    saves.shift()(new Error("The storage is not available."));
+
+    assert(!house.isAuctioned());
+    assert(bidder.containerManager.depot.getMoney() === 500);
+    assert(getCancelMessages(bidder).includes("Your bid on Test Cottage could not be placed. Try again later."));
+
+    removePlayer(bidder);
+
+  });
+
+}
+
+function testHouseAuctionClose() {
+
+  withAuction(function(house, houseManager, saves, notices) {
+
+    house.auction = new Object({ "bidder": "Winner", "bid": 300, "ends": Date.now() + 60000 });
+
+    houseManager.tick();
+    assert(!house.hasOwner());
+
+    house.auction.ends = Date.now();
+    houseManager.tick();
+
+    assert(house.owner === "Winner");
+    assert(!house.isAuctioned());
+    assert(house.paidUntil > Date.now());
+    assert(notices[0].startsWith("Congratulations! You won the auction of Test Cottage for 300 gold."));
+
+  });
+
+}
+
+function testHouseRent() {
+
+  withAuction(function(house, houseManager, saves, notices) {
+
+    let owner = createBidder("Owner", 150);
+
+    house.owner = owner.name;
+    house.paidUntil = Date.now();
+
+    houseManager.tick();
+
+    assert(owner.containerManager.depot.getMoney() === 50);
+    assert(house.paidUntil > Date.now());
+
+    // The owner cannot pay the next rent
+    house.paidUntil = Date.now();
+    houseManager.tick();
+
+    assert(house.missedPayments === 1);
+    assert(house.owner === owner.name);
+    assert(notices[0].startsWith("Warning! You do not have 100 gold in your depot to pay the rent of Test Cottage."));
+
+    // The house is reclaimed after too many missed payments
+    house.missedPayments = CONFIG.WORLD.HOUSES.MAXIMUM_MISSED_PAYMENTS - 1;
+    house.paidUntil = Date.now();
+    houseManager.tick();
+
+    assert(!house.hasOwner());
+    assert(house.paidUntil === null);
+
+    removePlayer(owner);
+
+  });
+
+}
+
+module.exports = [
+  testHouseBidRequirements,
+  testHouseBid,
+  testHouseBidFailure,
+  testHouseAuctionClose,
+  testHouseRent
+]
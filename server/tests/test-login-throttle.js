@@ -0,0 +1,81 @@
+const assert = require("assert");
+const LoginThrottle = requireModule("login-throttle");
+
+// A fixed clock so that the lockouts can be compared exactly
+function withClock(time, callback) {
+
+  let now = Date.now;
+
+  Date.now = () => time;
+
+  try {
+    callback();
+  } finally {
+    Date.now = now;
+  }
+
+}
+
+function testLoginThrottleBackoff() {
+
+  let { FREE_ATTEMPTS, BASE_SECONDS, MAX_SECONDS } = CONFIG.LOGIN.THROTTLE;
+  let throttle = new LoginThrottle();
+
+  withClock(1000000, function() {
+
+    for(let failures = 0; failures <= FREE_ATTEMPTS; failures++) {
+      assert(throttle.getLockout(failures) === null);
+    }
+
+    assert(throttle.getLockout(FREE_ATTEMPTS + 1).getTime() === 1000000 + 1000 * BASE_SECONDS);
+    assert(throttle.getLockout(FREE_ATTEMPTS + 2).getTime() === 1000000 + 2000 * BASE_SECONDS);
+    assert(throttle.getLockout(FREE_ATTEMPTS + 3).getTime() === 1000000 + 4000 * BASE_SECONDS);
+    assert(throttle.getLockout(FREE_ATTEMPTS + 64).getTime() === 1000000 + 1000 * MAX_SECONDS);
+
+  });
+
+}
+
+function testLoginThrottleAddress() {
+
+  let { FREE_ATTEMPTS, BASE_SECONDS } = CONFIG.LOGIN.THROTTLE;
+  let throttle = new LoginThrottle();
+
+  withClock(1000000, function() {
+
+    for(let i = 0; i < FREE_ATTEMPTS; i++) {
+      throttle.addFailure("127.0.0.1");
+    }
+
+    assert(throttle.getRetrySeconds("127.0.0.1") === 0);
+
+    throttle.addFailure("127.0.0.1");
+
+    assert(throttle.getRetrySeconds("127.0.0.1") === BASE_SECONDS);
+    assert(throttle.getRetrySeconds("127.0.0.2") === 0);
+
+    throttle.reset("127.0.0.1");
+
+    assert(throttle.getRetrySeconds("127.0.0.1") === 0);
+
+  });
+
+}
+
+function testLoginThrottleRemainingSeconds() {
+
+  let throttle = new LoginThrottle();
+
+  withClock(1000000, function() {
+    assert(throttle.getRemainingSeconds(null) === 0);
+    assert(throttle.getRemainingSeconds(new Date(1000000 + 1500)) === 2);
+    assert(throttle.getRemainingSeconds(new Date(1000000 - 1500)) === 0);
+  });
+
+}
+
+module.exports = [
+  testLoginThrottleBackoff,
+  testLoginThrottleAddress,
+  testLoginThrottleRemainingSeconds
+]
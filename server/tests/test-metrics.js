@@ -0,0 +1,102 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ServerLogger = requireModule("logger");
+const ServerMetrics = requireModule("server-metrics");
+const { createPlayer, removePlayer } = require("./helpers");
+
+function withLogfile(callback) {
+
+  // Write the logfile synchronously to a temporary directory so that the rotation can be checked immediately
+  let directory = fs.mkdtempSync(path.join(os.tmpdir(), "logs-"));
+  let { createWriteStream } = fs;
+  let { FILE, MAX_BYTES, MAX_FILES } = CONFIG.LOGGING;
+
+  fs.createWriteStream = function(filename, options) {
+    if(options.flags === "w") {
+      fs.writeFileSync(filename, "");
+    }
+    return new Object({
+      "write": data => fs.appendFileSync(filename, data),
+      "end": function() {}
+    });
+  };
+
+  Object.assign(CONFIG.LOGGING, { "FILE": path.join(directory, "server.log"), "MAX_BYTES": 200, "MAX_FILES": 2 });
+
+  try {
+    callback(CONFIG.LOGGING.FILE);
+  } finally {
+    fs.createWriteStream = createWriteStream;
+    Object.assign(CONFIG.LOGGING, { FILE, MAX_BYTES, MAX_FILES });
+    fs.rmSync(directory, { "recursive": true });
+  }
+
+}
+
+function testMetricsSerialize() {
+
+  let metrics = new ServerMetrics();
+  let player = createPlayer("Measured");
+
+  metrics.countPacket(3);
+  metrics.countPacket(3);
+
+  // Unknown opcodes are labeled by their code
+  metrics.countPacket(250);
+
+  metrics.countPathfinding(4);
+  metrics.addLoopExecutionTime(10);
+  metrics.setActiveChunks(2);
+
+  let lines = metrics.serialize().split("\n");
+
+  assert(lines.includes("# TYPE gameserver_packets_received_total counter"));
+  assert(lines.includes("gameserver_packets_received_total{opcode=\"MOVE_WEST\"} 2"));
+  assert(lines.includes("gameserver_packets_received_total{opcode=\"250\"} 1"));
+  assert(lines.includes("gameserver_pathfinding_calls_total 1"));
+  assert(lines.includes("gameserver_pathfinding_milliseconds_total 4"));
+  assert(lines.includes("gameserver_loop_execution_milliseconds_total 10"));
+  assert(lines.includes("gameserver_chunks_active 2"));
+  assert(lines.some(line => /^gameserver_creatures\{type="player"\} [1-9]/.test(line)));
+
+  // Label values are escaped
+  assert(metrics.__serializeLabels({ "player": "a\"b\\c" }) === "{player=\"a\\\"b\\\\c\"}");
+
+  removePlayer(player);
+
+}
+
+function testMetricsLogRotation() {
+
+  withLogfile(function(filename) {
+
+    fs.writeFileSync("%s.1".format(filename), "oldest\n");
+
+    let logger = new ServerLogger();
+
+    // A new logfile starts with the header
+    assert(fs.readFileSync(filename, "utf8").startsWith("Timestamp\t"));
+
+    logger.writeLine(new Array("first"));
+    logger.writeLine(new Array("x".repeat(200)));
+
+    // The full logfile is shifted and the oldest logfile is overwritten
+    assert(fs.readFileSync("%s.1".format(filename), "utf8").includes("first\n"));
+    assert(fs.readFileSync("%s.2".format(filename), "utf8") === "oldest\n");
+    assert(fs.readFileSync(filename, "utf8").startsWith("Timestamp\t"));
+    assert(!fs.existsSync("%s.3".format(filename)));
+
+    logger.writeLine(new Array("second"));
+
+    assert(fs.readFileSync(filename, "utf8").endsWith("second\n"));
+
+  });
+
+}
+
+module.exports = [
+  testMetricsSerialize,
+  testMetricsLogRotation
+]
@@ -0,0 +1,65 @@
+const assert = require("assert");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function createSeller() {
+
+  // Items in nested containers can be sold too
+  return createPlayer("Seller", function(data) {
+    data.equipment[6].items[0] = new Object({ "id": 1987, "items": [ { "id": 2666, "count": 5 } ] });
+    data.equipment[6].items[1] = new Object({ "id": 2666, "count": 3 });
+  });
+
+}
+
+function testNpcBuyItems() {
+
+  let player = createSeller();
+  let equipment = player.containerManager.equipment;
+
+  assert(equipment.getItemCount(2666) === 8);
+
+  assert(player.sell(new Object({ "id": 2666, "price": 2, "type": "buy" }), 7));
+
+  assert(equipment.getItemCount(2666) === 1);
+  assert(equipment.getItemCount(2148) === 14);
+
+  removePlayer(player);
+
+}
+
+function testNpcBuyMissingItems() {
+
+  let player = createSeller();
+  let equipment = player.containerManager.equipment;
+
+  assert(!player.sell(new Object({ "id": 2666, "price": 2, "type": "buy" }), 9));
+
+  // Nothing is taken when the player does not have enough items
+  assert(equipment.getItemCount(2666) === 8);
+  assert(equipment.getItemCount(2148) === 0);
+  assert(getCancelMessages(player).includes("You do not have enough of this item."));
+
+  removePlayer(player);
+
+}
+
+function testNpcBuyChange() {
+
+  let player = createPlayer("Seller");
+  let equipment = player.containerManager.equipment;
+
+  equipment.addMoney(10203);
+
+  assert(equipment.getItemCount(2160) === 1);
+  assert(equipment.getItemCount(2152) === 2);
+  assert(equipment.getItemCount(2148) === 3);
+
+  removePlayer(player);
+
+}
+
+module.exports = [
+  testNpcBuyItems,
+  testNpcBuyMissingItems,
+  testNpcBuyChange
+]
@@ -0,0 +1,125 @@
+const assert = require("assert");
+const PacketLimiter = requireModule("packet-limiter");
+const PacketReader = requireModule("packet-reader");
+
+function createLimiter() {
+
+  let gameSocket = new Object({
+    "player": null,
+    "closed": false,
+    "closeError": function() { this.closed = true; },
+    "getAddress": function() { return new Object({ "address": "127.0.0.1" }); }
+  });
+
+  return new PacketLimiter(gameSocket);
+
+}
+
+// The clock only advances when told so that the buckets are not refilled while sending
+function withClock(callback) {
+
+  let now = Date.now;
+  let time = 1000000;
+
+  Date.now = () => time;
+
+  try {
+    callback(milliseconds => time += milliseconds);
+  } finally {
+    Date.now = now;
+  }
+
+}
+
+function accept(limiter, name, count) {
+
+  let accepted = 0;
+
+  for(let i = 0; i < count; i++) {
+    if(limiter.accept(PacketReader.prototype.opcodes[name].code)) {
+      accepted++;
+    }
+  }
+
+  return accepted;
+
+}
+
+function testPacketLimiterOpcodeBucket() {
+
+  let { BURST_SECONDS, OPCODES_PER_SECOND } = CONFIG.PACKET_LIMITS;
+  let rate = OPCODES_PER_SECOND.CLIENT_MESSAGE;
+
+  withClock(function(advance) {
+
+    let limiter = createLimiter();
+
+    assert(accept(limiter, "CLIENT_MESSAGE", 2 * rate * BURST_SECONDS) === rate * BURST_SECONDS);
+
+    // Other opcodes have their own bucket
+    assert(accept(limiter, "LOOK_AT", 1) === 1);
+
+    advance(1000);
+
+    assert(accept(limiter, "CLIENT_MESSAGE", 2 * rate) === rate);
+
+  });
+
+}
+
+function testPacketLimiterTotalBucket() {
+
+  let { PACKETS_PER_SECOND, BURST_SECONDS } = CONFIG.PACKET_LIMITS;
+  let capacity = PACKETS_PER_SECOND * BURST_SECONDS;
+
+  withClock(function(advance) {
+
+    let limiter = createLimiter();
+
+    assert(accept(limiter, "REQUEST_LOGOUT", capacity) === capacity);
+    assert(accept(limiter, "REQUEST_LOGOUT", 1) === 0);
+
+    advance(1000 / PACKETS_PER_SECOND);
+
+    assert(accept(limiter, "REQUEST_LOGOUT", 2) === 1);
+
+  });
+
+}
+
+function testPacketLimiterViolations() {
+
+  let { BURST_SECONDS, OPCODES_PER_SECOND, MAX_VIOLATIONS, VIOLATION_RESET_SECONDS } = CONFIG.PACKET_LIMITS;
+  let burst = OPCODES_PER_SECOND.CLIENT_MESSAGE * BURST_SECONDS;
+
+  withClock(function(advance) {
+
+    let limiter = createLimiter();
+
+    accept(limiter, "CLIENT_MESSAGE", burst + MAX_VIOLATIONS - 1);
+
+    assert(!limiter.gameSocket.closed);
+
+    // The violations are reset when the client behaves
+    advance(1000 * (VIOLATION_RESET_SECONDS + 1));
+
+    accept(limiter, "CLIENT_MESSAGE", burst + MAX_VIOLATIONS - 1);
+
+    assert(!limiter.gameSocket.closed);
+
+    accept(limiter, "CLIENT_MESSAGE", 1);
+
+    assert(limiter.gameSocket.closed);
+
+    // Packets that are still in flight are all rejected
+    assert(accept(limiter, "LOOK_AT", 1) === 0);
+
+  });
+
+}
+
+module.exports = [
+  testPacketLimiterOpcodeBucket,
+  testPacketLimiterTotalBucket,
+  testPacketLimiterViolations
+]
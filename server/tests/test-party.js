@@ -0,0 +1,136 @@
+const assert = require("assert");
+const DamageMap = requireModule("damage-map");
+const Party = requireModule("party");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function createMember(name, level, x) {
+
+  return createPlayer(name, function(data) {
+    data.characterStatistics.level = level;
+    data.characterStatistics.experience = 0;
+    data.characterStatistics.position = new Object({ "x": x, "y": 72, "z": 8 });
+  });
+
+}
+
+function removeMembers(players) {
+
+  players.forEach(function(player) {
+    process.gameServer.world.partyManager.handleLogout(player);
+    removePlayer(player);
+  });
+
+}
+
+function withConnected(players, callback) {
+
+  // Experience is only given to players that are connected
+  let gameSockets = process.gameServer.server.websocketServer.connectedSockets();
+
+  players.forEach(player => gameSockets.add(player.gameSocket));
+
+  try {
+    callback();
+  } finally {
+    players.forEach(player => gameSockets.delete(player.gameSocket));
+  }
+
+}
+
+function testPartyInvite() {
+
+  let partyManager = process.gameServer.world.partyManager;
+  let leader = createMember("Leader", 20, 72);
+  let member = createMember("Member", 20, 73);
+
+  partyManager.accept(member, "Leader");
+  assert(getCancelMessages(member).includes("You have not been invited to this party."));
+
+  partyManager.invite(leader, "Member");
+
+  // The invitation is only visible to the leader and the invited player
+  assert(partyManager.getShield(member, leader) === Party.prototype.SHIELDS.INVITED);
+  assert(partyManager.getShield(leader, member) === Party.prototype.SHIELDS.INVITER);
+
+  partyManager.accept(member, "leader");
+
+  let party = partyManager.getParty(leader);
+
+  assert(party === partyManager.getParty(member));
+  assert(party.isLeader(leader));
+  assert(partyManager.getShield(leader, member) === Party.prototype.SHIELDS.LEADER);
+  assert(partyManager.getShield(member, leader) === Party.prototype.SHIELDS.MEMBER);
+
+  // Only the leader invites and kicks
+  partyManager.kick(member, "Leader");
+  assert(getCancelMessages(member).includes("You are not the leader of the party."));
+
+  partyManager.kick(leader, "Member");
+  assert(partyManager.getParty(member) === null);
+  assert(getCancelMessages(member).includes("You have been kicked from the party by Leader."));
+
+  removeMembers([ leader, member ]);
+
+}
+
+function testPartyShareExperience() {
+
+  let party = new Party(createMember("Leader", 30, 72));
+
+  party.addMember(createMember("Member", 20, 73));
+
+  let position = party.leader.position;
+
+  assert(party.canShareExperience(position));
+
+  // Members that are too far away or have a much lower level do not share
+  assert(!party.canShareExperience(position.add(new Object({ "x": 0, "y": 40, "z": 0 }))));
+
+  let low = createMember("Low", 19, 74);
+
+  party.addMember(low);
+  assert(!party.canShareExperience(position));
+
+  party.removeMember(low);
+
+  party.shareExperience(101);
+
+  assert(party.getMembers().every(member => member.characterStatistics.experience === 50));
+
+  removeMembers(party.getMembers().concat(low));
+
+}
+
+function testPartyDistributeExperience() {
+
+  let partyManager = process.gameServer.world.partyManager;
+  let leader = createMember("Leader", 20, 72);
+  let member = createMember("Member", 20, 73);
+  let outsider = createMember("Outsider", 20, 74);
+
+  partyManager.invite(leader, "Member");
+  partyManager.accept(member, "Leader");
+
+  // The leader dealt all the damage in the party
+  let damageMap = new DamageMap();
+
+  damageMap.update(leader, 10);
+  damageMap.update(outsider, 10);
+
+  withConnected([ leader, member, outsider ], function() {
+    damageMap.distributeExperienceAndLoot(new Object({ "experience": 100, "creatureStatistics": { "name": "Rat" } }), new Array(), leader.position);
+  });
+
+  assert(outsider.characterStatistics.experience === 50);
+  assert(leader.characterStatistics.experience === 25);
+  assert(member.characterStatistics.experience === 25);
+
+  removeMembers([ leader, member, outsider ]);
+
+}
+
+module.exports = [
+  testPartyInvite,
+  testPartyShareExperience,
+  testPartyDistributeExperience
+]
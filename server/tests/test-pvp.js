@@ -0,0 +1,92 @@
+const assert = require("assert");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function createFighter(name, level, x) {
+
+  return createPlayer(name, function(data) {
+    data.characterStatistics.level = level;
+    data.characterStatistics.position = new Object({ "x": x, "y": 80, "z": 8 });
+  });
+
+}
+
+function testPvpIsAttackable() {
+
+  let attacker = createFighter("Attacker", 60, 73);
+  let target = createFighter("Target", 60, 74);
+  let low = createFighter("Low", 10, 75);
+
+  assert(attacker.isAttackable(target));
+  assert(!attacker.isAttackable(attacker));
+  assert(!attacker.isAttackable(low));
+  assert(!low.isAttackable(attacker));
+
+  CONFIG.WORLD.PVP.TYPE = "no-pvp";
+  assert(!attacker.isAttackable(target));
+  CONFIG.WORLD.PVP.TYPE = "pvp";
+
+  // The check itself does not tell the players anything
+  assert(getCancelMessages(attacker).length === 0);
+  assert(getCancelMessages(low).length === 0);
+
+  [ attacker, target, low ].forEach(removePlayer);
+
+}
+
+function testPvpCanAttackPlayer() {
+
+  let attacker = createFighter("Attacker", 60, 73);
+  let target = createFighter("Target", 60, 74);
+  let low = createFighter("Low", 10, 75);
+
+  assert(attacker.canAttackPlayer(target));
+  assert(getCancelMessages(attacker).length === 0);
+
+  assert(!attacker.canAttackPlayer(low));
+  assert(getCancelMessages(attacker).pop() === "You may not attack a person below level 50.");
+
+  [ attacker, target, low ].forEach(removePlayer);
+
+}
+
+function testPvpProtectionZone() {
+
+  let attacker = createFighter("Attacker", 60, 73);
+
+  // The temple of the account template is a protection zone
+  let target = createPlayer("Target", data => data.characterStatistics.level = 60);
+
+  assert(target.isInProtectionZone());
+  assert(!attacker.canAttackPlayer(target));
+  assert(getCancelMessages(attacker).pop() === "You may not attack a person in a protection zone.");
+
+  [ attacker, target ].forEach(removePlayer);
+
+}
+
+function testPvpAggression() {
+
+  let attacker = createFighter("Attacker", 60, 73);
+  let target = createFighter("Target", 60, 74);
+
+  attacker.handleAttackPlayer(target);
+
+  assert(attacker.isPlayerKillingLocked());
+  assert(attacker.frags.getSkull() === attacker.frags.SKULLS.WHITE);
+
+  // Defending against a marked player is justified
+  target.handleAttackPlayer(attacker);
+
+  assert(target.isPlayerKillingLocked());
+  assert(target.frags.getSkull() === target.frags.SKULLS.NONE);
+
+  [ attacker, target ].forEach(removePlayer);
+
+}
+
+module.exports = [
+  testPvpIsAttackable,
+  testPvpCanAttackPlayer,
+  testPvpProtectionZone,
+  testPvpAggression
+]
@@ -0,0 +1,77 @@
+const assert = require("assert");
+const Quest = requireModule("quest");
+
+function createQuest() {
+
+  return new Quest(1, {
+    "name": "The Lost Ring",
+    "storage": "ring",
+    "start": 1,
+    "end": 3,
+    "missions": [
+      { "name": "Search", "storage": "ring-search", "start": 1, "end": 2, "states": { "1": "Search the cave.", "2": "You found the ring." } },
+      { "name": "Return", "storage": "ring-return", "start": 1, "end": 1, "states": { "1": "You returned the ring." } }
+    ]
+  });
+
+}
+
+function createStorage(values) {
+
+  let map = new Map(Object.entries(values));
+
+  return new Object({
+    "get": key => map.has(key) ? map.get(key) : null
+  });
+
+}
+
+function testQuestNotStarted() {
+
+  let quest = createQuest();
+
+  assert(quest.getLogEntry(createStorage({})) === null);
+  assert(quest.getLogEntry(createStorage({ "ring": 0, "ring-search": 1 })) === null);
+  assert(quest.getLogEntry(createStorage({ "ring": "1" })) === null);
+
+}
+
+function testQuestMissions() {
+
+  let quest = createQuest();
+
+  let entry = quest.getLogEntry(createStorage({ "ring": 1, "ring-search": 1 }));
+
+  assert(entry.name === "The Lost Ring");
+  assert(!entry.completed);
+  assert(entry.missions.length === 1);
+  assert(entry.missions[0].description === "Search the cave.");
+  assert(!entry.missions[0].completed);
+
+  // A value beyond the last state uses the description of the last state
+  entry = quest.getLogEntry(createStorage({ "ring": 2, "ring-search": 5 }));
+
+  assert(entry.missions.length === 1);
+  assert(entry.missions[0].description === "You found the ring.");
+  assert(entry.missions[0].completed);
+
+}
+
+function testQuestCompleted() {
+
+  let quest = createQuest();
+
+  let entry = quest.getLogEntry(createStorage({ "ring": 3, "ring-search": 2, "ring-return": 1 }));
+
+  assert(entry.completed);
+  assert(entry.missions.map(mission => mission.name).join() === "Search,Return");
+  assert(entry.missions.every(mission => mission.completed));
+  assert(entry.missions[1].description === "You returned the ring.");
+
+}
+
+module.exports = [
+  testQuestNotStarted,
+  testQuestMissions,
+  testQuestCompleted
+]
@@ -0,0 +1,78 @@
+const assert = require("assert");
+
+function withDefinitions(type, modify, callback) {
+
+  // Adds broken entries to the definitions that are read from disk
+  let database = process.gameServer.database;
+  let read = database.__readDataDefinition;
+
+  database.__readDataDefinition = function(definition) {
+    let definitions = read.call(this, definition);
+    return definition === type ? modify(definitions) : definitions;
+  }
+
+  try {
+    callback(database);
+  } finally {
+    database.__readDataDefinition = read;
+  }
+
+}
+
+function testReloadActions() {
+
+  let database = process.gameServer.database;
+  let count = database.__prototypeEvents.length;
+
+  assert(database.reload("actions"));
+  assert(database.__prototypeEvents.length === count);
+  assert(database.getThingPrototype(2120).hasEvent("useWith"));
+
+}
+
+function testReloadActionsFailure() {
+
+  withDefinitions("actions", definitions => [ { "id": 2120, "on": "use", "callback": "missing.js" } ].concat(definitions), function(database) {
+
+    let events = database.__prototypeEvents;
+
+    assert(!database.reload("actions"));
+
+    // The listeners of the previous scripts are still attached
+    assert(database.__prototypeEvents === events);
+    assert(database.getThingPrototype(2120).hasEvent("useWith"));
+    assert(database.getThingPrototype(2785).hasEvent("use"));
+
+  });
+
+  withDefinitions("actions", definitions => definitions.concat([ { "id": 999999, "on": "use", "callback": "food.js" } ]), function(database) {
+    assert(!database.reload("actions"));
+    assert(database.getThingPrototype(2785).hasEvent("use"));
+  });
+
+}
+
+function testReloadUniqueFailure() {
+
+  withDefinitions("unique", definitions => [ { "uid": 1000, "on": "use", "callback": "missing.js" } ].concat(definitions), function(database) {
+
+    let uniqueActions = database.__uniqueActions;
+
+    assert(!database.reload("unique"));
+    assert(database.__uniqueActions === uniqueActions);
+
+  });
+
+  let uniqueActions = process.gameServer.database.__uniqueActions;
+
+  assert(process.gameServer.database.reload("unique"));
+  assert(process.gameServer.database.__uniqueActions !== uniqueActions);
+  assert(Object.keys(process.gameServer.database.__uniqueActions).length === Object.keys(uniqueActions).length);
+
+}
+
+module.exports = [
+  testReloadActions,
+  testReloadActionsFailure,
+  testReloadUniqueFailure
+]
@@ -0,0 +1,103 @@
+const assert = require("assert");
+const AccountManager = requireModule("account-manager");
+const LoginServer = requireModule("login-server");
+const SessionManager = requireModule("session-manager");
+
+// A fixed clock so that the expiration can be compared exactly
+function withClock(time, callback) {
+
+  let now = Date.now;
+
+  Date.now = () => time;
+
+  try {
+    callback();
+  } finally {
+    Date.now = now;
+  }
+
+}
+
+function testSessionCreate() {
+
+  let sessionManager = new SessionManager();
+  let { session } = sessionManager.create("account");
+
+  assert(/^[0-9a-f]{64}$/.test(session));
+  assert(sessionManager.getAccount(session) === "account");
+  assert(sessionManager.getAccount("unknown") === null);
+
+  assert(sessionManager.revoke(session));
+  assert(sessionManager.getAccount(session) === null);
+  assert(!sessionManager.revoke(session));
+
+}
+
+function testSessionExpire() {
+
+  let sessionManager = new SessionManager();
+  let lifetime = 1000 * CONFIG.LOGIN.SESSION_SECONDS;
+  let session;
+
+  withClock(1000000, function() {
+    session = sessionManager.create("account");
+    assert(session.expire === 1000000 + lifetime);
+  });
+
+  // Using the session extends it
+  withClock(1000000 + lifetime, () => assert(sessionManager.getAccount(session.session) === "account"));
+  withClock(1000000 + 2 * lifetime, () => assert(sessionManager.getAccount(session.session) === "account"));
+  withClock(1000000 + 3 * lifetime + 1, () => assert(sessionManager.getAccount(session.session) === null));
+
+}
+
+function testSessionRevokeAccount() {
+
+  let sessionManager = new SessionManager();
+  let first = sessionManager.create("account").session;
+  let second = sessionManager.create("account").session;
+  let other = sessionManager.create("other").session;
+
+  // Changing the password ends all sessions of the account
+  sessionManager.revokeAccount("account");
+
+  assert(sessionManager.getAccount(first) === null);
+  assert(sessionManager.getAccount(second) === null);
+  assert(sessionManager.getAccount(other) === "other");
+
+}
+
+function testSessionRequest() {
+
+  // The helpers of the login server without listening for requests
+  let loginServer = Object.create(LoginServer.prototype);
+
+  loginServer.accountManager = new AccountManager();
+
+  assert(loginServer.__getSessionToken({ "headers": { "authorization": "Bearer abc " } }) === "abc");
+  assert(loginServer.__getSessionToken({ "headers": { "authorization": "Basic abc" } }) === null);
+  assert(loginServer.__getSessionToken({ "headers": {} }) === null);
+
+  let summary = loginServer.__getCharacterSummary(new Object({
+    "name": "Tester",
+    "data": {
+      "characterStatistics": { "level": 8, "sex": 1, "vocation": 3 },
+      "creatureStatistics": { "outfit": { "id": 136 } }
+    }
+  }));
+
+  assert(summary.name === "Tester");
+  assert(summary.level === 8);
+  assert(summary.sex === "female");
+  assert(summary.vocation === "sorcerer");
+  assert(summary.outfit.id === 136);
+  assert(summary.lastLogin === null);
+
+}
+
+module.exports = [
+  testSessionCreate,
+  testSessionExpire,
+  testSessionRevokeAccount,
+  testSessionRequest
+]
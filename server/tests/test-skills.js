@@ -0,0 +1,81 @@
+const assert = require("assert");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function testSkillsDefaults() {
+
+  // Characters created before skills were introduced start with the default levels
+  let player = createPlayer("Skilled", data => delete data.skills);
+  let skills = player.skills;
+
+  assert(skills.getSkillLevel(skills.SKILLS.MAGIC) === 0);
+  assert(skills.getSkillLevel(skills.SKILLS.SWORD) === 10);
+  assert(skills.getSkillModifier(skills.SKILLS.SWORD) === 1);
+  assert(skills.getWeaponSkill() === skills.SKILLS.MELEE);
+
+  removePlayer(player);
+
+}
+
+function testSkillsAdvance() {
+
+  let player = createPlayer("Skilled");
+  let skills = player.skills;
+
+  skills.addSkillTries(skills.SKILLS.SHIELDING, 99);
+
+  assert(skills.getSkillLevel(skills.SKILLS.SHIELDING) === 10);
+  assert(skills.getSkillPercentage(skills.SKILLS.SHIELDING) === 99);
+
+  skills.addSkillTries(skills.SKILLS.SHIELDING, 1);
+
+  assert(skills.getSkillLevel(skills.SKILLS.SHIELDING) === 11);
+  assert(skills.getSkillPercentage(skills.SKILLS.SHIELDING) === 0);
+  assert(skills.getSkillModifier(skills.SKILLS.SHIELDING) === 1.05);
+  assert(getCancelMessages(player).includes("You advanced in shielding."));
+
+  // The next level requires more tries
+  skills.addSkillTries(skills.SKILLS.SHIELDING, 100);
+
+  assert(skills.getSkillLevel(skills.SKILLS.SHIELDING) === 11);
+
+  removePlayer(player);
+
+}
+
+function testSkillsAdvanceMultipleLevels() {
+
+  let player = createPlayer("Skilled");
+  let skills = player.skills;
+
+  // Spending a lot of mana at once may advance multiple magic levels
+  skills.addSkillTries(skills.SKILLS.MAGIC, 1600 + 1760 + 10);
+
+  assert(skills.getSkillLevel(skills.SKILLS.MAGIC) === 2);
+  assert(skills.toJSON().magic.tries === 10);
+  assert(getCancelMessages(player).includes("You advanced to magic level 2."));
+
+  removePlayer(player);
+
+}
+
+function testSkillsSerialize() {
+
+  let player = createPlayer("Skilled");
+
+  player.skills.addSkillTries(player.skills.SKILLS.CLUB, 60);
+
+  let copy = createPlayer("Copy", data => data.skills = JSON.parse(JSON.stringify(player.skills)));
+
+  assert(copy.skills.getSkillLevel(copy.skills.SKILLS.CLUB) === 11);
+  assert(copy.skills.toJSON().club.tries === 10);
+
+  [ player, copy ].forEach(removePlayer);
+
+}
+
+module.exports = [
+  testSkillsDefaults,
+  testSkillsAdvance,
+  testSkillsAdvanceMultipleLevels,
+  testSkillsSerialize
+]
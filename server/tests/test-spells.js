@@ -0,0 +1,117 @@
+const assert = require("assert");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function createCaster(level, mana) {
+
+  return createPlayer("Caster", function(data) {
+    data.characterStatistics.level = level;
+    data.creatureStatistics.mana = mana;
+    data.creatureStatistics.maxMana = mana;
+    data.spellbook.availableSpells = new Array(2, 4);
+    data.spellbook.cooldowns = new Array();
+  });
+
+}
+
+function say(player, message) {
+
+  let channelManager = process.gameServer.world.channelManager;
+
+  channelManager.getChannel(channelManager.CHANNELS.DEFAULT).send(player, new Object({ "message": message, "loudness": 1 }));
+
+}
+
+function testSpellWords() {
+
+  let player = createCaster(8, 50);
+
+  // Words are not case sensitive and the mana is spent on the magic level
+  say(player, " EXURA ");
+
+  assert(player.mana === 30);
+  assert(player.skills.toJSON().magic.tries === 20);
+
+  // The spell and its group are on cooldown
+  say(player, "exura");
+
+  assert(player.mana === 30);
+  assert(getCancelMessages(player).includes("You are exhausted."));
+
+  removePlayer(player);
+
+}
+
+function testSpellWordsNotOwned() {
+
+  let player = createCaster(50, 500);
+
+  // Words of spells that are not owned are said like any other message
+  say(player, "utevo lux");
+  say(player, "hello exura");
+
+  assert(player.mana === 500);
+  assert(!player.spellbook.handleSpellWords("utevo lux"));
+  assert(player.spellbook.handleSpellWords("utevo res ina"));
+
+  removePlayer(player);
+
+}
+
+function testSpellRequirements() {
+
+  let low = createCaster(8, 500);
+
+  low.spellbook.handleSpell(4);
+
+  assert(low.mana === 500);
+  assert(getCancelMessages(low).includes("You do not have enough level."));
+
+  removePlayer(low);
+
+  let weak = createCaster(30, 50);
+
+  weak.spellbook.handleSpell(4);
+
+  assert(weak.mana === 50);
+  assert(getCancelMessages(weak).includes("You do not have enough mana."));
+
+  removePlayer(weak);
+
+}
+
+function testSpellSoul() {
+
+  let spell = process.gameServer.database.getSpell(2);
+  let player = createCaster(8, 50);
+
+  spell.soul = 10;
+
+  try {
+
+    player.characterStatistics.soul = 15;
+    player.spellbook.handleSpell(2);
+
+    assert(player.characterStatistics.soul === 5);
+    assert(player.mana === 30);
+
+    player.spellbook.__spellCooldowns.clear();
+    player.spellbook.__groupCooldowns.clear();
+    player.spellbook.handleSpell(2);
+
+    assert(player.characterStatistics.soul === 5);
+    assert(getCancelMessages(player).includes("You do not have enough soulpoints."));
+
+  } finally {
+    spell.soul = 0;
+  }
+
+  removePlayer(player);
+
+}
+
+module.exports = [
+  testSpellWords,
+  testSpellWordsNotOwned,
+  testSpellRequirements,
+  testSpellSoul
+]
@@ -0,0 +1,122 @@
+const assert = require("assert");
+const Equipment = requireModule("equipment");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function createTrader(name, x, id, count) {
+
+  let player = createPlayer(name, function(data) {
+    data.characterStatistics.position = new Object({ "x": x, "y": 76, "z": 8 });
+  });
+
+  getBackpack(player).addThing(process.gameServer.database.createThing(id).setCount(count), 0);
+
+  return player;
+
+}
+
+function getBackpack(player) {
+
+  return player.containerManager.equipment.peekIndex(Equipment.prototype.SLOTS.BACKPACK);
+
+}
+
+function offer(player, partner) {
+
+  player.handleTradeRequest(new Object({ "id": partner.guid, "which": getBackpack(player), "index": 0 }));
+
+}
+
+function testTradeComplete() {
+
+  let requester = createTrader("Requester", 73, 2148, 10);
+  let partner = createTrader("Partner", 74, 2152, 3);
+
+  offer(requester, partner);
+
+  assert(requester.trade !== null && requester.trade === partner.trade);
+  assert(getCancelMessages(partner).includes("Requester wants to trade with you."));
+
+  // Both players must make an offer before accepting
+  requester.handleTradeAccept();
+  assert(getCancelMessages(requester).includes("Both players must make an offer."));
+
+  offer(partner, requester);
+
+  requester.handleTradeAccept();
+  assert(getBackpack(requester).peekIndex(0).id === 2148);
+
+  partner.handleTradeAccept();
+
+  assert(requester.trade === null && partner.trade === null);
+  assert(requester.containerManager.equipment.getItemCount(2152) === 3);
+  assert(requester.containerManager.equipment.getItemCount(2148) === 0);
+  assert(partner.containerManager.equipment.getItemCount(2148) === 10);
+  assert(getCancelMessages(partner).includes("The trade has been completed."));
+
+  [ requester, partner ].forEach(removePlayer);
+
+}
+
+function testTradeRequirements() {
+
+  let requester = createTrader("Requester", 73, 2148, 10);
+  let partner = createTrader("Partner", 75, 2152, 3);
+
+  offer(requester, requester);
+  assert(getCancelMessages(requester).includes("You can only trade with other players."));
+
+  offer(requester, partner);
+  assert(getCancelMessages(requester).includes("You are not close enough."));
+  assert(requester.trade === null);
+
+  // The backpack is needed to receive the item of the other player
+  requester.handleTradeRequest(new Object({ "id": partner.guid, "which": requester.containerManager.equipment, "index": Equipment.prototype.SLOTS.BACKPACK }));
+  assert(requester.trade === null);
+
+  [ requester, partner ].forEach(removePlayer);
+
+}
+
+function testTradeChangedOffer() {
+
+  let requester = createTrader("Requester", 73, 2148, 10);
+  let partner = createTrader("Partner", 74, 2152, 3);
+
+  offer(requester, partner);
+  offer(partner, requester);
+
+  // An offered stack that was split is no longer available
+  getBackpack(requester).removeIndex(0, 5);
+
+  partner.handleTradeAccept();
+
+  assert(requester.trade === null && partner.trade === null);
+  assert(getCancelMessages(partner).includes("The offered items are no longer available."));
+  assert(partner.containerManager.equipment.getItemCount(2152) === 3);
+
+  [ requester, partner ].forEach(removePlayer);
+
+}
+
+function testTradeLogout() {
+
+  let requester = createTrader("Requester", 73, 2148, 10);
+  let partner = createTrader("Partner", 74, 2152, 3);
+
+  offer(requester, partner);
+
+  requester.emit("logout");
+
+  assert(requester.trade === null && partner.trade === null);
+  assert(getCancelMessages(partner).includes("The trade was cancelled because Requester logged out."));
+
+  [ requester, partner ].forEach(removePlayer);
+
+}
+
+module.exports = [
+  testTradeComplete,
+  testTradeRequirements,
+  testTradeChangedOffer,
+  testTradeLogout
+]
@@ -0,0 +1,74 @@
+const assert = require("assert");
+const Condition = requireModule("condition");
+const { createPlayer, removePlayer, getCancelMessages } = require("./helpers");
+
+function createVocationPlayer(name, vocation) {
+
+  return createPlayer(name, function(data) {
+    data.characterStatistics.vocation = vocation;
+    data.spellbook.availableSpells = new Array();
+    data.characterStatistics.position = new Object({ "x": 73, "y": 86, "z": 8 });
+  });
+
+}
+
+function testVocationLearnSpells() {
+
+  // Characters without a vocation keep learning every spell
+  let none = createVocationPlayer("None", 0);
+  let knight = createVocationPlayer("Knight", 1);
+  let sorcerer = createVocationPlayer("Sorcerer", 3);
+
+  assert(none.spellbook.addAvailableSpell(4));
+  assert(none.spellbook.getAvailableSpells().has(4));
+
+  assert(!knight.spellbook.addAvailableSpell(4));
+  assert(!knight.spellbook.getAvailableSpells().has(4));
+  assert(getCancelMessages(knight).pop() === "Your vocation cannot learn this spell.");
+
+  assert(sorcerer.spellbook.addAvailableSpell(4));
+
+  [ none, knight, sorcerer ].forEach(removePlayer);
+
+}
+
+function testVocationHealthRegeneration() {
+
+  let none = createVocationPlayer("None", 0);
+  let knight = createVocationPlayer("Knight", 1);
+
+  // Hungry players only regenerate from their equipment
+  assert(none.__getHealthRegeneration() === 0);
+
+  none.extendCondition(Condition.prototype.SATED, 100, 10);
+  knight.extendCondition(Condition.prototype.SATED, 100, 10);
+
+  // The regeneration from before vocations is multiplied by the rate of the vocation
+  assert(none.__getHealthRegeneration() === 5);
+  assert(knight.__getHealthRegeneration() === 15);
+  assert(knight.__getManaRegeneration() === 1);
+
+  [ none, knight ].forEach(removePlayer);
+
+}
+
+function testVocationLevelGains() {
+
+  let knight = createVocationPlayer("Knight", 1);
+
+  let { maxHealth, maxMana } = knight;
+
+  knight.characterStatistics.__handleGainLevel();
+
+  assert(knight.maxHealth === maxHealth + 15);
+  assert(knight.maxMana === maxMana + 5);
+
+  removePlayer(knight);
+
+}
+
+module.exports = [
+  testVocationLearnSpells,
+  testVocationHealthRegeneration,
+  testVocationLevelGains
+]
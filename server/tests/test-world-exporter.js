@@ -0,0 +1,90 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const otbm2json = require("../lib/otbm2json");
+const Position = requireModule("position");
+const WorldExporter = requireModule("world-exporter");
+
+function testExportTileNodes() {
+
+  let exporter = new WorldExporter();
+  let tile = process.gameServer.world.getTileFromWorldPosition(new Position(74, 90, 8));
+  let thing = process.gameServer.database.createThing(2148).setCount(7);
+
+  tile.addTopThing(thing);
+
+  let node = exporter.__getTileNode(tile, 2);
+
+  tile.deleteThing(thing);
+
+  assert(node.type === otbm2json.HEADERS.OTBM_TILE);
+  assert(node.tileid === tile.id);
+  assert(node.x === 74 && node.y === 90);
+  assert(node.items.some(item => item.id === 2148 && item.count === 7));
+
+  // Items that players keep in their house are saved with the house
+  let houseTile = process.gameServer.world.getTileFromWorldPosition(new Position(85, 99, 9));
+
+  houseTile.addTopThing(thing);
+
+  let houseNode = exporter.__getTileNode(houseTile, 2);
+
+  houseTile.deleteThing(thing);
+
+  assert(houseNode.type === otbm2json.HEADERS.OTBM_HOUSETILE);
+  assert(houseNode.houseId === 1);
+  assert(!houseNode.items.some(item => item.id === 2148));
+
+}
+
+function testExportAreas() {
+
+  let exporter = new WorldExporter();
+  let zone = new Object({ "areas": new Map() });
+
+  // The server swaps the floors of the map editor
+  let area = exporter.__getArea(zone, new Position(300, 20, 7));
+
+  assert(area.x === 256 && area.y === 0 && area.z === 8);
+  assert(exporter.__getArea(zone, new Position(511, 255, 7)) === area);
+  assert(exporter.__getArea(zone, new Position(512, 255, 7)) !== area);
+  assert(zone.areas.size === 2);
+
+  assert(exporter.__getZoneIdentifier(new Position(82, 81, 8)) === process.gameServer.world.getTileFromWorldPosition(new Position(82, 81, 8)).zoneIdentifier);
+
+}
+
+function testExportZones() {
+
+  let exporter = new WorldExporter();
+  let directory = fs.mkdtempSync(path.join(os.tmpdir(), "export-"));
+  let position = new Position(82, 81, 8);
+  let tile = process.gameServer.world.getTileFromWorldPosition(position);
+  let zones = exporter.__createZones();
+
+  exporter.__collectChunk(zones, process.gameServer.world.lattice.getChunkFromWorldPosition(position));
+  exporter.__writeZones(directory, zones);
+
+  let name = path.basename(process.gameServer.database.getZone(tile.zoneIdentifier).file, ".otbm");
+
+  // The exported map can be read back with the tile and its zone flags
+  let data = otbm2json.read(path.join(directory, "%s.otbm".format(name)), process.gameServer.database.items);
+  let area = data.data.nodes[0].features.find(feature => feature.type === otbm2json.HEADERS.OTBM_TILE_AREA && feature.z === 7);
+  let node = area.tiles.find(node => node.x === position.x && node.y === position.y);
+
+  assert(node.tileid === tile.id);
+  assert(node.zones.protection === 1);
+
+  assert(fs.readFileSync(path.join(directory, "%s-house.xml".format(name)), "utf8").includes("name=\"Bakers Balcony\""));
+  assert(fs.existsSync(path.join(directory, "%s-spawn.xml".format(name))));
+
+  fs.rmSync(directory, { "recursive": true });
+
+}
+
+module.exports = [
+  testExportTileNodes,
+  testExportAreas,
+  testExportZones
+]
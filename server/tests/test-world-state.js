@@ -0,0 +1,74 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Chunk = requireModule("chunk");
+const Position = requireModule("position");
+const Tile = requireModule("tile");
+const WorldState = requireModule("world-state");
+
+function createWorldState(filename) {
+
+  // A world state of its own that saves to a temporary file instead of the snapshot of the server
+  let worldState = new WorldState();
+
+  worldState.__pending = new Map();
+  worldState.__getFilename = () => filename;
+
+  return worldState;
+
+}
+
+function testWorldStateTracking() {
+
+  let worldState = createWorldState(null);
+  let tile = process.gameServer.world.getTileFromWorldPosition(new Position(74, 90, 8));
+
+  worldState.setChanged(tile);
+
+  assert(worldState.__changed.has(tile.position.toString()));
+
+  // Tiles that are not part of the world are never saved
+  let detached = new Tile(new Chunk(0, new Position(0, 0, 0)), 102, new Position(0, 0, 0));
+
+  worldState.setChanged(detached);
+
+  assert(!worldState.__changed.has(detached.position.toString()));
+
+}
+
+function testWorldStateSaveSync() {
+
+  let filename = path.join(os.tmpdir(), "world-state-%s.json".format(process.pid));
+  let worldState = createWorldState(filename);
+  let tile = process.gameServer.world.getTileFromWorldPosition(new Position(74, 90, 8));
+  let thing = process.gameServer.database.createThing(2148).setCount(7);
+
+  tile.addTopThing(thing);
+  worldState.setChanged(tile);
+
+  CONFIG.WORLD.STATE.ENABLED = true;
+
+  try {
+    worldState.saveSync();
+  } finally {
+    CONFIG.WORLD.STATE.ENABLED = false;
+    tile.deleteThing(thing);
+  }
+
+  let entries = JSON.parse(fs.readFileSync(filename));
+
+  // The temporary file is renamed to the snapshot
+  assert(!fs.existsSync("%s.tmp".format(filename)));
+  assert(entries.length === 1);
+  assert(entries[0].id === tile.id);
+  assert(entries[0].items.some(item => item.id === 2148 && item.count === 7));
+
+  fs.unlinkSync(filename);
+
+}
+
+module.exports = [
+  testWorldStateTracking,
+  testWorldStateSaveSync
+]